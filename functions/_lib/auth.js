@@ -0,0 +1,183 @@
+// functions/_lib/auth.js
+// Access control for the Pages site: named users with roles, PBKDF2 password
+// hashes from environment bindings, HMAC-signed session cookies and a limit
+// on failed logins. Pure WebCrypto, so it runs in Workers and in Node 20.
+//
+// Bindings:
+//   AUTH_USERS      JSON: { "<name>": { "role": "student" | "instructor" | "admin",
+//                                        "hash": "pbkdf2$<iter>$<salt>$<hash>" } }
+//                   (hash with `node scripts/hash-password.js`)
+//   SESSION_SECRET  random string used to sign session cookies
+//   PUBLIC_PATHS    optional comma-separated extra paths served without login
+//   AUTH_KV         optional KV namespace for failed-login counters; without it
+//                   counters live in the isolate's memory (best effort)
+
+export const ROLES = ["student", "instructor", "admin"];
+export const SESSION_COOKIE = "yt_session";
+export const SESSION_TTL_SEC = 7 * 24 * 60 * 60;
+
+/** Paths anyone may fetch (browsers request the manifest without cookies); a trailing "*" matches a prefix */
+export const DEFAULT_PUBLIC_PATHS = ["/login", "/logout", "/yogatools_logo1.png", "/favicon.ico", "/manifest.webmanifest"];
+
+/** Minimum role per path prefix; everything else needs any signed-in user */
+export const ROLE_RULES = [
+  { prefix: "/admin", role: "instructor" },
+  { prefix: "/api/admin", role: "instructor" },
+];
+
+/** Failed logins allowed per window, per client IP and per username */
+export const MAX_FAILURES = 5;
+export const FAILURE_WINDOW_SEC = 15 * 60;
+
+/** PBKDF2 work factor for new hashes, and for the stand-in hash checked for unknown users */
+export const PBKDF2_ITERATIONS = 100000;
+
+const enc = new TextEncoder();
+
+const b64url = (bytes) =>
+  btoa(String.fromCharCode(...new Uint8Array(bytes))).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+const fromB64url = (s) =>
+  Uint8Array.from(atob(s.replace(/-/g, "+").replace(/_/g, "/")), (c) => c.charCodeAt(0));
+
+/** Compare two byte arrays in time independent of where they differ */
+export function timingSafeEqual(a, b) {
+  const len = Math.max(a.length, b.length);
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < len; i++) diff |= (a[i] ?? 0) ^ (b[i] ?? 0);
+  return diff === 0;
+}
+
+async function pbkdf2(password, salt, iterations) {
+  const key = await crypto.subtle.importKey("raw", enc.encode(password), "PBKDF2", false, ["deriveBits"]);
+  return new Uint8Array(await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, 256));
+}
+
+/** "pbkdf2$<iterations>$<salt>$<hash>" for storing in AUTH_USERS */
+export async function hashPassword(password, { iterations = PBKDF2_ITERATIONS, salt = crypto.getRandomValues(new Uint8Array(16)) } = {}) {
+  return `pbkdf2$${iterations}$${b64url(salt)}$${b64url(await pbkdf2(password, salt, iterations))}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, iter, salt, hash] = (stored || "").split("$");
+  if (scheme !== "pbkdf2" || !iter || !salt || !hash) return false;
+  return timingSafeEqual(await pbkdf2(password, fromB64url(salt), Number(iter)), fromB64url(hash));
+}
+
+/** Users from the AUTH_USERS binding as a Map(name -> { role, hash }) */
+export function parseUsers(env) {
+  let raw = {};
+  try {
+    raw = JSON.parse(env.AUTH_USERS || "{}");
+  } catch {
+    console.error("AUTH_USERS is not valid JSON");
+  }
+  const users = new Map();
+  for (const [name, u] of Object.entries(raw)) {
+    if (u?.hash && ROLES.includes(u.role)) users.set(name, { role: u.role, hash: u.hash });
+  }
+  return users;
+}
+
+/** Checked for unknown users; same work factor as real hashes */
+const UNKNOWN_USER_HASH = `pbkdf2$${PBKDF2_ITERATIONS}$AAAAAAAAAAAAAAAAAAAAAA$AAAA`;
+
+/** Check a username/password pair; returns `{ name, role }` or null */
+export async function checkCredentials(users, name, password) {
+  const user = users.get(name);
+  // Hash even for unknown users, as hard as for real ones, so timing doesn't
+  // reveal who exists
+  const ok = await verifyPassword(password, user?.hash || UNKNOWN_USER_HASH);
+  return user && ok ? { name, role: user.role } : null;
+}
+
+async function hmac(secret, data) {
+  const key = await crypto.subtle.importKey("raw", enc.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  return new Uint8Array(await crypto.subtle.sign("HMAC", key, enc.encode(data)));
+}
+
+/** Signed cookie value for a user: base64url(payload).base64url(hmac) */
+export async function signSession({ name, role }, secret, now = Date.now()) {
+  const payload = b64url(enc.encode(JSON.stringify({ u: name, r: role, exp: Math.floor(now / 1000) + SESSION_TTL_SEC })));
+  return `${payload}.${b64url(await hmac(secret, payload))}`;
+}
+
+/** `{ name, role }` from a valid, unexpired session token, else null */
+export async function verifySession(token, secret, now = Date.now()) {
+  const [payload, sig] = (token || "").split(".");
+  if (!payload || !sig || !secret) return null;
+  try {
+    if (!timingSafeEqual(await hmac(secret, payload), fromB64url(sig))) return null;
+    const { u, r, exp } = JSON.parse(new TextDecoder().decode(fromB64url(payload)));
+    return exp > now / 1000 ? { name: u, role: r } : null;
+  } catch {
+    return null;
+  }
+}
+
+export function getCookie(request, name) {
+  const header = request.headers.get("Cookie") || "";
+  for (const part of header.split(";")) {
+    const [k, ...v] = part.trim().split("=");
+    if (k === name) return v.join("=");
+  }
+  return null;
+}
+
+export function sessionCookie(value, maxAge = SESSION_TTL_SEC) {
+  return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${maxAge}`;
+}
+
+export function isPublicPath(pathname, env = {}) {
+  const extra = (env.PUBLIC_PATHS || "").split(",").map((p) => p.trim()).filter(Boolean);
+  return [...DEFAULT_PUBLIC_PATHS, ...extra].some((p) =>
+    p.endsWith("*") ? pathname.startsWith(p.slice(0, -1)) : pathname === p
+  );
+}
+
+/** Lowest role allowed on a path, or null when any signed-in user may see it */
+export function requiredRole(pathname) {
+  return ROLE_RULES.find((r) => pathname === r.prefix || pathname.startsWith(r.prefix + "/"))?.role || null;
+}
+
+export const hasRole = (user, role) => !role || ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+/** In-memory stand-in for a KV namespace (get/put with expirationTtl) */
+export function memoryStore(now = () => Date.now()) {
+  const data = new Map();
+  return {
+    async get(key) {
+      const e = data.get(key);
+      if (!e || e.expires < now()) return null;
+      return e.value;
+    },
+    async put(key, value, { expirationTtl = 60 } = {}) {
+      data.set(key, { value, expires: now() + expirationTtl * 1000 });
+    },
+    async delete(key) {
+      data.delete(key);
+    },
+  };
+}
+
+/**
+ * Failed-login counter keyed by client IP and by username, so neither one
+ * address nor one account can be brute-forced.
+ */
+export function createRateLimiter(store) {
+  const keys = (ip, name) => [`fail:ip:${ip}`, `fail:user:${name}`];
+  return {
+    async blocked(ip, name) {
+      const counts = await Promise.all(keys(ip, name).map((k) => store.get(k)));
+      return counts.some((c) => Number(c) >= MAX_FAILURES);
+    },
+    async fail(ip, name) {
+      for (const k of keys(ip, name)) {
+        const n = Number(await store.get(k)) || 0;
+        await store.put(k, String(n + 1), { expirationTtl: FAILURE_WINDOW_SEC });
+      }
+    },
+    async reset(ip, name) {
+      for (const k of keys(ip, name)) await store.delete(k);
+    },
+  };
+}
@@ -0,0 +1,56 @@
+// functions/_lib/catalog.js
+// Catalog, transcripts and text index for Pages functions: the catalog
+// published from /admin when there is one (see catalogStore.js), else the
+// static assets. Cached per isolate so repeated calls don't refetch.
+import { buildIndex, normalizeCatalog } from "../../src/engine/index.js";
+import { loadableVideos } from "../../src/catalog/validate.js";
+import { loadTranscripts } from "../../src/catalog/transcripts.js";
+import { MEDIA_PREFIX, catalogStore } from "./catalogStore.js";
+
+const TTL_MS = 5 * 60 * 1000;
+let cached = null;
+
+/** Fetch a site asset or upload without going back through the middleware */
+async function fetchAsset(context, path) {
+  const url = new URL(path, context.request.url);
+  const store = catalogStore(context.env);
+  if (store && url.pathname.startsWith(MEDIA_PREFIX)) {
+    const media = await store.getMedia(url.pathname);
+    return media ? new Response(media.value, { headers: { "Content-Type": media.contentType } }) : new Response(null, { status: 404 });
+  }
+  return url.origin === new URL(context.request.url).origin && context.env.ASSETS
+    ? context.env.ASSETS.fetch(new Request(url))
+    : fetch(url);
+}
+
+/**
+ * `{ videos, index, errors }` for the deployed catalog. Videos that fail
+ * validation are left out, as in the app; throws if nothing is usable.
+ */
+export async function loadCatalog(context, now = Date.now()) {
+  if (cached && now - cached.at < TTL_MS) return cached.value;
+
+  const { videos, errors } = loadableVideos(await catalogData(context));
+  if (videos.length === 0) throw new Error("No usable classes in the catalog");
+  const norm = normalizeCatalog(videos);
+
+  const transcripts = await loadTranscripts(norm, (path) => fetchAsset(context, path));
+
+  const value = { videos: norm, index: buildIndex(norm, transcripts), errors };
+  cached = { at: now, value };
+  return value;
+}
+
+/** The raw catalog students get: the published edit, else public/catalog.json */
+export async function catalogData(context) {
+  const published = await catalogStore(context.env)?.published();
+  if (published) return published.catalog;
+  const res = await fetchAsset(context, "/catalog.json");
+  if (!res.ok) throw new Error(`catalog.json returned ${res.status}`);
+  return res.json();
+}
+
+/** Drop this isolate's cached catalog, e.g. after publishing */
+export function forgetCatalog() {
+  cached = null;
+}
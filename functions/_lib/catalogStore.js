@@ -0,0 +1,93 @@
+// functions/_lib/catalogStore.js
+// Catalog edits made in /admin: a draft instructors work on and the published
+// catalog students see, plus uploaded posters and transcripts. Everything
+// lives in one KV namespace so a deploy never overwrites published edits.
+//
+// Bindings:
+//   CATALOG_KV  KV namespace. Without it the site serves public/catalog.json
+//               as deployed and /admin can only export a catalog file.
+//
+// Keys:
+//   catalog:draft      { catalog, revision, savedBy, savedAt }
+//   catalog:published  { catalog, revision, publishedBy, publishedAt }
+//   media:<path>       uploaded file, content type in the metadata
+import { validateCatalog } from "../../src/catalog/validate.js";
+
+const DRAFT = "catalog:draft";
+const PUBLISHED = "catalog:published";
+
+/** Uploads instructors may attach, by kind */
+export const MEDIA_KINDS = {
+  poster: { dir: "posters", maxBytes: 5 * 1024 * 1024, types: { "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp" } },
+  captions: { dir: "captions", maxBytes: 2 * 1024 * 1024, types: { "text/vtt": "vtt", "application/x-subrip": "srt" } },
+  transcript: { dir: "transcripts", maxBytes: 2 * 1024 * 1024, types: { "text/plain": "txt" } },
+};
+
+/** URL prefix uploaded files are served under (functions/media/[[path]].js) */
+export const MEDIA_PREFIX = "/media/";
+
+/** An error the admin API reports as-is, with its HTTP status */
+const failure = (message, status, details) => Object.assign(new Error(message), { status, details });
+
+/** The store for `env`, or null when there's no CATALOG_KV binding */
+export function catalogStore(env) {
+  const kv = env.CATALOG_KV;
+  if (!kv) return null;
+
+  return {
+    draft: () => kv.get(DRAFT, "json"),
+    published: () => kv.get(PUBLISHED, "json"),
+
+    /**
+     * Save a draft. Drafts may have errors; only publishing is gated.
+     * `revision` is the draft revision the edit started from, so two
+     * instructors don't silently overwrite each other.
+     */
+    async saveDraft(catalog, revision, user, now = Date.now()) {
+      const current = await kv.get(DRAFT, "json");
+      if (current && revision !== current.revision) {
+        throw failure(`Draft was changed by ${current.savedBy} since you loaded it`, 409);
+      }
+      const record = { catalog, revision: (current?.revision || 0) + 1, savedBy: user.name, savedAt: now };
+      await kv.put(DRAFT, JSON.stringify(record));
+      return record;
+    },
+
+    discardDraft: () => kv.delete(DRAFT),
+
+    /** Publish the draft if it validates; the draft stays for further edits */
+    async publish(revision, user, now = Date.now()) {
+      const draft = await kv.get(DRAFT, "json");
+      if (!draft) throw failure("No draft to publish", 404);
+      if (revision !== draft.revision) {
+        throw failure(`Draft was changed by ${draft.savedBy} since you loaded it`, 409);
+      }
+      const { errors } = validateCatalog(draft.catalog);
+      if (errors.length) throw failure("Draft has errors; fix them before publishing", 422, errors);
+      const record = { catalog: draft.catalog, revision: draft.revision, publishedBy: user.name, publishedAt: now };
+      await kv.put(PUBLISHED, JSON.stringify(record));
+      return record;
+    },
+
+    /** Store an upload and return the path to put in the catalog */
+    async putMedia(kind, name, contentType, body) {
+      const spec = MEDIA_KINDS[kind];
+      if (!spec) throw failure(`Unknown upload kind "${kind}"; use one of: ${Object.keys(MEDIA_KINDS).join(", ")}`, 400);
+      const type = (contentType || "").split(";")[0].trim().toLowerCase();
+      const ext = spec.types[type];
+      if (!ext) throw failure(`${kind} must be one of: ${Object.keys(spec.types).join(", ")}`, 415);
+      if (body.byteLength > spec.maxBytes) throw failure(`${kind} is larger than ${spec.maxBytes / 1024 / 1024} MB`, 413);
+      const slug = String(name || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || kind;
+      // Versioned names, so browsers and the service worker never serve a stale copy
+      const path = `${MEDIA_PREFIX}${spec.dir}/${slug}-${Date.now().toString(36)}.${ext}`;
+      await kv.put(`media:${path}`, body, { metadata: { contentType: type } });
+      return path;
+    },
+
+    /** `{ value: ArrayBuffer, contentType }` for an uploaded path, or null */
+    async getMedia(path) {
+      const { value, metadata } = await kv.getWithMetadata(`media:${path}`, "arrayBuffer");
+      return value ? { value, contentType: metadata?.contentType || "application/octet-stream" } : null;
+    },
+  };
+}
@@ -0,0 +1,27 @@
+// functions/_lib/http.js
+// Response helpers shared by the API functions.
+
+/** JSON response that is never cached */
+export const json = (body, status = 200) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+  });
+
+export const badRequest = (message) => json({ error: message }, 400);
+
+/** Request body as JSON, or undefined when it isn't valid JSON */
+export async function readJson(request) {
+  try {
+    return await request.json();
+  } catch {
+    return undefined;
+  }
+}
+
+/** Response for a thrown error: its own status when it has one, else 500 */
+export function errorResponse(e, where) {
+  if (e.status) return json({ error: e.message, ...(e.details && { details: e.details }) }, e.status);
+  console.error(`${where}: ${e.message}`);
+  return json({ error: "Something went wrong" }, 500);
+}
@@ -1,19 +1,145 @@
 // functions/_middleware.js
-export async function onRequest(context) {
-  const EXPECTED_PASSWORD = "kanda"; // our password
+// Gatekeeper for every request. Browsers sign in through /login and then carry
+// a signed session cookie; scripts and API clients may send HTTP Basic
+// credentials instead. The signed-in user is exposed to later functions as
+// `context.data.user` ({ name, role }). See _lib/auth.js for the bindings.
+import {
+  SESSION_COOKIE,
+  checkCredentials,
+  createRateLimiter,
+  getCookie,
+  hasRole,
+  isPublicPath,
+  memoryStore,
+  parseUsers,
+  requiredRole,
+  sessionCookie,
+  signSession,
+  verifySession,
+} from "./_lib/auth.js";
+
+// Used when no AUTH_KV binding exists; lives as long as the isolate does
+const fallbackStore = memoryStore();
+
+const clientIp = (request) => request.headers.get("CF-Connecting-IP") || "unknown";
+
+/**
+ * Where to go after signing in: `value` resolved against the request, kept
+ * only if it stays on this origin; "//evil.com" and "/\evil.com" (browsers
+ * treat "\" as "/") go home instead. Backslashes and control characters are
+ * refused outright rather than trusted to normalise.
+ */
+function safeNext(value, base) {
+  if (!value || [...value].some((c) => c === "\\" || c < " " || c === "\u007f")) return "/";
+  try {
+    const url = new URL(value, base);
+    return url.origin === new URL(base).origin ? url.pathname + url.search : "/";
+  } catch {
+    return "/";
+  }
+}
+
+function escapeHtml(s) {
+  return s.replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function loginPage({ next = "/", error = "", status = 200 } = {}) {
+  const html = `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>Sign in · YogaTools.ai</title></head>
+<body style="font-family:system-ui,sans-serif;background:#f9fafb;display:flex;justify-content:center;padding-top:10vh">
+<form method="post" action="/login" style="background:#fff;padding:24px;border-radius:12px;box-shadow:0 1px 3px rgba(0,0,0,.1);width:280px">
+<img src="/yogatools_logo1.png" alt="YogaTools.ai" style="height:48px;display:block;margin:0 auto 16px">
+${error ? `<p role="alert" style="color:#b91c1c;font-size:14px">${escapeHtml(error)}</p>` : ""}
+<label style="display:block;font-size:14px">Username<input name="username" autocomplete="username" required style="width:100%;padding:8px;margin:4px 0 12px;box-sizing:border-box"></label>
+<label style="display:block;font-size:14px">Password<input name="password" type="password" autocomplete="current-password" required style="width:100%;padding:8px;margin:4px 0 16px;box-sizing:border-box"></label>
+<input type="hidden" name="next" value="${escapeHtml(next)}">
+<button style="width:100%;padding:10px;border:0;border-radius:8px;background:#4f46e5;color:#fff;font-weight:600">Sign in</button>
+</form></body></html>`;
+  return new Response(html, { status, headers: { "Content-Type": "text/html; charset=utf-8" } });
+}
+
+const tooManyAttempts = () =>
+  new Response("Too many failed sign-in attempts. Try again later.", { status: 429, headers: { "Retry-After": "900" } });
+
+function redirect(location, cookie) {
+  const headers = { Location: location };
+  if (cookie) headers["Set-Cookie"] = cookie;
+  return new Response(null, { status: 303, headers });
+}
+
+async function handleLogin(context, limiter) {
+  const { request, env } = context;
+  const url = new URL(request.url);
+  if (request.method !== "POST") return loginPage({ next: safeNext(url.searchParams.get("next"), request.url) });
 
+  const form = await request.formData();
+  const name = String(form.get("username") || "");
+  const next = safeNext(String(form.get("next") || ""), request.url);
+  const ip = clientIp(request);
+  if (await limiter.blocked(ip, name)) return tooManyAttempts();
+
+  const user = await checkCredentials(parseUsers(env), name, String(form.get("password") || ""));
+  if (!user) {
+    await limiter.fail(ip, name);
+    return loginPage({ next, error: "Wrong username or password.", status: 401 });
+  }
+  await limiter.reset(ip, name);
+  return redirect(next, sessionCookie(await signSession(user, env.SESSION_SECRET)));
+}
+
+/** Basic credentials from the Authorization header, for non-browser clients */
+async function basicUser(context, limiter) {
   const auth = context.request.headers.get("Authorization");
-  if (auth && auth.startsWith("Basic ")) {
-    const decoded = atob(auth.split(" ")[1] || "");
-    const suppliedPassword = decoded.split(":").slice(1).join(":");
-    if (suppliedPassword === EXPECTED_PASSWORD) {
-      return context.next(); // ✅ allow if password matches
-    }
+  if (!auth?.startsWith("Basic ")) return null;
+  let decoded = "";
+  try {
+    decoded = atob(auth.slice(6));
+  } catch {
+    return null;
+  }
+  const [name, ...rest] = decoded.split(":");
+  const ip = clientIp(context.request);
+  if (await limiter.blocked(ip, name)) return { blocked: true };
+  const user = await checkCredentials(parseUsers(context.env), name, rest.join(":"));
+  if (user) await limiter.reset(ip, name);
+  else await limiter.fail(ip, name);
+  return user;
+}
+
+export async function onRequest(context) {
+  const { request, env } = context;
+  const url = new URL(request.url);
+  const limiter = createRateLimiter(env.AUTH_KV || fallbackStore);
+
+  if (!env.SESSION_SECRET) {
+    console.error("SESSION_SECRET is not set; refusing all requests");
+    return new Response("Site is not configured", { status: 500 });
+  }
+  if (url.pathname === "/login") return handleLogin(context, limiter);
+  if (url.pathname === "/logout") return redirect("/login", sessionCookie("", 0));
+  if (isPublicPath(url.pathname, env)) return context.next();
+
+  let user = await verifySession(getCookie(request, SESSION_COOKIE), env.SESSION_SECRET);
+  // A cookie outlives edits to AUTH_USERS; drop it if the user was removed or re-roled
+  const current = user && parseUsers(env).get(user.name);
+  if (user && current?.role !== user.role) user = null;
+  if (!user) {
+    const basic = await basicUser(context, limiter);
+    if (basic?.blocked) return tooManyAttempts();
+    user = basic;
+  }
+
+  if (!user) {
+    const wantsHtml = (request.headers.get("Accept") || "").includes("text/html");
+    if (wantsHtml) return redirect(`/login?next=${encodeURIComponent(url.pathname + url.search)}`);
+    return new Response("Authentication required", {
+      status: 401,
+      headers: { "WWW-Authenticate": 'Basic realm="YogaTools.ai"' },
+    });
   }
+  if (!hasRole(user, requiredRole(url.pathname))) return new Response("Forbidden", { status: 403 });
 
-  // ❌ wrong or missing password → show login popup
-  return new Response("Authentication required", {
-    status: 401,
-    headers: { "WWW-Authenticate": 'Basic realm="YogaTools.ai"' },
-  });
+  context.data = { ...context.data, user };
+  return context.next();
 }
@@ -0,0 +1,51 @@
+// functions/api/admin/catalog.js
+// The catalog draft instructors edit in /admin (instructor role, see
+// _lib/auth.js ROLE_RULES).
+//
+//   GET     /api/admin/catalog  { storage, draft, published }
+//   PUT     /api/admin/catalog  { catalog, revision } -> { draft, validation }
+//   DELETE  /api/admin/catalog  discard the draft
+//
+// `storage` is false without a CATALOG_KV binding; the editor then keeps its
+// draft in the browser and can only export. Drafts may have validation
+// errors; publishing (publish.js) refuses them.
+import { validateCatalog } from "../../../src/catalog/validate.js";
+import { catalogData } from "../../_lib/catalog.js";
+import { catalogStore } from "../../_lib/catalogStore.js";
+import { badRequest, errorResponse, json, readJson } from "../../_lib/http.js";
+
+const noStorage = () => json({ error: "No CATALOG_KV binding; export the catalog instead" }, 503);
+
+export async function onRequestGet(context) {
+  const store = catalogStore(context.env);
+  try {
+    const [draft, published] = await Promise.all([store?.draft(), store?.published()]);
+    return json({
+      storage: !!store,
+      draft: draft || null,
+      published: published || { catalog: await catalogData(context), revision: 0 },
+    });
+  } catch (e) {
+    return errorResponse(e, "admin/catalog");
+  }
+}
+
+export async function onRequestPut(context) {
+  const store = catalogStore(context.env);
+  if (!store) return noStorage();
+  const body = await readJson(context.request);
+  if (!body || typeof body.catalog !== "object" || body.catalog === null) return badRequest("Body must be { catalog, revision }");
+  try {
+    const draft = await store.saveDraft(body.catalog, body.revision ?? null, context.data.user);
+    return json({ draft, validation: validateCatalog(draft.catalog) });
+  } catch (e) {
+    return errorResponse(e, "admin/catalog");
+  }
+}
+
+export async function onRequestDelete(context) {
+  const store = catalogStore(context.env);
+  if (!store) return noStorage();
+  await store.discardDraft();
+  return json({ draft: null });
+}
@@ -0,0 +1,19 @@
+// functions/api/admin/media.js
+//   POST /api/admin/media?kind=poster|captions|transcript&name=<video id>
+// Body is the file itself, with its Content-Type. Returns { path } to put in
+// the video's poster, captions or transcriptTxt field.
+import { catalogStore } from "../../_lib/catalogStore.js";
+import { errorResponse, json } from "../../_lib/http.js";
+
+export async function onRequestPost(context) {
+  const store = catalogStore(context.env);
+  if (!store) return json({ error: "No CATALOG_KV binding; add files to public/ instead" }, 503);
+  const params = new URL(context.request.url).searchParams;
+  try {
+    const body = await context.request.arrayBuffer();
+    const path = await store.putMedia(params.get("kind"), params.get("name"), context.request.headers.get("Content-Type"), body);
+    return json({ path }, 201);
+  } catch (e) {
+    return errorResponse(e, "admin/media");
+  }
+}
@@ -0,0 +1,22 @@
+// functions/api/admin/publish.js
+//   POST /api/admin/publish  { revision } -> { published }
+// Makes the saved draft what students see. Refused with 422 and the
+// validation errors while the draft has any, and with 409 when someone saved
+// a newer draft than the one being published.
+import { catalogStore } from "../../_lib/catalogStore.js";
+import { forgetCatalog } from "../../_lib/catalog.js";
+import { badRequest, errorResponse, json, readJson } from "../../_lib/http.js";
+
+export async function onRequestPost(context) {
+  const store = catalogStore(context.env);
+  if (!store) return json({ error: "No CATALOG_KV binding; export the catalog and deploy it instead" }, 503);
+  const body = await readJson(context.request);
+  if (!Number.isInteger(body?.revision)) return badRequest("Body must be { revision }");
+  try {
+    const { catalog: _catalog, ...published } = await store.publish(body.revision, context.data.user);
+    forgetCatalog();
+    return json({ published });
+  } catch (e) {
+    return errorResponse(e, "admin/publish");
+  }
+}
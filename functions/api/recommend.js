@@ -0,0 +1,132 @@
+// functions/api/recommend.js
+// Ranked recommendations as JSON, from the same engine the app uses, for
+// clients that don't run the web UI (mobile, chat bots). Results come in the
+// order the app offers them (topPicks): the best match, then the best
+// different kind of class, then the rest by score.
+//
+//   GET  /api/recommend?q=tight+hips&duration=20&level=beginner&conditions=knee-injury
+//   POST /api/recommend  { "query": "...", "duration": 20, "level": ["beginner"], "conditions": [...] }
+//
+// Parameters:
+//   q | query    what the user asked for (required)
+//   duration     longest acceptable class in minutes
+//   minDuration  shortest acceptable class in minutes
+//   level        one or more levels (comma-separated in the query string)
+//   conditions   condition ids (see CONDITIONS); unsafe classes are dropped,
+//                or only flagged with safety=flag
+//   body         body-map selection as area:state pairs, e.g.
+//                "hips:tight,knees:injured" (or an object in a JSON body);
+//                see BODY_AREAS and BODY_STATES
+//   limit        number of results, 1-20 (default 5)
+//   lang         query language: en (default), es, de or ja; reasons are
+//                worded in it too
+import { BODY_AREAS, BODY_STATES, CONDITIONS, LEVEL_ORDER, explain, formatTimestamp, languageOf, rank, topPicks } from "../../src/engine/index.js";
+import { translator } from "../../src/i18n/strings.js";
+import { loadCatalog } from "../_lib/catalog.js";
+import { badRequest, json, readJson } from "../_lib/http.js";
+
+const MAX_LIMIT = 20;
+
+const list = (value) =>
+  (Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map((s) => String(s).trim().toLowerCase())
+    .filter(Boolean);
+
+const minutes = (value) => {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : NaN;
+};
+
+/** "hips:tight,knees:injured" or `{ hips: "tight" }` -> `{ hips: "tight", ... }` */
+const bodySelection = (value) =>
+  value && typeof value === "object" && !Array.isArray(value)
+    ? Object.fromEntries(Object.entries(value).map(([area, state]) => [area.trim().toLowerCase(), String(state).trim().toLowerCase()]))
+    : Object.fromEntries(list(value).map((pair) => pair.split(":").map((s) => s.trim())));
+
+/** Validate raw parameters into rank() options, or return an error message */
+export function parseParams(params) {
+  const query = String(params.q ?? params.query ?? "").trim();
+  const body = bodySelection(params.body);
+  if (!query && !Object.keys(body).length) return { error: "Missing query: pass q (or query in a JSON body), or body" };
+  const areas = BODY_AREAS.map((a) => a.id);
+  const badArea = Object.keys(body).find((a) => !areas.includes(a));
+  if (badArea) return { error: `Unknown body area "${badArea}"; use one of: ${areas.join(", ")}` };
+  const badState = Object.entries(body).find(([, s]) => !BODY_STATES[s]);
+  if (badState) return { error: `Unknown state "${badState[1] ?? ""}" for ${badState[0]}; use one of: ${Object.keys(BODY_STATES).join(", ")}` };
+
+  const maxLength = minutes(params.duration);
+  const minLength = minutes(params.minDuration);
+  if (Number.isNaN(maxLength) || Number.isNaN(minLength)) return { error: "duration and minDuration must be positive numbers of minutes" };
+
+  const levels = list(params.level);
+  const badLevel = levels.find((l) => !LEVEL_ORDER.includes(l));
+  if (badLevel) return { error: `Unknown level "${badLevel}"; use one of: ${LEVEL_ORDER.join(", ")}` };
+
+  const conditions = list(params.conditions);
+  const known = CONDITIONS.map((c) => c.id);
+  const badCondition = conditions.find((c) => !known.includes(c));
+  if (badCondition) return { error: `Unknown condition "${badCondition}"; use one of: ${known.join(", ")}` };
+
+  const limit = params.limit == null || params.limit === "" ? 5 : Math.floor(Number(params.limit));
+  if (!(limit >= 1 && limit <= MAX_LIMIT)) return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+
+  return {
+    query,
+    limit,
+    options: {
+      conditions,
+      body,
+      lang: languageOf(params.lang),
+      safety: params.safety === "flag" ? "flag" : "exclude",
+      constraints: { levels, minLength, maxLength },
+    },
+  };
+}
+
+/** The public shape of one ranked result */
+function toJson(result, t) {
+  const { video, score, snippet, moments, warnings } = result;
+  return {
+    id: video.id,
+    title: video.title,
+    level: video.level,
+    lengthMin: video.lengthMin,
+    url: video.url || null,
+    stream: video.stream || null,
+    poster: video.poster || null,
+    score,
+    reasons: explain(result, t).map((r) => r.text),
+    snippet: snippet || null,
+    moments: moments.map(({ time, text }) => ({ time, at: formatTimestamp(time), text })),
+    warnings: warnings.map(({ condition, label, contraindication }) => ({ condition, label, contraindication })),
+  };
+}
+
+async function respond(context, params) {
+  const parsed = parseParams(params);
+  if (parsed.error) return badRequest(parsed.error);
+
+  let catalog;
+  try {
+    catalog = await loadCatalog(context);
+  } catch (e) {
+    console.error(`recommend: ${e.message}`);
+    return json({ error: "Catalog unavailable" }, 503);
+  }
+
+  const ranked = rank(parsed.query, catalog.videos, { ...parsed.options, index: catalog.index });
+  const results = topPicks(ranked, { index: catalog.index }).slice(0, parsed.limit);
+  const t = translator(parsed.options.lang);
+  return json({ query: parsed.query, results: results.map((r) => toJson(r, t)) });
+}
+
+export function onRequestGet(context) {
+  return respond(context, Object.fromEntries(new URL(context.request.url).searchParams));
+}
+
+export async function onRequestPost(context) {
+  const body = await readJson(context.request);
+  if (body === undefined) return badRequest("Body must be JSON");
+  return respond(context, body && typeof body === "object" ? body : {});
+}
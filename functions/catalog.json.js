@@ -0,0 +1,13 @@
+// functions/catalog.json.js
+// Serves the catalog published from /admin in place of the deployed
+// public/catalog.json; falls through to the static file until something
+// has been published.
+import { catalogStore } from "./_lib/catalogStore.js";
+
+export async function onRequestGet(context) {
+  const published = await catalogStore(context.env)?.published();
+  if (!published) return context.next();
+  return new Response(JSON.stringify(published.catalog), {
+    headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-cache" },
+  });
+}
@@ -0,0 +1,13 @@
+// functions/media/[[path]].js
+// Posters and transcripts uploaded from /admin (see _lib/catalogStore.js).
+// Upload paths are versioned, so they can be cached for good.
+import { MEDIA_PREFIX, catalogStore } from "../_lib/catalogStore.js";
+
+export async function onRequestGet(context) {
+  const { pathname } = new URL(context.request.url);
+  const media = pathname.startsWith(MEDIA_PREFIX) && (await catalogStore(context.env)?.getMedia(pathname));
+  if (!media) return new Response("Not found", { status: 404 });
+  return new Response(media.value, {
+    headers: { "Content-Type": media.contentType, "Cache-Control": "private, max-age=31536000, immutable" },
+  });
+}
@@ -0,0 +1,120 @@
+// public/sw.js
+// Offline support. Served as-is (not bundled), so cache names shared with
+// src/offline/offlineVideos.js are repeated here and must stay in sync.
+//
+//   navigations          network first, falling back to the cached app shell
+//   /assets/*            cache first (file names are content hashed)
+//   catalog, transcripts stale-while-revalidate
+//   saved class videos   from the "yoga-videos" cache, with Range support
+//   /api, /login, ...    never cached
+
+const VERSION = "v1";
+const SHELL_CACHE = `yoga-shell-${VERSION}`;
+const DATA_CACHE = `yoga-data-${VERSION}`;
+const VIDEO_CACHE = "yoga-videos";
+const SHELL = ["/", "/manifest.webmanifest", "/yogatools_logo1.png"];
+const DATA = /^\/(catalog\.json|catalog\.embeddings\.json)$|\.(vtt|srt|txt)$/;
+const NEVER = /^\/(api\/|login|logout)/;
+
+/** Cache the shell plus the hashed scripts and styles index.html loads */
+async function precache() {
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.addAll(SHELL);
+  const html = await (await cache.match("/")).text();
+  const assets = [...new Set(html.match(/\/assets\/[^"']+/g) || [])];
+  await cache.addAll(assets);
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  const keep = [SHELL_CACHE, DATA_CACHE, VIDEO_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) => Promise.all(names.filter((n) => n.startsWith("yoga-") && !keep.includes(n)).map((n) => caches.delete(n))))
+      .then(() => self.clients.claim())
+  );
+});
+
+/** Only cache real content, not login redirects or errors */
+const cacheable = (res) => res.ok && !res.redirected && res.type === "basic";
+
+async function networkFirstShell(request) {
+  try {
+    const res = await fetch(request);
+    if (cacheable(res)) (await caches.open(SHELL_CACHE)).put("/", res.clone());
+    return res;
+  } catch {
+    return (await caches.match("/")) || Response.error();
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (cacheable(res)) (await caches.open(SHELL_CACHE)).put(request, res.clone());
+  return res;
+}
+
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cache = await caches.open(DATA_CACHE);
+  // The app asks for no-store to skip the HTTP cache; that's fine here
+  const key = new Request(request.url);
+  const cached = await cache.match(key);
+  const refresh = fetch(request)
+    .then((res) => {
+      if (cacheable(res)) return cache.put(key, res.clone()).then(() => res);
+      return res;
+    })
+    .catch(() => null);
+  if (cached) {
+    event.waitUntil(refresh);
+    return cached;
+  }
+  return (await refresh) || new Response("Offline", { status: 503 });
+}
+
+/** A saved video, honouring the Range header <video> sends */
+async function savedVideo(request) {
+  const cached = await (await caches.open(VIDEO_CACHE)).match(request.url);
+  if (!cached) return null;
+  const range = request.headers.get("Range")?.match(/^bytes=(\d*)-(\d*)$/);
+  if (!range) return cached;
+  const blob = await cached.blob();
+  const start = range[1] ? Number(range[1]) : Math.max(0, blob.size - Number(range[2]));
+  const end = range[1] && range[2] ? Math.min(Number(range[2]), blob.size - 1) : blob.size - 1;
+  if (start >= blob.size) {
+    return new Response(null, { status: 416, headers: { "Content-Range": `bytes */${blob.size}` } });
+  }
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      "Content-Type": cached.headers.get("Content-Type") || "video/mp4",
+      "Content-Range": `bytes ${start}-${end}/${blob.size}`,
+      "Content-Length": String(end - start + 1),
+      "Accept-Ranges": "bytes",
+    },
+  });
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (request.destination === "video" || request.headers.has("Range")) {
+    event.respondWith(savedVideo(request).then((res) => res || fetch(request)));
+    return;
+  }
+  if (url.origin !== self.location.origin || NEVER.test(url.pathname)) return;
+
+  if (request.mode === "navigate") event.respondWith(networkFirstShell(request));
+  else if (url.pathname.startsWith("/assets/")) event.respondWith(cacheFirst(request));
+  else if (DATA.test(url.pathname)) event.respondWith(staleWhileRevalidate(event));
+  else if (SHELL.includes(url.pathname)) event.respondWith(cacheFirst(request));
+});
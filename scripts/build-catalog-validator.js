@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * Precompile the catalog JSON Schema into plain validator functions, so
+ * validating needs no `new Function` at runtime (Cloudflare Workers forbid
+ * code generation from strings, and the Pages Functions validate catalogs).
+ *
+ * Usage: node scripts/build-catalog-validator.js [--check]
+ * Writes src/catalog/catalogValidators.js; run it after editing
+ * catalog.schema.json. --check exits 1 when that file is out of date.
+ */
+import { readFile, writeFile } from "node:fs/promises";
+import { dirname, join, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import Ajv from "ajv";
+import standaloneCode from "ajv/dist/standalone/index.js";
+import schema from "../src/catalog/catalog.schema.json" with { type: "json" };
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+const OUT = join(ROOT, "src/catalog/catalogValidators.js");
+
+async function source() {
+  const ajv = new Ajv({ allErrors: true, code: { source: true, esm: true } });
+  ajv.addSchema(schema);
+  // The branch of the root oneOf for { videos } files, and the bare array form
+  const code = standaloneCode.default(ajv, {
+    checkWrapped: `${schema.$id}#/oneOf/0`,
+    checkList: `${schema.$id}#/definitions/videoList`,
+  });
+  // Ajv still require()s its runtime helpers (plain functions); inline them so
+  // the module has no CommonJS imports for bundlers to interpret
+  const helpers = new Map();
+  for (const [call, path, name] of code.matchAll(/require\("(ajv\/dist\/runtime\/(\w+))"\)/g)) {
+    const helper = (await import(`${path}.js`)).default.default;
+    helpers.set(call, `const ${name} = { default: ${helper} };`);
+  }
+  const body = [...helpers.keys()].reduce((out, call) => out.replaceAll(call, call.match(/(\w+)"\)$/)[1]), code);
+  const header = "// Generated from catalog.schema.json by scripts/build-catalog-validator.js; do not edit.";
+  return [header, ...helpers.values(), body.replace(/^"use strict";/, ""), ""].join("\n");
+}
+
+async function main() {
+  const code = await source();
+  if (process.argv.includes("--check")) {
+    const current = await readFile(OUT, "utf8").catch(() => "");
+    if (current !== code) {
+      console.error("src/catalog/catalogValidators.js is out of date; run npm run build:validator");
+      process.exit(1);
+    }
+    return;
+  }
+  await writeFile(OUT, code);
+  console.log(`wrote ${OUT}`);
+}
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
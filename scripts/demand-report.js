@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * Unmet demand from query logs (see scripts/log-server.js): what people asked
+ * for when no class matched, grouped by body part / focus, intent, duration
+ * and level, plus the words we didn't recognise at all. Use it to decide
+ * which classes to film next.
+ *
+ * Usage: node scripts/demand-report.js [logs/queries.jsonl ...] [--unclicked] [--top 10] [--json]
+ *   --unclicked  also count queries that got results but no click
+ *   --top N      rows per group (default 10)
+ *   --json       machine-readable output
+ */
+import { readFile } from "node:fs/promises";
+import { describeDemand, stem } from "../src/engine/index.js";
+import vocabulary from "../src/catalog/vocabulary.json" with { type: "json" };
+
+const DURATIONS = [
+  [15, "15 min or less"],
+  [25, "16–25 min"],
+  [40, "26–40 min"],
+  [Infinity, "over 40 min"],
+];
+
+const durationBucket = (min) => (min == null ? "not said" : DURATIONS.find(([max]) => min <= max)[1]);
+
+async function readEvents(files) {
+  const events = [];
+  for (const file of files) {
+    const lines = (await readFile(file, "utf8")).split("\n");
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        events.push(JSON.parse(line));
+      } catch {
+        console.warn(`${file}:${i + 1}: skipped, not JSON`);
+      }
+    });
+  }
+  return events;
+}
+
+/**
+ * Count values across demands, keeping a couple of example queries each.
+ * Values with the same `keyOf` share a row ("ankle", "ankles").
+ */
+function tally(demands, valuesOf, top, keyOf = (v) => v) {
+  const rows = new Map();
+  for (const d of demands) {
+    for (const value of valuesOf(d)) {
+      const row = rows.get(keyOf(value)) || { value, count: 0, examples: [] };
+      row.count++;
+      if (row.examples.length < 2 && !row.examples.includes(d.q)) row.examples.push(d.q);
+      rows.set(keyOf(value), row);
+    }
+  }
+  return [...rows.values()].sort((a, b) => b.count - a.count).slice(0, top);
+}
+
+function option(args, name) {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const files = args.filter((a, i) => !a.startsWith("--") && args[i - 1] !== "--top");
+  const top = Number(option(args, "--top") || 10);
+  const events = await readEvents(files.length ? files : ["logs/queries.jsonl"]);
+
+  const queries = events.filter((e) => e.type === "query" && e.q);
+  const clicked = new Set(events.filter((e) => e.type === "click").map((e) => `${e.sid}\n${e.q}`));
+  const unclicked = (e) => !e.unmet && !clicked.has(`${e.sid}\n${e.q}`);
+  const unmet = queries.filter((e) => e.unmet || (args.includes("--unclicked") && unclicked(e)));
+
+  const demands = unmet.map((e) => ({ q: e.q, ...describeDemand(e.q, vocabulary, e.lang || "en") }));
+  const report = {
+    queries: queries.length,
+    unmet: queries.filter((e) => e.unmet).length,
+    unclicked: queries.filter(unclicked).length,
+    counted: demands.length,
+    focus: tally(demands, (d) => (d.focuses.length ? d.focuses : ["(none named)"]), top),
+    intent: tally(demands, (d) => (d.intents.length ? d.intents : ["(none named)"]), top),
+    duration: tally(demands, (d) => [durationBucket(d.duration)], top),
+    level: tally(demands, (d) => [d.level || "not said"], top),
+    unrecognised: tally(demands, (d) => d.others, top, stem),
+  };
+
+  if (args.includes("--json")) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  const pct = (n) => (report.queries ? `${Math.round((n / report.queries) * 100)}%` : "0%");
+  console.log(`${report.queries} queries: ${report.unmet} with no match (${pct(report.unmet)}), ${report.unclicked} with results nobody picked (${pct(report.unclicked)})`);
+  console.log(`Grouping ${report.counted} unmet quer${report.counted === 1 ? "y" : "ies"}.`);
+  for (const [title, rows] of [
+    ["Body part / focus", report.focus],
+    ["Intent", report.intent],
+    ["Duration", report.duration],
+    ["Level", report.level],
+    ["Words we don't recognise", report.unrecognised],
+  ]) {
+    if (!rows.length) continue;
+    console.log(`\n${title}`);
+    for (const r of rows) console.log(`  ${String(r.count).padStart(4)}  ${r.value.padEnd(22)} e.g. ${r.examples.map((q) => `"${q}"`).join(", ")}`);
+  }
+}
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
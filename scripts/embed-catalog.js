@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Precompute semantic embeddings for every class in public/catalog.json and
+ * write them to public/catalog.embeddings.json, the sidecar the app loads for
+ * its "understand meaning" mode. Runs fully offline.
+ *
+ * One-time setup: put the ONNX export of the model under public/models/, e.g.
+ *   public/models/Xenova/all-MiniLM-L6-v2/{config.json,tokenizer.json,
+ *     tokenizer_config.json,onnx/model_quantized.onnx}
+ * The same files serve the in-browser query embedder.
+ *
+ * Usage: node scripts/embed-catalog.js
+ */
+import { readFile, writeFile } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { dirname, join, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { env, pipeline } from "@huggingface/transformers";
+import { EMBEDDING_MODEL, embeddingText, normalizeCatalog } from "../src/engine/index.js";
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+const PUBLIC = join(ROOT, "public");
+const MODELS = join(PUBLIC, "models");
+
+async function readTranscript(video) {
+  if (!video.transcriptTxt) return "";
+  const path = join(PUBLIC, video.transcriptTxt.replace(/^\//, ""));
+  return existsSync(path) ? readFile(path, "utf8") : "";
+}
+
+async function main() {
+  if (!existsSync(join(MODELS, EMBEDDING_MODEL, "config.json"))) {
+    console.error(`Model not found at public/models/${EMBEDDING_MODEL}/ (see the setup note in this script).`);
+    process.exit(1);
+  }
+  env.allowRemoteModels = false;
+  env.localModelPath = MODELS + "/";
+
+  const videos = normalizeCatalog(JSON.parse(await readFile(join(PUBLIC, "catalog.json"), "utf8")));
+  const extractor = await pipeline("feature-extraction", EMBEDDING_MODEL, { dtype: "q8" });
+
+  const vectors = {};
+  for (const v of videos) {
+    const output = await extractor(embeddingText(v, await readTranscript(v)), { pooling: "mean", normalize: true });
+    // 4 decimals keeps the sidecar small without changing rankings
+    vectors[v.id] = Array.from(output.data, (x) => Math.round(x * 1e4) / 1e4);
+    console.log(`embedded ${v.id}`);
+  }
+
+  const dim = Object.values(vectors)[0]?.length || 0;
+  await writeFile(
+    join(PUBLIC, "catalog.embeddings.json"),
+    JSON.stringify({ model: EMBEDDING_MODEL, dim, vectors }) + "\n"
+  );
+  console.log(`Wrote ${videos.length} embeddings (${dim} dims) to public/catalog.embeddings.json`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Measure recommendation quality against labelled queries, and compare two
+ * scoring configurations before changing keywordScore or DEFAULT_WEIGHTS.
+ *
+ * Usage:
+ *   node scripts/evaluate.js [judgments.jsonl] [--weights <cfg>] [--against <cfg>]
+ *                            [--k 5] [--verbose] [--strict]
+ *
+ * Judgments default to eval/queries.jsonl, one JSON object per line:
+ *   { "query": "...", "relevant": { "<video id>": 3 | 2 | 1 }, "conditions": [...], "lang": "en" }
+ * (3 = should be on top, 2 = good, 1 = acceptable; unlisted = not relevant).
+ *
+ * A <cfg> is partial weights, either a JSON file or inline pairs such as
+ * "travel=3,text=4". --weights replaces the defaults for the main run;
+ * --against runs a second configuration and prints what it changes.
+ * --strict exits 1 when the --against run makes any query worse.
+ *
+ * Reports precision@1, precision@2, MRR and NDCG@k, averaged over queries.
+ */
+import { readFile } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { dirname, join, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { DEFAULT_WEIGHTS, METRICS, buildIndex, compareRuns, evaluate, normalizeCatalog } from "../src/engine/index.js";
+import { loadableVideos } from "../src/catalog/validate.js";
+import { loadTranscripts } from "../src/catalog/transcripts.js";
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+const PUBLIC = join(ROOT, "public");
+
+/** Transcript files from public/, shaped like fetch() responses */
+async function readPublic(path) {
+  const file = join(PUBLIC, path.replace(/^\//, ""));
+  return existsSync(file) ? new Response(await readFile(file, "utf8")) : new Response(null, { status: 404 });
+}
+
+/** Partial weights from a JSON file or "name=number" pairs; unknown names are a typo, not a no-op */
+async function readConfig(spec) {
+  if (!spec) return {};
+  const weights = spec.endsWith(".json")
+    ? JSON.parse(await readFile(spec, "utf8"))
+    : Object.fromEntries(
+        spec.split(",").map((pair) => {
+          const [name, value] = pair.split("=");
+          if (!name || !Number.isFinite(Number(value))) throw new Error(`Bad weight "${pair}"; use name=number`);
+          return [name.trim(), Number(value)];
+        })
+      );
+  const unknown = Object.keys(weights).filter((name) => !Object.hasOwn(DEFAULT_WEIGHTS, name));
+  if (unknown.length) {
+    throw new Error(`Unknown weight${unknown.length === 1 ? "" : "s"} ${unknown.join(", ")} in ${spec}; use ${Object.keys(DEFAULT_WEIGHTS).join(", ")}`);
+  }
+  for (const [name, value] of Object.entries(weights)) {
+    if (!Number.isFinite(value)) throw new Error(`Weight ${name} in ${spec} must be a number`);
+  }
+  return weights;
+}
+
+async function readJudgments(file) {
+  const lines = (await readFile(file, "utf8")).split("\n");
+  const judgments = [];
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    let j;
+    try {
+      j = JSON.parse(line);
+    } catch (e) {
+      throw new Error(`${file}:${i + 1}: ${e.message}`);
+    }
+    if (!j.query || typeof j.relevant !== "object") throw new Error(`${file}:${i + 1}: needs "query" and "relevant"`);
+    judgments.push(j);
+  });
+  return judgments;
+}
+
+function option(args, name) {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+}
+
+const fmt = (x) => x.toFixed(3);
+const signed = (x) => (x > 0 ? "+" : x < 0 ? "−" : " ") + Math.abs(x).toFixed(3);
+const summary = (mean) => METRICS.map((m) => `${m} ${fmt(mean[m])}`).join("  ");
+
+async function main() {
+  const args = process.argv.slice(2);
+  const valued = new Set(["--weights", "--against", "--k"]);
+  const file = args.find((a, i) => !a.startsWith("--") && !valued.has(args[i - 1])) || join(ROOT, "eval/queries.jsonl");
+  const k = Number(option(args, "--k") || 5);
+
+  const judgments = await readJudgments(file);
+  const { videos } = loadableVideos(JSON.parse(await readFile(join(PUBLIC, "catalog.json"), "utf8")));
+  const catalog = normalizeCatalog(videos);
+  const index = buildIndex(catalog, await loadTranscripts(catalog, readPublic));
+
+  const known = new Set(catalog.map((v) => v.id));
+  for (const j of judgments) {
+    for (const id of Object.keys(j.relevant)) if (!known.has(id)) console.warn(`warning: "${j.query}" judges unknown class ${id}`);
+  }
+
+  const weights = await readConfig(option(args, "--weights"));
+  const againstSpec = option(args, "--against");
+  const against = await readConfig(againstSpec);
+  const base = evaluate(judgments, catalog, { index, weights }, k);
+  console.log(`${judgments.length} queries, k=${k}`);
+  console.log(`  ${summary(base.mean)}`);
+
+  if (args.includes("--verbose")) {
+    for (const q of base.queries) {
+      console.log(`  ${fmt(q.ndcg)}  ${q.query.padEnd(44)} ${q.ranking.slice(0, 3).join(", ") || "(nothing)"}`);
+    }
+  }
+
+  if (!againstSpec) return;
+
+  const other = evaluate(judgments, catalog, { index, weights: { ...weights, ...against } }, k);
+  const { delta, changed } = compareRuns(base, other);
+  console.log(`\nwith ${againstSpec}:`);
+  console.log(`  ${summary(other.mean)}`);
+  console.log(`  ${METRICS.map((m) => `${m} ${signed(delta[m])}`).join("  ")}`);
+  console.log(`\n${changed.length} of ${judgments.length} rankings changed`);
+  for (const c of changed.sort((a, b) => a.ndcgDelta - b.ndcgDelta)) {
+    console.log(`  ${signed(c.ndcgDelta)}  ${c.query}`);
+    console.log(`           before: ${c.before.ranking.join(", ") || "(nothing)"}`);
+    console.log(`           after:  ${c.after.ranking.join(", ") || "(nothing)"}`);
+  }
+
+  const regressions = changed.filter((c) => c.regressed).length;
+  if (regressions) console.log(`\n✖ ${regressions} quer${regressions === 1 ? "y" : "ies"} got worse`);
+  if (args.includes("--strict") && regressions) process.exit(1);
+}
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
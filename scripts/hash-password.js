@@ -0,0 +1,21 @@
+// scripts/hash-password.js
+// Print a PBKDF2 hash for the AUTH_USERS binding.
+//   node scripts/hash-password.js <password>
+// or pipe the password on stdin to keep it out of shell history.
+import { hashPassword } from "../functions/_lib/auth.js";
+
+async function main() {
+  let password = process.argv[2];
+  if (!password) {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    password = Buffer.concat(chunks).toString("utf8").replace(/\r?\n$/, "");
+  }
+  if (!password) {
+    console.error("Usage: node scripts/hash-password.js <password>");
+    process.exit(1);
+  }
+  console.log(await hashPassword(password));
+}
+
+main();
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Local collector for opt-in query logs (src/analytics/queryLog.js): accepts
+ * POST /log and appends each event as a line of JSONL.
+ *
+ * Usage: node scripts/log-server.js [--port 8787] [--file logs/queries.jsonl]
+ * then build or run the app with VITE_QUERY_LOG_URL=http://localhost:8787/log
+ * and report with scripts/demand-report.js.
+ */
+import { createServer } from "node:http";
+import { appendFile, mkdir } from "node:fs/promises";
+import { dirname, resolve } from "node:path";
+
+const MAX_BODY = 16 * 1024;
+const TYPES = new Set(["query", "click"]);
+
+function option(name, fallback) {
+  const i = process.argv.indexOf(name);
+  return i >= 0 ? process.argv[i + 1] : fallback;
+}
+
+const port = Number(option("--port", 8787));
+const file = resolve(option("--file", "logs/queries.jsonl"));
+
+/** Only well-formed events, and only the fields the logger sends */
+function clean(e) {
+  if (!e || !TYPES.has(e.type) || typeof e.q !== "string") return null;
+  const { type, sid, t, q, lang, results, unmet, id, rank, source } = e;
+  return type === "query"
+    ? { type, sid, t, q, lang, results: Array.isArray(results) ? results.slice(0, 5) : [], unmet: !!unmet }
+    : { type, sid, t, q, lang, id, rank, source };
+}
+
+const server = createServer((req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  if (req.method === "OPTIONS") return res.writeHead(204, { "Access-Control-Allow-Methods": "POST" }).end();
+  if (req.method !== "POST" || req.url !== "/log") return res.writeHead(404).end();
+
+  let body = "";
+  req.on("data", (chunk) => {
+    body += chunk;
+    if (body.length > MAX_BODY) req.destroy();
+  });
+  req.on("end", async () => {
+    let event;
+    try {
+      event = clean(JSON.parse(body));
+    } catch {
+      event = null;
+    }
+    if (!event) return res.writeHead(400).end("Bad event");
+    try {
+      await appendFile(file, JSON.stringify(event) + "\n");
+      res.writeHead(204).end();
+    } catch (e) {
+      console.error(e.message);
+      res.writeHead(500).end();
+    }
+  });
+});
+
+await mkdir(dirname(file), { recursive: true });
+server.listen(port, "127.0.0.1", () => console.log(`Logging to ${file} at http://localhost:${port}/log`));
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Validate a class catalog: JSON Schema, duplicate ids, tags outside the
+ * vocabulary, missing posters/transcripts and local files that don't exist.
+ *
+ * Usage: node scripts/validate-catalog.js [path/to/catalog.json] [--errors-only]
+ * Local paths ("/posters/x.jpg") are resolved against the catalog's folder,
+ * which is public/ for the real catalog. Exits 1 when there are errors.
+ */
+import { readFile } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { dirname, join, relative } from "node:path";
+import { validateCatalog } from "../src/catalog/validate.js";
+
+const FILE_FIELDS = ["url", "poster", "transcriptTxt", "captions"];
+
+/** Errors for local files the catalog points at but that aren't there */
+function missingFiles(data, root) {
+  const videos = Array.isArray(data) ? data : data?.videos || [];
+  const errors = [];
+  videos.forEach((v, i) => {
+    for (const field of FILE_FIELDS) {
+      const path = v?.[field];
+      if (typeof path !== "string" || !path.startsWith("/")) continue;
+      if (!existsSync(join(root, path))) {
+        const at = Array.isArray(data) ? `/${i}/${field}` : `/videos/${i}/${field}`;
+        errors.push({ path: at, id: v.id, message: `file not found: ${path}` });
+      }
+    }
+  });
+  return errors;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const errorsOnly = args.includes("--errors-only");
+  const file = args.find((a) => !a.startsWith("--")) || "public/catalog.json";
+
+  let data;
+  try {
+    data = JSON.parse(await readFile(file, "utf8"));
+  } catch (e) {
+    console.error(`${file}: ${e.message}`);
+    process.exit(1);
+  }
+
+  const { errors, warnings } = validateCatalog(data);
+  errors.push(...missingFiles(data, dirname(file)));
+
+  const count = (Array.isArray(data) ? data : data?.videos || []).length;
+  console.log(`${relative(process.cwd(), file) || file}: ${count} videos`);
+  const print = (level, list) => {
+    for (const p of list) console.log(`  ${level.padEnd(7)} ${p.path.padEnd(28)} ${(p.id || "").padEnd(28)} ${p.message}`);
+  };
+  print("error", errors);
+  if (!errorsOnly) print("warning", warnings);
+
+  const summary = `${errors.length} error${errors.length === 1 ? "" : "s"}, ${warnings.length} warning${warnings.length === 1 ? "" : "s"}`;
+  console.log(errors.length ? `✖ ${summary}` : `✔ ${summary}`);
+  process.exit(errors.length ? 1 : 0);
+}
+
+main();
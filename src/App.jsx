@@ -1,93 +1,189 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
-import { Mic, MicOff, Play, Clock, User } from 'lucide-react';
+import { Mic, MicOff, Play, Clock, User, AlertTriangle, Sparkles, RefreshCw, ListMusic, SkipForward, X, Languages } from 'lucide-react';
+import {
+  CONDITIONS,
+  LANGUAGES,
+  NO_CONSTRAINTS,
+  SESSION_ROLES,
+  SORTS,
+  bodySignals,
+  buildIndex,
+  conversationQuery,
+  describeBody,
+  describeConstraints,
+  detectConditions,
+  explain,
+  explainText,
+  facetCounts,
+  formatTimestamp,
+  generateProgram,
+  isFollowUp,
+  isSessionRequest,
+  markShown,
+  mergeConstraints,
+  moreLikeThis,
+  normalizeCatalog,
+  parseConstraints,
+  planSession,
+  rank,
+  refine,
+  safetyWarnings,
+  startConversation,
+  topPicks,
+} from "./engine/index.js";
+import { useQueryEmbedding } from "./semantic/useQueryEmbedding.js";
+import { loadableVideos } from "./catalog/validate.js";
+import { loadTranscripts } from "./catalog/transcripts.js";
+import VideoPlayer from "./player/VideoPlayer.jsx";
+import { useProfile } from "./profile/useProfile.js";
+import {
+  addHistory,
+  clearProfile,
+  dismissResume,
+  endProgram,
+  markCompleted,
+  markProgramDay,
+  rate,
+  recordPlay,
+  recordProgress,
+  setLevel,
+  startProgram,
+} from "./profile/profile.js";
+import { practiceStats, rankingProfile, resumePoint, unfinishedPlay } from "./profile/progress.js";
+import RecentPractice, { RateButtons } from "./profile/RecentPractice.jsx";
+import ContinueCard from "./profile/ContinueCard.jsx";
+import ProgramPanel from "./program/ProgramPanel.jsx";
+import FacetFilters from "./browse/FacetFilters.jsx";
+import MoreLikeThis from "./browse/MoreLikeThis.jsx";
+import { buildUrl, currentRoute, parseUrl } from "./routing/url.js";
+import { useOnline } from "./offline/useOnline.js";
+import { useOfflineVideos } from "./offline/useOfflineVideos.js";
+import { offlineSupported } from "./offline/offlineVideos.js";
+import OfflineStorage, { OfflineBanner, SaveOfflineButton } from "./offline/OfflineStorage.jsx";
+import { browserLanguage, translator } from "./i18n/strings.js";
+import { useSpeechRecognition } from "./voice/useSpeechRecognition.js";
+import { parseCommand } from "./voice/commands.js";
+import { isSpeaking, speak, stopSpeaking } from "./voice/speak.js";
+import VoiceStatus from "./voice/VoiceStatus.jsx";
+import BodyMap from "./body/BodyMap.jsx";
+import { LOG_URL, logClick, logQuery, loggingEnabled, setLoggingEnabled } from "./analytics/queryLog.js";
 
 /** Catalog is loaded from /catalog.json at runtime */
 let VIDEO_DATA = [];
 
-/** simple keyword helpers */
-const KW = {
-  knees: ["knee", "knees", "meniscus", "acl", "mcl"],
-  back: ["back", "spine", "sciatica", "low", "lumbar"],
-  travel: ["plane", "flight", "travel", "road", "jet", "lag"],
-  desk: ["desk", "sitting", "chair", "office"],
-  stiff: ["stiff", "tight", "sore", "achy"],
-  energy: ["energize", "energy", "sweat", "work", "workout"],
-  relax: ["relax", "recover", "gentle", "restore", "recovery"],
+const CONDITION_KEYS = {
+  pregnancy: "conditionPregnancy",
+  "high-blood-pressure": "conditionHighBloodPressure",
+  "neck-injury": "conditionNeckInjury",
+  "knee-injury": "conditionKneeInjury",
+  "back-injury": "conditionBackInjury",
+  "hip-injury": "conditionHipInjury",
+  "hamstring-injury": "conditionHamstringInjury",
+  "eye-condition": "conditionEyeCondition",
+  "shoulder-injury": "conditionShoulderInjury",
+  "wrist-injury": "conditionWristInjury",
 };
 
-function tokenize(s) {
-  return (s || "")
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, " ")
-    .split(/\s+/)
-    .filter(Boolean);
-}
-
-function keywordScore(query, video, transcriptCache) {
-  const qTokens = tokenize(query);
-  const q = new Set(qTokens);
-  let score = 0;
+const ROLE_KEYS = { opener: "sessionOpener", focus: "sessionFocus", closer: "sessionCloser" };
 
-  // Focus/body part matching
-  for (const f of video.focuses || []) {
-    for (const t of tokenize(f)) if (q.has(t)) score += 3;
-  }
-  // Intents
-  for (const i of video.intents || []) {
-    for (const t of tokenize(i)) if (q.has(t)) score += 2;
-  }
-  // Vibes
-  for (const v of video.vibe || []) {
-    for (const t of tokenize(v)) if (q.has(t)) score += 1;
-  }
+/** A condition's label mid-sentence; German keeps its capitalised nouns */
+const conditionName = (id, t, lang) => {
+  const label = t(CONDITION_KEYS[id]);
+  return lang === "de" ? label : label.toLowerCase();
+};
 
-  // Heuristics
-  const has = (arr) => arr.some((w) => q.has(w));
-  if (has(KW.travel) || (q.has("trip") && q.has("back"))) score += 4;
-  if (has(KW.desk)) score += 3;
-  if (has(KW.energy)) score += 2;
-  if (has(KW.relax) || has(KW.stiff)) score += 1;
-
-  // Contraindications: lightly downrank
-  if (has(KW.knees) && (video.contraindications || []).includes("acute knee pain")) score -= 2;
-
-  // Time preference "X min"
-  const m = query.match(/(\d{1,2})\s*min/);
-  if (m) {
-    const want = parseInt(m[1], 10);
-    const diff = Math.abs((video.lengthMin || 0) - want);
-    score += Math.max(0, 4 - Math.min(4, Math.round(diff / 5)));
-  }
-  if (q.has("quick") || q.has("short")) {
-    if (video.lengthMin <= 10) score += 2;
-  }
+/** describeWarnings() in the UI language */
+const warningText = (warnings, t, lang) =>
+  warnings
+    .map((w) => t("notAdvised", { condition: conditionName(w.condition, t, lang), contraindication: w.contraindication }))
+    .join("; ");
 
-  // Transcript boosting (simple contains)
-  const t = transcriptCache[video.id];
-  if (t) {
-    let boost = 0;
-    for (const token of q) if (t.includes(token)) boost += 1;
-    score += Math.min(boost, 6);
+/** Read a JSON value from localStorage, falling back when missing or corrupt */
+function loadStored(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
   }
-
-  return score;
 }
 
 export default function YogaRecommenderApp() {
-  const [query, setQuery] = useState("");
-  const [history, setHistory] = useState([]);
+  // Query, list sort/filter and the open class come from the URL on load
+  const [initialRoute] = useState(() => currentRoute(Object.keys(SORTS)));
+  // A /class/:id link waiting for the catalog to load
+  const pendingClass = useRef(initialRoute.classId);
+  const [query, setQuery] = useState(initialRoute.q);
+  // Persisted profile: chat-style history, plays, thumbs and preferred level
+  const [profile, updateProfile] = useProfile();
+  // "Continue your class" only offers classes left on an earlier visit
+  const [visitStart] = useState(() => Date.now());
   const [selected, setSelected] = useState(null);
+  // Multi-class session being played: { target, total, items, index } or null
+  const [session, setSession] = useState(null);
+  const [autoPlay, setAutoPlay] = useState(false);
+  // Jump into the playing class: { videoId, time }
+  const [seek, setSeek] = useState(null);
   const [list, setList] = useState([]);
-  const [listFilter, setListFilter] = useState("");
-  const [listSort, setListSort] = useState("score");
+  const [listFilter, setListFilter] = useState(initialRoute.filter);
+  const [listSort, setListSort] = useState(initialRoute.sort);
+  // Facet selections; also hard constraints on recommendations
+  const [facets, setFacets] = useState(initialRoute.facets);
+
+  // Language for queries, speech recognition and UI text (persisted)
+  const [lang, setLang] = useState(() => loadStored("yoga.lang", null) || browserLanguage());
+  const t = useMemo(() => translator(lang), [lang]);
+  const speechLocale = LANGUAGES.find((l) => l.code === lang)?.speech || "en-US";
+
+  // Declared health conditions (persisted); unsafe classes are flagged or hidden
+  const [conditions, setConditions] = useState(() => loadStored("yoga.conditions", []));
+  const [hideUnsafe, setHideUnsafe] = useState(() => loadStored("yoga.hideUnsafe", false));
+  // Body-map selection, { [areaId]: "tight" | "sore" | "injured" }; ranked
+  // alongside the query text, so either one is enough to ask
+  const [body, setBody] = useState({});
+  const bodyText = describeBody(body, t);
+  const requestText = [query.trim(), bodyText].filter(Boolean).join(" · ");
+
+  // Offline: connection state and classes saved on this device
+  const online = useOnline();
+  const offline = useOfflineVideos();
 
-  // Voice input (Web Speech API)
-  const recogRef = useRef(null);
-  const [listening, setListening] = useState(false);
+  // Voice input (Web Speech API): dictation, or hands-free with spoken commands
+  const voice = useSpeechRecognition({ lang: speechLocale, onFinal: heard });
+  // Bumped to submit the query once voice-appended text has rendered
+  const [voiceSubmit, setVoiceSubmit] = useState(0);
+  const recommendRef = useRef(null);
+  // Play/pause requested by voice for the open class: { videoId, action }
+  const [playback, setPlayback] = useState(null);
 
-  // Transcript cache: { [videoId]: "lowercased transcript text" }
+  // Transcript cache: { [videoId]: "lowercased transcript text" | [{ start, end, text }] }
   const [transcriptCache, setTranscriptCache] = useState({});
 
+  // Catalog load state: { status: "loading" | "ready" | "error", message, errors }
+  const [catalogState, setCatalogState] = useState({ status: "loading", errors: [] });
+  const [catalogAttempt, setCatalogAttempt] = useState(0);
+
+  // Optional semantic mode: precomputed catalog embeddings + local query model
+  const [embeddings, setEmbeddings] = useState(null);
+  const [semanticOn, setSemanticOn] = useState(() => loadStored("yoga.semantic", false));
+  // Opt-in query logging (analytics/queryLog.js); `loggedQuery` keeps one
+  // query event per search however many of its results get picked
+  const [shareQueries, setShareQueries] = useState(loggingEnabled);
+  const loggedQuery = useRef("");
+  // Conversation since the last fresh request (see engine/conversation.js),
+  // plus `since`, when it started, to pick its turns out of the history
+  const [conversation, setConversation] = useState(null);
+  // What typing a follow-up would turn the conversation into
+  const turn = useMemo(
+    () => (conversation && isFollowUp(query, conversation.lang) ? refine(conversation, query, selected) : null),
+    [conversation, query, selected]
+  );
+  const rankQuery = turn ? conversationQuery(turn) : query;
+  const rankConstraints = useMemo(() => (turn ? mergeConstraints(facets, turn.constraints) : facets), [turn, facets]);
+
+  // The embedding model is English-only
+  const semantic = useQueryEmbedding(rankQuery, semanticOn && !!embeddings && lang === "en");
+
   // Fun random button colors
   const buttonColors = [
     '#3b82f6, #2563eb', // blue
@@ -105,103 +201,331 @@ export default function YogaRecommenderApp() {
   );
 
   useEffect(() => {
-    const SR = window.SpeechRecognition || window.webkitSpeechRecognition;
-    if (SR) {
-      const r = new SR();
-      r.continuous = false;
-      r.interimResults = false;
-      r.lang = "en-US";
-      r.onresult = (e) => {
-        const transcript = e.results?.[0]?.[0]?.transcript || "";
-        setQuery((prev) => (prev ? prev + " " : "") + transcript);
-        setListening(false);
-      };
-      r.onend = () => setListening(false);
-      recogRef.current = r;
-    }
+    document.documentElement.lang = lang;
+  }, [lang]);
 
-    // Fetch catalog.json and preload transcripts (txt) if provided
+  useEffect(() => {
+    recommendRef.current = recommend;
+  });
+
+  useEffect(() => {
+    if (voiceSubmit) recommendRef.current();
+  }, [voiceSubmit]);
+
+  useEffect(() => {
+    // Fetch catalog.json, validate it and preload transcripts (captions or txt)
     (async () => {
+      setCatalogState({ status: "loading", errors: [] });
       try {
         const res = await fetch("/catalog.json", { cache: "no-store" });
-        if (res.ok) {
-          const data = await res.json();
-          const norm = (Array.isArray(data) ? data : data.videos || []).map((v) => ({
-            ...v,
-            lengthMin: v.lengthMin ?? Math.round((v.durationSec || 0) / 60),
-          }));
+        if (!res.ok) throw new Error(`catalog.json returned ${res.status}`);
+        const data = await res.json();
+        const { videos, errors } = loadableVideos(data);
+        if (videos.length === 0) {
+          setCatalogState({ status: "error", reason: null, errors });
+        } else {
+          const norm = normalizeCatalog(videos);
           VIDEO_DATA = norm;
           setList(norm);
+          setCatalogState({ status: "ready", errors });
 
-          const cache = {};
-          await Promise.all(
-            norm.map(async (v) => {
-              if (v.transcriptTxt) {
-                try {
-                  const tr = await fetch(v.transcriptTxt, { cache: "no-store" });
-                  if (tr.ok) cache[v.id] = (await tr.text()).toLowerCase();
-                } catch {}
-              }
-            })
-          );
-          setTranscriptCache(cache);
+          setTranscriptCache(await loadTranscripts(norm));
         }
       } catch (e) {
-        console.warn("Failed to load catalog.json", e);
+        setCatalogState({ status: "error", reason: e.message, errors: [] });
+      }
+
+      // Embeddings sidecar is optional; without it semantic mode stays hidden
+      try {
+        const res = await fetch("/catalog.embeddings.json", { cache: "no-store" });
+        if (res.ok) setEmbeddings(await res.json());
+      } catch {
+        setEmbeddings(null);
       }
     })();
-  }, []);
-
-  const ranked = useMemo(() => {
-    const q = query.trim();
-    const withScores = list.map((v) => ({
-      ...v,
-      _score: q ? keywordScore(q, v, transcriptCache) : 0,
-    }));
-
-    const filtered = listFilter
-      ? withScores.filter((v) =>
-          (v.focuses || [])
-            .concat(v.intents || [], v.vibe || [], v.equipment || [], v.level || [], v.title || "")
-            .join(" ")
-            .toLowerCase()
-            .includes(listFilter.toLowerCase())
-        )
-      : withScores;
-
-    const sorted = [...filtered].sort((a, b) => {
-      if (listSort === "length") return (a.lengthMin || 0) - (b.lengthMin || 0);
-      if (listSort === "level") return (a.level || "").localeCompare(b.level || "");
-      return (b._score || 0) - (a._score || 0);
-    });
-
-    return sorted;
-  }, [query, list, listFilter, listSort, transcriptCache]);
+  }, [catalogAttempt]);
+
+  useEffect(() => {
+    localStorage.setItem("yoga.conditions", JSON.stringify(conditions));
+    localStorage.setItem("yoga.hideUnsafe", JSON.stringify(hideUnsafe));
+    localStorage.setItem("yoga.semantic", JSON.stringify(semanticOn));
+    localStorage.setItem("yoga.lang", JSON.stringify(lang));
+  }, [conditions, hideUnsafe, semanticOn, lang]);
+
+  // Open the class from a /class/:id link once the catalog is in
+  useEffect(() => {
+    if (!pendingClass.current || list.length === 0) return;
+    const video = list.find((v) => v.id === pendingClass.current);
+    pendingClass.current = null;
+    if (video) {
+      setSelected(video);
+      updateProfile(recordPlay, video.id);
+    } else {
+      window.history.replaceState(null, "", buildUrl({ ...parseUrl(window.location.href), classId: null }));
+    }
+  }, [list, updateProfile]);
+
+  // Mirror state into the URL: opening a class is a history entry, typing isn't
+  const selectedId = selected?.id || null;
+  useEffect(() => {
+    if (pendingClass.current) return;
+    const url = buildUrl({ classId: selectedId, q: query, sort: listSort, filter: listFilter, facets });
+    if (url === window.location.pathname + window.location.search) return;
+    const opened = parseUrl(window.location.href).classId !== selectedId;
+    window.history[opened ? "pushState" : "replaceState"](null, "", url);
+  }, [selectedId, query, listSort, listFilter, facets]);
+
+  const selectedTitle = selected?.title;
+  useEffect(() => {
+    document.title = selectedTitle ? `${selectedTitle} · yogatools.ai` : "yogatools.ai";
+  }, [selectedTitle]);
+
+  // Back/forward: restore whatever the URL describes
+  useEffect(() => {
+    const onPop = () => {
+      const route = parseUrl(window.location.href, Object.keys(SORTS));
+      const video = route.classId ? list.find((v) => v.id === route.classId) || null : null;
+      setQuery(route.q);
+      setListSort(route.sort);
+      setListFilter(route.filter);
+      setFacets(route.facets);
+      setSelected(video);
+      setAutoPlay(false);
+      // Stay in a session only when moving between its own classes
+      setSession((s) => {
+        const i = s && video ? s.items.findIndex((item) => item.video.id === video.id) : -1;
+        return i < 0 ? null : { ...s, index: i };
+      });
+    };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, [list]);
+
+  // Full-text index over titles, notes and transcripts; rebuilt only when they load
+  const index = useMemo(() => buildIndex(list, transcriptCache), [list, transcriptCache]);
+
+  // Compared by value: progress reports and plays just started don't re-rank
+  const rankingKey = JSON.stringify(rankingProfile(profile, visitStart));
+  const personal = useMemo(() => JSON.parse(rankingKey), [rankingKey]);
+
+  const ranked = useMemo(
+    () =>
+      rank(rankQuery, list, {
+        index,
+        filter: listFilter,
+        sort: listSort,
+        constraints: rankConstraints,
+        conditions,
+        body,
+        safety: hideUnsafe ? "exclude" : "flag",
+        semantic: semantic.vector && { vector: semantic.vector, embeddings },
+        profile: personal,
+        lang,
+      }).map(({ video, score, signals, matches, terms, snippet, moments, warnings }) => ({
+        ...video,
+        _score: score,
+        _signals: signals,
+        _matches: matches,
+        _terms: terms,
+        _snippet: snippet,
+        _moments: moments,
+        _warnings: warnings,
+      })),
+    [rankQuery, list, listFilter, listSort, rankConstraints, index, conditions, body, hideUnsafe, semantic.vector, embeddings, personal, lang]
+  );
+
+  // Facet counts and the constraints in effect (browse selections + query text)
+  const activeConstraints = useMemo(() => mergeConstraints(rankConstraints, parseConstraints(rankQuery, lang)), [rankConstraints, rankQuery, lang]);
+  const counts = useMemo(() => facetCounts(list, activeConstraints), [list, activeConstraints]);
+  const constraintLabels = describeConstraints(activeConstraints, t);
+
+  // Conditions mentioned in the query or marked injured on the body map
+  // that aren't in the profile yet
+  const mentioned = [...new Set([...detectConditions(query, lang), ...bodySignals(body).conditions])].filter(
+    (id) => !conditions.includes(id)
+  );
+
+  // Watch progress: stats, the class to continue and where to resume the open one
+  const stats = useMemo(() => practiceStats(profile), [profile]);
+  const unfinished = unfinishedPlay(profile, visitStart);
+  const unfinishedVideo = unfinished && list.find((v) => v.id === unfinished.id);
+  const resumeAt = selected ? resumePoint(profile, selected.id) : null;
+
+  // Warnings for the player: those shown when it was picked plus the current profile
+  const selectedWarnings = selected
+    ? safetyWarnings(selected, [...new Set([...(selected._warnings || []).map((w) => w.condition), ...conditions])])
+    : [];
+
+  function toggleCondition(id) {
+    setConditions((cs) => (cs.includes(id) ? cs.filter((c) => c !== id) : [...cs, id]));
+  }
+
+  /** Select a single class, leaving any session */
+  function choose(video) {
+    setSession(null);
+    setAutoPlay(false);
+    setSelected(video);
+    updateProfile(recordPlay, video.id);
+    setConversation((c) => c && markShown(c, [video.id]));
+  }
+
+  /** Open `video` if it isn't already playing and jump to `time` */
+  function playMoment(video, time) {
+    if (selected?.id !== video.id) choose(video);
+    setSeek({ videoId: video.id, time });
+  }
+
+  function logSearch() {
+    if (!rankQuery.trim() || loggedQuery.current === rankQuery) return;
+    loggedQuery.current = rankQuery;
+    logQuery(rankQuery, lang, ranked);
+  }
+
+  /** Log that the class at `position` in the current results was picked */
+  function logPick(video, position, source) {
+    if (!rankQuery.trim()) return;
+    logSearch();
+    logClick(rankQuery, lang, video.id, position, source);
+  }
 
   function recommend() {
-    const best = ranked[0];
-    if (!best) return;
-    setSelected(best);
-    setHistory((h) => [
-      ...h,
-      { role: "user", text: query || "(no input)" },
-      { role: "system", text: `Recommended: ${best.title}` },
+    if (isSessionRequest(query)) return buildSession();
+    logSearch();
+    // The class the "We'd recommend" card shows, whatever the list's sort
+    const best = topTwo[0];
+    if (!best) {
+      if (!turn) return;
+      if (voice.continuous) speak(t("voiceNoMore"), speechLocale);
+      updateProfile(addHistory, [
+        { role: "user", text: query },
+        {
+          role: "system",
+          text: constraintLabels.length
+            ? t("noMoreFitting", { constraints: constraintLabels.join(", ") })
+            : t("noMoreClasses"),
+        },
+      ]);
+      setQuery("");
+      return;
+    }
+    logPick(best, 0, "recommend");
+    choose(best);
+    if (voice.continuous) speak(t("voiceRecommend", { title: best.title, minutes: best.lengthMin }), speechLocale);
+    setConversation(markShown(turn || { ...startConversation(query, lang), since: Date.now() }, [best.id]));
+    updateProfile(addHistory, [
+      { role: "user", text: requestText || t("noInput") },
+      { role: "system", text: t("historyRecommended", { title: best.title }), videoId: best.id },
     ]);
     setQuery("");
   }
 
+  /** Generate a program for `goal` and start following it; returns the result for its errors */
+  function buildProgram(goal, { daysPerWeek, start }) {
+    const program = generateProgram(goal, list, { index, conditions, profile, lang, daysPerWeek, start });
+    if (!program.error) updateProfile(startProgram, program);
+    return program;
+  }
+
+  function buildSession() {
+    const plan = planSession(query, list, { index, conditions, body, profile, constraints: facets, lang });
+    if (plan.items.length === 0) return;
+    setConversation(null);
+    setSession({ ...plan, index: 0 });
+    setSelected(plan.items[0].video);
+    setAutoPlay(false);
+    updateProfile(recordPlay, plan.items[0].video.id);
+    updateProfile(addHistory, [
+      { role: "user", text: requestText || t("noInput") },
+      {
+        role: "system",
+        text: t("historySession", { titles: plan.items.map((i) => i.video.title).join(" → ") }),
+        videoIds: plan.items.map((i) => i.video.id),
+      },
+    ]);
+    setQuery("");
+  }
+
+  /** Move to session item `i`; called when a class ends or from the playlist */
+  function playSessionItem(i) {
+    if (!session || i < 0 || i >= session.items.length) return;
+    setSession((s) => ({ ...s, index: i }));
+    setSelected(session.items[i].video);
+    setAutoPlay(true);
+    updateProfile(recordPlay, session.items[i].video.id);
+  }
+
+  function classEnded() {
+    updateProfile(markCompleted, selected.id);
+    if (session) playSessionItem(session.index + 1);
+  }
+
   function toggleVoice() {
-    if (!recogRef.current) return;
-    if (listening) {
-      recogRef.current.stop();
+    if (voice.listening) voice.stop();
+    else voice.start();
+  }
+
+  function toggleHandsFree() {
+    if (voice.listening && voice.continuous) {
+      voice.stop();
+      stopSpeaking();
     } else {
-      setListening(true);
-      recogRef.current.start();
+      voice.start({ continuous: true });
+    }
+  }
+
+  /** A finished phrase from the recognizer: a command, or more to the query */
+  function heard(text) {
+    // Our own announcement coming back through the microphone
+    if (isSpeaking()) return;
+    const cmd = parseCommand(text, lang);
+    if (!cmd) {
+      setQuery((prev) => (prev ? prev + " " : "") + text);
+      return;
+    }
+    const nothingSaid = !requestText && !cmd.before;
+    switch (cmd.command) {
+      case "find":
+        if (nothingSaid) return speak(t("voiceNothingToPlay"), speechLocale);
+        if (cmd.before) setQuery((prev) => (prev ? prev + " " : "") + cmd.before);
+        setVoiceSubmit((n) => n + 1);
+        break;
+      case "next":
+        // A follow-up turn offers the next class that fits
+        if (conversation) setQuery("not that one");
+        else if (nothingSaid) return speak(t("voiceNothingToPlay"), speechLocale);
+        setVoiceSubmit((n) => n + 1);
+        break;
+      case "play": {
+        const next = selected || topTwo[0];
+        if (!next) speak(t("voiceNothingToPlay"), speechLocale);
+        else if (selected) setPlayback({ videoId: selected.id, action: "play" });
+        else {
+          choose(next);
+          setAutoPlay(true);
+        }
+        break;
+      }
+      case "pause":
+        if (selected) setPlayback({ videoId: selected.id, action: "pause" });
+        break;
+      case "stop":
+        voice.stop();
+        stopSpeaking();
+        break;
     }
   }
 
   // Get top 2 recommendations for "We'd recommend" / "Or maybe" display
-  const topTwo = ranked.filter(v => v._score > 0).slice(0, 2);
+  // (never a class this conversation has already offered)
+  const shown = new Set(turn?.shown || []);
+  // The best match, then the best different kind of class; see topPicks
+  const topTwo = topPicks(ranked.filter((v) => !shown.has(v.id)).map(toResult), { index })
+    .slice(0, 2)
+    .map((r) => r.video);
+  const similar = useMemo(
+    () => (selected ? moreLikeThis(selected, list, { index, conditions }) : []),
+    [selected, list, index, conditions]
+  );
 
   return (
     <div 
@@ -213,9 +537,26 @@ export default function YogaRecommenderApp() {
         alignItems: 'center'
       }}
     >
+      {!online && <OfflineBanner t={t} />}
+
       {/* Header */}
       <header className="pt-8 pb-4 px-6 w-full">
         <div className="max-w-4xl mx-auto text-center">
+          <div style={{display: 'flex', justifyContent: 'flex-end'}}>
+            <label style={{display: 'flex', alignItems: 'center', gap: '0.375rem', color: '#6b7280', fontSize: '0.875rem'}}>
+              <Languages size={16} aria-hidden="true" />
+              <select
+                aria-label={t("language")}
+                value={lang}
+                onChange={(e) => setLang(e.target.value)}
+                style={{borderRadius: '12px', border: '1px solid #e5e7eb', backgroundColor: 'white', padding: '0.25rem 0.5rem', fontSize: '0.875rem', color: '#374151'}}
+              >
+                {LANGUAGES.map((l) => (
+                  <option key={l.code} value={l.code}>{l.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
           <div className="flex items-center justify-center">
             <img 
               src="/yogatools_logo1.png" 
@@ -229,7 +570,22 @@ export default function YogaRecommenderApp() {
       {/* Main Content */}
       <main className="px-6 pb-12 w-full flex-1" style={{paddingLeft: 'clamp(1rem, 5vw, 1.5rem)', paddingRight: 'clamp(1rem, 5vw, 1.5rem)'}}>
         <div className="max-w-4xl mx-auto text-center" style={{paddingTop: '2rem'}}>
+
+          {(catalogState.status === "error" || catalogState.errors.length > 0) && (
+            <CatalogProblems state={catalogState} onRetry={() => setCatalogAttempt((n) => n + 1)} t={t} />
+          )}
           
+          {!selected && (
+            <ContinueCard
+              video={unfinishedVideo}
+              play={unfinished}
+              stats={stats}
+              onContinue={() => playMoment(unfinishedVideo, unfinished.position)}
+              onDismiss={() => updateProfile(dismissResume, unfinished.id)}
+              t={t}
+            />
+          )}
+
           {/* Hero Section */}
           <div style={{textAlign: 'center', marginBottom: '3rem'}}>
             <h2 style={{
@@ -242,7 +598,7 @@ export default function YogaRecommenderApp() {
               paddingLeft: '0.5rem',
               paddingRight: '0.5rem'
             }}>
-              How are you feeling?
+              {t("heroTitle")}
             </h2>
             <p style={{
               fontSize: 'clamp(1rem, 4vw, 1.25rem)',
@@ -254,67 +610,149 @@ export default function YogaRecommenderApp() {
               paddingLeft: '1rem',
               paddingRight: '1rem'
             }}>
-              Check in with yourself. Share whatever comes to mind to start your practice.
+              {t("heroSubtitle")}
             </p>
           </div>
 
           {/* Input Section */}
           <div className="max-w-3xl mx-auto mb-16" style={{paddingLeft: '0.5rem', paddingRight: '0.5rem'}}>
-            <div style={{position: 'relative'}}>
-              <textarea
-                value={query}
-                onChange={(e) => setQuery(e.target.value)}
-                placeholder="I'm feeling..."
-                style={{ 
-                  width: '100%',
-                  minHeight: '120px',
-                  padding: 'clamp(1rem, 4vw, 1.5rem)',
-                  fontSize: 'clamp(1rem, 4vw, 1.125rem)',
-                  border: 'none',
-                  borderRadius: '24px',
-                  backgroundColor: 'rgba(255, 255, 255, 0.8)',
-                  backdropFilter: 'blur(10px)',
-                  boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
-                  color: '#374151',
-                  resize: 'none',
-                  outline: 'none',
-                  transition: 'all 0.3s ease'
-                }}
-                onKeyDown={(e) => e.key === "Enter" && !e.shiftKey && recommend()}
+            {conversation && (
+              <ChatThread
+                entries={profile.history.filter((h) => h.at >= conversation.since)}
+                catalog={list}
+                onPlay={choose}
+                onStartOver={() => setConversation(null)}
+                t={t}
               />
-              
-              {/* Voice Button */}
-              <button
-                onClick={toggleVoice}
-                disabled={!recogRef.current}
-                style={{ 
-                  position: 'absolute',
-                  bottom: 'clamp(8px, 3vw, 16px)',
-                  right: 'clamp(8px, 3vw, 16px)',
-                  width: 'clamp(56px, 15vw, 68px)',
-                  height: 'clamp(56px, 15vw, 68px)',
-                  backgroundColor: listening ? '#ef4444' : '#f3f4f6',
-                  color: listening ? 'white' : '#6b7280',
-                  border: 'none',
-                  borderRadius: '50%',
-                  display: 'flex',
-                  alignItems: 'center',
-                  justifyContent: 'center',
-                  boxShadow: '0 8px 12px -2px rgba(0, 0, 0, 0.15)',
-                  cursor: 'pointer',
-                  transition: 'all 0.3s ease'
-                }}
-                title={listening ? 'Stop listening' : 'Speak your feelings'}
-              >
-                {listening ? <MicOff size={Math.min(30, window.innerWidth * 0.08)} /> : <Mic size={Math.min(30, window.innerWidth * 0.08)} />}
-              </button>
+            )}
+            <div style={{display: 'flex', flexWrap: 'wrap', gap: '1rem', alignItems: 'flex-start'}}>
+              <div style={{position: 'relative', flex: '1 1 18rem'}}>
+                <textarea
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  placeholder={conversation ? t("followUpPlaceholder") : t("placeholder")}
+                  style={{ 
+                    width: '100%',
+                    minHeight: '120px',
+                    padding: 'clamp(1rem, 4vw, 1.5rem)',
+                    fontSize: 'clamp(1rem, 4vw, 1.125rem)',
+                    border: 'none',
+                    borderRadius: '24px',
+                    backgroundColor: 'rgba(255, 255, 255, 0.8)',
+                    backdropFilter: 'blur(10px)',
+                    boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
+                    color: '#374151',
+                    resize: 'none',
+                    outline: 'none',
+                    transition: 'all 0.3s ease'
+                  }}
+                  onKeyDown={(e) => e.key === "Enter" && !e.shiftKey && recommend()}
+                />
+                
+                {/* Voice Button */}
+                <button
+                  onClick={toggleVoice}
+                  disabled={!voice.supported}
+                  style={{ 
+                    position: 'absolute',
+                    bottom: 'clamp(8px, 3vw, 16px)',
+                    right: 'clamp(8px, 3vw, 16px)',
+                    width: 'clamp(56px, 15vw, 68px)',
+                    height: 'clamp(56px, 15vw, 68px)',
+                    backgroundColor: voice.listening ? '#ef4444' : '#f3f4f6',
+                    color: voice.listening ? 'white' : '#6b7280',
+                    border: 'none',
+                    borderRadius: '50%',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    boxShadow: '0 8px 12px -2px rgba(0, 0, 0, 0.15)',
+                    cursor: 'pointer',
+                    transition: 'all 0.3s ease'
+                  }}
+                  title={voice.listening ? t("stopListening") : t("speak")}
+                >
+                  {voice.listening ? <MicOff size={Math.min(30, window.innerWidth * 0.08)} /> : <Mic size={Math.min(30, window.innerWidth * 0.08)} />}
+                </button>
+              </div>
+              <div style={{flex: '1 1 14rem', maxWidth: '22rem'}}>
+                <BodyMap value={body} onChange={setBody} t={t} />
+              </div>
             </div>
+            <VoiceStatus voice={voice} onToggleHandsFree={toggleHandsFree} t={t} />
+
+            {/* Health considerations */}
+            <details style={{marginTop: '1rem', textAlign: 'left'}} open={conditions.length > 0 || mentioned.length > 0}>
+              <summary style={{cursor: 'pointer', color: '#6b7280', fontSize: '0.875rem'}}>
+                {t("healthConsiderations")}{conditions.length > 0 && ` (${conditions.length})`}
+              </summary>
+              <div style={{display: 'flex', flexWrap: 'wrap', gap: '0.5rem', marginTop: '0.75rem'}}>
+                {CONDITIONS.map((c) => {
+                  const on = conditions.includes(c.id);
+                  return (
+                    <button
+                      key={c.id}
+                      onClick={() => toggleCondition(c.id)}
+                      style={{
+                        padding: '0.375rem 0.875rem',
+                        borderRadius: '9999px',
+                        border: on ? '1px solid #f59e0b' : '1px solid #e5e7eb',
+                        backgroundColor: on ? '#fef3c7' : 'white',
+                        color: on ? '#92400e' : '#6b7280',
+                        fontSize: '0.8125rem',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      {t(CONDITION_KEYS[c.id])}
+                    </button>
+                  );
+                })}
+              </div>
+              {mentioned.length > 0 && (
+                <div style={{marginTop: '0.75rem', fontSize: '0.8125rem', color: '#92400e'}}>
+                  {t("youMentioned", { conditions: mentioned.map((id) => conditionName(id, t, lang)).join(", ") })}{' '}
+                  <button
+                    onClick={() => setConditions((cs) => [...cs, ...mentioned])}
+                    style={{border: 'none', background: 'none', color: '#d97706', textDecoration: 'underline', cursor: 'pointer', padding: 0}}
+                  >
+                    {t("rememberThis")}
+                  </button>
+                </div>
+              )}
+              <label style={{display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '0.75rem', fontSize: '0.8125rem', color: '#6b7280'}}>
+                <input type="checkbox" checked={hideUnsafe} onChange={(e) => setHideUnsafe(e.target.checked)} />
+                {t("hideUnsafe")}
+              </label>
+            </details>
+
+            {embeddings && (
+              <label style={{display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '0.75rem', fontSize: '0.8125rem', color: '#6b7280'}}>
+                <input type="checkbox" checked={semanticOn} onChange={(e) => setSemanticOn(e.target.checked)} />
+                {t("semanticOptIn")}
+                {semantic.status === "loading" && <span style={{color: '#9ca3af'}}>· {t("semanticThinking")}</span>}
+                {semantic.status === "error" && <span style={{color: '#d97706'}}>· {t("semanticUnavailable")}</span>}
+              </label>
+            )}
+
+            {LOG_URL && (
+              <label style={{display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '0.75rem', fontSize: '0.8125rem', color: '#6b7280'}}>
+                <input
+                  type="checkbox"
+                  checked={shareQueries}
+                  onChange={(e) => {
+                    setShareQueries(e.target.checked);
+                    setLoggingEnabled(e.target.checked);
+                  }}
+                />
+                {t("shareSearches")}
+              </label>
+            )}
 
             {/* Recommend Button */}
             <div style={{textAlign: 'center', marginTop: '2rem'}}>
               <button
                 onClick={recommend}
-                disabled={!query.trim()}
+                disabled={!requestText}
                 style={{
                   padding: 'clamp(16px, 4vw, 20px) clamp(40px, 12vw, 60px)',
                   background: `linear-gradient(135deg, ${buttonColor})`,
@@ -324,29 +762,59 @@ export default function YogaRecommenderApp() {
                   border: 'none',
                   borderRadius: '50px',
                   boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05)',
-                  cursor: query.trim() ? 'pointer' : 'not-allowed',
-                  opacity: query.trim() ? 1 : 0.5,
+                  cursor: requestText ? 'pointer' : 'not-allowed',
+                  opacity: requestText ? 1 : 0.5,
                   transition: 'all 0.3s ease'
                 }}
               >
-                Find my yoga
+                {t("findMyYoga")}
               </button>
+              {constraintLabels.length > 0 && (
+                <div style={{marginTop: '1rem', fontSize: '0.8125rem', color: '#6b7280'}}>
+                  {t("onlyClasses", { constraints: constraintLabels.join(' · ') })}
+                  {facets !== NO_CONSTRAINTS && (
+                    <button
+                      onClick={() => setFacets(NO_CONSTRAINTS)}
+                      style={{marginLeft: '0.5rem', border: 'none', background: 'none', color: '#fb923c', textDecoration: 'underline', cursor: 'pointer', padding: 0}}
+                    >
+                      {t("clearFilters")}
+                    </button>
+                  )}
+                </div>
+              )}
+              {query.trim() && !isSessionRequest(query) && (
+                <div style={{marginTop: '1rem'}}>
+                  <button
+                    onClick={buildSession}
+                    style={{display: 'inline-flex', alignItems: 'center', gap: '0.375rem', border: 'none', background: 'none', color: '#6b7280', fontSize: '0.875rem', cursor: 'pointer'}}
+                  >
+                    <ListMusic size={16} />
+                    {t("planSession")}
+                  </button>
+                </div>
+              )}
             </div>
           </div>
 
           {/* Recommendations - New Beautiful Display */}
-          {query.trim() && topTwo.length > 0 && (
+          {requestText && topTwo.length > 0 && (
             <div className="max-w-5xl mx-auto mb-16">
               <div style={{display: 'grid', gridTemplateColumns: topTwo.length > 1 ? 'repeat(2, 1fr)' : '1fr', gap: '2rem'}}>
                 {/* Primary Recommendation */}
                 <div>
                   <h3 style={{fontSize: '1.5rem', fontWeight: '300', color: '#374151', marginBottom: '1.5rem', textAlign: 'center'}}>
-                    We'd recommend
+                    {t("recommend")}
                   </h3>
                   <RecommendationCard 
                     video={topTwo[0]} 
                     isPrimary={true}
-                    onSelect={() => setSelected(topTwo[0])}
+                    onSelect={() => {
+                      logPick(topTwo[0], 0, "recommend");
+                      choose(topTwo[0]);
+                    }}
+                    onSeek={(time) => playMoment(topTwo[0], time)}
+                    t={t}
+                    lang={lang}
                   />
                 </div>
 
@@ -354,12 +822,18 @@ export default function YogaRecommenderApp() {
                 {topTwo[1] && (
                   <div>
                     <h3 style={{fontSize: '1.5rem', fontWeight: '300', color: '#374151', marginBottom: '1.5rem', textAlign: 'center'}}>
-                      Or maybe
+                      {t("orMaybe")}
                     </h3>
                     <RecommendationCard 
                       video={topTwo[1]} 
                       isPrimary={false}
-                      onSelect={() => setSelected(topTwo[1])}
+                      onSelect={() => {
+                        logPick(topTwo[1], 1, "recommend");
+                        choose(topTwo[1]);
+                      }}
+                      onSeek={(time) => playMoment(topTwo[1], time)}
+                      t={t}
+                      lang={lang}
                     />
                   </div>
                 )}
@@ -372,11 +846,17 @@ export default function YogaRecommenderApp() {
             <div className="max-w-5xl mx-auto mb-16">
               <div style={{backgroundColor: 'white', borderRadius: '24px', boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)', overflow: 'hidden'}}>
                 <div style={{padding: '1.5rem', borderBottom: '1px solid #f3f4f6'}}>
-                  <h3 style={{fontSize: '1.5rem', fontWeight: '500', color: '#374151', marginBottom: '0.5rem'}}>{selected.title}</h3>
+                  <div style={{display: 'flex', alignItems: 'flex-start', justifyContent: 'space-between', gap: '1rem'}}>
+                    <h3 style={{fontSize: '1.5rem', fontWeight: '500', color: '#374151', marginBottom: '0.5rem'}}>{selected.title}</h3>
+                    <div style={{display: 'flex', alignItems: 'center', gap: '0.75rem'}}>
+                      <SaveOfflineButton video={selected} offline={offline} t={t} />
+                      <RateButtons rating={profile.ratings[selected.id]} onRate={(value) => updateProfile(rate, selected.id, value)} size={18} t={t} />
+                    </div>
+                  </div>
                   <div style={{display: 'flex', alignItems: 'center', gap: '1rem', fontSize: '0.875rem', color: '#6b7280'}}>
                     <div style={{display: 'flex', alignItems: 'center', gap: '0.25rem'}}>
                       <Clock size={16} />
-                      <span>{selected.lengthMin} min</span>
+                      <span>{t("minutes", { n: selected.lengthMin })}</span>
                     </div>
                     <div style={{display: 'flex', alignItems: 'center', gap: '0.25rem'}}>
                       <User size={16} />
@@ -385,57 +865,97 @@ export default function YogaRecommenderApp() {
                     {selected.intents?.length > 0 && (
                       <span>{selected.intents.join(", ")}</span>
                     )}
+                    {resumeAt != null && (
+                      <button
+                        onClick={() => setSeek({ videoId: selected.id, time: resumeAt })}
+                        style={{marginLeft: 'auto', display: 'inline-flex', alignItems: 'center', gap: '0.25rem', border: 'none', background: 'none', color: '#fb923c', cursor: 'pointer', fontSize: '0.875rem', padding: 0}}
+                      >
+                        <Play size={14} />
+                        {t("resumeFrom", { at: formatTimestamp(resumeAt) })}
+                      </button>
+                    )}
                   </div>
                 </div>
 
+                {session && (
+                  <SessionPlaylist
+                    session={session}
+                    onPlay={playSessionItem}
+                    onEnd={() => setSession(null)}
+                    t={t}
+                  />
+                )}
+
+                {selectedWarnings.length > 0 && <SafetyWarning warnings={selectedWarnings} t={t} lang={lang} />}
+
                 <div style={{aspectRatio: '16/9'}}>
-                  {selected.stream?.uid || selected.stream?.embed ? (
-                    <iframe
-                      key={selected.id}
-                      src={selected.stream?.embed || `https://iframe.cloudflarestream.com/${selected.stream.uid}`}
-                      allow="accelerometer; autoplay; encrypted-media; picture-in-picture"
-                      allowFullScreen
-                      style={{width: '100%', height: '100%'}}
-                      title={selected.title}
-                    />
-                  ) : (
-                    <video
-                      key={selected.id}
-                      style={{width: '100%', height: '100%'}}
-                      controls
-                      preload="metadata"
-                      poster={selected.poster}
-                      src={selected.url}
-                    />
-                  )}
+                  <VideoPlayer
+                    video={selected}
+                    autoPlay={autoPlay}
+                    onEnded={classEnded}
+                    onProgress={(p) => updateProfile(recordProgress, p.videoId, p)}
+                    seekTo={seek}
+                    playback={playback}
+                    captions={Array.isArray(transcriptCache[selected.id]) ? transcriptCache[selected.id] : null}
+                  />
                 </div>
 
-                {(selected.focuses?.length || selected.equipment?.length || selected.notes) && (
+                {(selected.focuses?.length || selected.equipment?.length || selected.notes || selected._score > 0 || selected._moments?.length > 0) && (
                   <div style={{padding: '1.5rem', backgroundColor: '#f9fafb'}}>
+                    {selected._score > 0 && <WhyThisClass video={selected} t={t} />}
+                    {selected._moments?.length > 0 && (
+                      <TranscriptMoments moments={selected._moments} onSeek={(time) => playMoment(selected, time)} t={t} />
+                    )}
                     {selected.focuses?.length > 0 && (
                       <div style={{fontSize: '0.875rem', color: '#374151', marginBottom: '0.5rem'}}>
-                        <span style={{fontWeight: '500'}}>Focus:</span> {selected.focuses.join(", ")}
+                        <span style={{fontWeight: '500'}}>{t("focusLabel")}</span> <Highlight text={selected.focuses.join(", ")} terms={selected._terms} />
                       </div>
                     )}
                     {selected.equipment?.length > 0 && (
                       <div style={{fontSize: '0.875rem', color: '#374151', marginBottom: '0.5rem'}}>
-                        <span style={{fontWeight: '500'}}>Equipment:</span> {selected.equipment.join(", ")}
+                        <span style={{fontWeight: '500'}}>{t("equipmentLabel")}</span> {selected.equipment.join(", ")}
                       </div>
                     )}
                     {selected.notes && (
-                      <div style={{fontSize: '0.875rem', color: '#374151'}}>{selected.notes}</div>
+                      <div style={{fontSize: '0.875rem', color: '#374151'}}>
+                        <Highlight text={selected.notes} terms={selected._terms} />
+                      </div>
                     )}
                   </div>
                 )}
+
+                <MoreLikeThis items={similar} onSelect={choose} t={t} />
               </div>
             </div>
           )}
 
+          <ProgramPanel
+            profile={profile}
+            catalog={list}
+            onStart={buildProgram}
+            onPlay={choose}
+            onMark={(n, done) => updateProfile(markProgramDay, n, done)}
+            onEnd={() => updateProfile(endProgram)}
+            t={t}
+          />
+
+          <RecentPractice
+            profile={profile}
+            catalog={list}
+            onPlay={choose}
+            onRate={(id, value) => updateProfile(rate, id, value)}
+            onLevel={(level) => updateProfile(setLevel, level)}
+            onClear={() => updateProfile(clearProfile)}
+            t={t}
+          />
+
+          {offlineSupported() && <OfflineStorage catalog={list} offline={offline} onPlay={choose} t={t} />}
+
           {/* Catalog - Keep your existing catalog but hide it initially */}
-          {(selected || query.trim()) && (
+          {(selected || requestText) && (
             <details className="max-w-5xl mx-auto">
               <summary style={{cursor: 'pointer', textAlign: 'center', color: '#6b7280', marginBottom: '2rem'}}>
-                Browse all {ranked.length} classes
+                {t("browseAll", { n: ranked.length })}
               </summary>
               
               <div style={{backgroundColor: 'white', borderRadius: '24px', boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)', padding: '2rem'}}>
@@ -449,7 +969,7 @@ export default function YogaRecommenderApp() {
                       fontSize: '0.875rem',
                       outline: 'none'
                     }}
-                    placeholder="Filter classes..."
+                    placeholder={t("filterClasses")}
                     value={listFilter}
                     onChange={(e) => setListFilter(e.target.value)}
                   />
@@ -464,17 +984,23 @@ export default function YogaRecommenderApp() {
                     value={listSort}
                     onChange={(e) => setListSort(e.target.value)}
                   >
-                    <option value="score">Best match</option>
-                    <option value="length">Length</option>
-                    <option value="level">Level</option>
+                    <option value="score">{t("sortBest")}</option>
+                    <option value="length">{t("sortLength")}</option>
+                    <option value="level">{t("sortLevel")}</option>
                   </select>
                 </div>
 
+                <FacetFilters counts={counts} value={facets} onChange={setFacets} t={t} />
+
                 <div style={{display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))', gap: '1rem'}}>
-                  {ranked.map((v) => (
+                  {ranked.map((v, i) => (
                     <button
                       key={v.id}
-                      onClick={() => setSelected(v)}
+                      onClick={() => {
+                        logPick(v, i, "list");
+                        choose(v);
+                      }}
+                      title={v._score > 0 ? explainText(toResult(v), t) : undefined}
                       style={{
                         textAlign: 'left',
                         padding: '1rem',
@@ -507,6 +1033,11 @@ export default function YogaRecommenderApp() {
                           <div style={{fontWeight: '500', lineHeight: '1.25', color: '#374151', overflow: 'hidden', textOverflow: 'ellipsis'}}>
                             {v.title}
                             {v._score > 0 && <span style={{marginLeft: '0.5rem', fontSize: '0.75rem', color: '#fb923c'}}>★ {v._score}</span>}
+                            {v._warnings?.length > 0 && (
+                              <span title={warningText(v._warnings, t, lang)} style={{marginLeft: '0.5rem', color: '#d97706'}}>
+                                <AlertTriangle size={14} style={{verticalAlign: 'middle'}} />
+                              </span>
+                            )}
                           </div>
                           <div style={{fontSize: '0.75rem', color: '#6b7280', marginTop: '0.25rem'}}>
                             {v.level}
@@ -538,7 +1069,10 @@ export default function YogaRecommenderApp() {
             Built by Evan
           </p>
           <p style={{color: '#d1d5db', fontSize: '12px', textAlign: 'center'}}>
-            For educational use only; not medical advice.
+            {t("disclaimer")}
+          </p>
+          <p style={{fontSize: '12px', marginTop: '8px', textAlign: 'center'}}>
+            <a href="/logout" style={{color: '#9ca3af'}}>{t("signOut")}</a>
           </p>
         </div>
       </footer>
@@ -546,7 +1080,7 @@ export default function YogaRecommenderApp() {
   );
 }
 
-const RecommendationCard = ({ video, isPrimary, onSelect }) => {
+const RecommendationCard = ({ video, isPrimary, onSelect, onSeek, t, lang }) => {
   return (
     <div 
       onClick={onSelect}
@@ -591,6 +1125,8 @@ const RecommendationCard = ({ video, isPrimary, onSelect }) => {
         </div>
       </div>
       
+      {video._warnings?.length > 0 && <SafetyWarning warnings={video._warnings} t={t} lang={lang} />}
+
       {/* Card Content */}
       <div style={{padding: '1.5rem'}}>
         <h4 style={{fontSize: '1.25rem', fontWeight: '500', color: '#374151', marginBottom: '0.5rem'}}>
@@ -598,8 +1134,17 @@ const RecommendationCard = ({ video, isPrimary, onSelect }) => {
         </h4>
         
         <p style={{color: '#6b7280', marginBottom: '1rem', lineHeight: '1.5'}}>
-          {video.notes || `${video.intents?.join(", ") || "Practice"} focusing on ${video.focuses?.join(", ") || "movement"}`}
+          <Highlight
+            text={
+              video.notes ||
+              t("classSummary", { intents: video.intents?.join(", ") || t("defaultIntents"), focuses: video.focuses?.join(", ") || t("defaultFocuses") })
+            }
+            terms={video._terms}
+          />
         </p>
+
+        {video._score > 0 && <WhyThisClass video={video} compact t={t} />}
+        {video._moments?.length > 0 && <TranscriptMoments moments={video._moments.slice(0, 2)} onSeek={onSeek} t={t} />}
         
         {/* Meta Information */}
         <div style={{display: 'flex', alignItems: 'center', justifyContent: 'space-between', fontSize: '0.875rem', color: '#9ca3af'}}>
@@ -618,4 +1163,238 @@ const RecommendationCard = ({ video, isPrimary, onSelect }) => {
       </div>
     </div>
   );
-};
\ No newline at end of file
+};
+
+const SafetyWarning = ({ warnings, t, lang }) => (
+  <div
+    role="alert"
+    style={{
+      display: 'flex',
+      alignItems: 'flex-start',
+      gap: '0.5rem',
+      padding: '0.75rem 1.5rem',
+      backgroundColor: '#fffbeb',
+      borderBottom: '1px solid #fde68a',
+      color: '#92400e',
+      fontSize: '0.875rem',
+      textAlign: 'left'
+    }}
+  >
+    <AlertTriangle size={18} style={{flexShrink: 0, marginTop: '0.125rem'}} />
+    <span>{warningText(warnings, t, lang)}. {t("checkFirst")}</span>
+  </div>
+);
+
+/** Ranked App row (video with _-prefixed engine fields) back to an engine result */
+const toResult = (v) => ({
+  video: v,
+  score: v._score,
+  warnings: v._warnings,
+  signals: v._signals,
+  matches: v._matches,
+  snippet: v._snippet,
+});
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/** Wrap words starting with any of `terms` in <mark> */
+const Highlight = ({ text, terms }) => {
+  if (!text || !terms?.length) return text || null;
+  const re = new RegExp(`\\b(${terms.map(escapeRegExp).join("|")})\\w*`, "gi");
+  const parts = [];
+  let last = 0;
+  for (const m of text.matchAll(re)) {
+    parts.push(text.slice(last, m.index));
+    parts.push(
+      <mark key={m.index} style={{backgroundColor: '#fed7aa', color: 'inherit', borderRadius: '4px', padding: '0 2px'}}>
+        {m[0]}
+      </mark>
+    );
+    last = m.index + m[0].length;
+  }
+  parts.push(text.slice(last));
+  return <>{parts}</>;
+};
+
+const WhyThisClass = ({ video, compact, t }) => {
+  const reasons = explain(toResult(video), t);
+  if (reasons.length === 0) return null;
+  const shown = compact ? reasons.slice(0, 3) : reasons;
+  return (
+    <div style={{fontSize: '0.875rem', color: '#374151', marginBottom: '1rem', textAlign: 'left'}}>
+      <div style={{display: 'flex', alignItems: 'center', gap: '0.375rem', fontWeight: '500', marginBottom: '0.375rem'}}>
+        <Sparkles size={14} style={{color: '#fb923c'}} />
+        {t("whyThisClass")}
+      </div>
+      <ul style={{margin: 0, paddingLeft: '1.25rem', color: '#6b7280'}}>
+        {shown.map((r) => (
+          <li key={r.signal}>
+            {r.text}
+            {!compact && <span style={{color: '#fb923c', marginLeft: '0.375rem'}}>+{r.points}</span>}
+          </li>
+        ))}
+      </ul>
+      {!compact && video._snippet && (
+        <blockquote style={{margin: '0.5rem 0 0', paddingLeft: '0.75rem', borderLeft: '3px solid #fed7aa', color: '#6b7280', fontStyle: 'italic'}}>
+          <Highlight text={video._snippet} terms={video._matches?.text} />
+        </blockquote>
+      )}
+    </div>
+  );
+};
+
+/** The current conversation as chat bubbles: the user's turns right, replies left */
+const ChatThread = ({ entries, catalog, onPlay, onStartOver, t }) => {
+  const byId = new Map(catalog.map((v) => [v.id, v]));
+  return (
+    <div style={{marginBottom: '1rem', textAlign: 'left'}}>
+      <div style={{display: 'flex', flexDirection: 'column', gap: '0.5rem'}}>
+        {entries.map((e, i) => {
+          const mine = e.role === "user";
+          const video = byId.get(e.videoId);
+          return (
+            <div
+              key={`${e.at}-${i}`}
+              style={{
+                alignSelf: mine ? 'flex-end' : 'flex-start',
+                maxWidth: '80%',
+                padding: '0.5rem 0.875rem',
+                borderRadius: mine ? '16px 16px 4px 16px' : '16px 16px 16px 4px',
+                backgroundColor: mine ? '#fed7aa' : 'white',
+                color: '#374151',
+                fontSize: '0.875rem',
+                boxShadow: '0 1px 2px rgba(0, 0, 0, 0.05)'
+              }}
+            >
+              {video ? (
+                <button onClick={() => onPlay(video)} style={{border: 'none', background: 'none', padding: 0, color: 'inherit', cursor: 'pointer', textAlign: 'left'}}>
+                  {e.text}
+                </button>
+              ) : (
+                e.text
+              )}
+            </div>
+          );
+        })}
+      </div>
+      <div style={{textAlign: 'center', marginTop: '0.5rem'}}>
+        <button onClick={onStartOver} style={{border: 'none', background: 'none', color: '#9ca3af', fontSize: '0.75rem', cursor: 'pointer'}}>
+          {t("startOver")}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/** Transcript cues matching the query; clicking one jumps the player there */
+const TranscriptMoments = ({ moments, onSeek, t }) => (
+  <div style={{fontSize: '0.875rem', color: '#374151', marginBottom: '1rem', textAlign: 'left'}}>
+    <div style={{fontWeight: '500', marginBottom: '0.375rem'}}>{t("inTheClass")}</div>
+    <ul style={{margin: 0, padding: 0, listStyle: 'none'}}>
+      {moments.map((m) => (
+        <li key={m.time} style={{marginBottom: '0.25rem'}}>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onSeek(m.time);
+            }}
+            title={t("playFrom", { at: formatTimestamp(m.time) })}
+            style={{border: 'none', background: 'none', padding: 0, cursor: 'pointer', textAlign: 'left', color: '#6b7280'}}
+          >
+            <span style={{color: '#ea580c', fontWeight: '500', fontVariantNumeric: 'tabular-nums', marginRight: '0.5rem'}}>{formatTimestamp(m.time)}</span>
+            “<Highlight text={m.text} terms={m.terms} />”
+          </button>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+const CatalogProblems = ({ state, onRetry, t }) => {
+  const fatal = state.status === "error";
+  const ids = [...new Set(state.errors.map((e) => e.id).filter(Boolean))];
+  const hidden = ids.length === 0 ? t("catalogHiddenSome") : ids.length === 1 ? t("catalogHiddenOne") : t("catalogHidden", { n: ids.length });
+  const failed = state.reason ? t("catalogFailed", { reason: state.reason }) : t("catalogEmpty");
+  return (
+    <div
+      role="alert"
+      style={{
+        maxWidth: '42rem',
+        margin: '0 auto 2rem',
+        padding: '1rem 1.25rem',
+        borderRadius: '16px',
+        backgroundColor: fatal ? '#fef2f2' : '#fffbeb',
+        border: `1px solid ${fatal ? '#fecaca' : '#fde68a'}`,
+        color: fatal ? '#991b1b' : '#92400e',
+        fontSize: '0.875rem',
+        textAlign: 'left'
+      }}
+    >
+      <div style={{display: 'flex', alignItems: 'center', gap: '0.5rem', fontWeight: '500'}}>
+        <AlertTriangle size={16} />
+        {fatal ? failed : hidden}
+      </div>
+      {state.errors.length > 0 && (
+        <details style={{marginTop: '0.5rem'}}>
+          <summary style={{cursor: 'pointer'}}>{t("details")}</summary>
+          <ul style={{margin: '0.5rem 0 0', paddingLeft: '1.25rem'}}>
+            {state.errors.slice(0, 10).map((e, i) => (
+              <li key={i}>
+                <code>{e.id || e.path}</code>: {e.message}
+              </li>
+            ))}
+            {state.errors.length > 10 && <li>{t("andMore", { n: state.errors.length - 10 })}</li>}
+          </ul>
+        </details>
+      )}
+      {fatal && (
+        <button
+          onClick={onRetry}
+          style={{display: 'inline-flex', alignItems: 'center', gap: '0.375rem', marginTop: '0.75rem', padding: '0.375rem 0.875rem', borderRadius: '9999px', border: '1px solid #fecaca', backgroundColor: 'white', color: '#991b1b', cursor: 'pointer'}}
+        >
+          <RefreshCw size={14} />
+          {t("tryAgain")}
+        </button>
+      )}
+    </div>
+  );
+};
+
+const SessionPlaylist = ({ session, onPlay, onEnd, t }) => {
+  const { items, index, target, total } = session;
+  return (
+    <div style={{padding: '1rem 1.5rem', borderBottom: '1px solid #f3f4f6', backgroundColor: '#fffbeb', textAlign: 'left'}}>
+      <div style={{display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '0.5rem', fontSize: '0.875rem', color: '#92400e'}}>
+        <span style={{display: 'flex', alignItems: 'center', gap: '0.375rem', fontWeight: '500'}}>
+          <ListMusic size={16} />
+          {t("sessionTitle", { total })}{target ? ` ${t("sessionAskedFor", { target })}` : ''}
+        </span>
+        <span style={{display: 'flex', gap: '0.25rem'}}>
+          {index < items.length - 1 && (
+            <button onClick={() => onPlay(index + 1)} title={t("nextClass")} style={{border: 'none', background: 'none', color: '#92400e', cursor: 'pointer'}}>
+              <SkipForward size={16} />
+            </button>
+          )}
+          <button onClick={onEnd} title={t("endSession")} style={{border: 'none', background: 'none', color: '#92400e', cursor: 'pointer'}}>
+            <X size={16} />
+          </button>
+        </span>
+      </div>
+      <ol style={{margin: 0, paddingLeft: '1.25rem', fontSize: '0.875rem', color: '#374151'}}>
+        {items.map((item, i) => (
+          <li key={item.video.id} style={{marginBottom: '0.25rem'}}>
+            <button
+              onClick={() => onPlay(i)}
+              style={{border: 'none', background: 'none', padding: 0, cursor: 'pointer', textAlign: 'left', color: 'inherit', fontWeight: i === index ? '600' : '400'}}
+            >
+              <span style={{color: '#d97706', textTransform: 'capitalize'}}>
+                {item.label === SESSION_ROLES[item.role].label ? t(ROLE_KEYS[item.role]) : item.label}
+              </span> · {item.video.title} · {t("minutes", { n: item.video.lengthMin })}
+              {i === index && <span style={{color: '#9ca3af'}}> {t("nowPlaying")}</span>}
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
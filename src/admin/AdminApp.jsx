@@ -0,0 +1,289 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { AlertTriangle, CheckCircle, Download, Plus, Trash2, Upload } from "lucide-react";
+import { validateCatalog } from "../catalog/validate.js";
+import { cleanVideo, formatCatalog, newVideo, problemsById, videosOf, withVideos } from "./catalogEdit.js";
+import { discardDraft, loadAdminCatalog, publishDraft, saveDraft } from "./adminApi.js";
+import VideoEditor from "./VideoEditor.jsx";
+
+// Draft kept in the browser when the site has no catalog storage
+const LOCAL_DRAFT = "yoga.adminDraft";
+
+const buttonStyle = (primary, disabled) => ({
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: '0.375rem',
+  padding: '0.5rem 1rem',
+  borderRadius: '9999px',
+  border: primary ? 'none' : '1px solid #e5e7eb',
+  backgroundColor: primary ? '#4f46e5' : 'white',
+  color: primary ? 'white' : '#374151',
+  fontSize: '0.875rem',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.5 : 1
+});
+
+const when = (ms) => new Date(ms).toLocaleString();
+
+/** The published catalog, a saved draft and storage mode, from the API or (locally) the static file */
+async function loadEverything() {
+  try {
+    return await loadAdminCatalog();
+  } catch (e) {
+    // `vite dev` has no functions, and sites without CATALOG_KV can't store drafts
+    if (e.status !== 404 && e.status !== 503) throw e;
+    const res = await fetch("/catalog.json", { cache: "no-store" });
+    if (!res.ok) throw new Error(`catalog.json returned ${res.status}`);
+    let draft = null;
+    try {
+      draft = JSON.parse(localStorage.getItem(LOCAL_DRAFT));
+    } catch {
+      // Unreadable local draft: start from the published catalog
+    }
+    return { storage: false, draft, published: { catalog: await res.json(), revision: 0 } };
+  }
+}
+
+/**
+ * Catalog editor for instructors at /admin (the middleware only lets the
+ * instructor role in). Edits go to a draft; publishing needs a draft that
+ * validates, so students never get a broken catalog. Without catalog
+ * storage the draft stays in this browser and "Export" downloads a
+ * validated catalog.json to deploy.
+ */
+export default function AdminApp() {
+  const [loadState, setLoadState] = useState({ status: "loading", message: "" });
+  const [storage, setStorage] = useState(false);
+  const [published, setPublished] = useState(null);
+  const [catalog, setCatalog] = useState(null);
+  // Draft revision the edits started from (storage mode), and the last saved text
+  const [revision, setRevision] = useState(null);
+  const [saved, setSaved] = useState({ text: "", at: null, by: "" });
+  const [selected, setSelected] = useState(0);
+  const [newIndex, setNewIndex] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    document.title = "Catalog admin · YogaTools.ai";
+    loadEverything()
+      .then(({ storage, draft, published }) => {
+        const working = draft?.catalog ?? published.catalog;
+        setStorage(storage);
+        setPublished(published);
+        setCatalog(working);
+        setRevision(draft?.revision ?? null);
+        setSaved({ text: draft ? JSON.stringify(draft.catalog) : "", at: draft?.savedAt ?? null, by: draft?.savedBy || "" });
+        setLoadState({ status: "ready", message: "" });
+      })
+      .catch((e) => setLoadState({ status: "error", message: e.message }));
+  }, []);
+
+  const videos = videosOf(catalog);
+  const validation = useMemo(() => (catalog ? validateCatalog(catalog) : { errors: [], warnings: [], valid: true }), [catalog]);
+  const problems = useMemo(() => problemsById(validation), [validation]);
+  const text = catalog ? JSON.stringify(catalog) : "";
+  const dirty = !!catalog && text !== (saved.text || JSON.stringify(published?.catalog));
+  const hasDraft = !!saved.text;
+
+  // Leaving with unsaved edits loses them
+  useEffect(() => {
+    if (!dirty) return;
+    const warn = (e) => e.preventDefault();
+    window.addEventListener("beforeunload", warn);
+    return () => window.removeEventListener("beforeunload", warn);
+  }, [dirty]);
+
+  function updateVideo(next) {
+    setCatalog((c) => withVideos(c, videosOf(c).map((v, i) => (i === selected ? cleanVideo(next) : v))));
+  }
+
+  function addVideo() {
+    setCatalog((c) => withVideos(c, [...videosOf(c), newVideo(videosOf(c))]));
+    setSelected(videos.length);
+    setNewIndex(videos.length);
+  }
+
+  function removeVideo() {
+    const v = videos[selected];
+    if (!window.confirm(`Remove "${v.title || v.id}" from the catalog?`)) return;
+    setCatalog((c) => withVideos(c, videosOf(c).filter((_, i) => i !== selected)));
+    setSelected((i) => Math.max(0, i - 1));
+    setNewIndex(null);
+  }
+
+  /** Run an API action, reporting failure instead of losing the edits */
+  async function run(action) {
+    setBusy(true);
+    setNotice(null);
+    try {
+      await action();
+    } catch (e) {
+      setNotice({ kind: "error", text: e.message, details: e.details });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const save = () =>
+    run(async () => {
+      if (!storage) {
+        const draft = { catalog, savedAt: Date.now() };
+        localStorage.setItem(LOCAL_DRAFT, JSON.stringify(draft));
+        setSaved({ text, at: draft.savedAt, by: "" });
+        return;
+      }
+      const { draft } = await saveDraft(catalog, revision);
+      setRevision(draft.revision);
+      setSaved({ text: JSON.stringify(draft.catalog), at: draft.savedAt, by: draft.savedBy });
+      setNotice({ kind: "ok", text: validation.valid ? "Draft saved." : "Draft saved. Fix its errors before publishing." });
+    });
+
+  const publish = () =>
+    run(async () => {
+      let rev = revision;
+      if (dirty) {
+        const { draft } = await saveDraft(catalog, revision);
+        rev = draft.revision;
+        setRevision(rev);
+        setSaved({ text: JSON.stringify(draft.catalog), at: draft.savedAt, by: draft.savedBy });
+      }
+      const result = await publishDraft(rev);
+      setPublished({ ...result.published, catalog });
+      setNotice({ kind: "ok", text: "Published. Students see the new catalog within a few minutes." });
+    });
+
+  const discard = () =>
+    run(async () => {
+      if (!window.confirm("Throw away the draft and go back to the published catalog?")) return;
+      if (storage) await discardDraft();
+      else localStorage.removeItem(LOCAL_DRAFT);
+      setCatalog(published.catalog);
+      setRevision(null);
+      setSaved({ text: "", at: null, by: "" });
+      setSelected(0);
+      setNewIndex(null);
+    });
+
+  function exportCatalog() {
+    const url = URL.createObjectURL(new Blob([formatCatalog(catalog)], { type: "application/json" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "catalog.json";
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  if (loadState.status !== "ready") {
+    return (
+      <div style={{padding: '3rem', textAlign: 'center', color: loadState.status === "error" ? '#b91c1c' : '#6b7280'}}>
+        {loadState.status === "error" ? `Couldn't load the catalog: ${loadState.message}` : "Loading catalog…"}
+      </div>
+    );
+  }
+
+  const current = videos[selected];
+  const canPublish = storage && validation.valid && !busy && (dirty || hasDraft);
+
+  return (
+    <div style={{minHeight: '100vh', backgroundColor: '#f9fafb', color: '#374151'}}>
+      <header style={{display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '1rem', padding: '1rem 1.5rem', backgroundColor: 'white', borderBottom: '1px solid #e5e7eb'}}>
+        <a href="/"><img src="/yogatools_logo1.png" alt="YogaTools.ai" style={{height: '40px'}} /></a>
+        <h1 style={{fontSize: '1.25rem', fontWeight: '500', margin: 0}}>Catalog admin</h1>
+        <span style={{fontSize: '0.8125rem', color: '#6b7280'}}>
+          {dirty ? "Unsaved changes" : hasDraft ? `Draft saved ${when(saved.at)}${saved.by ? ` by ${saved.by}` : ""}` : "No draft; showing the published catalog"}
+          {published?.publishedAt && ` · Published ${when(published.publishedAt)} by ${published.publishedBy}`}
+        </span>
+        <div style={{marginLeft: 'auto', display: 'flex', flexWrap: 'wrap', gap: '0.5rem'}}>
+          <button onClick={save} disabled={!dirty || busy} style={buttonStyle(false, !dirty || busy)}>Save draft</button>
+          {hasDraft && <button onClick={discard} disabled={busy} style={buttonStyle(false, busy)}>Discard draft</button>}
+          <button onClick={exportCatalog} disabled={!validation.valid} title={validation.valid ? "" : "Fix the errors first"} style={buttonStyle(!storage, !validation.valid)}>
+            <Download size={14} aria-hidden="true" /> Export catalog.json
+          </button>
+          {storage && (
+            <button onClick={publish} disabled={!canPublish} title={validation.valid ? "" : "Fix the errors first"} style={buttonStyle(true, !canPublish)}>
+              <Upload size={14} aria-hidden="true" /> Publish
+            </button>
+          )}
+        </div>
+      </header>
+
+      {!storage && (
+        <p style={{margin: 0, padding: '0.5rem 1.5rem', backgroundColor: '#eef2ff', fontSize: '0.8125rem', color: '#3730a3'}}>
+          This site has no catalog storage (CATALOG_KV), so drafts stay in this browser. Export the catalog and deploy it as public/catalog.json to publish.
+        </p>
+      )}
+      {notice && (
+        <div role={notice.kind === "error" ? "alert" : "status"} style={{padding: '0.5rem 1.5rem', fontSize: '0.8125rem', backgroundColor: notice.kind === "error" ? '#fef2f2' : '#ecfdf5', color: notice.kind === "error" ? '#b91c1c' : '#047857'}}>
+          {notice.text}
+          {notice.details?.length > 0 && (
+            <ul style={{margin: '0.25rem 0 0', paddingLeft: '1.25rem'}}>
+              {notice.details.map((d, i) => <li key={i}>{d.id || d.path}: {d.message}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <div style={{display: 'flex', flexWrap: 'wrap', gap: '1.5rem', padding: '1.5rem', alignItems: 'flex-start'}}>
+        <nav style={{flex: '1 1 240px', maxWidth: '320px', backgroundColor: 'white', borderRadius: '12px', boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)', overflow: 'hidden'}}>
+          <div style={{display: 'flex', alignItems: 'center', justifyContent: 'space-between', padding: '0.75rem 1rem', borderBottom: '1px solid #f3f4f6', fontSize: '0.8125rem', color: '#6b7280'}}>
+            <span>
+              {videos.length} classes · {validation.errors.length} errors · {validation.warnings.length} warnings
+            </span>
+            <button onClick={addVideo} aria-label="Add a class" style={{border: 'none', background: 'none', cursor: 'pointer', color: '#4f46e5', display: 'flex'}}>
+              <Plus size={18} />
+            </button>
+          </div>
+          <ul style={{listStyle: 'none', margin: 0, padding: 0, maxHeight: '70vh', overflowY: 'auto'}}>
+            {videos.map((v, i) => {
+              const p = problems[v.id];
+              return (
+                <li key={i}>
+                  <button
+                    onClick={() => setSelected(i)}
+                    style={{width: '100%', display: 'flex', alignItems: 'center', gap: '0.5rem', padding: '0.5rem 1rem', border: 'none', textAlign: 'left', cursor: 'pointer', fontSize: '0.875rem', backgroundColor: i === selected ? '#eef2ff' : 'white', color: '#374151'}}
+                  >
+                    {p?.errors.length ? (
+                      <AlertTriangle size={14} color="#dc2626" aria-label="Has errors" />
+                    ) : p?.warnings.length ? (
+                      <AlertTriangle size={14} color="#d97706" aria-label="Has warnings" />
+                    ) : (
+                      <CheckCircle size={14} color="#10b981" aria-label="Valid" />
+                    )}
+                    <span style={{overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'}}>{v.title || v.id || "Untitled"}</span>
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+          {problems[""] && (
+            <p style={{margin: 0, padding: '0.75rem 1rem', fontSize: '0.8125rem', color: '#b91c1c'}}>
+              {problems[""].errors.map((e) => `${e.path}: ${e.message}`).join("; ")}
+            </p>
+          )}
+        </nav>
+
+        <section style={{flex: '3 1 420px', backgroundColor: 'white', borderRadius: '12px', boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)', padding: '1.5rem'}}>
+          {current ? (
+            <>
+              <div style={{display: 'flex', justifyContent: 'flex-end', marginBottom: '0.5rem'}}>
+                <button onClick={removeVideo} style={{...buttonStyle(false, false), color: '#b91c1c'}}>
+                  <Trash2 size={14} aria-hidden="true" /> Remove class
+                </button>
+              </div>
+              <VideoEditor
+                key={selected}
+                video={current}
+                onChange={updateVideo}
+                problems={problems[current.id]}
+                isNew={selected === newIndex}
+                storage={storage}
+              />
+            </>
+          ) : (
+            <p style={{color: '#6b7280'}}>No classes yet. Add one with +.</p>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,266 @@
+import React, { useState } from "react";
+import { FileText, Image, Upload, X } from "lucide-react";
+import { LEVEL_ORDER, parseCaptions } from "../engine/index.js";
+import { VOCABULARY } from "../catalog/validate.js";
+import { TAG_FIELDS, slugify } from "./catalogEdit.js";
+import { uploadMedia } from "./adminApi.js";
+
+const TAG_LABELS = {
+  focuses: "Focuses",
+  intents: "Intents",
+  vibe: "Vibe",
+  contraindications: "Contraindications",
+  equipment: "Equipment",
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.5rem 0.75rem',
+  border: '1px solid #e5e7eb',
+  borderRadius: '8px',
+  fontSize: '0.875rem',
+  color: '#374151',
+  backgroundColor: 'white',
+  boxSizing: 'border-box'
+};
+
+const Field = ({ label, hint, children }) => (
+  <label style={{display: 'block', marginBottom: '1rem'}}>
+    <span style={{display: 'block', fontSize: '0.8125rem', fontWeight: '500', color: '#374151', marginBottom: '0.25rem'}}>{label}</span>
+    {children}
+    {hint && <span style={{display: 'block', fontSize: '0.75rem', color: '#9ca3af', marginTop: '0.25rem'}}>{hint}</span>}
+  </label>
+);
+
+/**
+ * Form for one catalog video. `onChange` gets the whole edited video.
+ * `isNew` keeps the id following the title until the id is edited by hand;
+ * `storage` enables uploads (without it, files are referenced by path).
+ */
+export default function VideoEditor({ video, onChange, problems, isNew, storage }) {
+  const [idTouched, setIdTouched] = useState(false);
+  const set = (field, value) => onChange({ ...video, [field]: value });
+
+  function setTitle(title) {
+    const follow = isNew && !idTouched && slugify(title);
+    onChange({ ...video, title, ...(follow && { id: follow }) });
+  }
+
+  return (
+    <div style={{textAlign: 'left'}}>
+      {problems && (problems.errors.length > 0 || problems.warnings.length > 0) && (
+        <ul style={{listStyle: 'none', padding: '0.75rem 1rem', margin: '0 0 1rem', borderRadius: '8px', backgroundColor: problems.errors.length ? '#fef2f2' : '#fffbeb', fontSize: '0.8125rem'}}>
+          {problems.errors.map((p, i) => (
+            <li key={`e${i}`} style={{color: '#b91c1c'}}>{p.path}: {p.message}</li>
+          ))}
+          {problems.warnings.map((p, i) => (
+            <li key={`w${i}`} style={{color: '#92400e'}}>{p.path}: {p.message}</li>
+          ))}
+        </ul>
+      )}
+
+      <Field label="Title">
+        <input style={inputStyle} value={video.title || ""} onChange={(e) => setTitle(e.target.value)} />
+      </Field>
+      <Field label="Id" hint="Lowercase words joined by hyphens; used in links, so avoid changing it once published">
+        <input
+          style={inputStyle}
+          value={video.id || ""}
+          onChange={(e) => {
+            setIdTouched(true);
+            set("id", e.target.value);
+          }}
+        />
+      </Field>
+
+      <div style={{display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem'}}>
+        <Field label="Level">
+          <select style={inputStyle} value={video.level || ""} onChange={(e) => set("level", e.target.value)}>
+            {LEVEL_ORDER.map((l) => (
+              <option key={l} value={l}>{l}</option>
+            ))}
+          </select>
+        </Field>
+        <Field label="Length (minutes)">
+          <input style={inputStyle} type="number" min="1" max="240" value={video.lengthMin ?? ""} onChange={(e) => set("lengthMin", e.target.value)} />
+        </Field>
+      </div>
+
+      <div style={{display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem'}}>
+        <Field label="Cloudflare Stream UID" hint="32 hex characters">
+          <input style={inputStyle} value={video.stream?.uid || ""} onChange={(e) => set("stream", { ...video.stream, uid: e.target.value.trim() })} />
+        </Field>
+        <Field label="…or video URL" hint="https://… or a path under public/">
+          <input style={inputStyle} value={video.url || ""} onChange={(e) => set("url", e.target.value.trim())} />
+        </Field>
+      </div>
+
+      <Field label="Notes" hint="Shown to students and searched">
+        <textarea style={{...inputStyle, minHeight: '4rem', resize: 'vertical'}} value={video.notes || ""} onChange={(e) => set("notes", e.target.value)} />
+      </Field>
+
+      {TAG_FIELDS.map((field) => (
+        <Field key={field} label={TAG_LABELS[field]}>
+          <TagInput field={field} tags={video[field] || []} onChange={(tags) => set(field, tags)} />
+        </Field>
+      ))}
+
+      <PosterField video={video} onChange={(poster) => set("poster", poster)} storage={storage} />
+      <TranscriptField video={video} onChange={onChange} storage={storage} />
+    </div>
+  );
+}
+
+/** Tag chips plus an input that suggests vocabulary tags; Enter or comma adds */
+const TagInput = ({ field, tags, onChange }) => {
+  const [text, setText] = useState("");
+  const known = VOCABULARY[field] || [];
+  const listId = `vocabulary-${field}`;
+
+  function add(value) {
+    const tag = value.trim().toLowerCase();
+    if (tag && !tags.includes(tag)) onChange([...tags, tag]);
+    setText("");
+  }
+
+  return (
+    <div style={{...inputStyle, display: 'flex', flexWrap: 'wrap', gap: '0.375rem', alignItems: 'center'}}>
+      {tags.map((tag) => {
+        const unknown = !known.includes(tag);
+        return (
+          <span
+            key={tag}
+            title={unknown ? `Not in the ${field} vocabulary` : undefined}
+            style={{display: 'inline-flex', alignItems: 'center', gap: '0.25rem', padding: '0.125rem 0.5rem', borderRadius: '9999px', fontSize: '0.8125rem', backgroundColor: unknown ? '#fef3c7' : '#eef2ff', color: unknown ? '#92400e' : '#3730a3'}}
+          >
+            {tag}
+            <button
+              type="button"
+              onClick={() => onChange(tags.filter((t) => t !== tag))}
+              aria-label={`Remove ${tag}`}
+              style={{border: 'none', background: 'none', padding: 0, cursor: 'pointer', color: 'inherit', display: 'flex'}}
+            >
+              <X size={12} />
+            </button>
+          </span>
+        );
+      })}
+      <input
+        list={listId}
+        value={text}
+        onChange={(e) => (e.target.value.endsWith(",") ? add(e.target.value.slice(0, -1)) : setText(e.target.value))}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") {
+            e.preventDefault();
+            add(text);
+          } else if (e.key === "Backspace" && !text && tags.length) {
+            onChange(tags.slice(0, -1));
+          }
+        }}
+        onBlur={() => text && add(text)}
+        placeholder={tags.length ? "" : "Add a tag…"}
+        style={{flex: '1 0 8rem', border: 'none', outline: 'none', fontSize: '0.875rem', minWidth: 0}}
+      />
+      <datalist id={listId}>
+        {known.filter((k) => !tags.includes(k)).map((k) => (
+          <option key={k} value={k} />
+        ))}
+      </datalist>
+    </div>
+  );
+};
+
+/** File picker that uploads; shows what went wrong instead of failing silently */
+const UploadButton = ({ label, accept, onFile }) => {
+  const [state, setState] = useState({ busy: false, error: "" });
+  async function pick(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setState({ busy: true, error: "" });
+    try {
+      await onFile(file);
+      setState({ busy: false, error: "" });
+    } catch (err) {
+      setState({ busy: false, error: err.message });
+    }
+  }
+  return (
+    <span style={{display: 'inline-flex', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap'}}>
+      <label style={{display: 'inline-flex', alignItems: 'center', gap: '0.375rem', padding: '0.375rem 0.75rem', border: '1px solid #e5e7eb', borderRadius: '8px', fontSize: '0.8125rem', color: '#374151', cursor: state.busy ? 'wait' : 'pointer', backgroundColor: 'white'}}>
+        <Upload size={14} aria-hidden="true" />
+        {state.busy ? "Uploading…" : label}
+        <input type="file" accept={accept} onChange={pick} disabled={state.busy} style={{display: 'none'}} />
+      </label>
+      {state.error && <span role="alert" style={{fontSize: '0.75rem', color: '#b91c1c'}}>{state.error}</span>}
+    </span>
+  );
+};
+
+const PosterField = ({ video, onChange, storage }) => {
+  const [broken, setBroken] = useState(null);
+  return (
+    <Field label="Poster" hint={storage ? "JPEG, PNG or WebP, up to 5 MB" : "Path of an image under public/, e.g. /posters/hips.jpg"}>
+      <div style={{display: 'flex', gap: '1rem', alignItems: 'flex-start'}}>
+        <div style={{width: '160px', height: '90px', flexShrink: 0, borderRadius: '8px', backgroundColor: '#f3f4f6', display: 'flex', alignItems: 'center', justifyContent: 'center', overflow: 'hidden'}}>
+          {video.poster && broken !== video.poster ? (
+            <img src={video.poster} alt="" onError={() => setBroken(video.poster)} style={{width: '100%', height: '100%', objectFit: 'cover'}} />
+          ) : (
+            <Image size={24} color="#9ca3af" aria-hidden="true" />
+          )}
+        </div>
+        <div style={{flex: 1, display: 'flex', flexDirection: 'column', gap: '0.5rem'}}>
+          <input style={inputStyle} value={video.poster || ""} onChange={(e) => onChange(e.target.value.trim())} placeholder="/posters/…" />
+          {broken === video.poster && video.poster && <span style={{fontSize: '0.75rem', color: '#b45309'}}>Can't load this image</span>}
+          {storage && (
+            <UploadButton label="Upload poster" accept="image/jpeg,image/png,image/webp" onFile={async (file) => onChange(await uploadMedia("poster", video.id, file))} />
+          )}
+        </div>
+      </div>
+    </Field>
+  );
+};
+
+/**
+ * Attach a transcript: timed captions (.vtt/.srt, preferred: they give
+ * search moments and player captions) or plain text. The file is checked
+ * before it's attached, so an empty or garbled file isn't uploaded.
+ */
+const TranscriptField = ({ video, onChange, storage }) => {
+  const [preview, setPreview] = useState(null);
+
+  async function attach(file) {
+    const text = await file.text();
+    const timed = /\.(vtt|srt)$/i.test(file.name);
+    const cues = timed ? parseCaptions(text) : [];
+    if (timed && cues.length === 0) throw new Error(`No cues found in ${file.name}`);
+    if (!timed && !text.trim()) throw new Error(`${file.name} is empty`);
+    setPreview(
+      timed
+        ? { name: file.name, summary: `${cues.length} cues`, first: cues[0].text }
+        : { name: file.name, summary: `${text.trim().split(/\s+/).length} words`, first: text.trim().slice(0, 120) }
+    );
+    if (!storage) return;
+    const path = await uploadMedia(timed ? "captions" : "transcript", video.id, file);
+    onChange({ ...video, [timed ? "captions" : "transcriptTxt"]: path });
+  }
+
+  return (
+    <Field label="Transcript" hint="WebVTT or SRT captions are preferred; plain text works for search">
+      <div style={{display: 'flex', flexDirection: 'column', gap: '0.5rem'}}>
+        <input style={inputStyle} value={video.captions || ""} onChange={(e) => onChange({ ...video, captions: e.target.value.trim() })} placeholder="Captions: /captions/….vtt" />
+        <input style={inputStyle} value={video.transcriptTxt || ""} onChange={(e) => onChange({ ...video, transcriptTxt: e.target.value.trim() })} placeholder="Text transcript: /transcripts/….txt" />
+        <UploadButton label={storage ? "Attach transcript" : "Check a transcript file"} accept=".vtt,.srt,.txt" onFile={attach} />
+        {preview && (
+          <div style={{display: 'flex', gap: '0.5rem', fontSize: '0.8125rem', color: '#6b7280'}}>
+            <FileText size={14} aria-hidden="true" style={{flexShrink: 0, marginTop: '0.125rem'}} />
+            <span>
+              {preview.name}: {preview.summary}. <em>“{preview.first}”</em>
+              {!storage && " Add it under public/ and enter its path above."}
+            </span>
+          </div>
+        )}
+      </div>
+    </Field>
+  );
+};
@@ -0,0 +1,35 @@
+// Client for the /api/admin functions. Every call resolves to the parsed
+// JSON body or throws an Error carrying the server's message, `status` and
+// any `details` (validation errors on publish).
+
+async function call(path, init) {
+  const res = await fetch(path, { cache: "no-store", ...init });
+  const body = await res.json().catch(() => null);
+  if (!res.ok) throw Object.assign(new Error(body?.error || `${path} returned ${res.status}`), { status: res.status, details: body?.details });
+  return body;
+}
+
+const sendJson = (method, body) => ({ method, headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+
+export const loadAdminCatalog = () => call("/api/admin/catalog");
+
+export const saveDraft = (catalog, revision) => call("/api/admin/catalog", sendJson("PUT", { catalog, revision }));
+
+export const discardDraft = () => call("/api/admin/catalog", { method: "DELETE" });
+
+export const publishDraft = (revision) => call("/api/admin/publish", sendJson("POST", { revision }));
+
+/** Content types by extension; browsers often leave .vtt and .srt untyped */
+const TYPES = { vtt: "text/vtt", srt: "application/x-subrip", txt: "text/plain" };
+
+/** Upload a poster, captions or transcript file for `videoId`; resolves to its path */
+export async function uploadMedia(kind, videoId, file) {
+  const ext = file.name.split(".").pop().toLowerCase();
+  const params = new URLSearchParams({ kind, name: videoId });
+  const { path } = await call(`/api/admin/media?${params}`, {
+    method: "POST",
+    headers: { "Content-Type": TYPES[ext] || file.type || "application/octet-stream" },
+    body: file,
+  });
+  return path;
+}
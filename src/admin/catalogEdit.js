@@ -0,0 +1,77 @@
+// Pure helpers for editing a catalog in /admin. The catalog keeps the shape
+// it was loaded in ({ videos } or a bare array) so exports diff cleanly.
+
+/** Tag fields edited with autocompletion from VOCABULARY */
+export const TAG_FIELDS = ["focuses", "intents", "vibe", "contraindications", "equipment"];
+
+export const videosOf = (catalog) => (Array.isArray(catalog) ? catalog : catalog?.videos || []);
+
+export const withVideos = (catalog, videos) => (Array.isArray(catalog) ? videos : { ...catalog, videos });
+
+/** Catalog id for a title: "Hips Don't Lie" -> "hips-dont-lie" */
+export const slugify = (title) =>
+  title
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f'’]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+/** A new class with an id no other video uses; needs a source before it validates */
+export function newVideo(videos) {
+  const ids = new Set(videos.map((v) => v.id));
+  let id = "new-class";
+  for (let n = 2; ids.has(id); n++) id = `new-class-${n}`;
+  return {
+    id,
+    title: "",
+    lengthMin: 30,
+    level: "all levels",
+    focuses: [],
+    intents: [],
+    contraindications: [],
+    vibe: [],
+    equipment: [],
+    poster: "",
+    notes: "",
+  };
+}
+
+/** Drop optional fields left empty in the form, so they don't fail their patterns */
+export function cleanVideo(video) {
+  const v = { ...video };
+  for (const field of ["url", "transcriptTxt", "captions"]) if (!v[field]) delete v[field];
+  if (v.stream) {
+    const stream = Object.fromEntries(Object.entries(v.stream).filter(([, value]) => value));
+    if (Object.keys(stream).length) v.stream = stream;
+    else delete v.stream;
+  }
+  if (v.lengthMin === "" || v.lengthMin == null) delete v.lengthMin;
+  else v.lengthMin = Number(v.lengthMin);
+  return v;
+}
+
+/** Validation problems grouped by video id: `{ [id]: { errors, warnings } }` */
+export function problemsById({ errors, warnings }) {
+  const out = {};
+  const add = (kind) => (p) => {
+    const entry = (out[p.id ?? ""] ||= { errors: [], warnings: [] });
+    entry[kind].push(p);
+  };
+  errors.forEach(add("errors"));
+  warnings.forEach(add("warnings"));
+  return out;
+}
+
+/**
+ * catalog.json text as the repo writes it: two-space indent, with tag
+ * lists and stream objects kept on one line.
+ */
+export function formatCatalog(catalog) {
+  return (
+    JSON.stringify(catalog, null, 2).replace(/([[{])\n\s+([^[\]{}]*?)\n\s*([\]}])/g, (m, open, inner) => {
+      const items = inner.split(/,\n\s+/).join(", ");
+      return open === "{" ? `{ ${items} }` : `[${items}]`;
+    }) + "\n"
+  );
+}
@@ -0,0 +1,73 @@
+// Opt-in, anonymised query logging, so the school can see what people ask
+// for that the catalog doesn't have (scripts/demand-report.js).
+//
+// Nothing is sent unless the build sets VITE_QUERY_LOG_URL (for example the
+// local collector, `npm run log-server`) and the user has opted in. Events
+// carry no user id: only a random id for this page load, to tie a click to
+// its query, and the time rounded to the hour.
+//
+//   { type: "query", sid, t, q, lang, results: [{ id, score }], unmet }
+//   { type: "click", sid, t, q, lang, id, rank, source: "recommend" | "list" }
+//
+// `unmet` is true when no class scored above 0.
+
+const KEY = "yoga.queryLog";
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_QUERY = 200;
+
+export const LOG_URL = import.meta.env?.VITE_QUERY_LOG_URL || "";
+
+const sid = Math.random().toString(36).slice(2, 10);
+
+export function loggingEnabled() {
+  try {
+    return !!LOG_URL && localStorage.getItem(KEY) === "true";
+  } catch {
+    return false;
+  }
+}
+
+export function setLoggingEnabled(on) {
+  try {
+    localStorage.setItem(KEY, JSON.stringify(!!on));
+  } catch (e) {
+    console.warn("Could not save logging preference", e);
+  }
+}
+
+/** Query text without the obviously personal bits */
+export function anonymise(text) {
+  return (text || "")
+    .replace(/\S+@\S+\.\S+/g, "[email]")
+    .replace(/\bhttps?:\/\/\S+/gi, "[link]")
+    .replace(/\+?\d[\d\s().-]{6,}\d/g, "[number]")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_QUERY);
+}
+
+function send(event) {
+  if (!loggingEnabled()) return;
+  const body = JSON.stringify({ ...event, sid, t: Math.floor(Date.now() / HOUR_MS) * HOUR_MS });
+  // text/plain keeps cross-origin beacons free of a CORS preflight
+  const blob = new Blob([body], { type: "text/plain" });
+  if (navigator.sendBeacon?.(LOG_URL, blob)) return;
+  fetch(LOG_URL, { method: "POST", body: blob, keepalive: true, mode: "no-cors" }).catch(() => {});
+}
+
+/** A submitted query and what it returned (`results` are ranked rows with `_score`) */
+export function logQuery(query, lang, results) {
+  const top = results.filter((v) => v._score > 0).slice(0, 5);
+  send({
+    type: "query",
+    q: anonymise(query),
+    lang,
+    results: top.map((v) => ({ id: v.id, score: Math.round(v._score * 100) / 100 })),
+    unmet: top.length === 0,
+  });
+}
+
+/** A class picked from results; `rank` is its 0-based position there */
+export function logClick(query, lang, id, rank, source) {
+  send({ type: "click", q: anonymise(query), lang, id, rank, source });
+}
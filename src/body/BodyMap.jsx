@@ -0,0 +1,122 @@
+import React from "react";
+import { X } from "lucide-react";
+import { BODY_AREAS, nextBodyState } from "../engine/index.js";
+
+/** Area ids -> UI string keys */
+const AREA_KEYS = {
+  neck: "bodyNeck",
+  shoulders: "bodyShoulders",
+  "lower-back": "bodyLowerBack",
+  hips: "bodyHips",
+  hamstrings: "bodyHamstrings",
+  knees: "bodyKnees",
+};
+
+const STATE_KEYS = { tight: "bodyTight", sore: "bodySore", injured: "bodyInjured" };
+
+const STATE_COLORS = {
+  tight: { fill: '#fde68a', stroke: '#d97706' },
+  sore: { fill: '#fdba74', stroke: '#ea580c' },
+  injured: { fill: '#fca5a5', stroke: '#dc2626' },
+};
+
+/** Tappable shapes per area, in the 120 × 240 figure below */
+const SHAPES = {
+  neck: [<rect key="n" x="52" y="33" width="16" height="13" rx="5" />],
+  shoulders: [<ellipse key="l" cx="37" cy="53" rx="12" ry="8" />, <ellipse key="r" cx="83" cy="53" rx="12" ry="8" />],
+  "lower-back": [<rect key="b" x="44" y="90" width="32" height="18" rx="7" />],
+  hips: [<ellipse key="l" cx="47" cy="120" rx="11" ry="9" />, <ellipse key="r" cx="73" cy="120" rx="11" ry="9" />],
+  hamstrings: [<rect key="l" x="41" y="133" width="16" height="38" rx="7" />, <rect key="r" x="63" y="133" width="16" height="38" rx="7" />],
+  knees: [<circle key="l" cx="49" cy="183" r="8" />, <circle key="r" cx="71" cy="183" r="8" />],
+};
+
+/**
+ * Body figure for saying where it hurts without words. Tapping an area
+ * cycles it through tight, sore and injured, then clears it. `value` is a
+ * body-map selection (engine/bodyMap.js); `onChange` gets the new one.
+ */
+export default function BodyMap({ value, onChange, t }) {
+  const chosen = BODY_AREAS.filter((a) => value[a.id]);
+
+  function set(id, state) {
+    const next = { ...value };
+    if (state) next[id] = state;
+    else delete next[id];
+    onChange(next);
+  }
+
+  return (
+    <div style={{display: 'flex', gap: '0.75rem', alignItems: 'flex-start', textAlign: 'left'}}>
+      <svg viewBox="0 0 120 240" width="96" height="192" role="group" aria-label={t("bodyMapTitle")} style={{flexShrink: 0}}>
+        <g fill="#f3f4f6" stroke="#e5e7eb" strokeWidth="1.5">
+          <circle cx="60" cy="18" r="13" />
+          <rect x="38" y="44" width="44" height="76" rx="14" />
+          <rect x="22" y="50" width="13" height="68" rx="6" />
+          <rect x="85" y="50" width="13" height="68" rx="6" />
+          <rect x="40" y="112" width="19" height="118" rx="9" />
+          <rect x="61" y="112" width="19" height="118" rx="9" />
+        </g>
+        {BODY_AREAS.map((area) => {
+          const state = value[area.id];
+          const label = t(AREA_KEYS[area.id]);
+          const cycle = () => set(area.id, nextBodyState(state));
+          return (
+            <g
+              key={area.id}
+              role="button"
+              tabIndex={0}
+              aria-label={state ? `${label}: ${t(STATE_KEYS[state])}` : label}
+              onClick={cycle}
+              onKeyDown={(e) => {
+                if (e.key !== "Enter" && e.key !== " ") return;
+                e.preventDefault();
+                cycle();
+              }}
+              fill={state ? STATE_COLORS[state].fill : 'rgba(251, 146, 60, 0.08)'}
+              stroke={state ? STATE_COLORS[state].stroke : '#fdba74'}
+              strokeWidth="1.5"
+              strokeDasharray={state ? undefined : '3 2'}
+              style={{cursor: 'pointer', outline: 'none'}}
+            >
+              <title>{label}</title>
+              {SHAPES[area.id]}
+            </g>
+          );
+        })}
+      </svg>
+
+      <div style={{flex: 1, minWidth: 0}}>
+        <div style={{fontSize: '0.875rem', color: '#374151', fontWeight: '500'}}>{t("bodyMapTitle")}</div>
+        <p style={{fontSize: '0.75rem', color: '#9ca3af', margin: '0.25rem 0 0.5rem'}}>{t("bodyMapHint")}</p>
+        <div style={{display: 'flex', flexWrap: 'wrap', gap: '0.375rem'}}>
+          {chosen.map((area) => {
+            const state = value[area.id];
+            return (
+              <span
+                key={area.id}
+                style={{display: 'inline-flex', alignItems: 'center', gap: '0.25rem', padding: '0.125rem 0.5rem', borderRadius: '9999px', fontSize: '0.75rem', backgroundColor: STATE_COLORS[state].fill, color: '#374151'}}
+              >
+                {t(AREA_KEYS[area.id])} · {t(STATE_KEYS[state])}
+                <button
+                  onClick={() => set(area.id, null)}
+                  aria-label={t("bodyClearArea", { area: t(AREA_KEYS[area.id]) })}
+                  style={{border: 'none', background: 'none', padding: 0, cursor: 'pointer', color: 'inherit', display: 'flex'}}
+                >
+                  <X size={12} />
+                </button>
+              </span>
+            );
+          })}
+          {chosen.length > 1 && (
+            <button
+              onClick={() => onChange({})}
+              style={{border: 'none', background: 'none', color: '#fb923c', textDecoration: 'underline', cursor: 'pointer', padding: 0, fontSize: '0.75rem'}}
+            >
+              {t("bodyClear")}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
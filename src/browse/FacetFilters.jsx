@@ -0,0 +1,127 @@
+import React, { useState } from "react";
+
+/** How many focus chips to show before "more" */
+const TOP_FOCUSES = 12;
+
+const toggle = (list, value) => (list.includes(value) ? list.filter((v) => v !== value) : [...list, value]);
+
+function Chip({ on, count, onClick, children }) {
+  return (
+    <button
+      onClick={onClick}
+      disabled={!on && count === 0}
+      style={{
+        padding: '0.25rem 0.75rem',
+        borderRadius: '9999px',
+        border: on ? '1px solid #fb923c' : '1px solid #e5e7eb',
+        backgroundColor: on ? '#fff7ed' : 'white',
+        color: !on && count === 0 ? '#d1d5db' : on ? '#c2410c' : '#4b5563',
+        fontSize: '0.8125rem',
+        cursor: !on && count === 0 ? 'default' : 'pointer',
+        textTransform: 'capitalize'
+      }}
+    >
+      {children}
+      {count != null && <span style={{marginLeft: '0.375rem', color: '#9ca3af'}}>{count}</span>}
+    </button>
+  );
+}
+
+function Group({ label, children }) {
+  return (
+    <div style={{marginBottom: '1rem', textAlign: 'left'}}>
+      <div style={{fontSize: '0.75rem', fontWeight: '500', color: '#6b7280', textTransform: 'uppercase', letterSpacing: '0.05em', marginBottom: '0.5rem'}}>
+        {label}
+      </div>
+      <div style={{display: 'flex', flexWrap: 'wrap', gap: '0.375rem', alignItems: 'center'}}>{children}</div>
+    </div>
+  );
+}
+
+/**
+ * Faceted filters for the browse panel. `counts` comes from facetCounts();
+ * `value` is a constraints object (see engine/facets.js).
+ */
+export default function FacetFilters({ counts, value, onChange, t }) {
+  const [showAllFocuses, setShowAllFocuses] = useState(false);
+  const set = (patch) => onChange({ ...value, ...patch });
+  const { min, max } = counts.length;
+  const lo = value.minLength ?? min;
+  const hi = value.maxLength ?? max;
+  const focuses = showAllFocuses ? counts.focus : counts.focus.slice(0, TOP_FOCUSES);
+
+  return (
+    <div style={{marginBottom: '1.5rem'}}>
+      <Group label={t("facetLevel")}>
+        {counts.level.map(({ value: level, count }) => (
+          <Chip key={level} on={value.levels.includes(level)} count={count} onClick={() => set({ levels: toggle(value.levels, level) })}>
+            {level}
+          </Chip>
+        ))}
+      </Group>
+
+      <Group label={t("facetLength", { min: lo, max: hi })}>
+        <input
+          type="range"
+          aria-label={t("facetShortest")}
+          min={min}
+          max={max}
+          value={lo}
+          onChange={(e) => set({ minLength: Math.min(+e.target.value, hi) === min ? null : Math.min(+e.target.value, hi) })}
+          style={{flex: 1, accentColor: '#fb923c'}}
+        />
+        <input
+          type="range"
+          aria-label={t("facetLongest")}
+          min={min}
+          max={max}
+          value={hi}
+          onChange={(e) => set({ maxLength: Math.max(+e.target.value, lo) === max ? null : Math.max(+e.target.value, lo) })}
+          style={{flex: 1, accentColor: '#fb923c'}}
+        />
+      </Group>
+
+      <Group label={t("facetEquipment")}>
+        {counts.equipment.map(({ value: item, count }) =>
+          item === "none" ? (
+            <Chip key={item} on={value.noEquipment} count={count} onClick={() => set({ noEquipment: !value.noEquipment })}>
+              {t("facetNoEquipment")}
+            </Chip>
+          ) : (
+            <Chip
+              key={item}
+              on={value.withoutEquipment.includes(item)}
+              onClick={() => set({ withoutEquipment: toggle(value.withoutEquipment, item) })}
+            >
+              {t("facetWithout", { item })}
+            </Chip>
+          )
+        )}
+      </Group>
+
+      <Group label={t("facetVibe")}>
+        {counts.vibe.map(({ value: vibe, count }) => (
+          <Chip key={vibe} on={value.vibes.includes(vibe)} count={count} onClick={() => set({ vibes: toggle(value.vibes, vibe) })}>
+            {vibe}
+          </Chip>
+        ))}
+      </Group>
+
+      <Group label={t("facetFocus")}>
+        {focuses.map(({ value: focus, count }) => (
+          <Chip key={focus} on={value.focuses.includes(focus)} count={count} onClick={() => set({ focuses: toggle(value.focuses, focus) })}>
+            {focus}
+          </Chip>
+        ))}
+        {counts.focus.length > TOP_FOCUSES && (
+          <button
+            onClick={() => setShowAllFocuses((s) => !s)}
+            style={{border: 'none', background: 'none', color: '#9ca3af', fontSize: '0.8125rem', cursor: 'pointer'}}
+          >
+            {showAllFocuses ? t("facetFewer") : t("facetMore", { n: counts.focus.length - TOP_FOCUSES })}
+          </button>
+        )}
+      </Group>
+    </div>
+  );
+}
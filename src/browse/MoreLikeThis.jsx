@@ -0,0 +1,46 @@
+import React from "react";
+import { Play } from "lucide-react";
+
+/**
+ * "More like this" rail under the player: classes similar to the one
+ * playing (`items` from moreLikeThis()), scrolling sideways.
+ */
+export default function MoreLikeThis({ items, onSelect, t }) {
+  if (items.length === 0) return null;
+  return (
+    <div style={{padding: '1.25rem 1.5rem', borderTop: '1px solid #f3f4f6'}}>
+      <div style={{fontSize: '0.875rem', fontWeight: '500', color: '#374151', marginBottom: '0.75rem'}}>{t("moreLikeThis")}</div>
+      <ul style={{listStyle: 'none', margin: 0, padding: '0 0 0.25rem', display: 'flex', gap: '0.75rem', overflowX: 'auto', scrollSnapType: 'x proximity'}}>
+        {items.map(({ video, shared }) => (
+          <li key={video.id} style={{flex: '0 0 160px', scrollSnapAlign: 'start'}}>
+            <button
+              onClick={() => onSelect(video)}
+              style={{width: '100%', textAlign: 'left', border: 'none', background: 'none', padding: 0, cursor: 'pointer'}}
+            >
+              <div style={{height: '90px', borderRadius: '12px', overflow: 'hidden', backgroundColor: '#f3f4f6'}}>
+                {video.poster ? (
+                  <img src={video.poster} alt="" loading="lazy" style={{height: '100%', width: '100%', objectFit: 'cover'}} />
+                ) : (
+                  <div style={{height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center'}}>
+                    <Play size={20} style={{color: '#9ca3af'}} />
+                  </div>
+                )}
+              </div>
+              <div style={{marginTop: '0.375rem', fontSize: '0.875rem', color: '#374151', lineHeight: '1.25', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'}}>
+                {video.title}
+              </div>
+              <div style={{fontSize: '0.75rem', color: '#9ca3af'}}>
+                {t("minutes", { n: video.lengthMin })} · {video.level}
+              </div>
+              {shared.length > 0 && (
+                <div style={{fontSize: '0.75rem', color: '#fb923c', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'}}>
+                  {shared.slice(0, 3).join(", ")}
+                </div>
+              )}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+// Generated from catalog.schema.json by scripts/build-catalog-validator.js; do not edit.
+const ucs2length = { default: function ucs2length(str) {
+    const len = str.length;
+    let length = 0;
+    let pos = 0;
+    let value;
+    while (pos < len) {
+        length++;
+        value = str.charCodeAt(pos++);
+        if (value >= 0xd800 && value <= 0xdbff && pos < len) {
+            // high surrogate, and there is a next character
+            value = str.charCodeAt(pos);
+            if ((value & 0xfc00) === 0xdc00)
+                pos++; // low surrogate
+        }
+    }
+    return length;
+} };
+export const checkWrapped = validate16;const schema23 = {"type":"object","required":["videos"],"properties":{"$schema":{"type":"string"},"videos":{"$ref":"#/definitions/videoList"}},"additionalProperties":false};const schema12 = {"type":"array","items":{"$ref":"#/definitions/video"}};const schema13 = {"type":"object","required":["id","title","level"],"properties":{"id":{"description":"Stable slug, used in URLs and logs","type":"string","pattern":"^[a-z0-9]+(-[a-z0-9]+)*$"},"title":{"type":"string","minLength":1},"stream":{"description":"Cloudflare Stream source","type":"object","properties":{"uid":{"type":"string","pattern":"^[0-9a-f]{32}$"},"embed":{"type":"string","pattern":"^https://"}},"anyOf":[{"required":["uid"]},{"required":["embed"]}],"additionalProperties":false},"url":{"$ref":"#/definitions/path"},"lengthMin":{"type":"number","exclusiveMinimum":0,"maximum":240},"durationSec":{"type":"number","exclusiveMinimum":0},"level":{"enum":["beginner","intermediate","advanced","all levels"]},"focuses":{"$ref":"#/definitions/tags"},"intents":{"$ref":"#/definitions/tags"},"contraindications":{"$ref":"#/definitions/tags"},"vibe":{"$ref":"#/definitions/tags"},"equipment":{"$ref":"#/definitions/tags"},"poster":{"description":"Empty while no poster has been made yet","anyOf":[{"const":""},{"$ref":"#/definitions/path"}]},"notes":{"type":"string"},"transcriptTxt":{"$ref":"#/definitions/path"},"captions":{"description":"Timed transcript as WebVTT (.vtt) or SRT (.srt); used for search moments and player captions","allOf":[{"$ref":"#/definitions/path"},{"type":"string","pattern":"\\.(vtt|srt)(\\?.*)?$"}]}},"allOf":[{"anyOf":[{"required":["stream"]},{"required":["url"]}]},{"anyOf":[{"required":["lengthMin"]},{"required":["durationSec"]}]}],"additionalProperties":false};const schema14 = {"description":"Absolute URL or a path under public/, e.g. /posters/x.jpg","type":"string","pattern":"^(https?://|/)"};const schema15 = {"type":"array","items":{"type":"string","minLength":1},"uniqueItems":true};const func2 = Object.prototype.hasOwnProperty;const func3 = ucs2length.default;const pattern0 = new RegExp("^[a-z0-9]+(-[a-z0-9]+)*$", "u");const pattern1 = new RegExp("^[0-9a-f]{32}$", "u");const pattern2 = new RegExp("^https://", "u");const pattern3 = new RegExp("^(https?://|/)", "u");const pattern7 = new RegExp("\\.(vtt|srt)(\\?.*)?$", "u");function validate12(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){let vErrors = null;let errors = 0;const _errs2 = errors;let valid1 = false;const _errs3 = errors;if(data && typeof data == "object" && !Array.isArray(data)){if(data.stream === undefined){const err0 = {instancePath,schemaPath:"#/allOf/0/anyOf/0/required",keyword:"required",params:{missingProperty: "stream"},message:"must have required property '"+"stream"+"'"};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}}var _valid0 = _errs3 === errors;valid1 = valid1 || _valid0;if(!valid1){const _errs4 = errors;if(data && typeof data == "object" && !Array.isArray(data)){if(data.url === undefined){const err1 = {instancePath,schemaPath:"#/allOf/0/anyOf/1/required",keyword:"required",params:{missingProperty: "url"},message:"must have required property '"+"url"+"'"};if(vErrors === null){vErrors = [err1];}else {vErrors.push(err1);}errors++;}}var _valid0 = _errs4 === errors;valid1 = valid1 || _valid0;}if(!valid1){const err2 = {instancePath,schemaPath:"#/allOf/0/anyOf",keyword:"anyOf",params:{},message:"must match a schema in anyOf"};if(vErrors === null){vErrors = [err2];}else {vErrors.push(err2);}errors++;}else {errors = _errs2;if(vErrors !== null){if(_errs2){vErrors.length = _errs2;}else {vErrors = null;}}}const _errs6 = errors;let valid2 = false;const _errs7 = errors;if(data && typeof data == "object" && !Array.isArray(data)){if(data.lengthMin === undefined){const err3 = {instancePath,schemaPath:"#/allOf/1/anyOf/0/required",keyword:"required",params:{missingProperty: "lengthMin"},message:"must have required property '"+"lengthMin"+"'"};if(vErrors === null){vErrors = [err3];}else {vErrors.push(err3);}errors++;}}var _valid1 = _errs7 === errors;valid2 = valid2 || _valid1;if(!valid2){const _errs8 = errors;if(data && typeof data == "object" && !Array.isArray(data)){if(data.durationSec === undefined){const err4 = {instancePath,schemaPath:"#/allOf/1/anyOf/1/required",keyword:"required",params:{missingProperty: "durationSec"},message:"must have required property '"+"durationSec"+"'"};if(vErrors === null){vErrors = [err4];}else {vErrors.push(err4);}errors++;}}var _valid1 = _errs8 === errors;valid2 = valid2 || _valid1;}if(!valid2){const err5 = {instancePath,schemaPath:"#/allOf/1/anyOf",keyword:"anyOf",params:{},message:"must match a schema in anyOf"};if(vErrors === null){vErrors = [err5];}else {vErrors.push(err5);}errors++;}else {errors = _errs6;if(vErrors !== null){if(_errs6){vErrors.length = _errs6;}else {vErrors = null;}}}if(data && typeof data == "object" && !Array.isArray(data)){if(data.id === undefined){const err6 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "id"},message:"must have required property '"+"id"+"'"};if(vErrors === null){vErrors = [err6];}else {vErrors.push(err6);}errors++;}if(data.title === undefined){const err7 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "title"},message:"must have required property '"+"title"+"'"};if(vErrors === null){vErrors = [err7];}else {vErrors.push(err7);}errors++;}if(data.level === undefined){const err8 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "level"},message:"must have required property '"+"level"+"'"};if(vErrors === null){vErrors = [err8];}else {vErrors.push(err8);}errors++;}for(const key0 in data){if(!(func2.call(schema13.properties, key0))){const err9 = {instancePath,schemaPath:"#/additionalProperties",keyword:"additionalProperties",params:{additionalProperty: key0},message:"must NOT have additional properties"};if(vErrors === null){vErrors = [err9];}else {vErrors.push(err9);}errors++;}}if(data.id !== undefined){let data0 = data.id;if(typeof data0 === "string"){if(!pattern0.test(data0)){const err10 = {instancePath:instancePath+"/id",schemaPath:"#/properties/id/pattern",keyword:"pattern",params:{pattern: "^[a-z0-9]+(-[a-z0-9]+)*$"},message:"must match pattern \""+"^[a-z0-9]+(-[a-z0-9]+)*$"+"\""};if(vErrors === null){vErrors = [err10];}else {vErrors.push(err10);}errors++;}}else {const err11 = {instancePath:instancePath+"/id",schemaPath:"#/properties/id/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err11];}else {vErrors.push(err11);}errors++;}}if(data.title !== undefined){let data1 = data.title;if(typeof data1 === "string"){if(func3(data1) < 1){const err12 = {instancePath:instancePath+"/title",schemaPath:"#/properties/title/minLength",keyword:"minLength",params:{limit: 1},message:"must NOT have fewer than 1 characters"};if(vErrors === null){vErrors = [err12];}else {vErrors.push(err12);}errors++;}}else {const err13 = {instancePath:instancePath+"/title",schemaPath:"#/properties/title/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err13];}else {vErrors.push(err13);}errors++;}}if(data.stream !== undefined){let data2 = data.stream;const _errs16 = errors;let valid4 = false;const _errs17 = errors;if(data2 && typeof data2 == "object" && !Array.isArray(data2)){if(data2.uid === undefined){const err14 = {instancePath:instancePath+"/stream",schemaPath:"#/properties/stream/anyOf/0/required",keyword:"required",params:{missingProperty: "uid"},message:"must have required property '"+"uid"+"'"};if(vErrors === null){vErrors = [err14];}else {vErrors.push(err14);}errors++;}}var _valid2 = _errs17 === errors;valid4 = valid4 || _valid2;if(!valid4){const _errs18 = errors;if(data2 && typeof data2 == "object" && !Array.isArray(data2)){if(data2.embed === undefined){const err15 = {instancePath:instancePath+"/stream",schemaPath:"#/properties/stream/anyOf/1/required",keyword:"required",params:{missingProperty: "embed"},message:"must have required property '"+"embed"+"'"};if(vErrors === null){vErrors = [err15];}else {vErrors.push(err15);}errors++;}}var _valid2 = _errs18 === errors;valid4 = valid4 || _valid2;}if(!valid4){const err16 = {instancePath:instancePath+"/stream",schemaPath:"#/properties/stream/anyOf",keyword:"anyOf",params:{},message:"must match a schema in anyOf"};if(vErrors === null){vErrors = [err16];}else {vErrors.push(err16);}errors++;}else {errors = _errs16;if(vErrors !== null){if(_errs16){vErrors.length = _errs16;}else {vErrors = null;}}}if(data2 && typeof data2 == "object" && !Array.isArray(data2)){for(const key1 in data2){if(!((key1 === "uid") || (key1 === "embed"))){const err17 = {instancePath:instancePath+"/stream",schemaPath:"#/properties/stream/additionalProperties",keyword:"additionalProperties",params:{additionalProperty: key1},message:"must NOT have additional properties"};if(vErrors === null){vErrors = [err17];}else {vErrors.push(err17);}errors++;}}if(data2.uid !== undefined){let data3 = data2.uid;if(typeof data3 === "string"){if(!pattern1.test(data3)){const err18 = {instancePath:instancePath+"/stream/uid",schemaPath:"#/properties/stream/properties/uid/pattern",keyword:"pattern",params:{pattern: "^[0-9a-f]{32}$"},message:"must match pattern \""+"^[0-9a-f]{32}$"+"\""};if(vErrors === null){vErrors = [err18];}else {vErrors.push(err18);}errors++;}}else {const err19 = {instancePath:instancePath+"/stream/uid",schemaPath:"#/properties/stream/properties/uid/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err19];}else {vErrors.push(err19);}errors++;}}if(data2.embed !== undefined){let data4 = data2.embed;if(typeof data4 === "string"){if(!pattern2.test(data4)){const err20 = {instancePath:instancePath+"/stream/embed",schemaPath:"#/properties/stream/properties/embed/pattern",keyword:"pattern",params:{pattern: "^https://"},message:"must match pattern \""+"^https://"+"\""};if(vErrors === null){vErrors = [err20];}else {vErrors.push(err20);}errors++;}}else {const err21 = {instancePath:instancePath+"/stream/embed",schemaPath:"#/properties/stream/properties/embed/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err21];}else {vErrors.push(err21);}errors++;}}}else {const err22 = {instancePath:instancePath+"/stream",schemaPath:"#/properties/stream/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err22];}else {vErrors.push(err22);}errors++;}}if(data.url !== undefined){let data5 = data.url;if(typeof data5 === "string"){if(!pattern3.test(data5)){const err23 = {instancePath:instancePath+"/url",schemaPath:"#/definitions/path/pattern",keyword:"pattern",params:{pattern: "^(https?://|/)"},message:"must match pattern \""+"^(https?://|/)"+"\""};if(vErrors === null){vErrors = [err23];}else {vErrors.push(err23);}errors++;}}else {const err24 = {instancePath:instancePath+"/url",schemaPath:"#/definitions/path/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err24];}else {vErrors.push(err24);}errors++;}}if(data.lengthMin !== undefined){let data6 = data.lengthMin;if((typeof data6 == "number") && (isFinite(data6))){if(data6 > 240 || isNaN(data6)){const err25 = {instancePath:instancePath+"/lengthMin",schemaPath:"#/properties/lengthMin/maximum",keyword:"maximum",params:{comparison: "<=", limit: 240},message:"must be <= 240"};if(vErrors === null){vErrors = [err25];}else {vErrors.push(err25);}errors++;}if(data6 <= 0 || isNaN(data6)){const err26 = {instancePath:instancePath+"/lengthMin",schemaPath:"#/properties/lengthMin/exclusiveMinimum",keyword:"exclusiveMinimum",params:{comparison: ">", limit: 0},message:"must be > 0"};if(vErrors === null){vErrors = [err26];}else {vErrors.push(err26);}errors++;}}else {const err27 = {instancePath:instancePath+"/lengthMin",schemaPath:"#/properties/lengthMin/type",keyword:"type",params:{type: "number"},message:"must be number"};if(vErrors === null){vErrors = [err27];}else {vErrors.push(err27);}errors++;}}if(data.durationSec !== undefined){let data7 = data.durationSec;if((typeof data7 == "number") && (isFinite(data7))){if(data7 <= 0 || isNaN(data7)){const err28 = {instancePath:instancePath+"/durationSec",schemaPath:"#/properties/durationSec/exclusiveMinimum",keyword:"exclusiveMinimum",params:{comparison: ">", limit: 0},message:"must be > 0"};if(vErrors === null){vErrors = [err28];}else {vErrors.push(err28);}errors++;}}else {const err29 = {instancePath:instancePath+"/durationSec",schemaPath:"#/properties/durationSec/type",keyword:"type",params:{type: "number"},message:"must be number"};if(vErrors === null){vErrors = [err29];}else {vErrors.push(err29);}errors++;}}if(data.level !== undefined){let data8 = data.level;if(!((((data8 === "beginner") || (data8 === "intermediate")) || (data8 === "advanced")) || (data8 === "all levels"))){const err30 = {instancePath:instancePath+"/level",schemaPath:"#/properties/level/enum",keyword:"enum",params:{allowedValues: schema13.properties.level.enum},message:"must be equal to one of the allowed values"};if(vErrors === null){vErrors = [err30];}else {vErrors.push(err30);}errors++;}}if(data.focuses !== undefined){let data9 = data.focuses;if(Array.isArray(data9)){const len0 = data9.length;for(let i0=0; i0<len0; i0++){let data10 = data9[i0];if(typeof data10 === "string"){if(func3(data10) < 1){const err31 = {instancePath:instancePath+"/focuses/" + i0,schemaPath:"#/definitions/tags/items/minLength",keyword:"minLength",params:{limit: 1},message:"must NOT have fewer than 1 characters"};if(vErrors === null){vErrors = [err31];}else {vErrors.push(err31);}errors++;}}else {const err32 = {instancePath:instancePath+"/focuses/" + i0,schemaPath:"#/definitions/tags/items/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err32];}else {vErrors.push(err32);}errors++;}}let i1 = data9.length;let j0;if(i1 > 1){const indices0 = {};for(;i1--;){let item0 = data9[i1];if(typeof item0 !== "string"){continue;}if(typeof indices0[item0] == "number"){j0 = indices0[item0];const err33 = {instancePath:instancePath+"/focuses",schemaPath:"#/definitions/tags/uniqueItems",keyword:"uniqueItems",params:{i: i1, j: j0},message:"must NOT have duplicate items (items ## "+j0+" and "+i1+" are identical)"};if(vErrors === null){vErrors = [err33];}else {vErrors.push(err33);}errors++;break;}indices0[item0] = i1;}}}else {const err34 = {instancePath:instancePath+"/focuses",schemaPath:"#/definitions/tags/type",keyword:"type",params:{type: "array"},message:"must be array"};if(vErrors === null){vErrors = [err34];}else {vErrors.push(err34);}errors++;}}if(data.intents !== undefined){let data11 = data.intents;if(Array.isArray(data11)){const len1 = data11.length;for(let i2=0; i2<len1; i2++){let data12 = data11[i2];if(typeof data12 === "string"){if(func3(data12) < 1){const err35 = {instancePath:instancePath+"/intents/" + i2,schemaPath:"#/definitions/tags/items/minLength",keyword:"minLength",params:{limit: 1},message:"must NOT have fewer than 1 characters"};if(vErrors === null){vErrors = [err35];}else {vErrors.push(err35);}errors++;}}else {const err36 = {instancePath:instancePath+"/intents/" + i2,schemaPath:"#/definitions/tags/items/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err36];}else {vErrors.push(err36);}errors++;}}let i3 = data11.length;let j1;if(i3 > 1){const indices1 = {};for(;i3--;){let item1 = data11[i3];if(typeof item1 !== "string"){continue;}if(typeof indices1[item1] == "number"){j1 = indices1[item1];const err37 = {instancePath:instancePath+"/intents",schemaPath:"#/definitions/tags/uniqueItems",keyword:"uniqueItems",params:{i: i3, j: j1},message:"must NOT have duplicate items (items ## "+j1+" and "+i3+" are identical)"};if(vErrors === null){vErrors = [err37];}else {vErrors.push(err37);}errors++;break;}indices1[item1] = i3;}}}else {const err38 = {instancePath:instancePath+"/intents",schemaPath:"#/definitions/tags/type",keyword:"type",params:{type: "array"},message:"must be array"};if(vErrors === null){vErrors = [err38];}else {vErrors.push(err38);}errors++;}}if(data.contraindications !== undefined){let data13 = data.contraindications;if(Array.isArray(data13)){const len2 = data13.length;for(let i4=0; i4<len2; i4++){let data14 = data13[i4];if(typeof data14 === "string"){if(func3(data14) < 1){const err39 = {instancePath:instancePath+"/contraindications/" + i4,schemaPath:"#/definitions/tags/items/minLength",keyword:"minLength",params:{limit: 1},message:"must NOT have fewer than 1 characters"};if(vErrors === null){vErrors = [err39];}else {vErrors.push(err39);}errors++;}}else {const err40 = {instancePath:instancePath+"/contraindications/" + i4,schemaPath:"#/definitions/tags/items/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err40];}else {vErrors.push(err40);}errors++;}}let i5 = data13.length;let j2;if(i5 > 1){const indices2 = {};for(;i5--;){let item2 = data13[i5];if(typeof item2 !== "string"){continue;}if(typeof indices2[item2] == "number"){j2 = indices2[item2];const err41 = {instancePath:instancePath+"/contraindications",schemaPath:"#/definitions/tags/uniqueItems",keyword:"uniqueItems",params:{i: i5, j: j2},message:"must NOT have duplicate items (items ## "+j2+" and "+i5+" are identical)"};if(vErrors === null){vErrors = [err41];}else {vErrors.push(err41);}errors++;break;}indices2[item2] = i5;}}}else {const err42 = {instancePath:instancePath+"/contraindications",schemaPath:"#/definitions/tags/type",keyword:"type",params:{type: "array"},message:"must be array"};if(vErrors === null){vErrors = [err42];}else {vErrors.push(err42);}errors++;}}if(data.vibe !== undefined){let data15 = data.vibe;if(Array.isArray(data15)){const len3 = data15.length;for(let i6=0; i6<len3; i6++){let data16 = data15[i6];if(typeof data16 === "string"){if(func3(data16) < 1){const err43 = {instancePath:instancePath+"/vibe/" + i6,schemaPath:"#/definitions/tags/items/minLength",keyword:"minLength",params:{limit: 1},message:"must NOT have fewer than 1 characters"};if(vErrors === null){vErrors = [err43];}else {vErrors.push(err43);}errors++;}}else {const err44 = {instancePath:instancePath+"/vibe/" + i6,schemaPath:"#/definitions/tags/items/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err44];}else {vErrors.push(err44);}errors++;}}let i7 = data15.length;let j3;if(i7 > 1){const indices3 = {};for(;i7--;){let item3 = data15[i7];if(typeof item3 !== "string"){continue;}if(typeof indices3[item3] == "number"){j3 = indices3[item3];const err45 = {instancePath:instancePath+"/vibe",schemaPath:"#/definitions/tags/uniqueItems",keyword:"uniqueItems",params:{i: i7, j: j3},message:"must NOT have duplicate items (items ## "+j3+" and "+i7+" are identical)"};if(vErrors === null){vErrors = [err45];}else {vErrors.push(err45);}errors++;break;}indices3[item3] = i7;}}}else {const err46 = {instancePath:instancePath+"/vibe",schemaPath:"#/definitions/tags/type",keyword:"type",params:{type: "array"},message:"must be array"};if(vErrors === null){vErrors = [err46];}else {vErrors.push(err46);}errors++;}}if(data.equipment !== undefined){let data17 = data.equipment;if(Array.isArray(data17)){const len4 = data17.length;for(let i8=0; i8<len4; i8++){let data18 = data17[i8];if(typeof data18 === "string"){if(func3(data18) < 1){const err47 = {instancePath:instancePath+"/equipment/" + i8,schemaPath:"#/definitions/tags/items/minLength",keyword:"minLength",params:{limit: 1},message:"must NOT have fewer than 1 characters"};if(vErrors === null){vErrors = [err47];}else {vErrors.push(err47);}errors++;}}else {const err48 = {instancePath:instancePath+"/equipment/" + i8,schemaPath:"#/definitions/tags/items/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err48];}else {vErrors.push(err48);}errors++;}}let i9 = data17.length;let j4;if(i9 > 1){const indices4 = {};for(;i9--;){let item4 = data17[i9];if(typeof item4 !== "string"){continue;}if(typeof indices4[item4] == "number"){j4 = indices4[item4];const err49 = {instancePath:instancePath+"/equipment",schemaPath:"#/definitions/tags/uniqueItems",keyword:"uniqueItems",params:{i: i9, j: j4},message:"must NOT have duplicate items (items ## "+j4+" and "+i9+" are identical)"};if(vErrors === null){vErrors = [err49];}else {vErrors.push(err49);}errors++;break;}indices4[item4] = i9;}}}else {const err50 = {instancePath:instancePath+"/equipment",schemaPath:"#/definitions/tags/type",keyword:"type",params:{type: "array"},message:"must be array"};if(vErrors === null){vErrors = [err50];}else {vErrors.push(err50);}errors++;}}if(data.poster !== undefined){let data19 = data.poster;const _errs58 = errors;let valid27 = false;const _errs59 = errors;if("" !== data19){const err51 = {instancePath:instancePath+"/poster",schemaPath:"#/properties/poster/anyOf/0/const",keyword:"const",params:{allowedValue: ""},message:"must be equal to constant"};if(vErrors === null){vErrors = [err51];}else {vErrors.push(err51);}errors++;}var _valid3 = _errs59 === errors;valid27 = valid27 || _valid3;if(!valid27){const _errs60 = errors;if(typeof data19 === "string"){if(!pattern3.test(data19)){const err52 = {instancePath:instancePath+"/poster",schemaPath:"#/definitions/path/pattern",keyword:"pattern",params:{pattern: "^(https?://|/)"},message:"must match pattern \""+"^(https?://|/)"+"\""};if(vErrors === null){vErrors = [err52];}else {vErrors.push(err52);}errors++;}}else {const err53 = {instancePath:instancePath+"/poster",schemaPath:"#/definitions/path/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err53];}else {vErrors.push(err53);}errors++;}var _valid3 = _errs60 === errors;valid27 = valid27 || _valid3;}if(!valid27){const err54 = {instancePath:instancePath+"/poster",schemaPath:"#/properties/poster/anyOf",keyword:"anyOf",params:{},message:"must match a schema in anyOf"};if(vErrors === null){vErrors = [err54];}else {vErrors.push(err54);}errors++;}else {errors = _errs58;if(vErrors !== null){if(_errs58){vErrors.length = _errs58;}else {vErrors = null;}}}}if(data.notes !== undefined){if(typeof data.notes !== "string"){const err55 = {instancePath:instancePath+"/notes",schemaPath:"#/properties/notes/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err55];}else {vErrors.push(err55);}errors++;}}if(data.transcriptTxt !== undefined){let data21 = data.transcriptTxt;if(typeof data21 === "string"){if(!pattern3.test(data21)){const err56 = {instancePath:instancePath+"/transcriptTxt",schemaPath:"#/definitions/path/pattern",keyword:"pattern",params:{pattern: "^(https?://|/)"},message:"must match pattern \""+"^(https?://|/)"+"\""};if(vErrors === null){vErrors = [err56];}else {vErrors.push(err56);}errors++;}}else {const err57 = {instancePath:instancePath+"/transcriptTxt",schemaPath:"#/definitions/path/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err57];}else {vErrors.push(err57);}errors++;}}if(data.captions !== undefined){let data22 = data.captions;if(typeof data22 === "string"){if(!pattern3.test(data22)){const err58 = {instancePath:instancePath+"/captions",schemaPath:"#/definitions/path/pattern",keyword:"pattern",params:{pattern: "^(https?://|/)"},message:"must match pattern \""+"^(https?://|/)"+"\""};if(vErrors === null){vErrors = [err58];}else {vErrors.push(err58);}errors++;}}else {const err59 = {instancePath:instancePath+"/captions",schemaPath:"#/definitions/path/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err59];}else {vErrors.push(err59);}errors++;}if(typeof data22 === "string"){if(!pattern7.test(data22)){const err60 = {instancePath:instancePath+"/captions",schemaPath:"#/properties/captions/allOf/1/pattern",keyword:"pattern",params:{pattern: "\\.(vtt|srt)(\\?.*)?$"},message:"must match pattern \""+"\\.(vtt|srt)(\\?.*)?$"+"\""};if(vErrors === null){vErrors = [err60];}else {vErrors.push(err60);}errors++;}}else {const err61 = {instancePath:instancePath+"/captions",schemaPath:"#/properties/captions/allOf/1/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err61];}else {vErrors.push(err61);}errors++;}}}else {const err62 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err62];}else {vErrors.push(err62);}errors++;}validate12.errors = vErrors;return errors === 0;}function validate11(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){let vErrors = null;let errors = 0;if(Array.isArray(data)){const len0 = data.length;for(let i0=0; i0<len0; i0++){if(!(validate12(data[i0], {instancePath:instancePath+"/" + i0,parentData:data,parentDataProperty:i0,rootData}))){vErrors = vErrors === null ? validate12.errors : vErrors.concat(validate12.errors);errors = vErrors.length;}}}else {const err0 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "array"},message:"must be array"};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}validate11.errors = vErrors;return errors === 0;}function validate16(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){let vErrors = null;let errors = 0;if(data && typeof data == "object" && !Array.isArray(data)){if(data.videos === undefined){const err0 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "videos"},message:"must have required property '"+"videos"+"'"};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}for(const key0 in data){if(!((key0 === "$schema") || (key0 === "videos"))){const err1 = {instancePath,schemaPath:"#/additionalProperties",keyword:"additionalProperties",params:{additionalProperty: key0},message:"must NOT have additional properties"};if(vErrors === null){vErrors = [err1];}else {vErrors.push(err1);}errors++;}}if(data.$schema !== undefined){if(typeof data.$schema !== "string"){const err2 = {instancePath:instancePath+"/$schema",schemaPath:"#/properties/%24schema/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err2];}else {vErrors.push(err2);}errors++;}}if(data.videos !== undefined){if(!(validate11(data.videos, {instancePath:instancePath+"/videos",parentData:data,parentDataProperty:"videos",rootData}))){vErrors = vErrors === null ? validate11.errors : vErrors.concat(validate11.errors);errors = vErrors.length;}}}else {const err3 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err3];}else {vErrors.push(err3);}errors++;}validate16.errors = vErrors;return errors === 0;}export const checkList = validate18;function validate18(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){let vErrors = null;let errors = 0;if(Array.isArray(data)){const len0 = data.length;for(let i0=0; i0<len0; i0++){if(!(validate12(data[i0], {instancePath:instancePath+"/" + i0,parentData:data,parentDataProperty:i0,rootData}))){vErrors = vErrors === null ? validate12.errors : vErrors.concat(validate12.errors);errors = vErrors.length;}}}else {const err0 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "array"},message:"must be array"};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}validate18.errors = vErrors;return errors === 0;}
@@ -0,0 +1,34 @@
+import { parseCaptions } from "../engine/captions.js";
+
+/**
+ * A video's transcript for buildIndex(): timed cues from `captions` (VTT/SRT)
+ * when it has them, else the lowercased `transcriptTxt`, else null.
+ * `fetchFn` lets Pages functions read through their static assets binding.
+ */
+export async function loadTranscript(video, fetchFn = (url) => fetch(url, { cache: "no-store" })) {
+  for (const [field, parse] of [
+    ["captions", parseCaptions],
+    ["transcriptTxt", (text) => text.toLowerCase()],
+  ]) {
+    if (!video[field]) continue;
+    try {
+      const res = await fetchFn(video[field]);
+      if (res.ok) return parse(await res.text());
+    } catch (e) {
+      console.warn(`${field} for ${video.id} unavailable: ${e.message}`);
+    }
+  }
+  return null;
+}
+
+/** Transcripts for a whole catalog, `{ [videoId]: transcript }` */
+export async function loadTranscripts(videos, fetchFn) {
+  const out = {};
+  await Promise.all(
+    videos.map(async (v) => {
+      const transcript = await loadTranscript(v, fetchFn);
+      if (transcript?.length) out[v.id] = transcript;
+    })
+  );
+  return out;
+}
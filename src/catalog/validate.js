@@ -0,0 +1,83 @@
+import { checkList, checkWrapped } from "./catalogValidators.js";
+import vocabulary from "./vocabulary.json" with { type: "json" };
+import { CONDITIONS } from "../engine/safety.js";
+
+/** Tag fields checked against the controlled vocabulary */
+export const VOCABULARY = {
+  ...vocabulary,
+  // Only contraindications the safety layer knows about can protect anyone
+  contraindications: [...new Set(CONDITIONS.flatMap((c) => c.contra))].sort(),
+};
+
+/** Videos array of either catalog form, or [] when the root is malformed */
+const videosOf = (data) => (Array.isArray(data) ? data : Array.isArray(data?.videos) ? data.videos : []);
+
+/** JSON pointer prefix of video `i` in the catalog as written */
+const pointer = (data, i) => (Array.isArray(data) ? `/${i}` : `/videos/${i}`);
+
+/**
+ * Validate a parsed catalog.json.
+ *
+ * Errors make a video (or the whole file) unusable: schema violations and
+ * duplicate ids. Warnings are worth fixing but don't break anything: tags
+ * outside the vocabulary, missing posters and transcripts.
+ *
+ * Each problem is `{ path, id, message }`; `path` is a JSON pointer into the
+ * file and `id` the affected video's id when there is one.
+ */
+export function validateCatalog(data) {
+  const errors = [];
+  const warnings = [];
+  const videos = videosOf(data);
+  const idAt = (path) => {
+    const m = path.match(/^\/(?:videos\/)?(\d+)/);
+    return m ? videos[Number(m[1])]?.id : undefined;
+  };
+
+  // Validate against the branch of the root oneOf that matches the file's
+  // shape, so a typo inside { videos } isn't buried under "must be array".
+  // The validators are precompiled (scripts/build-catalog-validator.js):
+  // Workers can't compile schemas at runtime
+  const checkSchema = Array.isArray(data) ? checkList : checkWrapped;
+  if (!checkSchema(data)) {
+    for (const e of checkSchema.errors) {
+      const detail = e.keyword === "additionalProperties" ? ` "${e.params.additionalProperty}"` : "";
+      const allowed = e.keyword === "enum" ? ` (${e.params.allowedValues.join(", ")})` : "";
+      errors.push({ path: e.instancePath || "/", id: idAt(e.instancePath), message: `${e.message}${detail}${allowed}` });
+    }
+  }
+
+  const seen = new Map();
+  videos.forEach((v, i) => {
+    const at = pointer(data, i);
+    if (v?.id && seen.has(v.id)) {
+      errors.push({ path: `${at}/id`, id: v.id, message: `duplicate id (first used at ${seen.get(v.id)})` });
+    } else if (v?.id) {
+      seen.set(v.id, at);
+    }
+
+    for (const [field, known] of Object.entries(VOCABULARY)) {
+      for (const tag of Array.isArray(v?.[field]) ? v[field] : []) {
+        if (typeof tag === "string" && !known.includes(tag)) {
+          warnings.push({ path: `${at}/${field}`, id: v.id, message: `unknown ${field} tag "${tag}"` });
+        }
+      }
+    }
+    if (v && !v.poster) warnings.push({ path: `${at}/poster`, id: v.id, message: "no poster" });
+    if (v && !v.transcriptTxt && !v.captions) warnings.push({ path: at, id: v.id, message: "no transcript" });
+  });
+
+  return { errors, warnings, valid: errors.length === 0 };
+}
+
+/**
+ * Split a catalog into usable videos and problems, for the app: a video with
+ * errors is dropped, the rest load. A malformed root leaves nothing usable.
+ */
+export function loadableVideos(data) {
+  const result = validateCatalog(data);
+  const broken = new Set(result.errors.map((e) => e.path.match(/^\/(?:videos\/)?(\d+)/)?.[1]).filter(Boolean));
+  const rootBroken = result.errors.some((e) => !/^\/(?:videos\/)?\d+/.test(e.path));
+  const videos = rootBroken ? [] : videosOf(data).filter((_, i) => !broken.has(String(i)));
+  return { ...result, videos };
+}
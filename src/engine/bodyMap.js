@@ -0,0 +1,88 @@
+import { wording } from "./languages.js";
+
+/**
+ * Body-map selections as ranking signals. A selection is `{ [areaId]: state }`,
+ * e.g. `{ hips: "tight", knees: "injured" }`.
+ *
+ * Tight and sore areas become focus tags to target, plus intents that suit
+ * the feeling. An injured area is not targeted: it declares the matching
+ * condition (see CONDITIONS) so unsafe classes are flagged, and asks for
+ * gentle classes.
+ */
+
+/** Tappable areas; `focuses` are catalog focus tags, `condition` a CONDITIONS id */
+export const BODY_AREAS = [
+  { id: "neck", focuses: ["neck"], condition: "neck-injury" },
+  { id: "shoulders", focuses: ["shoulders", "upper back"], condition: "shoulder-injury" },
+  { id: "lower-back", focuses: ["lower back", "spine"], condition: "back-injury" },
+  { id: "hips", focuses: ["hips", "hip flexors"], condition: "hip-injury" },
+  { id: "hamstrings", focuses: ["hamstrings"], condition: "hamstring-injury" },
+  { id: "knees", focuses: ["knees"], condition: "knee-injury" },
+];
+
+/** How an area feels, in order of severity; `tags` are intents and vibes to look for */
+export const BODY_STATES = {
+  tight: { target: true, tags: ["flexibility", "release"] },
+  sore: { target: true, tags: ["relief", "gentle"] },
+  injured: { target: false, tags: ["gentle", "therapeutic"] },
+};
+
+/** Next state when an area is tapped: none → tight → sore → injured → none */
+export function nextBodyState(state) {
+  const states = Object.keys(BODY_STATES);
+  return states[states.indexOf(state) + 1] || null;
+}
+
+/**
+ * Structured signals for a selection: `{ focuses, tags, conditions }`.
+ * `focuses` and `tags` are scored like words in the query; `conditions`
+ * join the declared ones for the safety layer. Unknown areas and states are
+ * ignored.
+ */
+export function bodySignals(selection = {}) {
+  const focuses = new Set();
+  const tags = new Set();
+  const conditions = new Set();
+  for (const area of BODY_AREAS) {
+    const state = BODY_STATES[selection[area.id]];
+    if (!state) continue;
+    if (state.target) area.focuses.forEach((f) => focuses.add(f));
+    else conditions.add(area.condition);
+    state.tags.forEach((t) => tags.add(t));
+  }
+  return { focuses: [...focuses], tags: [...tags], conditions: [...conditions] };
+}
+
+/** English wording for describeBody(); the UI passes its `t` with the same keys */
+const BODY_WORDS = {
+  bodySummary: "{state} {area}",
+  bodyPartNeck: "neck",
+  bodyPartShoulders: "shoulders",
+  bodyPartLowerBack: "lower back",
+  bodyPartHips: "hips",
+  bodyPartHamstrings: "hamstrings",
+  bodyPartKnees: "knees",
+  bodyTight: "tight",
+  bodySore: "sore",
+  bodyInjured: "injured",
+};
+
+const english = wording(BODY_WORDS);
+
+const AREA_WORDS = {
+  neck: "bodyPartNeck",
+  shoulders: "bodyPartShoulders",
+  "lower-back": "bodyPartLowerBack",
+  hips: "bodyPartHips",
+  hamstrings: "bodyPartHamstrings",
+  knees: "bodyPartKnees",
+};
+
+const STATE_WORDS = { tight: "bodyTight", sore: "bodySore", injured: "bodyInjured" };
+
+/** Summary of a selection, e.g. "tight hips, injured knees"; pass the UI's `t` to translate it */
+export function describeBody(selection = {}, t = english) {
+  return BODY_AREAS.filter((a) => BODY_STATES[selection[a.id]])
+    .map((a) => t("bodySummary", { state: t(STATE_WORDS[selection[a.id]]), area: t(AREA_WORDS[a.id]) }))
+    .join(", ");
+}
@@ -0,0 +1,58 @@
+/**
+ * Timed transcripts: WebVTT and SRT parsing into cues `{ start, end, text }`
+ * (seconds), the shape buildIndex() accepts as timed segments.
+ */
+
+const TIMING = /((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+/** "01:02:03.500", "02:03,5" -> seconds */
+export function parseTimestamp(s) {
+  const parts = s.replace(",", ".").split(":").map(Number);
+  return parts.reduce((total, n) => total * 60 + n, 0);
+}
+
+/** Seconds -> "12:40" or "1:02:03" */
+export function formatTimestamp(sec) {
+  const t = Math.max(0, Math.floor(sec));
+  const h = Math.floor(t / 3600);
+  const m = Math.floor((t % 3600) / 60);
+  const s = String(t % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Cues from a WebVTT or SRT file. Cue settings, NOTE/STYLE/REGION blocks
+ * and inline tags (<v Speaker>, <i>, <00:01.000>) are dropped.
+ */
+export function parseCaptions(text) {
+  const cues = [];
+  for (const block of String(text || "").replace(/\r\n?/g, "\n").split(/\n{2,}/)) {
+    const lines = block.split("\n").filter((l) => l.trim());
+    const at = lines.findIndex((l) => TIMING.test(l));
+    if (at < 0) continue;
+    const [, start, end] = lines[at].match(TIMING);
+    const body = lines
+      .slice(at + 1)
+      .join(" ")
+      .replace(/<[^>]*>/g, "")
+      .replace(/&amp;/g, "&")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&nbsp;/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+    if (body) cues.push({ start: parseTimestamp(start), end: parseTimestamp(end), text: body });
+  }
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+const vttTime = (sec) => {
+  const ms = Math.round(sec * 1000);
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+};
+
+/** WebVTT text for cues, e.g. to give a <track> captions parsed from SRT */
+export function toWebVtt(cues) {
+  return ["WEBVTT", ...cues.map((c) => `${vttTime(c.start)} --> ${vttTime(c.end ?? c.start + 4)}\n${c.text}`)].join("\n\n") + "\n";
+}
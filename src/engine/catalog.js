@@ -0,0 +1,10 @@
+/**
+ * Normalise a parsed catalog.json into a flat list of videos.
+ * Accepts both the `{ videos: [...] }` wrapper and a bare array.
+ */
+export function normalizeCatalog(data) {
+  return (Array.isArray(data) ? data : data?.videos || []).map((v) => ({
+    ...v,
+    lengthMin: v.lengthMin ?? Math.round((v.durationSec || 0) / 60),
+  }));
+}
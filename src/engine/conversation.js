@@ -0,0 +1,145 @@
+import { tokenize } from "./tokenize.js";
+import { LEVEL_ORDER, levelRank, mergeConstraints, parseConstraints } from "./facets.js";
+import { languageOf, lexicon } from "./languages.js";
+
+/**
+ * Multi-turn refinement. A conversation remembers the request that started
+ * it, what follow-ups added, and every class already shown:
+ *
+ *   { query, lang, boosts: ["energizing"], constraints: { maxLength: 24 }, shown: ["id", ...] }
+ *
+ * Rank `conversationQuery(c)` with `c.constraints` and skip `c.shown`.
+ *
+ * Follow-ups are read in English and in the conversation's language: each
+ * lexicon lists its own phrases for every cue (`followUps`) and the words
+ * that open a follow-up (`followUpStart`).
+ */
+
+/** Follow-up cues, each with how it changes the conversation */
+const CUES = [
+  { name: "shorter", re: /\b(shorter|quicker|less time|not so long|too long)\b/, apply: (c, cur) => shorter(c, cur) },
+  { name: "longer", re: /\b(longer|more time|too short)\b/, apply: (c, cur) => longer(c, cur) },
+  { name: "easier", re: /\b(easier|simpler|too hard|less intense)\b/, apply: (c, cur) => easier(c, cur), boost: "gentle" },
+  { name: "harder", re: /\b(harder|more challenging|too easy|more intense)\b/, apply: (c, cur) => harder(c, cur), boost: "strength" },
+  { name: "calmer", re: /\b(calmer|more relaxing|more restful|slower)\b/, boost: "relaxing" },
+  { name: "livelier", re: /\b(more energizing|more energetic|more active|livelier|faster)\b/, boost: "energizing" },
+  { name: "other", re: /\b(not (that|this) one|something else|another( one)?|different( one)?|next( one)?|other one)\b/ },
+];
+
+/** Leading words that mark text as a follow-up rather than a new request */
+const FOLLOW_UP_START = /^(and |but |also |now |ok |okay |hmm |maybe |actually |how about |what about |instead |something |no |not |without |more |less |make it |a bit |slightly |under |over |between |at least |at most |only )/;
+const MAX_FOLLOW_UP_WORDS = 8;
+/** More new words than this and it's a fresh request ("no equipment yoga for back pain") */
+const MAX_NEW_WORDS = 2;
+
+/** Words that carry no request of their own once cues are removed */
+const FILLER = new Set(
+  "a an the and but also now ok okay hmm maybe actually how what about instead something make it bit slightly please one that this more less with for to in on of my me i want id like would be just only ones class classes beginner beginners intermediate advanced".split(" ")
+);
+
+/** Tokenized phrases as a regex matching them as whole words (any script) */
+const phrasesRe = (phrases) => new RegExp(`(?<=^| )(${phrases.map((p) => tokenize(p).join(" ")).join("|")})(?= |$)`);
+
+const READERS = new Map();
+
+/** Cues, follow-up openers and filler words for `lang`: English plus its lexicon */
+function reader(lang) {
+  const code = languageOf(lang);
+  if (!READERS.has(code)) {
+    const { followUps, followUpStart, stopWords } = lexicon(code);
+    const cues = CUES.map((cue) => {
+      const local = followUps[cue.name] || [];
+      return local.length ? { ...cue, re: new RegExp(`${cue.re.source}|${phrasesRe(local).source}`) } : cue;
+    });
+    const starts = followUpStart.length ? [FOLLOW_UP_START, phrasesRe(followUpStart)] : [FOLLOW_UP_START];
+    const filler = new Set([...FILLER, ...stopWords, ...followUpStart.flatMap(tokenize)]);
+    READERS.set(code, { cues, starts, filler });
+  }
+  return READERS.get(code);
+}
+
+/** A conversation starting from `query`, written in `lang` (see LANGUAGES) */
+export function startConversation(query, lang = "en") {
+  return { query: query.trim(), lang, boosts: [], constraints: parseConstraints(query, lang), shown: [] };
+}
+
+/**
+ * Words of a follow-up that aren't cues, constraints or filler: what it
+ * asks for beyond refining ("shorter, for my shoulders" -> ["shoulders"])
+ */
+function newWords(q, lang) {
+  const { cues, filler } = reader(lang);
+  let rest = q;
+  for (const cue of cues) rest = rest.replace(new RegExp(cue.re.source, "g"), " ");
+  // Constraint phrases are parsed separately; don't boost what they exclude
+  rest = rest.replace(/\b(no|without|avoid|skip|under|over|between|and|at least|at most|less than|more than) \w+/g, " ");
+  return rest.split(/\s+/).filter((w) => w && !filler.has(w) && !/^\d/.test(w));
+}
+
+/**
+ * Whether `text` reads as a follow-up to the conversation rather than a new
+ * request; `lang` is the conversation's language ("más corto" in "es")
+ */
+export function isFollowUp(text, lang = "en") {
+  const q = tokenize(text).join(" ");
+  if (!q || q.split(" ").length > MAX_FOLLOW_UP_WORDS || newWords(q, lang).length > MAX_NEW_WORDS) return false;
+  const { cues, starts } = reader(lang);
+  return starts.some((re) => re.test(q + " ")) || cues.some((cue) => cue.re.test(q));
+}
+
+/**
+ * Apply a follow-up. `current` is the class being shown (for "shorter",
+ * "easier", ...). Words left after removing cues ("shorter, for hips")
+ * become boosts.
+ */
+export function refine(conversation, text, current) {
+  const q = tokenize(text).join(" ");
+  let c = { ...conversation, constraints: mergeConstraints(conversation.constraints, parseConstraints(text, conversation.lang)) };
+  const boosts = [];
+  for (const cue of reader(conversation.lang).cues) {
+    if (!cue.re.test(q)) continue;
+    if (cue.apply) c = cue.apply(c, current);
+    if (cue.boost) boosts.push(cue.boost);
+  }
+  boosts.push(...newWords(q, conversation.lang));
+  return { ...c, boosts: [...new Set([...conversation.boosts, ...boosts])] };
+}
+
+/** The text to rank for a conversation */
+export function conversationQuery(conversation) {
+  return [conversation.query, ...conversation.boosts].join(" ").trim();
+}
+
+/** Record classes as shown so later turns don't offer them again */
+export function markShown(conversation, ids) {
+  return { ...conversation, shown: [...new Set([...conversation.shown, ...ids])] };
+}
+
+function shorter(c, current) {
+  const { minLength: _min, ...constraints } = c.constraints;
+  const len = current?.lengthMin;
+  const maxLength = len ? Math.min(len - 1, constraints.maxLength ?? Infinity) : constraints.maxLength;
+  return { ...c, constraints: { ...constraints, maxLength: maxLength ?? null } };
+}
+
+function longer(c, current) {
+  const { maxLength: _max, ...constraints } = c.constraints;
+  const len = current?.lengthMin;
+  const minLength = len ? Math.max(len + 1, constraints.minLength ?? 0) : constraints.minLength;
+  return { ...c, constraints: { ...constraints, minLength: minLength ?? null } };
+}
+
+const levelsWhere = (test) => LEVEL_ORDER.filter((l) => test(levelRank(l)));
+
+function easier(c, current) {
+  if (!current?.level) return c;
+  const r = levelRank(current.level);
+  return { ...c, constraints: { ...c.constraints, levels: levelsWhere((x) => x < r || x <= 1) } };
+}
+
+function harder(c, current) {
+  if (!current?.level) return c;
+  const r = levelRank(current.level);
+  const levels = levelsWhere((x) => x > Math.max(r, 1));
+  return { ...c, constraints: { ...c.constraints, levels: levels.length ? levels : [current.level] } };
+}
@@ -0,0 +1,56 @@
+import { tokenize } from "./tokenize.js";
+import { stem } from "./stem.js";
+import { matchTag, understandQuery } from "./query.js";
+import { STOP_WORDS } from "./textIndex.js";
+import { lexicon } from "./languages.js";
+import { parseConstraints } from "./facets.js";
+import { parseDuration } from "./session.js";
+
+/** Words about the request itself rather than what's wanted from a class */
+const NOISE = new Set([
+  "yoga", "class", "classes", "practice", "session", "flow", "something", "want", "need", "feel", "feeling",
+  "min", "mins", "minute", "minutes", "hour", "hours", "long", "short", "quick",
+  "beginner", "beginners", "intermediate", "advanced",
+  "minuto", "minutos", "hora", "clase", "minute", "minuten", "stunde", "kurs", "分", "時間",
+]);
+
+/**
+ * What a query asks for, in catalog terms, for demand reports:
+ *
+ *   focuses   vocabulary focuses (body parts and themes) it names
+ *   intents   vocabulary intents plus heuristic buckets ("travel", "desk")
+ *   duration  minutes asked for, or null
+ *   level     level asked for, or null
+ *   others    content words matching nothing we know: often the gap itself
+ *             ("ankles", "jaw")
+ *
+ * `vocabulary` is the catalog's controlled vocabulary ({ focuses, intents }).
+ */
+export function describeDemand(query, vocabulary, lang = "en") {
+  const uq = understandQuery(query, lang);
+  const covered = new Set(uq.terms.flatMap((t) => tokenize(t).map(stem)));
+  const said = new Set(uq.stems);
+  // Tags the query names outright; failing that, ones a synonym points to
+  // ("rodilla" -> knees), without "hips" also counting as glutes
+  const named = (tags = []) => {
+    const full = (match) => tags.filter((tag) => match(tag).length === tokenize(tag).length);
+    const direct = full((tag) => tokenize(tag).map(stem).filter((s) => said.has(s)));
+    const hits = direct.length ? direct : full((tag) => matchTag(tag, uq));
+    hits.forEach((tag) => tokenize(tag).forEach((w) => covered.add(stem(w))));
+    return hits;
+  };
+
+  const focuses = named(vocabulary.focuses);
+  const intents = [...new Set([...named(vocabulary.intents), ...Object.keys(uq.buckets)])];
+  const constraints = parseConstraints(query, lang);
+  const stop = new Set([...STOP_WORDS, ...NOISE, ...lexicon(lang).stopWords]);
+  const others = uq.tokens.filter((w, i) => !stop.has(w) && !covered.has(uq.stems[i]) && !/^\d/.test(w));
+
+  return {
+    focuses,
+    intents,
+    duration: parseDuration(query) ?? constraints.maxLength ?? constraints.minLength ?? null,
+    level: constraints.levels?.[0] ?? null,
+    others: [...new Set(others)],
+  };
+}
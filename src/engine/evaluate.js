@@ -0,0 +1,75 @@
+import { rank } from "./rank.js";
+import { topPicks } from "./similar.js";
+
+/**
+ * Offline evaluation of the ranker against labelled queries.
+ *
+ * A judgment is `{ query, relevant: { [videoId]: grade }, conditions?, lang? }`
+ * with graded relevance: 3 = what we'd want on top, 2 = good, 1 = acceptable.
+ * Unlisted classes count as 0. Rankings are in the order the app offers
+ * them (topPicks), so only results that score above 0 count.
+ */
+
+/** Share of the top `k` that are relevant at all */
+export function precisionAt(ranking, relevant, k) {
+  return ranking.slice(0, k).filter((id) => relevant[id] > 0).length / k;
+}
+
+/** 1 / position of the first relevant result, 0 when there is none */
+export function reciprocalRank(ranking, relevant) {
+  const i = ranking.findIndex((id) => relevant[id] > 0);
+  return i < 0 ? 0 : 1 / (i + 1);
+}
+
+const dcg = (grades) => grades.reduce((sum, g, i) => sum + (2 ** g - 1) / Math.log2(i + 2), 0);
+
+/** Normalized discounted cumulative gain over the top `k` */
+export function ndcg(ranking, relevant, k) {
+  const ideal = dcg(
+    Object.values(relevant)
+      .filter((g) => g > 0)
+      .sort((a, b) => b - a)
+      .slice(0, k)
+  );
+  return ideal ? dcg(ranking.slice(0, k).map((id) => relevant[id] || 0)) / ideal : 0;
+}
+
+export const METRICS = ["p@1", "p@2", "mrr", "ndcg"];
+
+/**
+ * Run every judgment through rank() with `options` (weights, index, ...) and
+ * score the rankings. Returns `{ queries: [{ query, ranking, p@1, p@2, mrr,
+ * ndcg }], mean: { p@1, p@2, mrr, ndcg } }`; `ranking` is the top `k` ids.
+ */
+export function evaluate(judgments, catalog, options = {}, k = 5) {
+  const queries = judgments.map((j) => {
+    const results = rank(j.query, catalog, { ...options, conditions: j.conditions || [], lang: j.lang || "en" });
+    const ranking = topPicks(results, { index: options.index }).map((r) => r.video.id);
+    return {
+      query: j.query,
+      ranking: ranking.slice(0, k),
+      "p@1": precisionAt(ranking, j.relevant, 1),
+      "p@2": precisionAt(ranking, j.relevant, 2),
+      mrr: reciprocalRank(ranking, j.relevant),
+      ndcg: ndcg(ranking, j.relevant, k),
+    };
+  });
+  const mean = Object.fromEntries(
+    METRICS.map((m) => [m, queries.length ? queries.reduce((sum, q) => sum + q[m], 0) / queries.length : 0])
+  );
+  return { queries, mean };
+}
+
+/**
+ * Differences between two evaluate() runs over the same judgments: mean
+ * metric deltas (b - a) and the queries whose top results changed, with
+ * `regressed` set when NDCG dropped.
+ */
+export function compareRuns(a, b) {
+  const delta = Object.fromEntries(METRICS.map((m) => [m, b.mean[m] - a.mean[m]]));
+  const changed = a.queries
+    .map((qa, i) => ({ query: qa.query, before: qa, after: b.queries[i] }))
+    .filter(({ before, after }) => before.ranking.join() !== after.ranking.join())
+    .map((c) => ({ ...c, ndcgDelta: c.after.ndcg - c.before.ndcg, regressed: c.after.ndcg < c.before.ndcg - 1e-9 }));
+  return { delta, changed };
+}
@@ -0,0 +1,69 @@
+import { wording } from "./languages.js";
+
+const list = (xs) => xs.join(", ");
+
+/** English wording of each reason; the UI passes its `t` with the same keys */
+const REASON_WORDS = {
+  reasonFocus: "Targets {list}",
+  reasonIntent: "Good for {list}",
+  reasonVibe: "Feels {list}",
+  reasonTravel: "Made for travel recovery (you said “{list}”)",
+  reasonDesk: "Undoes desk time (you said “{list}”)",
+  reasonEnergy: "Builds energy",
+  reasonRelax: "Eases tension and stiffness",
+  reasonLength: "{minutes} min, close to your {target} min",
+  reasonQuick: "Short class",
+  reasonLiked: "You gave it a thumbs up",
+  reasonLikedVibe: "Feels {list}, like classes you enjoyed",
+  reasonLevel: "At your level ({level})",
+  reasonSemantic: "Close in meaning to what you described ({similarity} similar)",
+  reasonTranscript: "Teacher talks about {terms}",
+  reasonDescription: "Description mentions {terms}",
+};
+
+const english = wording(REASON_WORDS);
+
+/** Phrase key and its values, one per scoring signal, in display order */
+const REASONS = {
+  focus: (m) => ["reasonFocus", { list: list(m) }],
+  intent: (m) => ["reasonIntent", { list: list(m) }],
+  vibe: (m) => ["reasonVibe", { list: list(m) }],
+  travel: (m) => ["reasonTravel", { list: list(m) }],
+  desk: (m) => ["reasonDesk", { list: list(m) }],
+  energy: () => ["reasonEnergy"],
+  relax: () => ["reasonRelax"],
+  length: (m, video) => ["reasonLength", { minutes: video.lengthMin, target: parseInt(m[0], 10) }],
+  quick: () => ["reasonQuick"],
+  liked: () => ["reasonLiked"],
+  likedVibe: (m) => ["reasonLikedVibe", { list: list(m) }],
+  level: (m) => ["reasonLevel", { level: m[0] }],
+  semantic: (m) => ["reasonSemantic", { similarity: m[0] }],
+  text: (m, video, result) => [
+    result.snippet ? "reasonTranscript" : "reasonDescription",
+    { terms: list(m.map((term) => `"${term}"`)) },
+  ],
+};
+
+/**
+ * Reasons for a ranked result, strongest signal first:
+ * `[{ signal, points, matches, text }]`. `text` is worded by `t` (the UI's
+ * translator; English by default) from the signal and what it matched.
+ */
+export function explain(result, t = english) {
+  const { video, signals = {}, matches = {} } = result;
+  return Object.keys(REASONS)
+    .filter((name) => signals[name] > 0)
+    .map((name) => {
+      const matched = matches[name] || [];
+      const [key, vars] = REASONS[name](matched, video, result);
+      return { signal: name, points: signals[name], matches: matched, text: t(key, vars) };
+    })
+    .sort((a, b) => b.points - a.points);
+}
+
+/** Short one-liner, e.g. for a tooltip */
+export function explainText(result, t = english) {
+  return explain(result, t)
+    .map((r) => r.text)
+    .join(" · ");
+}
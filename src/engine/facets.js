@@ -0,0 +1,224 @@
+import { tokenize } from "./tokenize.js";
+import { stem } from "./stem.js";
+import { languageOf, lexicon, wording } from "./languages.js";
+
+/** Levels from easiest to hardest; "all levels" sits with the easy ones */
+export const LEVEL_ORDER = ["beginner", "all levels", "intermediate", "advanced"];
+
+export const levelRank = (level) => {
+  const i = LEVEL_ORDER.indexOf(level);
+  return i < 0 ? LEVEL_ORDER.length : i;
+};
+
+/**
+ * Hard constraints on which classes may be recommended. Every field is
+ * optional; an empty object allows everything.
+ *
+ *   levels            any of these levels
+ *   minLength         lengthMin >= this
+ *   maxLength         lengthMin <= this
+ *   noEquipment       only classes that need no equipment
+ *   withoutEquipment  exclude classes needing any of these ("wall")
+ *   withoutTags       exclude classes with a focus, intent or vibe tag that
+ *                     stems to one of these words ("inversions")
+ *   vibes             at least one of these vibes
+ *   focuses           at least one of these focuses
+ */
+export function matchesConstraints(video, c = {}) {
+  const len = video.lengthMin || 0;
+  const equipment = video.equipment || [];
+  if (c.levels?.length && !c.levels.includes(video.level)) return false;
+  if (c.minLength != null && len < c.minLength) return false;
+  if (c.maxLength != null && len > c.maxLength) return false;
+  if (c.noEquipment && equipment.length > 0) return false;
+  if (c.withoutEquipment?.some((e) => equipment.includes(e))) return false;
+  if (c.withoutTags?.length) {
+    const avoid = c.withoutTags.map(stem);
+    const tags = [...(video.focuses || []), ...(video.intents || []), ...(video.vibe || [])];
+    if (tags.some((t) => avoid.includes(tokenize(t).map(stem).join(" ")))) return false;
+  }
+  if (c.vibes?.length && !c.vibes.some((v) => (video.vibe || []).includes(v))) return false;
+  if (c.focuses?.length && !c.focuses.some((f) => (video.focuses || []).includes(f))) return false;
+  return true;
+}
+
+/** Constraints that allow everything, with every field present (for UI state) */
+export const NO_CONSTRAINTS = {
+  levels: [],
+  minLength: null,
+  maxLength: null,
+  noEquipment: false,
+  withoutEquipment: [],
+  withoutTags: [],
+  vibes: [],
+  focuses: [],
+};
+
+/** Combine constraint sets: both must hold */
+export function mergeConstraints(a = {}, b = {}) {
+  const both = (x, y) => (x?.length && y?.length ? x.filter((v) => y.includes(v)) : x?.length ? x : y || []);
+  const out = {
+    levels: both(a.levels, b.levels),
+    minLength: Math.max(a.minLength ?? -Infinity, b.minLength ?? -Infinity),
+    maxLength: Math.min(a.maxLength ?? Infinity, b.maxLength ?? Infinity),
+    noEquipment: !!(a.noEquipment || b.noEquipment),
+    withoutEquipment: [...new Set([...(a.withoutEquipment || []), ...(b.withoutEquipment || [])])],
+    withoutTags: [...new Set([...(a.withoutTags || []), ...(b.withoutTags || [])])],
+    vibes: both(a.vibes, b.vibes),
+    focuses: both(a.focuses, b.focuses),
+  };
+  if (!isFinite(out.minLength)) out.minLength = null;
+  if (!isFinite(out.maxLength)) out.maxLength = null;
+  return out;
+}
+
+const NUM = "(\\d{1,3})\\s*(?:min|mins|minutes?)?";
+
+/** Equipment words in queries -> catalog equipment tags */
+const EQUIPMENT_WORDS = { wall: "wall", block: "blocks", blocks: "blocks", strap: "strap", bolster: "bolster", chair: "chair", blanket: "blanket" };
+
+/**
+ * Catalog tags (see src/catalog/vocabulary.json) a user may ask to leave
+ * out. Anything else after "no" ("no energy", "no knee pain") describes the
+ * user, not the class, and must not hide classes.
+ */
+const AVOIDABLE_TAGS = ["inversions", "twists", "heat", "fiery", "challenging"];
+
+/** Stemmed query word -> tag; matchesConstraints() compares stems, so "inversion" covers both spellings */
+const AVOIDABLE = new Map(AVOIDABLE_TAGS.map((tag) => [stem(tag), tag]));
+
+/**
+ * Local phrases of a language mapped to the English words parseConstraints()
+ * reads: the lexicon's `constraints`, plus synonyms of avoidable tags
+ * ("inversiones" -> "inversions").
+ */
+function buildConstraintLexicon(lang) {
+  const local = lexicon(lang);
+  const phrases = new Map();
+  const add = (english, terms) => terms.forEach((term) => phrases.set(tokenize(term).join(" "), english));
+  for (const tag of AVOIDABLE_TAGS) add(tag, local.synonyms[tag] || []);
+  for (const [english, terms] of Object.entries(local.constraints)) add(english, terms);
+  const longest = Math.max(0, ...[...phrases.keys()].map((p) => p.split(" ").length));
+  return { phrases, longest, after: new Set(local.postpositions) };
+}
+
+const CONSTRAINT_LEXICONS = new Map();
+
+/**
+ * Query tokens with local constraint phrases replaced by their English words,
+ * longest phrase first. Postpositions move in front of what they modify, so
+ * "20 分 以内" reads "under 20 min" and "壁 なし" reads "no wall".
+ */
+function constraintWords(query, lang) {
+  const tokens = tokenize(query);
+  const code = languageOf(lang);
+  if (code === "en") return tokens;
+  if (!CONSTRAINT_LEXICONS.has(code)) CONSTRAINT_LEXICONS.set(code, buildConstraintLexicon(code));
+  const { phrases, longest, after } = CONSTRAINT_LEXICONS.get(code);
+  const out = [];
+  for (let i = 0; i < tokens.length; ) {
+    let n = Math.min(longest, tokens.length - i);
+    while (n > 0 && !phrases.has(tokens.slice(i, i + n).join(" "))) n--;
+    const word = n ? phrases.get(tokens.slice(i, i + n).join(" ")) : tokens[i];
+    if (after.has(word) && out.length) {
+      // "20 min" moves as one
+      const back = out.at(-1) === "min" && /^\d/.test(out.at(-2) || "") ? 2 : 1;
+      out.splice(out.length - back, 0, word);
+    } else {
+      out.push(word);
+    }
+    i += n || 1;
+  }
+  return out;
+}
+
+/**
+ * Constraints stated in free text: "no equipment", "no wall", "under 20 min",
+ * "at least 30 minutes", "between 20 and 30 min", "for beginners",
+ * "no inversions" (AVOIDABLE_TAGS only; not after "I have no ..."). Other
+ * languages are read through their lexicon's `constraints` (see LANGUAGES).
+ */
+export function parseConstraints(query, lang = "en") {
+  const q = constraintWords(query, lang).join(" ");
+  const c = {};
+
+  if (/\b(no|without|zero) (equipment|props|gear)\b|\bequipment free\b/.test(q)) c.noEquipment = true;
+  const without = [...q.matchAll(/\b(?:no|without an?|without) (\w+)/g)].map((m) => EQUIPMENT_WORDS[m[1]]).filter(Boolean);
+  if (without.length) c.withoutEquipment = without;
+  const tags = [...q.matchAll(/(?<!\b(?:have|has|had|got) )\b(?:no|without|avoid|skip) (\w+)/g)]
+    .map((m) => AVOIDABLE.get(stem(m[1])))
+    .filter(Boolean);
+  if (tags.length) c.withoutTags = [...new Set(tags)];
+
+  let m;
+  if ((m = q.match(new RegExp(`\\bbetween ${NUM} and ${NUM}`)))) {
+    c.minLength = +m[1];
+    c.maxLength = +m[2];
+  } else {
+    if ((m = q.match(new RegExp(`\\b(?:under|less than|shorter than|at most|max|no more than|within) ${NUM}`)))) c.maxLength = +m[1];
+    if ((m = q.match(new RegExp(`\\b(?:over|(?<!no )more than|longer than|at least|min|minimum) ${NUM}`)))) c.minLength = +m[1];
+  }
+
+  if (/\b(for )?beginners?\b|\bbeginner friendly\b|\bnew to yoga\b/.test(q)) c.levels = ["beginner", "all levels"];
+  else if (/\bintermediate\b/.test(q)) c.levels = ["intermediate", "all levels"];
+  else if (/\badvanced\b/.test(q)) c.levels = ["advanced"];
+
+  return c;
+}
+
+const CONSTRAINT_WORDS = {
+  constraintOr: " or ",
+  constraintRange: "{min}–{max} min",
+  constraintUnder: "under {n} min",
+  constraintOver: "over {n} min",
+  constraintNoEquipment: "no equipment",
+  constraintWithout: "no {item}",
+};
+
+const english = wording(CONSTRAINT_WORDS);
+
+/**
+ * Human-readable list of active constraints, e.g. ["under 20 min", "no wall"].
+ * Pass the UI's `t` to word them in its language (same keys as CONSTRAINT_WORDS).
+ */
+export function describeConstraints(c = {}, t = english) {
+  const or = t("constraintOr");
+  const out = [];
+  if (c.levels?.length) out.push(c.levels.join(or));
+  if (c.minLength != null && c.maxLength != null) out.push(t("constraintRange", { min: c.minLength, max: c.maxLength }));
+  else if (c.maxLength != null) out.push(t("constraintUnder", { n: c.maxLength }));
+  else if (c.minLength != null) out.push(t("constraintOver", { n: c.minLength }));
+  if (c.noEquipment) out.push(t("constraintNoEquipment"));
+  for (const item of [...(c.withoutEquipment || []), ...(c.withoutTags || [])]) out.push(t("constraintWithout", { item }));
+  if (c.vibes?.length) out.push(c.vibes.join(or));
+  if (c.focuses?.length) out.push(c.focuses.join(or));
+  return out;
+}
+
+/**
+ * Facet values with counts. Each facet is counted with every *other*
+ * constraint applied, so picking a level doesn't zero out the other levels.
+ * Returns `{ level, equipment, vibe, focus: [{ value, count }], length: { min, max } }`.
+ */
+export function facetCounts(videos, c = {}) {
+  const count = (valuesOf, without) => {
+    const pool = videos.filter((v) => matchesConstraints(v, { ...c, ...without }));
+    const counts = new Map();
+    for (const v of pool) for (const value of valuesOf(v)) counts.set(value, (counts.get(value) || 0) + 1);
+    return [...counts].map(([value, n]) => ({ value, count: n }));
+  };
+
+  const lengths = videos.map((v) => v.lengthMin || 0);
+  return {
+    level: count((v) => [v.level].filter(Boolean), { levels: [] }).sort(
+      (a, b) => levelRank(a.value) - levelRank(b.value)
+    ),
+    equipment: count(
+      (v) => ((v.equipment || []).length ? v.equipment : ["none"]),
+      { noEquipment: false, withoutEquipment: [] }
+    ).sort((a, b) => (a.value === "none" ? -1 : b.value === "none" ? 1 : b.count - a.count)),
+    vibe: count((v) => v.vibe || [], { vibes: [] }).sort((a, b) => b.count - a.count),
+    focus: count((v) => v.focuses || [], { focuses: [] }).sort((a, b) => b.count - a.count),
+    length: { min: lengths.length ? Math.min(...lengths) : 0, max: Math.max(0, ...lengths) },
+  };
+}
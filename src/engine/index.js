@@ -0,0 +1,34 @@
+/**
+ * Recommendation engine. Pure functions only (no DOM, no React) so the same
+ * ranking can run in the app, in Node scripts and in Pages functions.
+ */
+export { tokenize } from "./tokenize.js";
+export { stem } from "./stem.js";
+export { KW, understandQuery, matchTag, withTags } from "./query.js";
+export { normalizeCatalog } from "./catalog.js";
+export { DEFAULT_WEIGHTS, scoreVideo, keywordScore, transcriptSnippet } from "./score.js";
+export { explain, explainText } from "./explain.js";
+export { STOP_WORDS, BM25, buildIndex, idealScore, indexTerms, queryTerms, searchIndex } from "./textIndex.js";
+export { CONDITIONS, detectConditions, safetyWarnings, describeWarnings } from "./safety.js";
+export { BODY_AREAS, BODY_STATES, bodySignals, describeBody, nextBodyState } from "./bodyMap.js";
+export { SORTS, cueMoments, matchesText, rank } from "./rank.js";
+export { EMBEDDING_MODEL, embeddingText, cosine, similarityStrength, semanticScores } from "./semantic.js";
+export { PROGRAMS, programFor, generateProgram, weekOffsets } from "./program.js";
+export { SESSION_ROLES, parseDuration, parseSession, planSession, isSessionRequest } from "./session.js";
+export { RECENT_MS, LEVELS, tasteProfile, personalSignals } from "./personalize.js";
+export {
+  LEVEL_ORDER,
+  NO_CONSTRAINTS,
+  levelRank,
+  matchesConstraints,
+  mergeConstraints,
+  parseConstraints,
+  describeConstraints,
+  facetCounts,
+} from "./facets.js";
+export { formatTimestamp, parseCaptions, parseTimestamp, toWebVtt } from "./captions.js";
+export { startConversation, isFollowUp, refine, conversationQuery, markShown } from "./conversation.js";
+export { LANGUAGES, languageOf, lexicon, wording } from "./languages.js";
+export { METRICS, precisionAt, reciprocalRank, ndcg, evaluate, compareRuns } from "./evaluate.js";
+export { describeDemand } from "./demand.js";
+export { SIMILARITY_WEIGHTS, contentVectors, similarity, moreLikeThis, diversify, topPicks } from "./similar.js";
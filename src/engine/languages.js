@@ -0,0 +1,62 @@
+import es from "./lexicon/es.json" with { type: "json" };
+import de from "./lexicon/de.json" with { type: "json" };
+import ja from "./lexicon/ja.json" with { type: "json" };
+
+/**
+ * Languages users can search and speak in. The catalog and the thesaurus
+ * are English; each other language adds a lexicon (lexicon/<code>.json)
+ * mapping its words onto the English terms:
+ *
+ *   stopWords   words that never count as search terms
+ *   synonyms    { "<English thesaurus term or tag>": [local terms] }
+ *   heuristics  { travel | desk | stiff | energy | relax: [local terms] }
+ *   conditions  { "<condition id>": [local phrases] } (see CONDITIONS)
+ *   negations   words that deny a condition phrase right after them; "not"
+ *               and "no" always do
+ *   constraints { "<English word parseConstraints reads>": [local phrases] },
+ *               e.g. "under": ["menos de"], "wall": ["pared"]
+ *   followUps   { shorter | longer | easier | harder | calmer | livelier | other:
+ *               [local phrases] }, follow-up cues (see conversation.js)
+ *   followUpStart  words that open a follow-up ("y", "pero", "sin")
+ *   postpositions  those English words this language puts after the number
+ *               or thing they modify ("20分以内", "壁なし")
+ *
+ * `speech` is the Web Speech API locale.
+ */
+export const LANGUAGES = [
+  { code: "en", label: "English", speech: "en-US" },
+  { code: "es", label: "Español", speech: "es-ES" },
+  { code: "de", label: "Deutsch", speech: "de-DE" },
+  { code: "ja", label: "日本語", speech: "ja-JP" },
+];
+
+const LEXICONS = { es, de, ja };
+const EMPTY = {
+  stopWords: [],
+  synonyms: {},
+  heuristics: {},
+  conditions: {},
+  negations: [],
+  followUps: {},
+  followUpStart: [],
+  constraints: {},
+  postpositions: [],
+};
+
+/** Supported language code for a code or locale ("es-MX" -> "es"), else "en" */
+export function languageOf(code) {
+  const base = String(code || "").toLowerCase().split(/[-_]/)[0];
+  return LANGUAGES.some((l) => l.code === base) ? base : "en";
+}
+
+/**
+ * `t(key, vars)` over a table of English phrases with `{name}` placeholders:
+ * the default wording for engine functions that also take the UI's
+ * translator (same keys, see src/i18n/strings.js).
+ */
+export const wording = (phrases) => (key, vars = {}) => phrases[key].replace(/\{(\w+)\}/g, (m, name) => vars[name]);
+
+/** A language's lexicon; English has nothing beyond the thesaurus */
+export function lexicon(lang) {
+  return { ...EMPTY, ...LEXICONS[languageOf(lang)] };
+}
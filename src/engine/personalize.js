@@ -0,0 +1,72 @@
+/**
+ * Personal re-ranking from a practice profile (see src/profile/). The profile
+ * is plain data so the engine stays storage-agnostic:
+ *
+ *   {
+ *     history: [{ role, text, at, videoId? }],
+ *     plays:   [{ id, at, completed, position?, duration?, watchedSec?, dismissed? }],
+ *     ratings: { [videoId]: 1 | -1 },
+ *     level:   "beginner" | "intermediate" | "advanced" | null,
+ *     program: generateProgram() result + { startedAt, done: { [n]: at } } | null,
+ *   }
+ *
+ * `at` is a millisecond timestamp. `position` and `duration` (seconds) are
+ * where playback last was, `watchedSec` how much was actually watched.
+ * `program.done` records which days of the program the user has done.
+ */
+
+/** Played this recently -> "you just did this one" penalty */
+export const RECENT_MS = 36 * 60 * 60 * 1000;
+
+/** Levels in order, for "too hard for you" checks */
+export const LEVELS = ["beginner", "intermediate", "advanced"];
+
+/**
+ * Summarise a profile against the catalog: how much the user likes each vibe
+ * (from thumbs and completed classes), their ratings and what they played
+ * recently.
+ */
+export function tasteProfile(profile, catalog, now = Date.now()) {
+  const byId = new Map((catalog || []).map((v) => [v.id, v]));
+  const vibes = new Map();
+  const bump = (video, amount) => {
+    for (const vibe of video?.vibe || []) vibes.set(vibe, (vibes.get(vibe) || 0) + amount);
+  };
+
+  const ratings = profile?.ratings || {};
+  for (const [id, r] of Object.entries(ratings)) bump(byId.get(id), r > 0 ? 1 : -1);
+  for (const p of profile?.plays || []) if (p.completed) bump(byId.get(p.id), 0.5);
+
+  const recent = new Map();
+  for (const p of profile?.plays || []) {
+    if (now - p.at < RECENT_MS) recent.set(p.id, Math.max(recent.get(p.id) || 0, p.at));
+  }
+
+  return { vibes, ratings, recent, level: profile?.level || null };
+}
+
+/**
+ * Personal signals for one video: `{ name: [points, ...matches] }`, ready to
+ * be added to the keyword score.
+ */
+export function personalSignals(video, taste, w) {
+  const out = {};
+  if (!taste) return out;
+
+  const rating = taste.ratings[video.id];
+  if (rating > 0) out.liked = [w.liked];
+  if (rating < 0) out.disliked = [w.disliked];
+
+  const liked = (video.vibe || []).filter((v) => (taste.vibes.get(v) || 0) > 0);
+  if (liked.length) out.likedVibe = [Math.min(liked.length, 2) * w.likedVibe, ...liked];
+
+  if (taste.recent.has(video.id)) out.recent = [w.recent];
+
+  if (taste.level && video.level) {
+    const want = LEVELS.indexOf(taste.level);
+    const have = LEVELS.indexOf(video.level);
+    if (video.level === taste.level) out.level = [w.level, video.level];
+    else if (have > want && want >= 0) out.level = [w.tooHard, video.level];
+  }
+  return out;
+}
@@ -0,0 +1,135 @@
+import { rank } from "./rank.js";
+import { levelRank } from "./facets.js";
+
+/**
+ * Multi-week programs built from catalog classes. A definition says what
+ * the program works on (`query`, searched like a user's request), how long
+ * it runs and its level ladder: the first sessions use `levels[0]`, the
+ * last ones the last entry, so a program can progress from beginner to
+ * intermediate.
+ */
+export const PROGRAMS = [
+  {
+    id: "healthy-back",
+    title: "7 days for a healthier back",
+    description: "Daily gentle work for the lower back and spine, building core support as the week goes on.",
+    weeks: 1,
+    daysPerWeek: 7,
+    query: "lower back spine core relief mobility",
+    levels: ["beginner", "all levels"],
+  },
+  {
+    id: "beginner-foundations",
+    title: "2-week beginner foundations",
+    description: "Alignment, balance, breath and strength, stepping up to intermediate classes in week two.",
+    weeks: 2,
+    daysPerWeek: 4,
+    query: "alignment balance breath strength full body",
+    levels: ["beginner", "all levels", "intermediate"],
+  },
+  {
+    id: "open-hips",
+    title: "3 weeks to open hips and hamstrings",
+    description: "Hip and hamstring flexibility, from easy releases to deeper intermediate practice.",
+    weeks: 3,
+    daysPerWeek: 3,
+    query: "hips hamstrings hip flexors flexibility release",
+    levels: ["beginner", "intermediate"],
+  },
+  {
+    id: "calm-evenings",
+    title: "2 weeks of calmer evenings",
+    description: "Restorative classes for winding down and sleeping better.",
+    weeks: 2,
+    daysPerWeek: 5,
+    query: "relaxation sleep calm nervous system restorative",
+    levels: ["beginner", "all levels"],
+  },
+];
+
+/** Classes to rotate through at each level */
+const POOL_MIN = 3;
+const POOL_MAX = 6;
+
+/** Local calendar day of a date, e.g. "2025-03-09" */
+const isoDay = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+
+/** Days of the week to practice on, as offsets from the start, spread out */
+export const weekOffsets = (daysPerWeek) => Array.from({ length: daysPerWeek }, (_, k) => Math.round((k * 7) / daysPerWeek));
+
+/**
+ * A program definition for `goal`: a PROGRAMS id, or free text ("stronger
+ * core") for a two-week beginner-to-intermediate program searching for it.
+ */
+export function programFor(goal) {
+  const known = PROGRAMS.find((p) => p.id === goal);
+  if (known) return known;
+  const text = String(goal || "").trim();
+  if (!text) return null;
+  return { id: "custom", title: text, description: "", weeks: 2, daysPerWeek: 3, query: text, levels: ["beginner", "all levels", "intermediate"] };
+}
+
+/**
+ * Build a personal schedule for `goal` (see programFor) from `catalog`.
+ *
+ * options (plus anything rank() takes: index, conditions, profile, lang...):
+ *   daysPerWeek  1-7, default the program's
+ *   weeks        default the program's
+ *   start        first day (Date or ms), default today
+ *
+ * Classes that aren't advised for the user's conditions are left out. Each
+ * session gets a well-matched class at its step of the level ladder (or the
+ * nearest easier level), preferring ones used least so far and never the
+ * same class twice in a row; small catalogs repeat favourites.
+ *
+ * Returns `{ goal, title, query, weeks, daysPerWeek, start, days: [{ n,
+ * week, date, level, videoId }] }` with dates as local "YYYY-MM-DD", or
+ * `{ error }` when nothing in the catalog fits.
+ */
+export function generateProgram(goal, catalog, options = {}) {
+  const def = programFor(goal);
+  if (!def) return { error: "Choose a program or describe a goal" };
+  const daysPerWeek = Math.min(7, Math.max(1, Math.round(options.daysPerWeek || def.daysPerWeek)));
+  const weeks = Math.max(1, Math.round(options.weeks || def.weeks));
+  const first = new Date(options.start ?? Date.now());
+  first.setHours(0, 0, 0, 0);
+
+  // Well-matched classes for the goal; each step of the ladder draws on its
+  // level, topped up with the nearest easier (then harder) levels when thin
+  const matches = rank(def.query, catalog, { ...options, filter: "", sort: "score", safety: "exclude" }).filter((r) => r.score > 0);
+  const pools = new Map();
+  const poolFor = (level) => {
+    if (!pools.has(level)) {
+      const target = levelRank(level);
+      const distance = (r) => Math.abs(levelRank(r.video.level) - target);
+      const pool = matches.filter((r) => distance(r) === 0).slice(0, POOL_MAX);
+      const near = (r) => levelRank(r.video.level) < target;
+      const others = matches.filter((r) => distance(r) > 0).sort((a, b) => near(b) - near(a) || distance(a) - distance(b));
+      if (pool.length < POOL_MIN) pool.push(...others.slice(0, POOL_MIN - pool.length));
+      pools.set(level, pool.map((r) => r.video));
+    }
+    return pools.get(level);
+  };
+
+  const total = weeks * daysPerWeek;
+  const offsets = weekOffsets(daysPerWeek);
+  const uses = new Map();
+  const days = [];
+  for (let n = 0; n < total; n++) {
+    const level = def.levels[Math.min(def.levels.length - 1, Math.floor((n * def.levels.length) / total))];
+    const pool = poolFor(level);
+    if (pool.length === 0) return { error: `No classes fit "${def.title}" for you yet` };
+    const previous = days.at(-1)?.videoId;
+    const choices = pool.length > 1 ? pool.filter((v) => v.id !== previous) : pool;
+    // Least used first; rank order breaks ties (sort is stable)
+    const video = [...choices].sort((a, b) => (uses.get(a.id) || 0) - (uses.get(b.id) || 0))[0];
+    uses.set(video.id, (uses.get(video.id) || 0) + 1);
+
+    const week = Math.floor(n / daysPerWeek);
+    const date = new Date(first);
+    date.setDate(first.getDate() + week * 7 + offsets[n % daysPerWeek]);
+    days.push({ n: n + 1, week: week + 1, date: isoDay(date), level, videoId: video.id });
+  }
+
+  return { goal: def.id, title: def.title, query: def.query, weeks, daysPerWeek, start: isoDay(first), days };
+}
@@ -0,0 +1,135 @@
+import thesaurus from "./thesaurus.json" with { type: "json" };
+import { tokenize } from "./tokenize.js";
+import { stem } from "./stem.js";
+import { indexTerms } from "./textIndex.js";
+import { languageOf, lexicon } from "./languages.js";
+
+const stems = (s) => tokenize(s).map(stem);
+const key = (s) => stems(s).join(" ");
+
+/** Heuristic buckets (travel, desk, ...) from the thesaurus, keyed by name */
+export const KW = thesaurus.heuristics;
+
+/**
+ * Synonym groups and heuristic buckets for a language: the English
+ * thesaurus with the language's terms added to the group (or bucket) of the
+ * English term they translate. Terms for a tag no group has start one.
+ */
+function vocabularyFor(lang) {
+  const local = lexicon(lang);
+  const groups = thesaurus.synonyms.map((g) => [...g]);
+  for (const [english, terms] of Object.entries(local.synonyms)) {
+    const group = groups.find((g) => g.includes(english));
+    if (group) group.push(...terms);
+    else groups.push([english, ...terms]);
+  }
+  const buckets = Object.fromEntries(Object.entries(KW).map(([b, terms]) => [b, [...terms, ...(local.heuristics[b] || [])]]));
+  return { groups, buckets };
+}
+
+/**
+ * Every term of a language's vocabulary, stemmed. A term belongs to a
+ * synonym group, a heuristic bucket, or both (separate entries).
+ */
+function buildLexicon(lang) {
+  const { groups, buckets } = vocabularyFor(lang);
+  const entries = [
+    ...groups.flatMap((group, g) => group.map((term) => ({ term, stems: stems(term), group: g }))),
+    ...Object.entries(buckets).flatMap(([bucket, terms]) => terms.map((term) => ({ term, stems: stems(term), bucket }))),
+  ];
+  return { groups, entries, longest: Math.max(...entries.map((e) => e.stems.length)) };
+}
+
+const LEXICONS = new Map();
+const lexiconFor = (lang) => {
+  const code = languageOf(lang);
+  if (!LEXICONS.has(code)) LEXICONS.set(code, buildLexicon(code));
+  return LEXICONS.get(code);
+};
+
+/**
+ * Parse a free-text query in `lang` (default English; see LANGUAGES) into:
+ *   lang        the language code used
+ *   tokens      raw lowercase words
+ *   stems       their stems
+ *   words       Set of stems plus single-word synonyms of detected terms
+ *   phrases     Set of multi-word keys (stemmed, space-joined) in the query
+ *               or synonymous with something in it
+ *   expansions  Set of stems brought in by synonyms (stop words removed)
+ *   buckets     { travel: ["flight"], ... } heuristic terms found
+ *   terms       thesaurus terms detected, for display
+ *
+ * Multi-word terms are matched greedily, longest first, so "nervous system"
+ * is one concept and doesn't also trigger "nervous" (anxious).
+ */
+export function understandQuery(query, lang = "en") {
+  const { groups, entries, longest } = lexiconFor(lang);
+  const tokens = tokenize(query);
+  const st = tokens.map(stem);
+  const found = [];
+
+  for (let i = 0; i < st.length; ) {
+    let hits = [];
+    for (let n = Math.min(longest, st.length - i); n > 0 && hits.length === 0; n--) {
+      const span = st.slice(i, i + n).join(" ");
+      hits = entries.filter((e) => e.stems.length === n && e.stems.join(" ") === span);
+    }
+    found.push(...hits);
+    i += hits.length ? hits[0].stems.length : 1;
+  }
+
+  const words = new Set(st);
+  const phrases = new Set();
+  const expansions = new Set();
+  const buckets = {};
+  for (let i = 0; i + 1 < st.length; i++) phrases.add(`${st[i]} ${st[i + 1]}`);
+  for (const e of found) {
+    if (e.bucket) (buckets[e.bucket] ||= []).push(e.term);
+    if (e.group === undefined) continue;
+    for (const term of groups[e.group]) {
+      indexTerms(term).forEach((x) => expansions.add(x));
+      const s = stems(term);
+      if (s.length === 1) words.add(s[0]);
+      else phrases.add(s.join(" "));
+    }
+  }
+
+  return { text: query || "", lang: languageOf(lang), tokens, stems: st, words, phrases, expansions, buckets, terms: [...new Set(found.map((e) => e.term))] };
+}
+
+/**
+ * An understandQuery() result plus catalog tags, scored as if the query had
+ * said them (body-map selections, for example). Each tag is read on its own,
+ * in English, so no phrase spans two tags; the query text is unchanged.
+ */
+export function withTags(understood, tags = []) {
+  if (!tags.length) return understood;
+  const out = {
+    ...understood,
+    words: new Set(understood.words),
+    phrases: new Set(understood.phrases),
+    expansions: new Set(understood.expansions),
+    buckets: Object.fromEntries(Object.entries(understood.buckets).map(([b, terms]) => [b, [...terms]])),
+    terms: [...understood.terms],
+  };
+  for (const tag of tags) {
+    const t = understandQuery(tag, "en");
+    t.words.forEach((w) => out.words.add(w));
+    t.phrases.forEach((p) => out.phrases.add(p));
+    [...t.expansions, ...indexTerms(tag)].forEach((x) => out.expansions.add(x));
+    for (const [b, terms] of Object.entries(t.buckets)) (out.buckets[b] ||= []).push(...terms);
+    if (!out.terms.includes(tag)) out.terms.push(tag);
+  }
+  return out;
+}
+
+/**
+ * How many of a tag's words the query covers. A multi-word tag covered as a
+ * phrase ("lower back" from "lumbar") counts all of its words.
+ * Returns the matched stems.
+ */
+export function matchTag(tag, understood) {
+  const s = stems(tag);
+  if (s.length > 1 && understood.phrases.has(key(tag))) return s;
+  return s.filter((x) => understood.words.has(x));
+}
@@ -0,0 +1,123 @@
+import { scoreVideo, transcriptSnippet } from "./score.js";
+import { understandQuery, withTags } from "./query.js";
+import { buildIndex, idealScore, queryTerms, searchIndex } from "./textIndex.js";
+import { semanticScores } from "./semantic.js";
+import { tasteProfile } from "./personalize.js";
+import { levelRank, matchesConstraints, mergeConstraints, parseConstraints } from "./facets.js";
+import { detectConditions, safetyWarnings } from "./safety.js";
+import { bodySignals } from "./bodyMap.js";
+
+/** Case-insensitive substring match over a video's tags, level and title */
+export function matchesText(video, text) {
+  if (!text) return true;
+  return (video.focuses || [])
+    .concat(video.intents || [], video.vibe || [], video.equipment || [], video.level || [], video.title || "")
+    .join(" ")
+    .toLowerCase()
+    .includes(text.toLowerCase());
+}
+
+/**
+ * Matching transcript cues as `[{ time, terms, text }]`, in playback order.
+ * Keeps the `limit` most specific cues: a term said in every other cue
+ * ("pose") counts for less than one said once ("pigeon").
+ */
+export function cueMoments(segments, moments, limit = 5) {
+  const byTime = new Map();
+  const cuesWith = new Map();
+  for (const { term, time } of moments) {
+    let m = byTime.get(time);
+    if (!m) byTime.set(time, (m = { time, terms: [] }));
+    if (m.terms.includes(term)) continue;
+    m.terms.push(term);
+    cuesWith.set(term, (cuesWith.get(term) || 0) + 1);
+  }
+  const weight = (m) => m.terms.reduce((sum, t) => sum + 1 / cuesWith.get(t), 0);
+  return [...byTime.values()]
+    .sort((a, b) => weight(b) - weight(a) || a.time - b.time)
+    .slice(0, limit)
+    .sort((a, b) => a.time - b.time)
+    .map((m) => {
+      const cue = segments.find((s) => s.start === m.time);
+      return { ...m, text: cue ? transcriptSnippet(cue.text.toLowerCase(), m.terms, 30) : "" };
+    });
+}
+
+/** Sort comparators for ranked results, keyed by the UI's sort option */
+export const SORTS = {
+  score: (a, b) => b.score - a.score,
+  length: (a, b) => (a.video.lengthMin || 0) - (b.video.lengthMin || 0),
+  level: (a, b) => levelRank(a.video.level) - levelRank(b.video.level),
+};
+
+/**
+ * Rank a catalog against a query.
+ *
+ * options:
+ *   index        prebuilt buildIndex() result; build it once per catalog
+ *   transcripts  { [videoId]: text or [{ start, text }] }, only used to
+ *                build an index on the fly when `index` is missing
+ *   weights      partial override of DEFAULT_WEIGHTS
+ *   filter       free-text filter applied before sorting
+ *   sort         "score" | "length" | "level" (default "score")
+ *   conditions   declared condition ids (see CONDITIONS); conditions mentioned
+ *                in the query are added automatically
+ *   body         body-map selection `{ [areaId]: "tight" | "sore" | "injured" }`
+ *                (bodyMap.js): adds focuses and intents to the query and
+ *                conditions for injured areas
+ *   safety       "flag" (default) keeps unsafe classes but sorts them after
+ *                every safe one; "exclude" drops them
+ *   semantic     `{ vector, embeddings }` to blend embedding similarity into
+ *                the keyword score (see semantic.js); omit for keywords only
+ *   constraints  hard facet constraints (facets.js); constraints stated in
+ *                the query ("under 20 min", "no wall", in `lang`) are added automatically
+ *   profile      practice profile for personal re-ranking (personalize.js)
+ *   now          clock for "played recently", defaults to Date.now()
+ *   lang         query language (see LANGUAGES), default "en"
+ *
+ * Returns `[{ video, score, signals, matches, terms, snippet, moments,
+ * warnings }]` (see scoreVideo; `moments` come from cueMoments). An empty
+ * query with nothing selected on the body map scores everything 0.
+ */
+export function rank(query, catalog, options = {}) {
+  const { transcripts = {}, weights, filter = "", sort = "score", conditions = [], safety = "flag", lang = "en" } = options;
+  const q = (query || "").trim();
+  const body = bodySignals(options.body);
+  const active = [...new Set([...conditions, ...body.conditions, ...detectConditions(q, lang)])];
+  const constraints = mergeConstraints(options.constraints, parseConstraints(q, lang));
+  const uq = withTags(understandQuery(q, lang), [...body.focuses, ...body.tags]);
+  const asked = !!q || uq.terms.length > 0;
+  const index = asked ? options.index || buildIndex(catalog, transcripts) : null;
+  const terms = asked ? queryTerms(uq) : [];
+  const textHits = asked ? searchIndex(index, terms) : new Map();
+  const ideal = asked ? idealScore(index, terms) : 0;
+  const similarities = q ? semanticScores(options.semantic?.vector, options.semantic?.embeddings) : new Map();
+  const taste = asked && options.profile ? tasteProfile(options.profile, catalog, options.now) : null;
+
+  const textMatch = (video) => {
+    const hit = textHits.get(video.id);
+    if (!hit) return null;
+    const doc = index.docs.get(video.id);
+    const spoken = hit.terms.filter((t) => doc.text.includes(t));
+    const haystack = `${video.title || ""} ${video.notes || ""} ${doc.text}`.toLowerCase();
+    return {
+      score: Math.min(1, hit.score / ideal),
+      terms: hit.terms.map((t) => haystack.match(new RegExp(`\\b${t}\\w*`))?.[0] || t),
+      moments: cueMoments(doc.segments, hit.moments),
+      snippet: transcriptSnippet(doc.text, spoken),
+    };
+  };
+
+  const results = (catalog || [])
+    .filter((v) => matchesText(v, filter) && matchesConstraints(v, constraints))
+    .map((video) => {
+      const scored = asked
+        ? scoreVideo(uq, video, { text: textMatch(video), similarity: similarities.get(video.id), taste, weights })
+        : { score: 0, signals: {}, matches: {}, terms: [], snippet: "", moments: [] };
+      return { video, ...scored, warnings: safetyWarnings(video, active) };
+    })
+    .filter((r) => safety !== "exclude" || r.warnings.length === 0);
+
+  const cmp = SORTS[sort] || SORTS.score;
+  return results.sort((a, b) => Math.sign(a.warnings.length) - Math.sign(b.warnings.length) || cmp(a, b));
+}
@@ -0,0 +1,121 @@
+import { tokenize } from "./tokenize.js";
+import { lexicon } from "./languages.js";
+
+/**
+ * Health conditions a user can declare, either in their profile or in the
+ * query text. `phrases` are matched against the tokenized query; `contra`
+ * lists the catalog `contraindications` strings that make a class unsafe.
+ */
+export const CONDITIONS = [
+  {
+    id: "pregnancy",
+    label: "Pregnancy",
+    phrases: ["pregnant", "pregnancy", "prenatal", "expecting a baby", "trimester"],
+    contra: ["pregnancy", "pregnant", "prenatal"],
+  },
+  {
+    id: "high-blood-pressure",
+    label: "High blood pressure",
+    phrases: ["high blood pressure", "hypertension"],
+    contra: ["high blood pressure", "hypertension"],
+  },
+  {
+    id: "neck-injury",
+    label: "Neck injury",
+    phrases: ["neck injury", "injured neck", "neck issues", "whiplash", "cervical"],
+    contra: ["neck issues", "neck injury", "neck pain"],
+  },
+  {
+    id: "knee-injury",
+    label: "Knee injury",
+    phrases: ["knee", "knees", "meniscus", "acl", "mcl"],
+    contra: ["acute knee pain", "knee injury", "knee issues"],
+  },
+  {
+    id: "back-injury",
+    label: "Back injury",
+    phrases: ["back injury", "injured back", "herniated", "slipped disc", "bulging disc", "sciatica"],
+    contra: ["back injury", "acute back pain", "disc issues", "sciatica"],
+  },
+  {
+    id: "hip-injury",
+    label: "Hip injury",
+    phrases: ["hip injury", "injured hip", "hip replacement", "labral tear", "hip bursitis"],
+    contra: ["hip injury", "hip issues", "hip replacement"],
+  },
+  {
+    id: "hamstring-injury",
+    label: "Hamstring injury",
+    phrases: ["hamstring injury", "injured hamstring", "pulled hamstring", "torn hamstring", "hamstring strain"],
+    contra: ["hamstring injury", "hamstring issues"],
+  },
+  {
+    id: "eye-condition",
+    label: "Glaucoma / eye condition",
+    phrases: ["glaucoma", "detached retina", "eye problems", "eye pressure"],
+    contra: ["eye problems", "glaucoma", "detached retina"],
+  },
+  {
+    id: "shoulder-injury",
+    label: "Shoulder injury",
+    phrases: ["shoulder injury", "injured shoulder", "rotator cuff", "frozen shoulder"],
+    contra: ["shoulder injury", "shoulder issues"],
+  },
+  {
+    id: "wrist-injury",
+    label: "Wrist injury",
+    phrases: ["wrist injury", "injured wrist", "carpal tunnel", "wrist pain"],
+    contra: ["wrist injury", "wrist issues"],
+  },
+];
+
+const BY_ID = Object.fromEntries(CONDITIONS.map((c) => [c.id, c]));
+
+/** Words that deny the phrase right after them ("not pregnant", "no knee pain") */
+const NEGATIONS = ["not", "no"];
+
+/** Whether `phrase` occurs in `tokens` other than right after a negation */
+function mentions(tokens, phrase, negations) {
+  const words = tokenize(phrase);
+  for (let i = 0; i + words.length <= tokens.length; i++) {
+    if (words.every((w, j) => tokens[i + j] === w) && !negations.includes(tokens[i - 1])) return true;
+  }
+  return false;
+}
+
+/**
+ * Condition ids mentioned in free text, e.g. "my knee hurts" -> ["knee-injury"].
+ * English phrases always count, plus those of `lang` ("embarazada"); a
+ * phrase right after "not" or "no" (or a negation of `lang`) doesn't.
+ */
+export function detectConditions(text, lang = "en") {
+  const tokens = tokenize(text);
+  const { conditions: local, negations } = lexicon(lang);
+  const denied = [...NEGATIONS, ...negations];
+  return CONDITIONS.filter((c) => [...c.phrases, ...(local[c.id] || [])].some((p) => mentions(tokens, p, denied))).map(
+    (c) => c.id
+  );
+}
+
+/**
+ * Warnings for one video given a list of condition ids.
+ * Returns `[{ condition, label, contraindication }]`; empty means safe.
+ */
+export function safetyWarnings(video, conditionIds) {
+  const warnings = [];
+  const listed = (video.contraindications || []).map((c) => c.toLowerCase().trim());
+  for (const id of conditionIds || []) {
+    const cond = BY_ID[id];
+    if (!cond) continue;
+    const hit = listed.find((c) => cond.contra.includes(c));
+    if (hit) warnings.push({ condition: id, label: cond.label, contraindication: hit });
+  }
+  return warnings;
+}
+
+/** One-line, user-facing summary of a warning list */
+export function describeWarnings(warnings) {
+  return warnings
+    .map((w) => `Not advised with ${w.label.toLowerCase()} (lists ${w.contraindication})`)
+    .join("; ");
+}
@@ -0,0 +1,131 @@
+import { matchTag, understandQuery } from "./query.js";
+import { similarityStrength } from "./semantic.js";
+import { personalSignals } from "./personalize.js";
+
+/** Points awarded per signal; override any of them via `options.weights` */
+export const DEFAULT_WEIGHTS = {
+  focus: 3,
+  intent: 2,
+  vibe: 1,
+  travel: 4,
+  desk: 3,
+  energy: 2,
+  relax: 1,
+  lengthMax: 4,
+  quick: 2,
+  text: 6,
+  semantic: 8,
+  liked: 2,
+  disliked: -5,
+  likedVibe: 1,
+  recent: -3,
+  level: 1,
+  tooHard: -2,
+};
+
+/**
+ * Score one video against a free-text query (or an understandQuery() result).
+ * Returns the total, the points contributed by each signal and what matched
+ * (tags, query words, a transcript snippet), so callers can see why a video
+ * ranked where it did.
+ *
+ * `text` is the video's full-text match from rank(): `{ score, terms,
+ * moments, snippet }` with `score` already normalised to 0..1 against the
+ * best match in the catalog. `similarity` is the cosine similarity between
+ * query and video embeddings, when semantic ranking is on. `taste` is a
+ * tasteProfile() for personal re-ranking.
+ */
+export function scoreVideo(query, video, { text, similarity, taste, weights, lang } = {}) {
+  const w = { ...DEFAULT_WEIGHTS, ...weights };
+  const uq = typeof query === "string" ? understandQuery(query, lang) : query;
+  const q = uq.words;
+  const signals = {};
+  const matches = {};
+  const terms = new Set();
+  const add = (name, pts, ...hits) => {
+    if (!pts) return;
+    signals[name] = (signals[name] || 0) + pts;
+    matches[name] = [...new Set([...(matches[name] || []), ...hits])];
+  };
+
+  // Focus/body part matching
+  for (const f of video.focuses || []) {
+    const hit = matchTag(f, uq);
+    if (hit.length) add("focus", w.focus * hit.length, f);
+    hit.forEach((t) => terms.add(t));
+  }
+  // Intents
+  for (const i of video.intents || []) {
+    const hit = matchTag(i, uq);
+    if (hit.length) add("intent", w.intent * hit.length, i);
+    hit.forEach((t) => terms.add(t));
+  }
+  // Vibes
+  for (const v of video.vibe || []) {
+    const hit = matchTag(v, uq);
+    if (hit.length) add("vibe", w.vibe * hit.length, v);
+    hit.forEach((t) => terms.add(t));
+  }
+
+  // Heuristics
+  const { travel = [], desk = [], energy = [], relax = [], stiff = [] } = uq.buckets;
+  if (q.has("trip") && q.has("back")) travel.push("trip");
+  if (travel.length) add("travel", w.travel, ...travel);
+  if (desk.length) add("desk", w.desk, ...desk);
+  if (energy.length) add("energy", w.energy, ...energy);
+  if (relax.length || stiff.length) add("relax", w.relax, ...relax, ...stiff);
+
+  // Contraindications are handled by the safety layer in rank(), not scored
+
+  // Time preference "X min"
+  const m = uq.text.match(/(\d{1,2})\s*min/);
+  if (m) {
+    const want = parseInt(m[1], 10);
+    const diff = Math.abs((video.lengthMin || 0) - want);
+    add("length", Math.max(0, w.lengthMax - Math.min(w.lengthMax, Math.round(diff / 5))), `${want} min`);
+  }
+  if (q.has("quick") || q.has("short")) {
+    if (video.lengthMin <= 10) add("quick", w.quick, q.has("quick") ? "quick" : "short");
+  }
+
+  // Full-text relevance (BM25 over title, notes and transcript)
+  if (text?.score > 0) add("text", Math.round(w.text * text.score * 10) / 10, ...text.terms);
+
+  // Semantic similarity (optional, from local embeddings)
+  if (similarity != null) {
+    const pts = Math.round(w.semantic * similarityStrength(similarity) * 10) / 10;
+    add("semantic", pts, `${Math.round(similarity * 100)}%`);
+  }
+
+  // Personal history: thumbs, liked vibes, level, "did this yesterday".
+  // Only re-ranks classes that are relevant to the query in the first place.
+  if (Object.values(signals).some((pts) => pts > 0)) {
+    for (const [name, [pts, ...hits]] of Object.entries(personalSignals(video, taste, w))) add(name, pts, ...hits);
+  }
+
+  const score = Math.round(Object.values(signals).reduce((sum, pts) => sum + pts, 0) * 10) / 10;
+  return {
+    score,
+    signals,
+    matches,
+    terms: [...terms, ...(text?.terms || [])],
+    snippet: text?.snippet || "",
+    moments: text?.moments || [],
+  };
+}
+
+/** ~120 characters of transcript around the first hit of the longest term */
+export function transcriptSnippet(text, hits, radius = 60) {
+  if (!hits.length) return "";
+  const term = [...hits].sort((a, b) => b.length - a.length)[0];
+  const at = text.indexOf(term);
+  if (at < 0) return "";
+  const start = Math.max(0, at - radius);
+  const end = Math.min(text.length, at + term.length + radius);
+  return (start > 0 ? "…" : "") + text.slice(start, end).replace(/\s+/g, " ").trim() + (end < text.length ? "…" : "");
+}
+
+/** Total score only; kept for callers that don't need the breakdown */
+export function keywordScore(query, video, options) {
+  return scoreVideo(query, video, options).score;
+}
@@ -0,0 +1,58 @@
+/**
+ * Semantic similarity helpers. The embeddings themselves come from a local
+ * model (scripts/embed-catalog.js offline, src/semantic/ in the browser);
+ * this module only does the maths so it stays dependency-free.
+ */
+
+/** Model used for both the catalog sidecar and query embeddings */
+export const EMBEDDING_MODEL = "Xenova/all-MiniLM-L6-v2";
+
+/** Transcript characters included in a video's embedding text */
+const TRANSCRIPT_CHARS = 2000;
+
+/** Text a video is embedded from; must match between offline and browser */
+export function embeddingText(video, transcript = "") {
+  const text = typeof transcript === "string" ? transcript : transcript.map((s) => s.text).join(" ");
+  return [
+    video.title,
+    video.notes,
+    `Focus: ${(video.focuses || []).join(", ")}`,
+    `Good for: ${(video.intents || []).join(", ")}`,
+    `Feels: ${(video.vibe || []).join(", ")}`,
+    text.slice(0, TRANSCRIPT_CHARS),
+  ]
+    .filter(Boolean)
+    .join(". ");
+}
+
+export function cosine(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+/**
+ * Similarities below `floor` are noise for sentence embeddings; rescale the
+ * rest to 0..1 so it can be weighted like any other signal.
+ */
+export function similarityStrength(sim, floor = 0.2) {
+  return Math.max(0, (sim - floor) / (1 - floor));
+}
+
+/**
+ * Cosine similarity of a query vector to every embedded video.
+ * `embeddings` is the parsed sidecar: `{ model, dim, vectors: { [id]: number[] } }`.
+ * Returns `Map(videoId -> similarity)`.
+ */
+export function semanticScores(queryVector, embeddings) {
+  const out = new Map();
+  if (!queryVector || !embeddings?.vectors) return out;
+  for (const [id, vec] of Object.entries(embeddings.vectors)) out.set(id, cosine(queryVector, vec));
+  return out;
+}
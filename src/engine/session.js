@@ -0,0 +1,142 @@
+import { rank } from "./rank.js";
+import { tokenize } from "./tokenize.js";
+
+/**
+ * Parts of a practice. `words` decide which part a segment of the query is
+ * ("warm up then hips then relax"); `query` is what we search with when the
+ * user didn't describe that part themselves.
+ */
+export const SESSION_ROLES = {
+  opener: {
+    label: "Warm up",
+    words: ["warm", "warmup", "wake", "energize", "energizing", "opener", "start", "activate"],
+    query: "warm-up mobility energizing dynamic",
+  },
+  focus: { label: "Focus", words: [], query: "" },
+  closer: {
+    label: "Wind down",
+    words: ["relax", "relaxation", "restore", "restorative", "rest", "calm", "cool", "wind", "closer", "finish", "meditate", "meditation"],
+    query: "relaxation restorative calm grounding",
+  },
+};
+
+/** Slack over the target we accept rather than leave a big gap */
+const OVERRUN_MIN = 8;
+
+/** Target length in minutes from "45 min", "1 hour", "an hour and a half" */
+export function parseDuration(text) {
+  const t = (text || "").toLowerCase();
+  const half = t.match(/\b(an?|one|\d+) hours? and a half\b/);
+  if (half) return (/\d/.test(half[1]) ? parseInt(half[1], 10) : 1) * 60 + 30;
+  if (/\bhalf an hour\b/.test(t)) return 30;
+  if (/\b(an?|one) hour\b/.test(t)) return 60;
+  const h = t.match(/(\d+(?:\.\d+)?)\s*(?:h|hrs?|hours?)\b/);
+  if (h) return Math.round(parseFloat(h[1]) * 60);
+  const m = t.match(/(\d{1,3})\s*min/);
+  return m ? parseInt(m[1], 10) : null;
+}
+
+const stripDuration = (s) =>
+  s
+    .replace(/\b(an?|one|\d+) hours? and a half\b|\b(an?|one) hour\b|\bhalf an hour\b/gi, " ")
+    .replace(/\d+(\.\d+)?\s*(minutes?|mins?|hours?|hrs?|h)\b/gi, " ")
+    .trim();
+
+function roleOf(segment) {
+  const words = new Set(tokenize(segment));
+  for (const role of ["opener", "closer"]) {
+    if (SESSION_ROLES[role].words.some((w) => words.has(w))) return role;
+  }
+  return "focus";
+}
+
+/** Words that mark the next step of a practice */
+const STEP = /\bthen\b|\bfollowed by\b|\bafter that\b|\band finish with\b|->|→/i;
+
+/** The steps a request spells out, duration removed */
+const partsOf = (query) =>
+  stripDuration(query || "")
+    .split(new RegExp(`${STEP.source}|[,;]`, "i"))
+    .map((s) => s.replace(/^\s*((and|with|a|some|for|my|the|of)\s+)+/i, "").trim())
+    .filter((s) => tokenize(s).length > 0);
+
+/**
+ * Split a request like "45 minutes, warm up then hips then relax" into
+ * ordered segments. Without explicit steps the whole request is the focus,
+ * framed by a default warm-up and wind-down.
+ */
+export function parseSession(query) {
+  const target = parseDuration(query);
+  const parts = partsOf(query);
+
+  const segments =
+    parts.length > 1
+      ? parts.map((text) => ({ role: roleOf(text), text }))
+      : [
+          { role: "opener", text: "" },
+          { role: "focus", text: parts[0] || "" },
+          { role: "closer", text: "" },
+        ];
+
+  return {
+    target,
+    segments: segments.map(({ role, text }) => ({
+      role,
+      label: role === "focus" && text ? text : SESSION_ROLES[role].label,
+      query: [text, SESSION_ROLES[role].query].filter(Boolean).join(" "),
+    })),
+  };
+}
+
+/** Order in which segments get a class when time is short */
+const PRIORITY = { focus: 0, closer: 1, opener: 2 };
+
+/**
+ * Plan a multi-class session for `query` from `catalog`.
+ *
+ * Each segment is ranked separately (with the same options rank() takes) and
+ * gets its best class that isn't already in the plan and still fits the
+ * target duration. When time runs out, the focus is kept first, then the
+ * wind-down, then the warm-up. Without a target every segment gets a class.
+ *
+ * Returns `{ target, total, items: [{ role, label, video, score }] }` with
+ * items in practice order.
+ */
+export function planSession(query, catalog, options = {}) {
+  const { target, segments } = parseSession(query);
+  const rankOptions = { ...options, filter: "", sort: "score", safety: "exclude" };
+  const budget = target ? target + OVERRUN_MIN : Infinity;
+  const used = new Set();
+  const picks = new Array(segments.length).fill(null);
+  let total = 0;
+
+  const order = segments.map((s, i) => i).sort((a, b) => PRIORITY[segments[a].role] - PRIORITY[segments[b].role]);
+  for (const i of order) {
+    const candidates = rank(segments[i].query, catalog, rankOptions).filter(
+      (r) => r.score > 0 && !used.has(r.video.id)
+    );
+    const pick = candidates.slice(0, 5).find((r) => total + (r.video.lengthMin || 0) <= budget);
+    if (!pick) continue;
+    picks[i] = pick;
+    used.add(pick.video.id);
+    total += pick.video.lengthMin || 0;
+  }
+
+  const items = picks
+    .map((r, i) => r && { role: segments[i].role, label: segments[i].label, video: r.video, score: r.score })
+    .filter(Boolean);
+  return { target, total, items };
+}
+
+/**
+ * Whether a query asks for a multi-part session: it says "session" or
+ * "sequence", or spells out more than one step. Steps split by commas alone
+ * ("tight hips, lower back") only count when one of them is a warm-up or
+ * wind-down; a lone "then" or a long duration is not enough.
+ */
+export function isSessionRequest(query) {
+  const q = (query || "").toLowerCase();
+  if (/\bsession\b|\bsequence\b/.test(q)) return true;
+  const parts = partsOf(q);
+  return parts.length > 1 && (STEP.test(stripDuration(q)) || parts.some((p) => roleOf(p) !== "focus"));
+}
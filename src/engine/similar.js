@@ -0,0 +1,150 @@
+import { levelRank } from "./facets.js";
+import { safetyWarnings } from "./safety.js";
+
+/**
+ * Item-to-item similarity, for "more like this" and for keeping the top
+ * picks from being two takes on the same class.
+ */
+
+/** How much each aspect counts; the result is their weighted mean, 0..1 */
+export const SIMILARITY_WEIGHTS = { focuses: 3, intents: 2, vibe: 2, level: 1, length: 1, content: 2 };
+
+/** Length difference at which length stops counting as similar */
+const LENGTH_SPAN_MIN = 30;
+
+/** How many of the best safe results the top picks are chosen from */
+const TOP_PICK_POOL = 8;
+
+const jaccard = (a = [], b = []) => {
+  if (!a.length && !b.length) return 0;
+  const set = new Set(a);
+  const shared = b.filter((x) => set.has(x)).length;
+  return shared / (set.size + b.length - shared);
+};
+
+const VECTORS = new WeakMap();
+
+/**
+ * TF-IDF vectors of every indexed class (title, notes, transcript) from a
+ * buildIndex() result, as `Map(id -> { terms: Map(term -> weight), norm })`.
+ * Computed once per index.
+ */
+export function contentVectors(index) {
+  if (VECTORS.has(index)) return VECTORS.get(index);
+  const vectors = new Map([...index.docs.keys()].map((id) => [id, { terms: new Map(), norm: 0 }]));
+  for (const [term, byDoc] of index.postings) {
+    const idf = Math.log(index.N / byDoc.size);
+    if (idf <= 0) continue;
+    for (const [id, p] of byDoc) {
+      const tf = Object.values(p.tf).reduce((sum, n) => sum + n, 0);
+      vectors.get(id).terms.set(term, (1 + Math.log(tf)) * idf);
+    }
+  }
+  for (const v of vectors.values()) v.norm = Math.sqrt([...v.terms.values()].reduce((sum, w) => sum + w * w, 0));
+  VECTORS.set(index, vectors);
+  return vectors;
+}
+
+function contentSimilarity(index, a, b) {
+  const vectors = contentVectors(index);
+  const va = vectors.get(a.id);
+  const vb = vectors.get(b.id);
+  if (!va?.norm || !vb?.norm) return 0;
+  const [small, large] = va.terms.size < vb.terms.size ? [va, vb] : [vb, va];
+  let dot = 0;
+  for (const [term, w] of small.terms) dot += w * (large.terms.get(term) || 0);
+  return dot / (va.norm * vb.norm);
+}
+
+/**
+ * Similarity of two classes, 0..1, over shared focuses, intents and vibe,
+ * closeness of level and length, and (with `index`) what's said in them.
+ * `weights` overrides SIMILARITY_WEIGHTS.
+ */
+export function similarity(a, b, { index, weights } = {}) {
+  const w = { ...SIMILARITY_WEIGHTS, ...weights };
+  const parts = {
+    focuses: jaccard(a.focuses, b.focuses),
+    intents: jaccard(a.intents, b.intents),
+    vibe: jaccard(a.vibe, b.vibe),
+    level: 1 - Math.min(1, Math.abs(levelRank(a.level) - levelRank(b.level)) / 2),
+    length: 1 - Math.min(1, Math.abs((a.lengthMin || 0) - (b.lengthMin || 0)) / LENGTH_SPAN_MIN),
+  };
+  if (index) parts.content = contentSimilarity(index, a, b);
+  let total = 0;
+  let weight = 0;
+  for (const [name, value] of Object.entries(parts)) {
+    total += w[name] * value;
+    weight += w[name];
+  }
+  return weight ? total / weight : 0;
+}
+
+/**
+ * Classes most like `video`, best first: `[{ video, score, shared }]` where
+ * `shared` lists focuses and vibes both have. Classes not advised for
+ * `conditions` are left out.
+ *
+ * options: index, weights (see similarity), conditions, limit (default 6)
+ */
+export function moreLikeThis(video, catalog, { index, weights, conditions = [], limit = 6 } = {}) {
+  return (catalog || [])
+    .filter((v) => v.id !== video.id && safetyWarnings(v, conditions).length === 0)
+    .map((v) => ({
+      video: v,
+      score: similarity(video, v, { index, weights }),
+      shared: [...(v.focuses || []).filter((f) => video.focuses?.includes(f)), ...(v.vibe || []).filter((x) => video.vibe?.includes(x))],
+    }))
+    .sort((x, y) => y.score - x.score)
+    .slice(0, limit);
+}
+
+/**
+ * Maximal marginal relevance: pick `k` of `items` one at a time, each
+ * maximising `lambda * relevance - (1 - lambda) * similarity to the ones
+ * already picked`, so the picks are good *and* different. Relevance is
+ * scaled to the best item's; items below `floor` of it are never picked
+ * ahead of their turn, so a weak match can't win on novelty alone. The
+ * first pick is always the most relevant item.
+ *
+ * `relevance(item)` and `similar(a, b)` (0..1) are supplied by the caller.
+ * Returns the picks in order, followed by the remaining items as they were.
+ */
+export function diversify(items, relevance, similar, { lambda = 0.5, k = 2, floor = 0.5 } = {}) {
+  const best = Math.max(0, ...items.map(relevance));
+  if (!best) return items;
+  const rel = new Map(items.map((item) => [item, relevance(item) / best]));
+  const picked = [];
+  const left = [...items];
+  while (picked.length < k && left.length) {
+    const eligible = left.filter((item) => rel.get(item) >= floor);
+    if (!eligible.length) break;
+    let choice = eligible[0];
+    let top = -Infinity;
+    for (const item of eligible) {
+      const redundancy = picked.length ? Math.max(...picked.map((p) => similar(item, p))) : 0;
+      const value = lambda * rel.get(item) - (1 - lambda) * redundancy;
+      if (value > top) [choice, top] = [item, value];
+    }
+    picked.push(choice);
+    left.splice(left.indexOf(choice), 1);
+  }
+  return [...picked, ...left];
+}
+
+/**
+ * rank() results in the order the app offers them: the best match, then the
+ * best one that's also a different kind of class (MMR over the top safe
+ * results), then the rest by score, with classes that have warnings last.
+ * Results that don't score are left out, and the order `results` came in
+ * (a list sort, say) only breaks ties. Take the first `k` as the top picks.
+ */
+export function topPicks(results, { index, k = 2 } = {}) {
+  const candidates = results.filter((r) => r.score > 0).sort((a, b) => b.score - a.score);
+  const safe = candidates.filter((r) => r.warnings.length === 0);
+  return [
+    ...diversify(safe.slice(0, TOP_PICK_POOL), (r) => r.score, (a, b) => similarity(a.video, b.video, { index }), { k }),
+    ...safe.slice(TOP_PICK_POOL),
+    ...candidates.filter((r) => r.warnings.length > 0),
+  ];
+}
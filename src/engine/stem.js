@@ -0,0 +1,34 @@
+/**
+ * Light English suffix stripper, loosely after Porter's steps 1 and 4.
+ * Only needs to be consistent: query words and catalog tags go through the
+ * same function, so "hips"/"hip", "stretching"/"stretches" and
+ * "relaxation"/"relaxing" meet at the same stem.
+ */
+export function stem(word) {
+  let w = word;
+  if (w.length <= 3 || /\d/.test(w)) return w;
+
+  // Plurals
+  if (w.endsWith("sses")) w = w.slice(0, -2);
+  else if (w.endsWith("ies") && w.length > 4) w = w.slice(0, -3) + "y";
+  else if (w.endsWith("s") && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+  // -ing / -ed, restoring the "e" Porter would ("meditating" -> "meditate")
+  const m = w.match(/^(.*[aeiouy].*?)(ing|ed)$/);
+  if (m && m[1].length >= 3) {
+    w = m[1];
+    if (/(at|iz|bl)$/.test(w)) w += "e";
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+  }
+
+  // Derivational endings
+  for (const suffix of ["ation", "ative", "ness", "ment", "ate", "ity"]) {
+    if (w.endsWith(suffix) && w.length - suffix.length >= 4) {
+      w = w.slice(0, -suffix.length);
+      break;
+    }
+  }
+
+  if (w.endsWith("e") && w.length > 4) w = w.slice(0, -1);
+  return w;
+}
@@ -0,0 +1,154 @@
+import { tokenize } from "./tokenize.js";
+import { stem } from "./stem.js";
+import { lexicon } from "./languages.js";
+
+/** Words too common to say anything about a class */
+export const STOP_WORDS = new Set(
+  `a about above after again all am an and any are as at be because been before being below between both but by
+  can could did do does doing down during each few for from further had has have having he her here hers herself
+  him himself his how i if in into is it its itself just let me more most my myself no nor not now of off on once
+  only or other our ours ourselves out over own same she should so some such than that the their theirs them
+  themselves then there these they this those through to too under until up very was we were what when where
+  which while who whom why will with would you your yours yourself yourselves im ive youre dont feel feeling
+  really want like get got bit little`.split(/\s+/)
+);
+
+/** BM25 parameters and per-field weights (BM25F-style) */
+export const BM25 = { k1: 1.2, b: 0.75, fields: { title: 2, notes: 1, transcript: 1 } };
+
+/** Stemmed index terms of a piece of text, stop words removed */
+export function indexTerms(text) {
+  return tokenize(text)
+    .filter((t) => !STOP_WORDS.has(t))
+    .map(stem);
+}
+
+/**
+ * Transcripts come as plain text or as timed segments `[{ start, text }]`
+ * (seconds). Plain text is treated as one untimed segment.
+ */
+function segmentsOf(transcript) {
+  if (!transcript) return [];
+  if (typeof transcript === "string") return [{ start: null, text: transcript }];
+  return transcript;
+}
+
+/**
+ * Build an inverted index over title, notes and transcript of every video.
+ * Postings keep per-field term frequencies and, for timed transcripts, the
+ * start time of every segment the term occurs in.
+ *
+ * Build it once when the catalog loads and pass it to rank() as `index`.
+ */
+export function buildIndex(videos, transcripts = {}) {
+  const postings = new Map();
+  const docs = new Map();
+  const totals = Object.fromEntries(Object.keys(BM25.fields).map((f) => [f, 0]));
+  const counts = { ...totals };
+
+  const post = (term, id, field, time) => {
+    let byDoc = postings.get(term);
+    if (!byDoc) postings.set(term, (byDoc = new Map()));
+    let p = byDoc.get(id);
+    if (!p) byDoc.set(id, (p = { tf: {}, times: [] }));
+    p.tf[field] = (p.tf[field] || 0) + 1;
+    if (time != null && p.times[p.times.length - 1] !== time) p.times.push(time);
+  };
+
+  for (const v of videos || []) {
+    const segments = segmentsOf(transcripts[v.id]);
+    const len = { title: 0, notes: 0, transcript: 0 };
+    for (const field of ["title", "notes"]) {
+      for (const term of indexTerms(v[field])) {
+        post(term, v.id, field);
+        len[field]++;
+      }
+    }
+    for (const seg of segments) {
+      for (const term of indexTerms(seg.text)) {
+        post(term, v.id, "transcript", seg.start);
+        len.transcript++;
+      }
+    }
+    for (const f in len) {
+      totals[f] += len[f];
+      if (len[f]) counts[f]++;
+    }
+    docs.set(v.id, {
+      len,
+      text: segments.map((s) => s.text).join(" ").toLowerCase(),
+      segments,
+    });
+  }
+
+  // Average over videos that have the field, so a few transcripts aren't
+  // measured against a catalog of mostly empty ones
+  const N = docs.size || 1;
+  const avgLen = Object.fromEntries(Object.entries(totals).map(([f, n]) => [f, n / counts[f] || 1]));
+  return { N, avgLen, docs, postings };
+}
+
+/**
+ * BM25 scores for weighted query terms (`[{ term, weight }]`, stemmed).
+ * Returns `Map(videoId -> { score, terms, moments })` for matching videos
+ * only; `moments` are `[{ term, time }]` for timed transcript segments, in
+ * playback order.
+ */
+export function searchIndex(index, queryTerms) {
+  const { k1, b, fields } = BM25;
+  const out = new Map();
+
+  for (const { term, weight = 1 } of queryTerms) {
+    const byDoc = index.postings.get(term);
+    if (!byDoc) continue;
+    const idf = idfOf(index, term);
+
+    for (const [id, p] of byDoc) {
+      const len = index.docs.get(id).len;
+      let tf = 0;
+      for (const f in p.tf) {
+        tf += (fields[f] * p.tf[f]) / (1 - b + (b * len[f]) / index.avgLen[f]);
+      }
+      let hit = out.get(id);
+      if (!hit) out.set(id, (hit = { score: 0, terms: [], moments: [] }));
+      hit.score += weight * idf * (tf / (k1 + tf));
+      hit.terms.push(term);
+      hit.moments.push(...p.times.map((time) => ({ term, time })));
+    }
+  }
+
+  for (const hit of out.values()) hit.moments.sort((x, y) => x.time - y.time);
+  return out;
+}
+
+function idfOf(index, term) {
+  const df = index.postings.get(term)?.size || 0;
+  return Math.log(1 + (index.N - df + 0.5) / (df + 0.5));
+}
+
+/**
+ * Reference score for these terms: every one of them, indexed or not, found
+ * twice in an average-length field. Dividing by it (capped at 1) turns a BM25
+ * score into "how well this class covers the query", comparable across
+ * queries.
+ */
+export function idealScore(index, queryTerms) {
+  const { k1 } = BM25;
+  const tf = 2;
+  return queryTerms.reduce((sum, { term, weight = 1 }) => sum + weight * idfOf(index, term) * (tf / (k1 + tf)), 0);
+}
+
+/**
+ * Weighted index terms for a parsed query (see understandQuery): words the
+ * user typed count fully, thesaurus expansions count half. Stop words of the
+ * query's language are dropped too.
+ */
+export function queryTerms(understood) {
+  const localStops = new Set(lexicon(understood.lang).stopWords.flatMap((w) => tokenize(w).map(stem)));
+  const direct = new Set(indexTerms(understood.text).filter((t) => !localStops.has(t)));
+  const terms = [...direct].map((term) => ({ term, weight: 1 }));
+  for (const term of understood.expansions) {
+    if (!direct.has(term)) terms.push({ term, weight: 0.5 });
+  }
+  return terms;
+}
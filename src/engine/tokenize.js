@@ -0,0 +1,22 @@
+/** Scripts written without spaces between words */
+const UNSPACED = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]/u;
+
+const segmenter = typeof Intl !== "undefined" && Intl.Segmenter ? new Intl.Segmenter("ja", { granularity: "word" }) : null;
+
+/**
+ * Lowercase, fold accents on Latin letters ("relajación" -> "relajacion",
+ * "Rücken" -> "rucken"), strip punctuation and split into word tokens. Any
+ * script counts as letters; Japanese and other unspaced text is split with
+ * Intl.Segmenter where the runtime has it.
+ */
+export function tokenize(s) {
+  const text = (s || "")
+    .normalize("NFD")
+    .replace(/(\p{Script=Latin})\p{M}+/gu, "$1")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/ß/g, "ss")
+    .replace(/[^\p{L}\p{N}\s]/gu, " ");
+  if (!segmenter || !UNSPACED.test(text)) return text.split(/\s+/).filter(Boolean);
+  return [...segmenter.segment(text)].filter((seg) => seg.isWordLike).map((seg) => seg.segment);
+}
@@ -0,0 +1,826 @@
+import { languageOf } from "../engine/languages.js";
+
+/**
+ * UI strings per language. English is complete; other languages fall back
+ * to it key by key. `{name}` placeholders are filled from `t(key, vars)`.
+ */
+export const STRINGS = {
+  en: {
+    language: "Language",
+    continueClass: "Continue your class",
+    continueAction: "Continue",
+    notNow: "Not now",
+    minutesWatched: "{watched} of {total} min watched",
+    resumeFrom: "Resume from {at}",
+    streak: "{n}-day streak",
+    minutesPracticed: "{n} min practiced",
+    minutes: "{n} min",
+    heroTitle: "How are you feeling?",
+    heroSubtitle: "Check in with yourself. Share whatever comes to mind to start your practice.",
+    placeholder: "I'm feeling...",
+    followUpPlaceholder: "Shorter? More energizing? Not that one?",
+    speak: "Speak your feelings",
+    stopListening: "Stop listening",
+    handsFree: "Hands-free",
+    handsFreeOff: "Turn off hands-free",
+    handsFreeHint: "Listening. Say what you need, then “find my yoga”. Also: “play”, “next option”, “pause”, “stop”.",
+    voiceRecommend: "I'd recommend {title}, {minutes} minutes. Say “play” to start, or “next option”.",
+    voiceNoMore: "No other classes fit. Try asking differently.",
+    voiceNothingToPlay: "Tell me how you're feeling first, then say “find my yoga”.",
+    voiceBlocked: "Microphone access is blocked. Allow it for this site in your browser settings to use voice.",
+    voiceNoSpeech: "Didn't hear anything. Try again, a little closer to the microphone.",
+    voiceNoMic: "No microphone found.",
+    voiceNetwork: "Voice recognition needs an internet connection.",
+    voiceFailed: "Voice input stopped unexpectedly. Try again.",
+    findMyYoga: "Find my yoga",
+    planSession: "Plan a full session instead",
+    recommend: "We'd recommend",
+    orMaybe: "Or maybe",
+    healthConsiderations: "Health considerations",
+    bodyMapTitle: "Where do you feel it?",
+    bodyMapHint: "Tap an area: once for tight, twice for sore, three times for injured.",
+    bodyClear: "Clear",
+    bodyClearArea: "Clear {area}",
+    bodyNeck: "Neck",
+    bodyShoulders: "Shoulders",
+    bodyLowerBack: "Lower back",
+    bodyHips: "Hips",
+    bodyHamstrings: "Hamstrings",
+    bodyKnees: "Knees",
+    bodyTight: "tight",
+    bodySore: "sore",
+    bodyInjured: "injured",
+    bodySummary: "{state} {area}",
+    bodyPartNeck: "neck",
+    bodyPartShoulders: "shoulders",
+    bodyPartLowerBack: "lower back",
+    bodyPartHips: "hips",
+    bodyPartHamstrings: "hamstrings",
+    bodyPartKnees: "knees",
+    reasonFocus: "Targets {list}",
+    reasonIntent: "Good for {list}",
+    reasonVibe: "Feels {list}",
+    reasonTravel: "Made for travel recovery (you said “{list}”)",
+    reasonDesk: "Undoes desk time (you said “{list}”)",
+    reasonEnergy: "Builds energy",
+    reasonRelax: "Eases tension and stiffness",
+    reasonLength: "{minutes} min, close to your {target} min",
+    reasonQuick: "Short class",
+    reasonLiked: "You gave it a thumbs up",
+    reasonLikedVibe: "Feels {list}, like classes you enjoyed",
+    reasonLevel: "At your level ({level})",
+    reasonSemantic: "Close in meaning to what you described ({similarity} similar)",
+    reasonTranscript: "Teacher talks about {terms}",
+    reasonDescription: "Description mentions {terms}",
+    browseAll: "Browse all {n} classes",
+    filterClasses: "Filter classes...",
+    sortBest: "Best match",
+    sortLength: "Length",
+    sortLevel: "Level",
+    inTheClass: "In the class",
+    moreLikeThis: "More like this",
+    startOver: "Start over",
+    signOut: "Sign out",
+    disclaimer: "For educational use only; not medical advice.",
+    conditionPregnancy: "Pregnancy",
+    conditionHighBloodPressure: "High blood pressure",
+    conditionNeckInjury: "Neck injury",
+    conditionKneeInjury: "Knee injury",
+    conditionBackInjury: "Back injury",
+    conditionHipInjury: "Hip injury",
+    conditionHamstringInjury: "Hamstring injury",
+    conditionEyeCondition: "Glaucoma / eye condition",
+    conditionShoulderInjury: "Shoulder injury",
+    conditionWristInjury: "Wrist injury",
+    youMentioned: "You mentioned {conditions}. We'll flag classes that aren't advised.",
+    rememberThis: "Remember this",
+    hideUnsafe: "Hide classes that aren't advised for me",
+    notAdvised: "Not advised with {condition} (lists {contraindication})",
+    checkFirst: "Check with your teacher or doctor first.",
+    semanticOptIn: "Understand meaning, not just keywords (runs on your device)",
+    semanticThinking: "thinking…",
+    semanticUnavailable: "unavailable, using keywords",
+    shareSearches: "Share my searches anonymously to help plan new classes",
+    onlyClasses: "Only classes: {constraints}",
+    clearFilters: "clear filters",
+    constraintOr: " or ",
+    constraintRange: "{min}–{max} min",
+    constraintUnder: "under {n} min",
+    constraintOver: "over {n} min",
+    constraintNoEquipment: "no equipment",
+    constraintWithout: "no {item}",
+    noMoreFitting: "No other classes fit ({constraints}). Try loosening it, or start over.",
+    noMoreClasses: "No other classes fit. Start over to search again.",
+    historyRecommended: "Recommended: {title}",
+    historySession: "Planned session: {titles}",
+    noInput: "(no input)",
+    focusLabel: "Focus:",
+    equipmentLabel: "Equipment:",
+    whyThisClass: "Why this class",
+    playFrom: "Play from {at}",
+    classSummary: "{intents} focusing on {focuses}",
+    defaultIntents: "Practice",
+    defaultFocuses: "movement",
+    sessionTitle: "Your session · {total} min",
+    sessionAskedFor: "(asked for {target})",
+    sessionOpener: "Warm up",
+    sessionFocus: "Focus",
+    sessionCloser: "Wind down",
+    nextClass: "Next class",
+    endSession: "End session",
+    nowPlaying: "(now playing)",
+    catalogEmpty: "No usable classes in the catalog.",
+    catalogFailed: "We couldn't load the classes ({reason}).",
+    catalogHiddenOne: "1 class couldn't be loaded and is hidden.",
+    catalogHidden: "{n} classes couldn't be loaded and are hidden.",
+    catalogHiddenSome: "Some classes couldn't be loaded and are hidden.",
+    details: "Details",
+    andMore: "…and {n} more",
+    tryAgain: "Try again",
+    facetLevel: "Level",
+    facetLength: "Length: {min}–{max} min",
+    facetShortest: "Shortest",
+    facetLongest: "Longest",
+    facetEquipment: "Equipment",
+    facetNoEquipment: "No equipment",
+    facetWithout: "No {item}",
+    facetVibe: "Vibe",
+    facetFocus: "Focus",
+    facetFewer: "fewer",
+    facetMore: "+{n} more",
+    recentPractice: "Your recent practice",
+    playedOne: "1 class played",
+    played: "{n} classes played",
+    completedCount: "{n} completed",
+    myLevel: "My level",
+    anyLevel: "Any",
+    nothingYet: "Nothing yet. Your classes will show up here.",
+    playAgain: "Play again",
+    completed: "Completed",
+    clearHistory: "Clear my history",
+    lessLikeThis: "Less like this",
+    offlineBanner: "You're offline. Saved classes and the last catalog still work.",
+    saveOffline: "Save offline",
+    saveOfflineHint: "Save to watch offline",
+    savingOffline: "Saving… {percent}%",
+    savedOffline: "Saved offline",
+    removeOffline: "Remove from this device",
+    offlineSaveFailed: "Couldn't save “{title}” for offline: {reason}",
+    offlineStorage: "Offline storage",
+    offlineSavedOne: "1 class saved · {size}",
+    offlineSaved: "{n} classes saved · {size}",
+    offlineUsage: "{used} of {quota} used",
+    clearCachedCatalog: "Clear cached catalog",
+    cacheKeepsSaved: "Saved classes are kept",
+    noneSavedOffline: "No classes saved. Use “Save offline” under a class to keep it on this device.",
+    programFollow: "Follow a multi-week program",
+    programHealthyBack: "7 days for a healthier back",
+    programHealthyBackAbout: "Daily gentle work for the lower back and spine, building core support as the week goes on.",
+    programBeginnerFoundations: "2-week beginner foundations",
+    programBeginnerFoundationsAbout: "Alignment, balance, breath and strength, stepping up to intermediate classes in week two.",
+    programOpenHips: "3 weeks to open hips and hamstrings",
+    programOpenHipsAbout: "Hip and hamstring flexibility, from easy releases to deeper intermediate practice.",
+    programCalmEvenings: "2 weeks of calmer evenings",
+    programCalmEveningsAbout: "Restorative classes for winding down and sleeping better.",
+    programGoal: "Goal",
+    programSomethingElse: "Something else…",
+    programGoalPlaceholder: "e.g. stronger core, better balance",
+    programYourGoal: "Your goal",
+    programDaysPerWeek: "Days per week",
+    programStarting: "Starting",
+    programBuild: "Build my program",
+    programNoFit: "No classes fit “{title}” for you yet",
+    programProgress: "{done} of {total} classes done",
+    programMissed: "{n} missed",
+    programComplete: "program complete",
+    programTime: "Practice time",
+    programAddToCalendar: "Add to calendar",
+    programWeek: "Week {week}",
+    programDayDone: "Day {n} done",
+    today: "Today",
+    classGone: "Class no longer available",
+    play: "Play",
+    playTitle: "Play {title}",
+    programEndConfirm: "End this program? Your schedule and ticks will be cleared.",
+    programEnd: "End program",
+    icsEventTitle: "Yoga: {title}",
+    icsProgramDay: "{program}, week {week}, class {n} of {total}.",
+    icsClassInfo: "{level}, {minutes} min.",
+  },
+  es: {
+    language: "Idioma",
+    continueClass: "Continúa tu clase",
+    continueAction: "Continuar",
+    notNow: "Ahora no",
+    minutesWatched: "{watched} de {total} min vistos",
+    resumeFrom: "Reanudar desde {at}",
+    streak: "Racha de {n} días",
+    minutesPracticed: "{n} min de práctica",
+    minutes: "{n} min",
+    heroTitle: "¿Cómo te sientes?",
+    heroSubtitle: "Conecta contigo. Comparte lo que te venga a la mente para empezar tu práctica.",
+    placeholder: "Me siento...",
+    followUpPlaceholder: "¿Más corta? ¿Más energizante? ¿Otra?",
+    speak: "Cuéntanos cómo te sientes",
+    stopListening: "Dejar de escuchar",
+    handsFree: "Manos libres",
+    handsFreeOff: "Desactivar manos libres",
+    handsFreeHint: "Escuchando. Di lo que necesitas y luego “busca mi yoga”. También: “reproducir”, “siguiente”, “pausa”, “para”.",
+    voiceRecommend: "Te recomiendo {title}, {minutes} minutos. Di “reproducir” para empezar o “siguiente”.",
+    voiceNoMore: "No hay otras clases que encajen. Prueba a pedirlo de otra forma.",
+    voiceNothingToPlay: "Primero dime cómo te sientes y luego di “busca mi yoga”.",
+    voiceBlocked: "El acceso al micrófono está bloqueado. Permítelo para este sitio en la configuración del navegador.",
+    voiceNoSpeech: "No te he oído. Inténtalo de nuevo, un poco más cerca del micrófono.",
+    voiceNoMic: "No se encontró ningún micrófono.",
+    voiceNetwork: "El reconocimiento de voz necesita conexión a internet.",
+    voiceFailed: "La entrada de voz se detuvo. Inténtalo de nuevo.",
+    findMyYoga: "Encuentra mi yoga",
+    planSession: "Planificar una sesión completa",
+    recommend: "Te recomendamos",
+    orMaybe: "O quizás",
+    healthConsiderations: "Consideraciones de salud",
+    bodyMapTitle: "¿Dónde lo sientes?",
+    bodyMapHint: "Toca una zona: una vez si está tensa, dos si duele, tres si está lesionada.",
+    bodyClear: "Borrar",
+    bodyClearArea: "Quitar {area}",
+    bodyNeck: "Cuello",
+    bodyShoulders: "Hombros",
+    bodyLowerBack: "Zona lumbar",
+    bodyHips: "Caderas",
+    bodyHamstrings: "Isquiotibiales",
+    bodyKnees: "Rodillas",
+    bodyTight: "tensión",
+    bodySore: "dolor",
+    bodyInjured: "lesión",
+    bodySummary: "{area} con {state}",
+    bodyPartNeck: "cuello",
+    bodyPartShoulders: "hombros",
+    bodyPartLowerBack: "zona lumbar",
+    bodyPartHips: "caderas",
+    bodyPartHamstrings: "isquiotibiales",
+    bodyPartKnees: "rodillas",
+    reasonFocus: "Trabaja {list}",
+    reasonIntent: "Buena para {list}",
+    reasonVibe: "Se siente {list}",
+    reasonTravel: "Pensada para recuperarse de un viaje (dijiste «{list}»)",
+    reasonDesk: "Compensa las horas sentado (dijiste «{list}»)",
+    reasonEnergy: "Da energía",
+    reasonRelax: "Alivia la tensión y la rigidez",
+    reasonLength: "{minutes} min, cerca de tus {target} min",
+    reasonQuick: "Clase corta",
+    reasonLiked: "Le diste un me gusta",
+    reasonLikedVibe: "Se siente {list}, como las clases que te gustaron",
+    reasonLevel: "De tu nivel ({level})",
+    reasonSemantic: "Parecida en significado a lo que describiste ({similarity} de similitud)",
+    reasonTranscript: "La profesora habla de {terms}",
+    reasonDescription: "La descripción menciona {terms}",
+    browseAll: "Ver las {n} clases",
+    filterClasses: "Filtrar clases...",
+    sortBest: "Más relevantes",
+    sortLength: "Duración",
+    sortLevel: "Nivel",
+    inTheClass: "En la clase",
+    moreLikeThis: "Más como esta",
+    startOver: "Empezar de nuevo",
+    signOut: "Cerrar sesión",
+    disclaimer: "Solo con fines educativos; no es consejo médico.",
+    conditionPregnancy: "Embarazo",
+    conditionHighBloodPressure: "Hipertensión",
+    conditionNeckInjury: "Lesión de cuello",
+    conditionKneeInjury: "Lesión de rodilla",
+    conditionBackInjury: "Lesión de espalda",
+    conditionHipInjury: "Lesión de cadera",
+    conditionHamstringInjury: "Lesión de isquiotibiales",
+    conditionEyeCondition: "Glaucoma / afección ocular",
+    conditionShoulderInjury: "Lesión de hombro",
+    conditionWristInjury: "Lesión de muñeca",
+    youMentioned: "Has mencionado: {conditions}. Marcaremos las clases que no se recomiendan.",
+    rememberThis: "Recordarlo",
+    hideUnsafe: "Ocultar las clases que no me convienen",
+    notAdvised: "No recomendada con {condition} (indica {contraindication})",
+    checkFirst: "Consúltalo antes con tu profesor o tu médico.",
+    semanticOptIn: "Entender el significado, no solo las palabras clave (se ejecuta en tu dispositivo)",
+    semanticThinking: "pensando…",
+    semanticUnavailable: "no disponible, se usan palabras clave",
+    shareSearches: "Compartir mis búsquedas de forma anónima para ayudar a planificar nuevas clases",
+    onlyClasses: "Solo clases: {constraints}",
+    clearFilters: "quitar filtros",
+    constraintOr: " o ",
+    constraintRange: "{min}–{max} min",
+    constraintUnder: "menos de {n} min",
+    constraintOver: "más de {n} min",
+    constraintNoEquipment: "sin material",
+    constraintWithout: "sin {item}",
+    noMoreFitting: "No hay otras clases que encajen ({constraints}). Prueba a relajar los filtros o empieza de nuevo.",
+    noMoreClasses: "No hay otras clases que encajen. Empieza de nuevo para buscar otra vez.",
+    historyRecommended: "Recomendada: {title}",
+    historySession: "Sesión planificada: {titles}",
+    noInput: "(sin texto)",
+    focusLabel: "Enfoque:",
+    equipmentLabel: "Material:",
+    whyThisClass: "Por qué esta clase",
+    playFrom: "Reproducir desde {at}",
+    classSummary: "{intents} centrada en {focuses}",
+    defaultIntents: "Práctica",
+    defaultFocuses: "movimiento",
+    sessionTitle: "Tu sesión · {total} min",
+    sessionAskedFor: "(pediste {target})",
+    sessionOpener: "Calentamiento",
+    sessionFocus: "Enfoque",
+    sessionCloser: "Relajación final",
+    nextClass: "Siguiente clase",
+    endSession: "Terminar sesión",
+    nowPlaying: "(en reproducción)",
+    catalogEmpty: "No hay clases utilizables en el catálogo.",
+    catalogFailed: "No pudimos cargar las clases ({reason}).",
+    catalogHiddenOne: "1 clase no se pudo cargar y está oculta.",
+    catalogHidden: "{n} clases no se pudieron cargar y están ocultas.",
+    catalogHiddenSome: "Algunas clases no se pudieron cargar y están ocultas.",
+    details: "Detalles",
+    andMore: "…y {n} más",
+    tryAgain: "Reintentar",
+    facetLevel: "Nivel",
+    facetLength: "Duración: {min}–{max} min",
+    facetShortest: "Mínimo",
+    facetLongest: "Máximo",
+    facetEquipment: "Material",
+    facetNoEquipment: "Sin material",
+    facetWithout: "Sin {item}",
+    facetVibe: "Estilo",
+    facetFocus: "Enfoque",
+    facetFewer: "menos",
+    facetMore: "+{n} más",
+    recentPractice: "Tu práctica reciente",
+    playedOne: "1 clase reproducida",
+    played: "{n} clases reproducidas",
+    completedCount: "{n} completadas",
+    myLevel: "Mi nivel",
+    anyLevel: "Cualquiera",
+    nothingYet: "Aún no hay nada. Tus clases aparecerán aquí.",
+    playAgain: "Volver a reproducir",
+    completed: "Completada",
+    clearHistory: "Borrar mi historial",
+    lessLikeThis: "Menos como esta",
+    offlineBanner: "Estás sin conexión. Las clases guardadas y el último catálogo siguen funcionando.",
+    saveOffline: "Guardar sin conexión",
+    saveOfflineHint: "Guardar para ver sin conexión",
+    savingOffline: "Guardando… {percent}%",
+    savedOffline: "Guardada sin conexión",
+    removeOffline: "Quitar de este dispositivo",
+    offlineSaveFailed: "No se pudo guardar «{title}» sin conexión: {reason}",
+    offlineStorage: "Almacenamiento sin conexión",
+    offlineSavedOne: "1 clase guardada · {size}",
+    offlineSaved: "{n} clases guardadas · {size}",
+    offlineUsage: "{used} de {quota} usados",
+    clearCachedCatalog: "Borrar el catálogo en caché",
+    cacheKeepsSaved: "Las clases guardadas se conservan",
+    noneSavedOffline: "No hay clases guardadas. Usa «Guardar sin conexión» debajo de una clase para tenerla en este dispositivo.",
+    programFollow: "Seguir un programa de varias semanas",
+    programHealthyBack: "7 días para una espalda más sana",
+    programHealthyBackAbout: "Trabajo suave diario para la zona lumbar y la columna, reforzando el core a lo largo de la semana.",
+    programBeginnerFoundations: "Bases para principiantes en 2 semanas",
+    programBeginnerFoundationsAbout: "Alineación, equilibrio, respiración y fuerza, con clases de nivel intermedio en la segunda semana.",
+    programOpenHips: "3 semanas para abrir caderas e isquiotibiales",
+    programOpenHipsAbout: "Flexibilidad de caderas e isquiotibiales, desde estiramientos suaves hasta una práctica intermedia más profunda.",
+    programCalmEvenings: "2 semanas de noches más tranquilas",
+    programCalmEveningsAbout: "Clases restaurativas para relajarte y dormir mejor.",
+    programGoal: "Objetivo",
+    programSomethingElse: "Otra cosa…",
+    programGoalPlaceholder: "p. ej., un core más fuerte, mejor equilibrio",
+    programYourGoal: "Tu objetivo",
+    programDaysPerWeek: "Días por semana",
+    programStarting: "Empieza el",
+    programBuild: "Crear mi programa",
+    programNoFit: "Todavía no hay clases que encajen con «{title}» para ti",
+    programProgress: "{done} de {total} clases hechas",
+    programMissed: "{n} sin hacer",
+    programComplete: "programa completado",
+    programTime: "Hora de práctica",
+    programAddToCalendar: "Añadir al calendario",
+    programWeek: "Semana {week}",
+    programDayDone: "Día {n} hecho",
+    today: "Hoy",
+    classGone: "La clase ya no está disponible",
+    play: "Reproducir",
+    playTitle: "Reproducir {title}",
+    programEndConfirm: "¿Terminar este programa? Se borrarán tu calendario y tus marcas.",
+    programEnd: "Terminar programa",
+    icsEventTitle: "Yoga: {title}",
+    icsProgramDay: "{program}, semana {week}, clase {n} de {total}.",
+    icsClassInfo: "{level}, {minutes} min.",
+  },
+  de: {
+    language: "Sprache",
+    continueClass: "Setze deinen Kurs fort",
+    continueAction: "Fortsetzen",
+    notNow: "Nicht jetzt",
+    minutesWatched: "{watched} von {total} Min. angesehen",
+    resumeFrom: "Ab {at} fortsetzen",
+    streak: "{n} Tage in Folge",
+    minutesPracticed: "{n} Min. geübt",
+    minutes: "{n} Min.",
+    heroTitle: "Wie fühlst du dich?",
+    heroSubtitle: "Spür in dich hinein. Teile, was dir in den Sinn kommt, um deine Praxis zu beginnen.",
+    placeholder: "Ich fühle mich...",
+    followUpPlaceholder: "Kürzer? Energiegeladener? Eine andere?",
+    speak: "Sag uns, wie du dich fühlst",
+    stopListening: "Zuhören beenden",
+    handsFree: "Freihändig",
+    handsFreeOff: "Freihändig beenden",
+    handsFreeHint: "Ich höre zu. Sag, was du brauchst, dann „Finde mein Yoga“. Außerdem: „Abspielen“, „Nächste“, „Pause“, „Stopp“.",
+    voiceRecommend: "Ich empfehle {title}, {minutes} Minuten. Sag „Abspielen“ zum Starten oder „Nächste“.",
+    voiceNoMore: "Keine weiteren Kurse passen. Versuch es anders zu formulieren.",
+    voiceNothingToPlay: "Sag mir zuerst, wie du dich fühlst, dann „Finde mein Yoga“.",
+    voiceBlocked: "Der Mikrofonzugriff ist blockiert. Erlaube ihn für diese Seite in den Browsereinstellungen.",
+    voiceNoSpeech: "Nichts gehört. Versuch es noch einmal, etwas näher am Mikrofon.",
+    voiceNoMic: "Kein Mikrofon gefunden.",
+    voiceNetwork: "Die Spracherkennung braucht eine Internetverbindung.",
+    voiceFailed: "Die Spracheingabe wurde unterbrochen. Versuch es noch einmal.",
+    findMyYoga: "Finde mein Yoga",
+    planSession: "Stattdessen eine ganze Einheit planen",
+    recommend: "Unsere Empfehlung",
+    orMaybe: "Oder vielleicht",
+    healthConsiderations: "Gesundheitliche Hinweise",
+    bodyMapTitle: "Wo spürst du es?",
+    bodyMapHint: "Tippe auf eine Stelle: einmal für verspannt, zweimal für schmerzend, dreimal für verletzt.",
+    bodyClear: "Zurücksetzen",
+    bodyClearArea: "{area} entfernen",
+    bodyNeck: "Nacken",
+    bodyShoulders: "Schultern",
+    bodyLowerBack: "Unterer Rücken",
+    bodyHips: "Hüften",
+    bodyHamstrings: "Oberschenkelrückseite",
+    bodyKnees: "Knie",
+    bodyTight: "verspannt",
+    bodySore: "schmerzt",
+    bodyInjured: "verletzt",
+    bodySummary: "{area}: {state}",
+    bodyPartNeck: "Nacken",
+    bodyPartShoulders: "Schultern",
+    bodyPartLowerBack: "unterer Rücken",
+    bodyPartHips: "Hüften",
+    bodyPartHamstrings: "Oberschenkelrückseite",
+    bodyPartKnees: "Knie",
+    reasonFocus: "Zielt auf {list}",
+    reasonIntent: "Gut für {list}",
+    reasonVibe: "Fühlt sich {list} an",
+    reasonTravel: "Für die Erholung nach Reisen (du sagtest „{list}“)",
+    reasonDesk: "Gleicht langes Sitzen aus (du sagtest „{list}“)",
+    reasonEnergy: "Gibt Energie",
+    reasonRelax: "Löst Anspannung und Steifheit",
+    reasonLength: "{minutes} Min., nah an deinen {target} Min.",
+    reasonQuick: "Kurzer Kurs",
+    reasonLiked: "Du hast sie positiv bewertet",
+    reasonLikedVibe: "Fühlt sich {list} an, wie Kurse, die dir gefallen haben",
+    reasonLevel: "Auf deinem Niveau ({level})",
+    reasonSemantic: "Inhaltlich nah an deiner Beschreibung ({similarity} ähnlich)",
+    reasonTranscript: "Die Lehrkraft spricht über {terms}",
+    reasonDescription: "Die Beschreibung erwähnt {terms}",
+    browseAll: "Alle {n} Kurse ansehen",
+    filterClasses: "Kurse filtern...",
+    sortBest: "Beste Treffer",
+    sortLength: "Dauer",
+    sortLevel: "Niveau",
+    inTheClass: "Im Kurs",
+    moreLikeThis: "Mehr in dieser Art",
+    startOver: "Neu beginnen",
+    signOut: "Abmelden",
+    disclaimer: "Nur zu Bildungszwecken; keine medizinische Beratung.",
+    conditionPregnancy: "Schwangerschaft",
+    conditionHighBloodPressure: "Bluthochdruck",
+    conditionNeckInjury: "Nackenverletzung",
+    conditionKneeInjury: "Knieverletzung",
+    conditionBackInjury: "Rückenverletzung",
+    conditionHipInjury: "Hüftverletzung",
+    conditionHamstringInjury: "Verletzung der Oberschenkelrückseite",
+    conditionEyeCondition: "Glaukom / Augenerkrankung",
+    conditionShoulderInjury: "Schulterverletzung",
+    conditionWristInjury: "Handgelenksverletzung",
+    youMentioned: "Du hast {conditions} erwähnt. Wir markieren Kurse, die nicht empfohlen sind.",
+    rememberThis: "Merken",
+    hideUnsafe: "Kurse ausblenden, die für mich nicht empfohlen sind",
+    notAdvised: "Nicht empfohlen bei {condition} (nennt {contraindication})",
+    checkFirst: "Sprich vorher mit deiner Lehrkraft oder deinem Arzt.",
+    semanticOptIn: "Bedeutung verstehen, nicht nur Stichwörter (läuft auf deinem Gerät)",
+    semanticThinking: "denkt nach…",
+    semanticUnavailable: "nicht verfügbar, es werden Stichwörter verwendet",
+    shareSearches: "Meine Suchen anonym teilen, um neue Kurse zu planen",
+    onlyClasses: "Nur Kurse: {constraints}",
+    clearFilters: "Filter zurücksetzen",
+    constraintOr: " oder ",
+    constraintRange: "{min}–{max} Min.",
+    constraintUnder: "unter {n} Min.",
+    constraintOver: "über {n} Min.",
+    constraintNoEquipment: "ohne Hilfsmittel",
+    constraintWithout: "ohne {item}",
+    noMoreFitting: "Keine weiteren Kurse passen ({constraints}). Lockere die Auswahl oder beginne neu.",
+    noMoreClasses: "Keine weiteren Kurse passen. Beginne neu, um noch einmal zu suchen.",
+    historyRecommended: "Empfohlen: {title}",
+    historySession: "Geplante Einheit: {titles}",
+    noInput: "(keine Eingabe)",
+    focusLabel: "Fokus:",
+    equipmentLabel: "Hilfsmittel:",
+    whyThisClass: "Warum dieser Kurs",
+    playFrom: "Ab {at} abspielen",
+    classSummary: "{intents} mit Fokus auf {focuses}",
+    defaultIntents: "Praxis",
+    defaultFocuses: "Bewegung",
+    sessionTitle: "Deine Einheit · {total} Min.",
+    sessionAskedFor: "(gewünscht: {target})",
+    sessionOpener: "Aufwärmen",
+    sessionFocus: "Fokus",
+    sessionCloser: "Ausklang",
+    nextClass: "Nächster Kurs",
+    endSession: "Einheit beenden",
+    nowPlaying: "(läuft gerade)",
+    catalogEmpty: "Der Katalog enthält keine verwendbaren Kurse.",
+    catalogFailed: "Die Kurse konnten nicht geladen werden ({reason}).",
+    catalogHiddenOne: "1 Kurs konnte nicht geladen werden und ist ausgeblendet.",
+    catalogHidden: "{n} Kurse konnten nicht geladen werden und sind ausgeblendet.",
+    catalogHiddenSome: "Einige Kurse konnten nicht geladen werden und sind ausgeblendet.",
+    details: "Details",
+    andMore: "…und {n} weitere",
+    tryAgain: "Erneut versuchen",
+    facetLevel: "Niveau",
+    facetLength: "Dauer: {min}–{max} Min.",
+    facetShortest: "Kürzeste",
+    facetLongest: "Längste",
+    facetEquipment: "Hilfsmittel",
+    facetNoEquipment: "Ohne Hilfsmittel",
+    facetWithout: "Ohne {item}",
+    facetVibe: "Stimmung",
+    facetFocus: "Fokus",
+    facetFewer: "weniger",
+    facetMore: "+{n} weitere",
+    recentPractice: "Deine letzte Praxis",
+    playedOne: "1 Kurs gespielt",
+    played: "{n} Kurse gespielt",
+    completedCount: "{n} abgeschlossen",
+    myLevel: "Mein Niveau",
+    anyLevel: "Beliebig",
+    nothingYet: "Noch nichts. Deine Kurse erscheinen hier.",
+    playAgain: "Noch einmal abspielen",
+    completed: "Abgeschlossen",
+    clearHistory: "Meinen Verlauf löschen",
+    lessLikeThis: "Weniger in dieser Art",
+    offlineBanner: "Du bist offline. Gespeicherte Kurse und der letzte Katalog funktionieren weiterhin.",
+    saveOffline: "Offline speichern",
+    saveOfflineHint: "Zum Offline-Ansehen speichern",
+    savingOffline: "Wird gespeichert… {percent}%",
+    savedOffline: "Offline gespeichert",
+    removeOffline: "Von diesem Gerät entfernen",
+    offlineSaveFailed: "„{title}“ konnte nicht offline gespeichert werden: {reason}",
+    offlineStorage: "Offline-Speicher",
+    offlineSavedOne: "1 Kurs gespeichert · {size}",
+    offlineSaved: "{n} Kurse gespeichert · {size}",
+    offlineUsage: "{used} von {quota} belegt",
+    clearCachedCatalog: "Zwischengespeicherten Katalog löschen",
+    cacheKeepsSaved: "Gespeicherte Kurse bleiben erhalten",
+    noneSavedOffline: "Keine Kurse gespeichert. Nutze „Offline speichern“ unter einem Kurs, um ihn auf diesem Gerät zu behalten.",
+    programFollow: "Einem mehrwöchigen Programm folgen",
+    programHealthyBack: "7 Tage für einen gesünderen Rücken",
+    programHealthyBackAbout: "Täglich sanfte Übungen für den unteren Rücken und die Wirbelsäule, im Lauf der Woche mit mehr Rumpfkraft.",
+    programBeginnerFoundations: "2 Wochen Grundlagen für Einsteiger",
+    programBeginnerFoundationsAbout: "Ausrichtung, Gleichgewicht, Atem und Kraft, in der zweiten Woche mit Kursen für Fortgeschrittene.",
+    programOpenHips: "3 Wochen für offene Hüften und Oberschenkelrückseiten",
+    programOpenHipsAbout: "Beweglichkeit für Hüften und Oberschenkelrückseiten, von leichten Dehnungen bis zu tieferer Praxis für Fortgeschrittene.",
+    programCalmEvenings: "2 Wochen ruhigere Abende",
+    programCalmEveningsAbout: "Regenerative Kurse zum Abschalten und für besseren Schlaf.",
+    programGoal: "Ziel",
+    programSomethingElse: "Etwas anderes…",
+    programGoalPlaceholder: "z. B. stärkere Körpermitte, besseres Gleichgewicht",
+    programYourGoal: "Dein Ziel",
+    programDaysPerWeek: "Tage pro Woche",
+    programStarting: "Beginn",
+    programBuild: "Mein Programm erstellen",
+    programNoFit: "Noch keine Kurse passen für dich zu „{title}“",
+    programProgress: "{done} von {total} Kursen erledigt",
+    programMissed: "{n} verpasst",
+    programComplete: "Programm abgeschlossen",
+    programTime: "Übungszeit",
+    programAddToCalendar: "Zum Kalender hinzufügen",
+    programWeek: "Woche {week}",
+    programDayDone: "Tag {n} erledigt",
+    today: "Heute",
+    classGone: "Kurs nicht mehr verfügbar",
+    play: "Abspielen",
+    playTitle: "{title} abspielen",
+    programEndConfirm: "Dieses Programm beenden? Dein Plan und deine Häkchen werden gelöscht.",
+    programEnd: "Programm beenden",
+    icsEventTitle: "Yoga: {title}",
+    icsProgramDay: "{program}, Woche {week}, Kurs {n} von {total}.",
+    icsClassInfo: "{level}, {minutes} Min.",
+  },
+  ja: {
+    language: "言語",
+    continueClass: "クラスの続きから",
+    continueAction: "続ける",
+    notNow: "今はしない",
+    minutesWatched: "{total}分中{watched}分視聴",
+    resumeFrom: "{at}から再開",
+    streak: "{n}日連続",
+    minutesPracticed: "合計{n}分",
+    minutes: "{n}分",
+    heroTitle: "今日の気分はいかがですか？",
+    heroSubtitle: "自分の心と体に耳を傾けて、思い浮かんだことを書いてみましょう。",
+    placeholder: "今の気分は…",
+    followUpPlaceholder: "もっと短く？もっと元気に？別のクラス？",
+    speak: "声で伝える",
+    stopListening: "聞き取りを停止",
+    handsFree: "ハンズフリー",
+    handsFreeOff: "ハンズフリーを終了",
+    handsFreeHint: "聞き取り中。気分を話してから「ヨガを探して」と言ってください。ほかに「再生」「次」「一時停止」「ストップ」。",
+    voiceRecommend: "おすすめは{title}、{minutes}分です。「再生」で開始、「次」で別のクラスを提案します。",
+    voiceNoMore: "ほかに合うクラスがありません。言い方を変えてみてください。",
+    voiceNothingToPlay: "まず今の気分を話してから「ヨガを探して」と言ってください。",
+    voiceBlocked: "マイクへのアクセスがブロックされています。ブラウザの設定でこのサイトに許可してください。",
+    voiceNoSpeech: "聞き取れませんでした。マイクに近づいてもう一度どうぞ。",
+    voiceNoMic: "マイクが見つかりません。",
+    voiceNetwork: "音声認識にはインターネット接続が必要です。",
+    voiceFailed: "音声入力が停止しました。もう一度お試しください。",
+    findMyYoga: "ヨガを探す",
+    planSession: "代わりにセッションを組む",
+    recommend: "おすすめ",
+    orMaybe: "こちらもどうぞ",
+    healthConsiderations: "健康上の注意",
+    bodyMapTitle: "どこに感じますか？",
+    bodyMapHint: "部位をタップ：1回でこり、2回で痛み、3回でけが。",
+    bodyClear: "クリア",
+    bodyClearArea: "{area}を外す",
+    bodyNeck: "首",
+    bodyShoulders: "肩",
+    bodyLowerBack: "腰",
+    bodyHips: "股関節",
+    bodyHamstrings: "ハムストリング",
+    bodyKnees: "膝",
+    bodyTight: "こり",
+    bodySore: "痛み",
+    bodyInjured: "けが",
+    bodySummary: "{area}の{state}",
+    bodyPartNeck: "首",
+    bodyPartShoulders: "肩",
+    bodyPartLowerBack: "腰",
+    bodyPartHips: "股関節",
+    bodyPartHamstrings: "ハムストリング",
+    bodyPartKnees: "膝",
+    reasonFocus: "{list}に効く",
+    reasonIntent: "{list}におすすめ",
+    reasonVibe: "雰囲気：{list}",
+    reasonTravel: "移動の疲れを回復するクラス（「{list}」とのこと）",
+    reasonDesk: "デスクワークの疲れをほぐす（「{list}」とのこと）",
+    reasonEnergy: "元気が出る",
+    reasonRelax: "緊張やこわばりをほぐす",
+    reasonLength: "{minutes}分（希望の{target}分に近い）",
+    reasonQuick: "短いクラス",
+    reasonLiked: "高評価したクラス",
+    reasonLikedVibe: "気に入ったクラスと同じ{list}の雰囲気",
+    reasonLevel: "あなたのレベル（{level}）",
+    reasonSemantic: "説明した内容に意味が近い（類似度{similarity}）",
+    reasonTranscript: "講師が{terms}について話しています",
+    reasonDescription: "説明文に{terms}とあります",
+    browseAll: "全{n}クラスを見る",
+    filterClasses: "クラスを絞り込む…",
+    sortBest: "おすすめ順",
+    sortLength: "長さ",
+    sortLevel: "レベル",
+    inTheClass: "クラス内の場面",
+    moreLikeThis: "似たクラス",
+    startOver: "最初からやり直す",
+    signOut: "ログアウト",
+    disclaimer: "教育目的のみ。医療上の助言ではありません。",
+    conditionPregnancy: "妊娠中",
+    conditionHighBloodPressure: "高血圧",
+    conditionNeckInjury: "首のけが",
+    conditionKneeInjury: "膝のけが",
+    conditionBackInjury: "腰・背中のけが",
+    conditionHipInjury: "股関節のけが",
+    conditionHamstringInjury: "ハムストリングのけが",
+    conditionEyeCondition: "緑内障・目の疾患",
+    conditionShoulderInjury: "肩のけが",
+    conditionWristInjury: "手首のけが",
+    youMentioned: "{conditions}とのことですね。おすすめできないクラスには印を付けます。",
+    rememberThis: "覚えておく",
+    hideUnsafe: "自分に向かないクラスを表示しない",
+    notAdvised: "{condition}の方には非推奨（{contraindication}）",
+    checkFirst: "事前に先生や医師に相談してください。",
+    semanticOptIn: "キーワードだけでなく意味も理解する（端末内で実行）",
+    semanticThinking: "考え中…",
+    semanticUnavailable: "利用できないためキーワードで検索します",
+    shareSearches: "新しいクラスづくりのために検索内容を匿名で共有する",
+    onlyClasses: "絞り込み：{constraints}",
+    clearFilters: "絞り込みを解除",
+    constraintOr: "または",
+    constraintRange: "{min}〜{max}分",
+    constraintUnder: "{n}分以内",
+    constraintOver: "{n}分以上",
+    constraintNoEquipment: "道具なし",
+    constraintWithout: "{item}なし",
+    noMoreFitting: "ほかに合うクラスがありません（{constraints}）。条件をゆるめるか、最初からやり直してください。",
+    noMoreClasses: "ほかに合うクラスがありません。最初からやり直して検索してください。",
+    historyRecommended: "おすすめ：{title}",
+    historySession: "セッション：{titles}",
+    noInput: "（入力なし）",
+    focusLabel: "フォーカス：",
+    equipmentLabel: "道具：",
+    whyThisClass: "このクラスを選んだ理由",
+    playFrom: "{at}から再生",
+    classSummary: "{focuses}を中心に：{intents}",
+    defaultIntents: "練習",
+    defaultFocuses: "からだの動き",
+    sessionTitle: "あなたのセッション・{total}分",
+    sessionAskedFor: "（希望：{target}分）",
+    sessionOpener: "ウォームアップ",
+    sessionFocus: "メイン",
+    sessionCloser: "クールダウン",
+    nextClass: "次のクラス",
+    endSession: "セッションを終了",
+    nowPlaying: "（再生中）",
+    catalogEmpty: "カタログに利用できるクラスがありません。",
+    catalogFailed: "クラスを読み込めませんでした（{reason}）。",
+    catalogHiddenOne: "1件のクラスを読み込めなかったため非表示にしています。",
+    catalogHidden: "{n}件のクラスを読み込めなかったため非表示にしています。",
+    catalogHiddenSome: "一部のクラスを読み込めなかったため非表示にしています。",
+    details: "詳細",
+    andMore: "…ほか{n}件",
+    tryAgain: "再試行",
+    facetLevel: "レベル",
+    facetLength: "長さ：{min}〜{max}分",
+    facetShortest: "最短",
+    facetLongest: "最長",
+    facetEquipment: "道具",
+    facetNoEquipment: "道具なし",
+    facetWithout: "{item}なし",
+    facetVibe: "雰囲気",
+    facetFocus: "フォーカス",
+    facetFewer: "閉じる",
+    facetMore: "ほか{n}件",
+    recentPractice: "最近の練習",
+    playedOne: "1クラス再生",
+    played: "{n}クラス再生",
+    completedCount: "{n}クラス完了",
+    myLevel: "自分のレベル",
+    anyLevel: "指定なし",
+    nothingYet: "まだありません。受けたクラスがここに表示されます。",
+    playAgain: "もう一度再生",
+    completed: "完了",
+    clearHistory: "履歴を消去",
+    lessLikeThis: "このようなクラスを減らす",
+    offlineBanner: "オフラインです。保存したクラスと前回のカタログは引き続き使えます。",
+    saveOffline: "オフライン用に保存",
+    saveOfflineHint: "オフラインで見るために保存",
+    savingOffline: "保存中… {percent}%",
+    savedOffline: "オフライン保存済み",
+    removeOffline: "この端末から削除",
+    offlineSaveFailed: "「{title}」をオフライン用に保存できませんでした：{reason}",
+    offlineStorage: "オフライン保存",
+    offlineSavedOne: "1クラス保存・{size}",
+    offlineSaved: "{n}クラス保存・{size}",
+    offlineUsage: "{quota}中{used}使用",
+    clearCachedCatalog: "キャッシュしたカタログを消去",
+    cacheKeepsSaved: "保存したクラスは残ります",
+    noneSavedOffline: "保存したクラスはありません。クラスの下の「オフライン用に保存」で端末に保存できます。",
+    programFollow: "数週間のプログラムに取り組む",
+    programHealthyBack: "健やかな背中のための7日間",
+    programHealthyBackAbout: "腰と背骨のためのやさしい毎日の練習。週の後半に向けて体幹を支える力をつけます。",
+    programBeginnerFoundations: "初心者のための2週間の基礎",
+    programBeginnerFoundationsAbout: "アライメント、バランス、呼吸、筋力。2週目は中級クラスに進みます。",
+    programOpenHips: "股関節とハムストリングをほぐす3週間",
+    programOpenHipsAbout: "股関節とハムストリングの柔軟性。やさしいほぐしから中級の深い練習まで。",
+    programCalmEvenings: "穏やかな夜のための2週間",
+    programCalmEveningsAbout: "心身をゆるめ、よく眠るためのリストラティブクラス。",
+    programGoal: "目標",
+    programSomethingElse: "その他…",
+    programGoalPlaceholder: "例：体幹を強く、バランスを良く",
+    programYourGoal: "あなたの目標",
+    programDaysPerWeek: "週の日数",
+    programStarting: "開始日",
+    programBuild: "プログラムを作成",
+    programNoFit: "「{title}」に合うクラスはまだありません",
+    programProgress: "{total}クラス中{done}クラス完了",
+    programMissed: "{n}回未実施",
+    programComplete: "プログラム完了",
+    programTime: "練習時刻",
+    programAddToCalendar: "カレンダーに追加",
+    programWeek: "第{week}週",
+    programDayDone: "{n}日目完了",
+    today: "今日",
+    classGone: "このクラスは公開を終了しました",
+    play: "再生",
+    playTitle: "{title}を再生",
+    programEndConfirm: "このプログラムを終了しますか？スケジュールとチェックは消去されます。",
+    programEnd: "プログラムを終了",
+    icsEventTitle: "ヨガ：{title}",
+    icsProgramDay: "{program}：{week}週目、{total}回中{n}回目。",
+    icsClassInfo: "{level}、{minutes}分。",
+  },
+};
+
+/** `t(key, vars)` for a language, falling back to English */
+export function translator(lang) {
+  const table = STRINGS[languageOf(lang)];
+  return (key, vars = {}) =>
+    (table[key] ?? STRINGS.en[key] ?? key).replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+}
+
+/** The browser's preferred supported language, for first visits */
+export const browserLanguage = () => languageOf(typeof navigator === "undefined" ? "en" : navigator.language);
@@ -1,10 +1,24 @@
-import { StrictMode } from 'react'
+import { StrictMode, Suspense, lazy } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { registerServiceWorker } from './offline/registerServiceWorker.js'
+
+// Instructors only; kept out of the students' bundle
+const AdminApp = lazy(() => import('./admin/AdminApp.jsx'))
+
+registerServiceWorker()
+
+const isAdmin = /^\/admin(\/|$)/.test(window.location.pathname)
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {isAdmin ? (
+      <Suspense fallback={null}>
+        <AdminApp />
+      </Suspense>
+    ) : (
+      <App />
+    )}
   </StrictMode>,
 )
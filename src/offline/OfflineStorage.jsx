@@ -0,0 +1,91 @@
+import React from "react";
+import { Download, HardDrive, Trash2, WifiOff, Check } from "lucide-react";
+import { canSaveOffline, formatBytes, isSaved, savedSize } from "./offlineVideos.js";
+
+/** Banner shown while the browser is offline */
+export function OfflineBanner({ t }) {
+  return (
+    <div
+      role="status"
+      style={{display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '0.5rem', padding: '0.5rem 1rem', backgroundColor: '#374151', color: 'white', fontSize: '0.875rem', width: '100%'}}
+    >
+      <WifiOff size={16} />
+      {t("offlineBanner")}
+    </div>
+  );
+}
+
+/** Save/remove toggle for the player; renders nothing for Stream classes */
+export function SaveOfflineButton({ video, offline, t }) {
+  if (!canSaveOffline(video)) return null;
+  const saved = isSaved(offline.saved, video);
+  const progress = offline.progress[video.id];
+  const busy = progress != null;
+  return (
+    <button
+      onClick={() => (saved ? offline.remove(video) : offline.save(video))}
+      disabled={busy}
+      title={saved ? t("removeOffline") : t("saveOfflineHint")}
+      style={{display: 'inline-flex', alignItems: 'center', gap: '0.375rem', padding: '0.25rem 0.75rem', borderRadius: '9999px', border: '1px solid #d1d5db', backgroundColor: saved ? '#ecfdf5' : 'white', color: saved ? '#047857' : '#374151', fontSize: '0.75rem', cursor: busy ? 'progress' : 'pointer'}}
+    >
+      {saved ? <Check size={14} /> : <Download size={14} />}
+      {busy ? t("savingOffline", { percent: Math.round(progress * 100) }) : saved ? t("savedOffline") : t("saveOffline")}
+    </button>
+  );
+}
+
+/** "Offline storage": saved classes, space used, and clearing caches */
+export default function OfflineStorage({ catalog, offline, onPlay, t }) {
+  const videos = catalog.filter((v) => isSaved(offline.saved, v));
+  const savedBytes = [...offline.saved.values()].reduce((a, b) => a + b, 0);
+  const { usage, quota } = offline.estimate || {};
+
+  return (
+    <details className="max-w-3xl mx-auto" style={{marginBottom: '3rem', textAlign: 'left'}}>
+      <summary style={{cursor: 'pointer', textAlign: 'center', color: '#6b7280', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '0.375rem'}}>
+        <HardDrive size={16} />
+        {t("offlineStorage")}
+      </summary>
+
+      <div style={{backgroundColor: 'white', borderRadius: '24px', boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)', padding: '1.5rem', marginTop: '1rem', fontSize: '0.875rem'}}>
+        <div style={{display: 'flex', flexWrap: 'wrap', alignItems: 'center', justifyContent: 'space-between', gap: '0.75rem', color: '#6b7280', marginBottom: '1rem'}}>
+          <span>
+            {videos.length === 1
+              ? t("offlineSavedOne", { size: formatBytes(savedBytes) })
+              : t("offlineSaved", { n: videos.length, size: formatBytes(savedBytes) })}
+            {quota ? ` · ${t("offlineUsage", { used: formatBytes(usage), quota: formatBytes(quota) })}` : ''}
+          </span>
+          <button
+            onClick={offline.clearCache}
+            title={t("cacheKeepsSaved")}
+            style={{border: '1px solid #d1d5db', borderRadius: '9999px', background: 'white', padding: '0.25rem 0.75rem', color: '#6b7280', cursor: 'pointer', fontSize: '0.75rem'}}
+          >
+            {t("clearCachedCatalog")}
+          </button>
+        </div>
+
+        {offline.error && <p role="alert" style={{color: '#b91c1c'}}>{t("offlineSaveFailed", offline.error)}</p>}
+
+        {videos.length === 0 ? (
+          <p style={{color: '#9ca3af', textAlign: 'center'}}>
+            {t("noneSavedOffline")}
+          </p>
+        ) : (
+          <ul style={{listStyle: 'none', margin: 0, padding: 0}}>
+            {videos.map((v) => (
+              <li key={v.id} style={{display: 'flex', alignItems: 'center', gap: '0.5rem', padding: '0.5rem 0', borderTop: '1px solid #f3f4f6', color: '#374151'}}>
+                <button onClick={() => onPlay(v)} style={{flex: 1, border: 'none', background: 'none', padding: 0, textAlign: 'left', color: 'inherit', cursor: 'pointer'}}>
+                  {v.title}
+                </button>
+                <span style={{color: '#9ca3af'}}>{formatBytes(savedSize(offline.saved, v))}</span>
+                <button onClick={() => offline.remove(v)} title={t("removeOffline")} style={{border: 'none', background: 'none', color: '#9ca3af', cursor: 'pointer'}}>
+                  <Trash2 size={14} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,81 @@
+// Saved-for-offline classes and cache housekeeping. The service worker
+// (public/sw.js) serves saved videos from VIDEO_CACHE; keep the names in sync.
+
+export const VIDEO_CACHE = "yoga-videos";
+const APP_CACHE_PREFIX = "yoga-";
+
+/** Service workers (and so offline use) need a secure context */
+export const offlineSupported = () => typeof window !== "undefined" && "caches" in window && "serviceWorker" in navigator;
+
+/** Only classes with a direct `url` can be saved; Stream embeds can't */
+export const canSaveOffline = (video) => !!video?.url && !(video.stream?.uid || video.stream?.embed);
+
+const absolute = (url) => new URL(url, window.location.href).href;
+
+/**
+ * Download a class video into the offline cache. `onProgress(fraction)` is
+ * called while downloading when the server reports a length.
+ */
+export async function saveVideo(video, onProgress) {
+  const res = await fetch(video.url, { mode: "cors" });
+  if (!res.ok) throw new Error(`download failed (${res.status})`);
+  const total = Number(res.headers.get("Content-Length")) || 0;
+  const reader = res.body.getReader();
+  const chunks = [];
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.length;
+    if (total) onProgress?.(received / total);
+  }
+  const blob = new Blob(chunks, { type: res.headers.get("Content-Type") || "video/mp4" });
+  const cache = await caches.open(VIDEO_CACHE);
+  await cache.put(
+    absolute(video.url),
+    new Response(blob, { headers: { "Content-Type": blob.type, "Content-Length": String(blob.size) } })
+  );
+  // Ask the browser not to evict saved classes under storage pressure
+  await navigator.storage?.persist?.();
+}
+
+export async function removeVideo(video) {
+  const cache = await caches.open(VIDEO_CACHE);
+  await cache.delete(absolute(video.url));
+}
+
+/** `Map(url -> bytes)` of saved videos */
+export async function savedVideos() {
+  if (!offlineSupported()) return new Map();
+  const cache = await caches.open(VIDEO_CACHE);
+  const out = new Map();
+  for (const req of await cache.keys()) {
+    const res = await cache.match(req);
+    out.set(req.url, Number(res?.headers.get("Content-Length")) || 0);
+  }
+  return out;
+}
+
+/** True when `video` is in the offline cache; `saved` is from savedVideos() */
+export const isSaved = (saved, video) => !!video?.url && saved.has(absolute(video.url));
+
+/** Bytes a saved video takes up */
+export const savedSize = (saved, video) => saved.get(absolute(video.url)) || 0;
+
+/** `{ usage, quota }` in bytes, or null where the browser won't say */
+export async function storageEstimate() {
+  return (await navigator.storage?.estimate?.()) || null;
+}
+
+/** Drop cached app data (shell, catalog, transcripts); saved videos stay */
+export async function clearAppCache() {
+  const names = await caches.keys();
+  await Promise.all(names.filter((n) => n.startsWith(APP_CACHE_PREFIX) && n !== VIDEO_CACHE).map((n) => caches.delete(n)));
+}
+
+export function formatBytes(n) {
+  if (!n) return "0 MB";
+  if (n >= 1e9) return `${(n / 1e9).toFixed(1)} GB`;
+  return `${Math.max(0.1, n / 1e6).toFixed(1)} MB`;
+}
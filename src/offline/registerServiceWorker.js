@@ -0,0 +1,10 @@
+/**
+ * Register the offline service worker. Production builds only: in dev it
+ * would serve stale modules over Vite's HMR.
+ */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch((e) => console.warn(`Service worker not registered: ${e.message}`));
+  });
+}
@@ -0,0 +1,58 @@
+import { useCallback, useEffect, useState } from "react";
+import { clearAppCache, removeVideo, saveVideo, savedVideos, storageEstimate } from "./offlineVideos.js";
+
+/**
+ * Saved-for-offline state: `{ saved, progress, estimate, error, save, remove,
+ * clearCache }`. `saved` is Map(url -> bytes), `progress` { [videoId]: 0..1 }
+ * for downloads in flight, `error` the last failed save as `{ title, reason }`.
+ */
+export function useOfflineVideos() {
+  const [saved, setSaved] = useState(() => new Map());
+  const [progress, setProgress] = useState({});
+  const [estimate, setEstimate] = useState(null);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    setSaved(await savedVideos());
+    setEstimate(await storageEstimate());
+  }, []);
+
+  useEffect(() => {
+    refresh().catch(() => {});
+  }, [refresh]);
+
+  const save = useCallback(
+    async (video) => {
+      setError(null);
+      setProgress((p) => ({ ...p, [video.id]: 0 }));
+      try {
+        await saveVideo(video, (f) => setProgress((p) => ({ ...p, [video.id]: f })));
+      } catch (e) {
+        setError({ title: video.title, reason: e.message });
+      } finally {
+        setProgress((p) => {
+          const next = { ...p };
+          delete next[video.id];
+          return next;
+        });
+        await refresh();
+      }
+    },
+    [refresh]
+  );
+
+  const remove = useCallback(
+    async (video) => {
+      await removeVideo(video);
+      await refresh();
+    },
+    [refresh]
+  );
+
+  const clearCache = useCallback(async () => {
+    await clearAppCache();
+    await refresh();
+  }, [refresh]);
+
+  return { saved, progress, estimate, error, save, remove, clearCache };
+}
@@ -0,0 +1,173 @@
+import React, { useCallback, useEffect, useMemo, useRef } from "react";
+import { loadStreamSdk, streamEmbedUrl } from "./streamSdk.js";
+import { toWebVtt } from "../engine/captions.js";
+
+/** Report progress at most this often while playing (and always on pause/end) */
+const PROGRESS_MS = 10 * 1000;
+
+/** Longer jumps between time updates are seeks, not watching */
+const MAX_STEP_SEC = 5;
+
+/**
+ * Plays a catalog video from its Cloudflare Stream source or its `url`.
+ * `onEnded` fires for both, so playlists can auto-advance.
+ *
+ * `seekTo` is `{ videoId, time }` (seconds) and only applies to that video;
+ * pass a new object to jump again, even to the same time. `playback` is
+ * `{ videoId, action: "play" | "pause" }`, likewise (voice commands).
+ * `captions` are parsed cues, shown as a captions track on the native player
+ * (Stream serves its own captions).
+ *
+ * `onProgress({ videoId, position, duration, watched })` reports where
+ * playback is (seconds) and how many seconds were watched since the last
+ * report, skipping seeks.
+ */
+export default function VideoPlayer({ video, autoPlay = false, onEnded, onProgress, seekTo, playback, captions }) {
+  const iframeRef = useRef(null);
+  const videoRef = useRef(null);
+  const playerRef = useRef(null);
+  // Seek and play/pause requested before the Stream player was ready
+  const pendingSeek = useRef(null);
+  const pendingAction = useRef(null);
+  const onEndedRef = useRef(onEnded);
+  const onProgressRef = useRef(onProgress);
+  // Progress since the last report: { videoId, position, duration, watched, reportedAt }
+  const progress = useRef(null);
+  const isStream = !!(video.stream?.uid || video.stream?.embed);
+
+  useEffect(() => {
+    onEndedRef.current = onEnded;
+    onProgressRef.current = onProgress;
+  }, [onEnded, onProgress]);
+
+  const report = useCallback(() => {
+    const p = progress.current;
+    if (!p || p.position == null) return;
+    onProgressRef.current?.({ videoId: p.videoId, position: p.position, duration: p.duration, watched: p.watched });
+    p.watched = 0;
+    p.reportedAt = Date.now();
+  }, []);
+
+  /** Note a time update; report when due or when `flush` (pause, end) */
+  const track = useCallback(
+    (position, duration, flush = false) => {
+      const p = progress.current;
+      if (!p || !Number.isFinite(position)) return;
+      const step = position - (p.position ?? position);
+      if (step > 0 && step < MAX_STEP_SEC) p.watched += step;
+      p.position = position;
+      if (Number.isFinite(duration)) p.duration = duration;
+      if (flush || Date.now() - p.reportedAt >= PROGRESS_MS) report();
+    },
+    [report]
+  );
+
+  // Fresh tracking per video; what was watched of the last one is reported on the way out
+  useEffect(() => {
+    progress.current = { videoId: video.id, position: null, duration: null, watched: 0, reportedAt: Date.now() };
+    return report;
+  }, [video.id, report]);
+
+  // Stream iframes only report "ended" through the Player API
+  useEffect(() => {
+    if (!isStream || !iframeRef.current) return;
+    let player = null;
+    let cancelled = false;
+    const handleEnded = () => {
+      track(player.currentTime, player.duration, true);
+      onEndedRef.current?.();
+    };
+    const handleTime = () => track(player.currentTime, player.duration);
+    const handlePause = () => track(player.currentTime, player.duration, true);
+    const handleReady = () => {
+      const action = pendingAction.current;
+      if (pendingSeek.current == null && !action) return;
+      if (pendingSeek.current != null) player.currentTime = pendingSeek.current;
+      pendingSeek.current = null;
+      pendingAction.current = null;
+      if (action === "pause") player.pause();
+      else player.play()?.catch?.(() => {});
+    };
+    loadStreamSdk()
+      .then((Stream) => {
+        if (cancelled || !iframeRef.current) return;
+        player = Stream(iframeRef.current);
+        playerRef.current = player;
+        player.addEventListener("ended", handleEnded);
+        player.addEventListener("canplay", handleReady);
+        player.addEventListener("timeupdate", handleTime);
+        player.addEventListener("pause", handlePause);
+      })
+      .catch((e) => console.warn(e.message));
+    return () => {
+      cancelled = true;
+      playerRef.current = null;
+      pendingSeek.current = null;
+      pendingAction.current = null;
+      player?.removeEventListener("ended", handleEnded);
+      player?.removeEventListener("canplay", handleReady);
+      player?.removeEventListener("timeupdate", handleTime);
+      player?.removeEventListener("pause", handlePause);
+    };
+  }, [isStream, video.id, track]);
+
+  useEffect(() => {
+    if (seekTo?.time == null || seekTo.videoId !== video.id) return;
+    const el = isStream ? playerRef.current : videoRef.current;
+    if (!el) {
+      pendingSeek.current = seekTo.time;
+      return;
+    }
+    el.currentTime = seekTo.time;
+    el.play()?.catch?.(() => {});
+  }, [seekTo, isStream, video.id]);
+
+  useEffect(() => {
+    if (!playback?.action || playback.videoId !== video.id) return;
+    const el = isStream ? playerRef.current : videoRef.current;
+    if (!el) {
+      pendingAction.current = playback.action;
+      return;
+    }
+    if (playback.action === "pause") el.pause();
+    else el.play()?.catch?.(() => {});
+  }, [playback, isStream, video.id]);
+
+  // Cues as a WebVTT blob, so SRT files caption the native player too
+  const trackUrl = useMemo(
+    () => (!isStream && captions?.length ? URL.createObjectURL(new Blob([toWebVtt(captions)], { type: "text/vtt" })) : null),
+    [isStream, captions]
+  );
+  useEffect(() => () => trackUrl && URL.revokeObjectURL(trackUrl), [trackUrl]);
+
+  return isStream ? (
+    <iframe
+      ref={iframeRef}
+      key={video.id}
+      src={streamEmbedUrl(video.stream, { autoplay: autoPlay })}
+      allow="accelerometer; autoplay; encrypted-media; picture-in-picture"
+      allowFullScreen
+      style={{width: '100%', height: '100%'}}
+      title={video.title}
+    />
+  ) : (
+    <video
+      ref={videoRef}
+      key={video.id}
+      style={{width: '100%', height: '100%'}}
+      controls
+      autoPlay={autoPlay}
+      preload="metadata"
+      poster={video.poster}
+      src={video.url}
+      onTimeUpdate={(e) => track(e.currentTarget.currentTime, e.currentTarget.duration)}
+      onPause={(e) => track(e.currentTarget.currentTime, e.currentTarget.duration, true)}
+      onEnded={(e) => {
+        track(e.currentTarget.currentTime, e.currentTarget.duration, true);
+        onEndedRef.current?.();
+      }}
+    >
+      {trackUrl && <track kind="captions" src={trackUrl} srcLang="en" label="English" default />}
+    </video>
+  );
+}
@@ -0,0 +1,29 @@
+// Cloudflare Stream Player API: wraps a Stream <iframe> so we can listen for
+// playback events ("ended", "timeupdate", ...) and control it.
+// https://developers.cloudflare.com/stream/viewing-videos/using-the-stream-player/using-the-player-api/
+const SDK_URL = "https://embed.cloudflarestream.com/embed/sdk.latest.js";
+
+let loading = null;
+
+/** Resolves to the global `Stream` factory, loading the SDK script once */
+export function loadStreamSdk() {
+  if (window.Stream) return Promise.resolve(window.Stream);
+  loading ||= new Promise((resolve, reject) => {
+    const script = document.createElement("script");
+    script.src = SDK_URL;
+    script.async = true;
+    script.onload = () => resolve(window.Stream);
+    script.onerror = () => {
+      loading = null;
+      reject(new Error("Failed to load the Stream player SDK"));
+    };
+    document.head.appendChild(script);
+  });
+  return loading;
+}
+
+/** Embed URL for a catalog video's `stream` source */
+export function streamEmbedUrl(stream, { autoplay = false } = {}) {
+  const base = stream.embed || `https://iframe.cloudflarestream.com/${stream.uid}`;
+  return autoplay ? `${base}${base.includes("?") ? "&" : "?"}autoplay=true` : base;
+}
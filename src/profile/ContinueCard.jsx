@@ -0,0 +1,56 @@
+import React from "react";
+import { Flame, Play, X } from "lucide-react";
+import { formatTimestamp } from "../engine/index.js";
+
+const Stats = ({ stats, t }) => (
+  <div style={{display: 'flex', justifyContent: 'center', gap: '1rem', fontSize: '0.8125rem', color: '#6b7280'}}>
+    {stats.streak > 1 && (
+      <span style={{display: 'inline-flex', alignItems: 'center', gap: '0.25rem', color: '#ea580c'}}>
+        <Flame size={14} aria-hidden="true" />
+        {t("streak", { n: stats.streak })}
+      </span>
+    )}
+    {stats.minutes > 0 && <span>{t("minutesPracticed", { n: stats.minutes })}</span>}
+  </div>
+);
+
+/**
+ * "Continue your class" for a class left unfinished on an earlier visit,
+ * with practice streak and minutes; just the stats when there's nothing to
+ * continue.
+ */
+export default function ContinueCard({ video, play, stats, onContinue, onDismiss, t }) {
+  const hasStats = stats.streak > 1 || stats.minutes > 0;
+  if (!video) return hasStats ? <div style={{marginBottom: '1.5rem'}}><Stats stats={stats} t={t} /></div> : null;
+
+  const total = Math.round((play.duration || (video.lengthMin || 0) * 60) / 60);
+  return (
+    <div className="max-w-3xl mx-auto" style={{marginBottom: '2rem', backgroundColor: 'white', borderRadius: '24px', boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)', padding: '1.25rem 1.5rem', textAlign: 'left'}}>
+      <div style={{display: 'flex', alignItems: 'center', gap: '1rem'}}>
+        {video.poster && <img src={video.poster} alt="" style={{width: '96px', height: '54px', objectFit: 'cover', borderRadius: '8px', flexShrink: 0}} />}
+        <div style={{flex: 1, minWidth: 0}}>
+          <div style={{fontSize: '0.75rem', color: '#fb923c', fontWeight: '500'}}>{t("continueClass")}</div>
+          <div style={{fontSize: '1.125rem', color: '#374151', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'}}>{video.title}</div>
+          <div style={{marginTop: '0.375rem', height: '4px', borderRadius: '9999px', backgroundColor: '#f3f4f6', overflow: 'hidden'}}>
+            <div style={{width: `${Math.min(100, (play.position / (total * 60 || 1)) * 100)}%`, height: '100%', backgroundColor: '#fb923c'}} />
+          </div>
+          <div style={{marginTop: '0.25rem', fontSize: '0.75rem', color: '#9ca3af'}}>
+            {t("minutesWatched", { watched: Math.round(play.position / 60), total })}
+          </div>
+        </div>
+        <button
+          onClick={onContinue}
+          title={t("resumeFrom", { at: formatTimestamp(play.position) })}
+          style={{display: 'inline-flex', alignItems: 'center', gap: '0.375rem', padding: '0.625rem 1.25rem', border: 'none', borderRadius: '9999px', background: 'linear-gradient(135deg, #fb923c, #f97316)', color: 'white', cursor: 'pointer', fontSize: '0.875rem', flexShrink: 0}}
+        >
+          <Play size={14} aria-hidden="true" />
+          {t("continueAction")}
+        </button>
+        <button onClick={onDismiss} aria-label={t("notNow")} title={t("notNow")} style={{border: 'none', background: 'none', color: '#9ca3af', cursor: 'pointer', display: 'flex', padding: 0}}>
+          <X size={16} />
+        </button>
+      </div>
+      {hasStats && <div style={{marginTop: '0.75rem', borderTop: '1px solid #f3f4f6', paddingTop: '0.75rem'}}><Stats stats={stats} t={t} /></div>}
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import React from "react";
+import { History, Check, ThumbsUp, ThumbsDown, Play } from "lucide-react";
+import { LEVELS } from "../engine/index.js";
+import { practiceStats } from "./progress.js";
+
+const day = (at) =>
+  new Date(at).toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" });
+
+/**
+ * Pair each query in the history with the recommendation that followed it,
+ * newest first.
+ */
+function practiceEntries(history) {
+  const entries = [];
+  history.forEach((h, i) => {
+    if (h.role !== "system") return;
+    const asked = history[i - 1]?.role === "user" ? history[i - 1].text : null;
+    entries.push({ ...h, asked });
+  });
+  return entries.reverse();
+}
+
+/** "Your recent practice": past queries, what was picked, thumbs and level */
+export default function RecentPractice({ profile, catalog, onPlay, onRate, onLevel, onClear, t, limit = 8 }) {
+  const byId = new Map(catalog.map((v) => [v.id, v]));
+  const entries = practiceEntries(profile.history).slice(0, limit);
+  const completed = new Set(profile.plays.filter((p) => p.completed).map((p) => p.id));
+  const played = profile.plays.length;
+  const { minutes, streak } = practiceStats(profile);
+
+  return (
+    <details className="max-w-3xl mx-auto" style={{marginBottom: '3rem', textAlign: 'left'}}>
+      <summary style={{cursor: 'pointer', textAlign: 'center', color: '#6b7280', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '0.375rem'}}>
+        <History size={16} />
+        {t("recentPractice")}
+      </summary>
+
+      <div style={{backgroundColor: 'white', borderRadius: '24px', boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)', padding: '1.5rem', marginTop: '1rem'}}>
+        <div style={{display: 'flex', flexWrap: 'wrap', alignItems: 'center', justifyContent: 'space-between', gap: '0.75rem', fontSize: '0.875rem', color: '#6b7280', marginBottom: '1rem'}}>
+          <span>
+            {played === 1 ? t("playedOne") : t("played", { n: played })} · {t("completedCount", { n: completed.size })} ·{' '}
+            {t("minutes", { n: minutes })}
+            {streak > 1 && ` · ${t("streak", { n: streak })}`}
+          </span>
+          <label style={{display: 'flex', alignItems: 'center', gap: '0.5rem'}}>
+            {t("myLevel")}
+            <select
+              value={profile.level || ''}
+              onChange={(e) => onLevel(e.target.value)}
+              style={{borderRadius: '12px', border: '1px solid #d1d5db', padding: '0.25rem 0.5rem', fontSize: '0.875rem'}}
+            >
+              <option value="">{t("anyLevel")}</option>
+              {LEVELS.map((l) => (
+                <option key={l} value={l}>{l}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {entries.length === 0 ? (
+          <p style={{color: '#9ca3af', fontSize: '0.875rem', textAlign: 'center'}}>
+            {t("nothingYet")}
+          </p>
+        ) : (
+          <ul style={{listStyle: 'none', margin: 0, padding: 0}}>
+            {entries.map((e) => {
+              const videos = (e.videoIds || [e.videoId]).map((id) => byId.get(id)).filter(Boolean);
+              return (
+                <li key={e.at + e.text} style={{padding: '0.75rem 0', borderTop: '1px solid #f3f4f6', fontSize: '0.875rem'}}>
+                  <div style={{color: '#9ca3af', fontSize: '0.75rem'}}>{day(e.at)}</div>
+                  {e.asked && <div style={{color: '#6b7280', fontStyle: 'italic'}}>“{e.asked}”</div>}
+                  {videos.length === 0 && <div style={{color: '#374151'}}>{e.text}</div>}
+                  {videos.map((v) => (
+                    <div key={v.id} style={{display: 'flex', alignItems: 'center', gap: '0.5rem', color: '#374151', marginTop: '0.25rem'}}>
+                      <button onClick={() => onPlay(v)} title={t("playAgain")} style={{border: 'none', background: 'none', padding: 0, color: '#fb923c', cursor: 'pointer'}}>
+                        <Play size={14} />
+                      </button>
+                      <span style={{flex: 1}}>{v.title}</span>
+                      {completed.has(v.id) && <Check size={14} style={{color: '#10b981'}} title={t("completed")} />}
+                      <RateButtons rating={profile.ratings[v.id]} onRate={(value) => onRate(v.id, value)} t={t} />
+                    </div>
+                  ))}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        {profile.history.length > 0 && (
+          <div style={{textAlign: 'right', marginTop: '0.75rem'}}>
+            <button onClick={onClear} style={{border: 'none', background: 'none', color: '#9ca3af', fontSize: '0.75rem', textDecoration: 'underline', cursor: 'pointer'}}>
+              {t("clearHistory")}
+            </button>
+          </div>
+        )}
+      </div>
+    </details>
+  );
+}
+
+/** Thumbs up/down toggle pair */
+export function RateButtons({ rating, onRate, t, size = 14 }) {
+  const style = (on, color) => ({border: 'none', background: 'none', padding: '0 0.125rem', cursor: 'pointer', color: on ? color : '#d1d5db'});
+  return (
+    <span style={{display: 'inline-flex', gap: '0.25rem'}}>
+      <button onClick={(e) => { e.stopPropagation(); onRate(1); }} title={t("moreLikeThis")} style={style(rating > 0, '#10b981')}>
+        <ThumbsUp size={size} />
+      </button>
+      <button onClick={(e) => { e.stopPropagation(); onRate(-1); }} title={t("lessLikeThis")} style={style(rating < 0, '#ef4444')}>
+        <ThumbsDown size={size} />
+      </button>
+    </span>
+  );
+}
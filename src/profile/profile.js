@@ -0,0 +1,120 @@
+// Local practice profile: what the user asked for, what they played and
+// finished, thumbs up/down, their preferred level and the program they
+// follow. Stored in localStorage;
+// the shape is documented in src/engine/personalize.js.
+
+const KEY = "yoga.profile";
+const MAX_HISTORY = 200;
+const MAX_PLAYS = 500;
+
+export const EMPTY_PROFILE = { history: [], plays: [], ratings: {}, level: null, program: null };
+
+export function loadProfile() {
+  try {
+    const raw = localStorage.getItem(KEY);
+    return raw ? { ...EMPTY_PROFILE, ...JSON.parse(raw) } : EMPTY_PROFILE;
+  } catch {
+    return EMPTY_PROFILE;
+  }
+}
+
+export function saveProfile(profile) {
+  try {
+    localStorage.setItem(KEY, JSON.stringify(profile));
+  } catch (e) {
+    console.warn("Could not save profile", e);
+  }
+}
+
+// Updates below are pure: (profile, ...args) -> new profile
+
+/** Append chat-style history entries (`{ role, text, videoId? }`) */
+export function addHistory(profile, entries, at = Date.now()) {
+  const history = [...profile.history, ...entries.map((e) => ({ ...e, at }))];
+  return { ...profile, history: history.slice(-MAX_HISTORY) };
+}
+
+export function recordPlay(profile, id, at = Date.now()) {
+  const plays = [...profile.plays, { id, at, completed: false }];
+  return { ...profile, plays: plays.slice(-MAX_PLAYS) };
+}
+
+/** Mark the latest play of `id` as completed (recording one if needed) */
+export function markCompleted(profile, id, at = Date.now()) {
+  const plays = [...profile.plays];
+  const i = plays.findLastIndex((p) => p.id === id);
+  if (i >= 0) plays[i] = { ...plays[i], completed: true };
+  else plays.push({ id, at, completed: true });
+  return completeProgramClass({ ...profile, plays: plays.slice(-MAX_PLAYS) }, id, at);
+}
+
+/** Share of a class watched that counts as finishing it (end credits, savasana) */
+export const COMPLETE_AT = 0.9;
+
+/**
+ * Playback progress for the latest play of `id`: `position` and `duration`
+ * in seconds and `watched`, seconds actually watched since the last report.
+ * Reaching COMPLETE_AT of the class marks it completed.
+ */
+export function recordProgress(profile, id, { position, duration, watched = 0 }, at = Date.now()) {
+  const plays = [...profile.plays];
+  let i = plays.findLastIndex((p) => p.id === id);
+  if (i < 0) i = plays.push({ id, at, completed: false }) - 1;
+  const play = plays[i];
+  const finished = duration > 0 && position >= duration * COMPLETE_AT;
+  plays[i] = {
+    ...play,
+    position,
+    duration: duration > 0 ? duration : play.duration,
+    watchedSec: (play.watchedSec || 0) + Math.max(0, watched),
+    completed: play.completed || finished,
+  };
+  const next = { ...profile, plays: plays.slice(-MAX_PLAYS) };
+  return finished && !play.completed ? completeProgramClass(next, id, at) : next;
+}
+
+/** Stop offering to resume `id` (the "continue your class" card's dismiss) */
+export function dismissResume(profile, id) {
+  const plays = profile.plays.map((p) => (p.id === id && p.position != null ? { ...p, dismissed: true } : p));
+  return { ...profile, plays };
+}
+
+/** Follow a program (engine generateProgram()), replacing any current one */
+export function startProgram(profile, program, at = Date.now()) {
+  return { ...profile, program: { ...program, startedAt: at, done: {} } };
+}
+
+/** Tick day `n` of the program off, or clear it with `done` false */
+export function markProgramDay(profile, n, done = true, at = Date.now()) {
+  if (!profile.program) return profile;
+  const marks = { ...profile.program.done };
+  if (done) marks[n] = at;
+  else delete marks[n];
+  return { ...profile, program: { ...profile.program, done: marks } };
+}
+
+/** Finishing a class ticks off the first program day still waiting for it */
+function completeProgramClass(profile, id, at) {
+  const day = profile.program?.days.find((d) => d.videoId === id && !profile.program.done[d.n]);
+  return day ? markProgramDay(profile, day.n, true, at) : profile;
+}
+
+export function endProgram(profile) {
+  return { ...profile, program: null };
+}
+
+/** Thumbs up (1) or down (-1); rating the same way again clears it */
+export function rate(profile, id, value) {
+  const ratings = { ...profile.ratings };
+  if (ratings[id] === value) delete ratings[id];
+  else ratings[id] = value;
+  return { ...profile, ratings };
+}
+
+export function setLevel(profile, level) {
+  return { ...profile, level: level || null };
+}
+
+export function clearProfile() {
+  return EMPTY_PROFILE;
+}
@@ -0,0 +1,103 @@
+// Reading watch progress back out of the practice profile: where to resume,
+// streaks, minutes practiced and program progress. Pure; days are the
+// user's local days.
+
+/** Don't offer to resume within this many seconds of either end */
+export const RESUME_MARGIN_SEC = 30;
+
+/** "Continue your class" only for classes started this recently */
+export const RESUME_WITHIN_MS = 14 * 24 * 60 * 60 * 1000;
+
+/** Watching at least this much (or finishing) makes a day count for the streak */
+export const PRACTICE_DAY_SEC = 5 * 60;
+
+/** Local calendar day, e.g. "2025-03-09" */
+export const dayKey = (at) => {
+  const d = new Date(at);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+};
+
+const resumable = (p) =>
+  !p.completed &&
+  !p.dismissed &&
+  p.position >= RESUME_MARGIN_SEC &&
+  !(p.duration > 0 && p.position > p.duration - RESUME_MARGIN_SEC);
+
+/**
+ * Where to pick `id` back up, in seconds, or null. Only offered before
+ * playback starts again: once the current play has progress, the player is
+ * already where the user is.
+ */
+export function resumePoint(profile, id) {
+  const plays = profile.plays.filter((p) => p.id === id);
+  if (plays.at(-1)?.position != null) return null;
+  const last = plays.findLast((p) => p.position != null);
+  return last && resumable(last) ? last.position : null;
+}
+
+/**
+ * The most recent class left unfinished before `since` (this visit's start),
+ * as its play record, or null when the user finished or moved on from it.
+ */
+export function unfinishedPlay(profile, since = Date.now()) {
+  const last = profile.plays.findLast((p) => p.position != null && p.at < since);
+  if (!last || since - last.at > RESUME_WITHIN_MS || !resumable(last)) return null;
+  // Picked up again this visit; that play is the one to continue next time
+  return profile.plays.some((p) => p.id === last.id && p.at > last.at && p.position != null) ? null : last;
+}
+
+/**
+ * `{ minutes, days, streak, completed }`: minutes actually watched, days
+ * practiced, consecutive practice days up to today (or yesterday, so the
+ * streak survives until today's class) and distinct classes completed.
+ */
+export function practiceStats(profile, now = Date.now()) {
+  const days = new Set();
+  let seconds = 0;
+  for (const p of profile.plays) {
+    seconds += p.watchedSec || 0;
+    if (p.completed || (p.watchedSec || 0) >= PRACTICE_DAY_SEC) days.add(dayKey(p.at));
+  }
+
+  const d = new Date(now);
+  if (!days.has(dayKey(d))) d.setDate(d.getDate() - 1);
+  let streak = 0;
+  for (; days.has(dayKey(d)); d.setDate(d.getDate() - 1)) streak++;
+
+  const completed = new Set(profile.plays.filter((p) => p.completed).map((p) => p.id)).size;
+  return { minutes: Math.round(seconds / 60), days: days.size, streak, completed };
+}
+
+/**
+ * The parts of the profile ranking reads (see engine/personalize.js), minus
+ * playback progress, so the list isn't re-ranked on every progress report.
+ * Plays from this visit (at or after `since`) only count once they were
+ * finished or watched for PRACTICE_DAY_SEC: opening a class mustn't push it
+ * down the list under the user's click.
+ */
+export function rankingProfile(profile, since) {
+  const plays = profile.plays
+    .filter((p) => p.at < since || p.completed || (p.watchedSec || 0) >= PRACTICE_DAY_SEC)
+    .map(({ id, at, completed }) => ({ id, at, completed }));
+  return { plays, ratings: profile.ratings, level: profile.level };
+}
+
+/**
+ * Where the user is in their program: `{ done, total, today, next, missed }`.
+ * `today` is the day scheduled for today if it's still to do, `next` the
+ * first day not done yet (today's, a missed one or an upcoming one) and
+ * `missed` how many earlier days were skipped. Null without a program.
+ */
+export function programStatus(profile, now = Date.now()) {
+  const program = profile.program;
+  if (!program) return null;
+  const todayKey = dayKey(now);
+  const open = program.days.filter((d) => !program.done[d.n]);
+  return {
+    done: program.days.length - open.length,
+    total: program.days.length,
+    today: open.find((d) => d.date === todayKey) || null,
+    next: open[0] || null,
+    missed: open.filter((d) => d.date < todayKey).length,
+  };
+}
@@ -0,0 +1,15 @@
+import { useCallback, useEffect, useState } from "react";
+import { loadProfile, saveProfile } from "./profile.js";
+
+/**
+ * The persisted practice profile plus an updater that applies one of the pure
+ * updates from profile.js: `update(recordPlay, videoId)`.
+ */
+export function useProfile() {
+  const [profile, setProfile] = useState(loadProfile);
+
+  useEffect(() => saveProfile(profile), [profile]);
+
+  const update = useCallback((fn, ...args) => setProfile((p) => fn(p, ...args)), []);
+  return [profile, update];
+}
@@ -0,0 +1,211 @@
+import React, { useState } from "react";
+import { CalendarDays, CalendarPlus, Check, Play } from "lucide-react";
+import { PROGRAMS, programFor } from "../engine/index.js";
+import { dayKey, programStatus } from "../profile/progress.js";
+import { programToIcs } from "./ics.js";
+
+const CUSTOM = "custom";
+
+/** String keys for the built-in programs; `<key>About` holds the description */
+const PROGRAM_KEYS = {
+  "healthy-back": "programHealthyBack",
+  "beginner-foundations": "programBeginnerFoundations",
+  "open-hips": "programOpenHips",
+  "calm-evenings": "programCalmEvenings",
+};
+
+/** A program's title in the UI language; custom goals keep the user's words */
+const titleOf = (program, t) => (PROGRAM_KEYS[program.id] ? t(PROGRAM_KEYS[program.id]) : program.title);
+
+/** "2025-03-09" -> "Sun, Mar 9" in the user's locale */
+const showDay = (date) => {
+  const [y, m, d] = date.split("-").map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" });
+};
+
+const fieldStyle = {borderRadius: '12px', border: '1px solid #d1d5db', padding: '0.375rem 0.625rem', fontSize: '0.875rem', color: '#374151', backgroundColor: 'white'};
+
+const linkButton = {border: 'none', background: 'none', padding: 0, color: '#fb923c', cursor: 'pointer', fontSize: '0.875rem'};
+
+function download(name, body) {
+  const url = URL.createObjectURL(new Blob([body], { type: "text/calendar" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  // Revoking in the same tick can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url));
+}
+
+/**
+ * Multi-week programs: pick a goal and how often to practice, then follow
+ * the schedule day by day and export it to a calendar. `onStart(goal,
+ * { daysPerWeek, start })` builds and saves the program and returns
+ * generateProgram()'s result, so its error can be shown here.
+ */
+export default function ProgramPanel({ profile, catalog, onStart, onPlay, onMark, onEnd, t }) {
+  const program = profile.program;
+  return (
+    <details className="max-w-3xl mx-auto" open={!!program} style={{marginBottom: '3rem', textAlign: 'left'}}>
+      <summary style={{cursor: 'pointer', textAlign: 'center', color: '#6b7280', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '0.375rem'}}>
+        <CalendarDays size={16} />
+        {program ? titleOf({ id: program.goal, title: program.title }, t) : t("programFollow")}
+      </summary>
+
+      <div style={{backgroundColor: 'white', borderRadius: '24px', boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)', padding: '1.5rem', marginTop: '1rem'}}>
+        {program ? (
+          <Schedule profile={profile} catalog={catalog} onPlay={onPlay} onMark={onMark} onEnd={onEnd} t={t} />
+        ) : (
+          <NewProgram onStart={onStart} t={t} />
+        )}
+      </div>
+    </details>
+  );
+}
+
+const NewProgram = ({ onStart, t }) => {
+  const [goal, setGoal] = useState(PROGRAMS[0].id);
+  const [customGoal, setCustomGoal] = useState("");
+  const [daysPerWeek, setDaysPerWeek] = useState(PROGRAMS[0].daysPerWeek);
+  const [start, setStart] = useState(() => dayKey(Date.now()));
+  const [error, setError] = useState("");
+  const def = goal === CUSTOM ? null : programFor(goal);
+
+  function chooseGoal(id) {
+    setGoal(id);
+    setDaysPerWeek(programFor(id)?.daysPerWeek || 3);
+    setError("");
+  }
+
+  function build(e) {
+    e.preventDefault();
+    const [y, m, d] = start.split("-").map(Number);
+    const result = onStart(goal === CUSTOM ? customGoal : goal, { daysPerWeek, start: new Date(y, m - 1, d) });
+    setError(result.error ? t("programNoFit", { title: def ? titleOf(def, t) : customGoal.trim() }) : "");
+  }
+
+  return (
+    <form onSubmit={build} style={{display: 'flex', flexDirection: 'column', gap: '1rem', fontSize: '0.875rem', color: '#374151'}}>
+      <label style={{display: 'flex', flexDirection: 'column', gap: '0.375rem'}}>
+        {t("programGoal")}
+        <select value={goal} onChange={(e) => chooseGoal(e.target.value)} style={fieldStyle}>
+          {PROGRAMS.map((p) => (
+            <option key={p.id} value={p.id}>{titleOf(p, t)}</option>
+          ))}
+          <option value={CUSTOM}>{t("programSomethingElse")}</option>
+        </select>
+      </label>
+      {def ? (
+        <p style={{margin: 0, color: '#6b7280'}}>{t(`${PROGRAM_KEYS[def.id]}About`)}</p>
+      ) : (
+        <input
+          value={customGoal}
+          onChange={(e) => setCustomGoal(e.target.value)}
+          placeholder={t("programGoalPlaceholder")}
+          style={fieldStyle}
+          aria-label={t("programYourGoal")}
+        />
+      )}
+      <div style={{display: 'flex', flexWrap: 'wrap', gap: '1rem', alignItems: 'flex-end'}}>
+        <label style={{display: 'flex', flexDirection: 'column', gap: '0.375rem'}}>
+          {t("programDaysPerWeek")}
+          <select value={daysPerWeek} onChange={(e) => setDaysPerWeek(Number(e.target.value))} style={fieldStyle}>
+            {[1, 2, 3, 4, 5, 6, 7].map((n) => (
+              <option key={n} value={n}>{n}</option>
+            ))}
+          </select>
+        </label>
+        <label style={{display: 'flex', flexDirection: 'column', gap: '0.375rem'}}>
+          {t("programStarting")}
+          <input type="date" value={start} onChange={(e) => e.target.value && setStart(e.target.value)} style={fieldStyle} />
+        </label>
+        <button
+          type="submit"
+          disabled={goal === CUSTOM && !customGoal.trim()}
+          style={{padding: '0.5rem 1.25rem', border: 'none', borderRadius: '9999px', background: 'linear-gradient(135deg, #fb923c, #f97316)', color: 'white', cursor: 'pointer', fontSize: '0.875rem'}}
+        >
+          {t("programBuild")}
+        </button>
+      </div>
+      {error && <p role="alert" style={{margin: 0, color: '#b45309'}}>{error}</p>}
+    </form>
+  );
+};
+
+const Schedule = ({ profile, catalog, onPlay, onMark, onEnd, t }) => {
+  const [time, setTime] = useState("07:30");
+  const program = profile.program;
+  const byId = new Map(catalog.map((v) => [v.id, v]));
+  const status = programStatus(profile);
+  const today = dayKey(Date.now());
+  const weeks = [...new Set(program.days.map((d) => d.week))];
+
+  function exportCalendar() {
+    const origin = typeof window === "undefined" ? "" : window.location.origin;
+    const title = titleOf({ id: program.goal, title: program.title }, t);
+    download(`${program.goal}-${program.start}.ics`, programToIcs(program, catalog, { time, origin, t, title }));
+  }
+
+  return (
+    <div style={{fontSize: '0.875rem', color: '#374151'}}>
+      <div style={{display: 'flex', flexWrap: 'wrap', alignItems: 'center', justifyContent: 'space-between', gap: '0.75rem', color: '#6b7280', marginBottom: '1rem'}}>
+        <span>
+          {t("programProgress", { done: status.done, total: status.total })}
+          {status.missed > 0 && ` · ${t("programMissed", { n: status.missed })}`}
+          {status.done === status.total && ` · ${t("programComplete")}`}
+        </span>
+        <span style={{display: 'flex', alignItems: 'center', gap: '0.5rem'}}>
+          <input type="time" value={time} onChange={(e) => e.target.value && setTime(e.target.value)} aria-label={t("programTime")} style={fieldStyle} />
+          <button onClick={exportCalendar} style={{...linkButton, display: 'inline-flex', alignItems: 'center', gap: '0.25rem'}}>
+            <CalendarPlus size={16} />
+            {t("programAddToCalendar")}
+          </button>
+        </span>
+      </div>
+
+      {weeks.map((week) => (
+        <div key={week} style={{marginBottom: '1rem'}}>
+          <div style={{fontSize: '0.75rem', color: '#9ca3af', textTransform: 'uppercase', letterSpacing: '0.05em'}}>{t("programWeek", { week })}</div>
+          <ul style={{listStyle: 'none', margin: 0, padding: 0}}>
+            {program.days
+              .filter((d) => d.week === week)
+              .map((d) => {
+                const video = byId.get(d.videoId);
+                const done = !!program.done[d.n];
+                return (
+                  <li
+                    key={d.n}
+                    style={{display: 'flex', alignItems: 'center', gap: '0.75rem', padding: '0.5rem 0.75rem', borderRadius: '12px', borderTop: '1px solid #f3f4f6', backgroundColor: d.date === today && !done ? '#fff7ed' : 'transparent'}}
+                  >
+                    <input type="checkbox" checked={done} onChange={(e) => onMark(d.n, e.target.checked)} aria-label={t("programDayDone", { n: d.n })} />
+                    <span style={{width: '6.5rem', flexShrink: 0, color: d.date < today && !done ? '#b45309' : '#9ca3af', fontSize: '0.8125rem'}}>
+                      {d.date === today ? t("today") : showDay(d.date)}
+                    </span>
+                    <span style={{flex: 1, minWidth: 0, textDecoration: done ? 'line-through' : 'none', color: done ? '#9ca3af' : '#374151'}}>
+                      {video ? video.title : t("classGone")}
+                      {video && <span style={{color: '#9ca3af'}}> · {video.level} · {t("minutes", { n: video.lengthMin })}</span>}
+                    </span>
+                    {done && <Check size={14} style={{color: '#10b981'}} />}
+                    {video && !done && (
+                      <button onClick={() => onPlay(video)} title={t("play")} aria-label={t("playTitle", { title: video.title })} style={{...linkButton, display: 'flex'}}>
+                        <Play size={16} />
+                      </button>
+                    )}
+                  </li>
+                );
+              })}
+          </ul>
+        </div>
+      ))}
+
+      <div style={{textAlign: 'right'}}>
+        <button
+          onClick={() => window.confirm(t("programEndConfirm")) && onEnd()}
+          style={{...linkButton, color: '#9ca3af', textDecoration: 'underline', fontSize: '0.8125rem'}}
+        >
+          {t("programEnd")}
+        </button>
+      </div>
+    </div>
+  );
+};
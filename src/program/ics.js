@@ -0,0 +1,106 @@
+// iCalendar (RFC 5545) export of a program schedule, one event per class.
+// Times are "floating" (no time zone), so 07:30 stays 07:30 wherever the
+// calendar is opened, which is what a practice habit wants.
+
+import { wording } from "../engine/index.js";
+
+const PRODID = "-//Yoga Recommendations//Programs//EN";
+
+/** English event text; the UI passes its `t` with the same keys */
+const ICS_WORDS = {
+  icsEventTitle: "Yoga: {title}",
+  icsProgramDay: "{program}, week {week}, class {n} of {total}.",
+  icsClassInfo: "{level}, {minutes} min.",
+};
+
+const english = wording(ICS_WORDS);
+
+/** Escape TEXT values: backslash, semicolon, comma and newlines */
+const text = (s) => String(s ?? "").replace(/[\\;,]/g, (c) => `\\${c}`).replace(/\r?\n/g, "\\n");
+
+/** Fold lines longer than 75 octets, continuing with a leading space */
+function fold(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  for (const ch of line) {
+    const limit = parts.length ? 74 : 75;
+    if (encoder.encode(current + ch).length > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/** "2025-03-09" + "07:30" -> "20250309T073000" */
+const localStamp = (date, time) => `${date.replaceAll("-", "")}T${time.replace(":", "")}00`;
+
+/** A Date as a UTC stamp, "20250309T063000Z" */
+const utcStamp = (d) => d.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+
+/** `date` + `time` plus `minutes`, as a local stamp */
+function addMinutes(date, time, minutes) {
+  const [y, mo, d] = date.split("-").map(Number);
+  const [h, mi] = time.split(":").map(Number);
+  const end = new Date(y, mo - 1, d, h, mi + minutes);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${end.getFullYear()}${pad(end.getMonth() + 1)}${pad(end.getDate())}T${pad(end.getHours())}${pad(end.getMinutes())}00`;
+}
+
+/**
+ * The program as an .ics file body.
+ *
+ *   time      start time of each session, "HH:MM" (default "07:30")
+ *   origin    site origin for links to each class, e.g. "https://yoga.example"
+ *   reminder  minutes before to alert, 0 for none (default 15)
+ *   now       DTSTAMP, default the current time
+ *   t         the UI's translator for the event text (default English)
+ *   title     the program's title in that language (default program.title)
+ *
+ * UIDs are stable for a program, so importing again updates the events
+ * instead of duplicating them.
+ */
+export function programToIcs(program, catalog, options = {}) {
+  const { time = "07:30", origin = "", reminder = 15, now = new Date(), t = english, title: name = program.title } = options;
+  const byId = new Map(catalog.map((v) => [v.id, v]));
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${text(name)}`,
+  ];
+  for (const day of program.days) {
+    const video = byId.get(day.videoId);
+    const title = video?.title || day.videoId;
+    const minutes = video?.lengthMin || 30;
+    const link = origin ? `${origin}/class/${encodeURIComponent(day.videoId)}` : "";
+    const about = [
+      t("icsProgramDay", { program: name, week: day.week, n: day.n, total: program.days.length }),
+      video && t("icsClassInfo", { level: video.level, minutes }),
+      link,
+    ]
+      .filter(Boolean)
+      .join("\n");
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${program.goal}-${program.start}-${day.n}@yoga-programs`,
+      `DTSTAMP:${utcStamp(now)}`,
+      `DTSTART:${localStamp(day.date, time)}`,
+      `DTEND:${addMinutes(day.date, time, minutes)}`,
+      `SUMMARY:${text(t("icsEventTitle", { title }))}`,
+      `DESCRIPTION:${text(about)}`,
+      ...(link ? [`URL:${link}`] : []),
+      ...(reminder > 0
+        ? ["BEGIN:VALARM", "ACTION:DISPLAY", `DESCRIPTION:${text(title)}`, `TRIGGER:-PT${reminder}M`, "END:VALARM"]
+        : []),
+      "END:VEVENT"
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,91 @@
+// src/routing/url.js
+// The app's shareable state in the address bar:
+//   /class/<id>?q=<query>&sort=<score|length|level>&filter=<list filter>
+// plus the facet selections:
+//   &level=<levels>&min=<minutes>&max=<minutes>&equipment=none
+//   &without=<equipment>&vibe=<vibes>&focus=<focuses>
+// (lists comma-separated). Defaults are left out so the plain "/" stays plain.
+import { NO_CONSTRAINTS } from "../engine/facets.js";
+
+const CLASS_PATH = /^\/class\/([^/]+)\/?$/;
+
+/** Default route state */
+export const HOME = { classId: null, q: "", sort: "score", filter: "", facets: NO_CONSTRAINTS };
+
+/** List-valued facets and their query parameter */
+const FACET_LISTS = { levels: "level", withoutEquipment: "without", vibes: "vibe", focuses: "focus" };
+
+const listParam = (params, name) => (params.get(name) || "").split(",").map((s) => s.trim()).filter(Boolean);
+
+/** Whole minutes from a parameter, or null */
+function minutesParam(params, name) {
+  const n = parseInt(params.get(name), 10);
+  return n >= 0 ? n : null;
+}
+
+/**
+ * Facet selections from query parameters; NO_CONSTRAINTS itself (not a copy)
+ * when there are none, so "nothing selected" stays cheap to tell.
+ */
+function parseFacets(params) {
+  const facets = {
+    ...NO_CONSTRAINTS,
+    minLength: minutesParam(params, "min"),
+    maxLength: minutesParam(params, "max"),
+    noEquipment: params.get("equipment") === "none",
+  };
+  for (const [key, name] of Object.entries(FACET_LISTS)) facets[key] = listParam(params, name);
+  const any =
+    facets.minLength != null ||
+    facets.maxLength != null ||
+    facets.noEquipment ||
+    Object.keys(FACET_LISTS).some((key) => facets[key].length > 0);
+  return any ? facets : NO_CONSTRAINTS;
+}
+
+/** A path segment decoded, or null when its escapes are malformed ("%E0%A4%A") */
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Route state from a URL (string or URL/Location); unknown sorts fall back to
+ * "score" and a class id that can't be decoded to no class.
+ */
+export function parseUrl(href, sorts = ["score", "length", "level"]) {
+  const url = new URL(href, "http://localhost");
+  const id = url.pathname.match(CLASS_PATH)?.[1];
+  const sort = url.searchParams.get("sort");
+  return {
+    classId: id ? decodeSegment(id) : null,
+    q: url.searchParams.get("q") || "",
+    sort: sorts.includes(sort) ? sort : HOME.sort,
+    filter: url.searchParams.get("filter") || "",
+    facets: parseFacets(url.searchParams),
+  };
+}
+
+/** Path + search for a route state */
+export function buildUrl({ classId, q, sort, filter, facets = NO_CONSTRAINTS }) {
+  const params = new URLSearchParams();
+  if (q) params.set("q", q);
+  if (sort && sort !== HOME.sort) params.set("sort", sort);
+  if (filter) params.set("filter", filter);
+  if (facets.minLength != null) params.set("min", facets.minLength);
+  if (facets.maxLength != null) params.set("max", facets.maxLength);
+  if (facets.noEquipment) params.set("equipment", "none");
+  for (const [key, name] of Object.entries(FACET_LISTS)) {
+    if (facets[key]?.length) params.set(name, facets[key].join(","));
+  }
+  const search = params.toString();
+  return (classId ? `/class/${encodeURIComponent(classId)}` : "/") + (search ? `?${search}` : "");
+}
+
+/** Route state of the current page; HOME outside the browser */
+export function currentRoute(sorts) {
+  return typeof window === "undefined" ? HOME : parseUrl(window.location.href, sorts);
+}
@@ -0,0 +1,25 @@
+// Embeds query text in a Web Worker with a model served from /models/
+// (see scripts/embed-catalog.js). Remote model downloads are disabled and the
+// onnxruntime wasm is bundled by Vite, so nothing is fetched from a CDN.
+import { env, pipeline } from "@huggingface/transformers";
+import ortMjs from "onnxruntime-web/ort-wasm-simd-threaded.mjs?url";
+import ortWasm from "onnxruntime-web/ort-wasm-simd-threaded.wasm?url";
+import { EMBEDDING_MODEL } from "../engine/semantic.js";
+
+env.allowRemoteModels = false;
+env.allowLocalModels = true;
+env.localModelPath = "/models/";
+env.backends.onnx.wasm.wasmPaths = { mjs: ortMjs, wasm: ortWasm };
+
+let extractor = null;
+
+self.onmessage = async (e) => {
+  const { id, text } = e.data;
+  try {
+    extractor ||= pipeline("feature-extraction", EMBEDDING_MODEL, { dtype: "q8", device: "wasm" });
+    const output = await (await extractor)(text, { pooling: "mean", normalize: true });
+    self.postMessage({ id, vector: Array.from(output.data) });
+  } catch (err) {
+    self.postMessage({ id, error: String(err?.message || err) });
+  }
+};
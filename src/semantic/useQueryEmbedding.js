@@ -0,0 +1,45 @@
+import { useEffect, useRef, useState } from "react";
+
+/**
+ * Embed `text` with the local model once the user pauses typing.
+ * The worker is only started when `enabled` is first true.
+ * Returns `{ vector, status }`; status is "idle" | "loading" | "ready" | "error".
+ */
+export function useQueryEmbedding(text, enabled, delayMs = 400) {
+  const workerRef = useRef(null);
+  const seqRef = useRef(0);
+  const [vector, setVector] = useState(null);
+  const [status, setStatus] = useState("idle");
+
+  useEffect(() => {
+    if (!enabled || !text.trim()) return;
+    if (!workerRef.current) {
+      workerRef.current = new Worker(new URL("./embed.worker.js", import.meta.url), { type: "module" });
+    }
+    const worker = workerRef.current;
+    const id = ++seqRef.current;
+    const timer = setTimeout(() => {
+      setStatus("loading");
+      worker.postMessage({ id, text });
+    }, delayMs);
+    const onMessage = (e) => {
+      if (e.data.id !== seqRef.current) return; // stale answer
+      if (e.data.error) {
+        console.warn("Query embedding failed", e.data.error);
+        setStatus("error");
+      } else {
+        setVector(e.data.vector);
+        setStatus("ready");
+      }
+    };
+    worker.addEventListener("message", onMessage);
+    return () => {
+      clearTimeout(timer);
+      worker.removeEventListener("message", onMessage);
+    };
+  }, [text, enabled, delayMs]);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  return { vector: enabled && text.trim() ? vector : null, status: enabled ? status : "idle" };
+}
@@ -0,0 +1,62 @@
+import React from "react";
+import { AlertTriangle, Headphones } from "lucide-react";
+
+/** Recognizer error codes -> UI string keys */
+const ERROR_KEYS = {
+  "not-allowed": "voiceBlocked",
+  "service-not-allowed": "voiceBlocked",
+  "no-speech": "voiceNoSpeech",
+  "audio-capture": "voiceNoMic",
+  network: "voiceNetwork",
+};
+
+/**
+ * Hands-free toggle, what's being heard and voice errors, for under the
+ * query box. `voice` is a useSpeechRecognition() result.
+ */
+export default function VoiceStatus({ voice, onToggleHandsFree, t }) {
+  if (!voice.supported) return null;
+  const handsFree = voice.listening && voice.continuous;
+  // Silence on the mat is normal; hands-free just keeps listening
+  const error = voice.error && !(handsFree && voice.error === "no-speech") ? voice.error : null;
+
+  return (
+    <div style={{marginTop: '0.75rem', textAlign: 'left'}}>
+      <button
+        onClick={onToggleHandsFree}
+        aria-pressed={handsFree}
+        style={{
+          display: 'inline-flex',
+          alignItems: 'center',
+          gap: '0.375rem',
+          padding: '0.375rem 0.875rem',
+          borderRadius: '9999px',
+          border: handsFree ? '1px solid #ef4444' : '1px solid #e5e7eb',
+          backgroundColor: handsFree ? '#fee2e2' : 'white',
+          color: handsFree ? '#b91c1c' : '#6b7280',
+          fontSize: '0.8125rem',
+          cursor: 'pointer'
+        }}
+      >
+        <Headphones size={14} aria-hidden="true" />
+        {handsFree ? t("handsFreeOff") : t("handsFree")}
+      </button>
+      {handsFree && (
+        <div role="status" style={{marginTop: '0.5rem', fontSize: '0.8125rem', color: '#6b7280'}}>
+          {t("handsFreeHint")}
+        </div>
+      )}
+      {voice.interim && (
+        <div aria-live="polite" style={{marginTop: '0.5rem', fontSize: '0.9375rem', color: '#9ca3af', fontStyle: 'italic'}}>
+          {voice.interim}…
+        </div>
+      )}
+      {error && (
+        <div role="alert" style={{display: 'flex', alignItems: 'center', gap: '0.375rem', marginTop: '0.5rem', fontSize: '0.8125rem', color: '#b45309'}}>
+          <AlertTriangle size={14} aria-hidden="true" />
+          {t(ERROR_KEYS[error] || "voiceFailed")}
+        </div>
+      )}
+    </div>
+  );
+}
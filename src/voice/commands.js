@@ -0,0 +1,70 @@
+import { tokenize } from "../engine/tokenize.js";
+import { languageOf } from "../engine/languages.js";
+
+/**
+ * Spoken commands for hands-free mode, per language. English ones work in
+ * every language ("play" is "play" on most mats).
+ *
+ *   find   recommend for what's been said so far ("tight hips, find my yoga")
+ *   play   start the recommended class
+ *   next   offer a different class
+ *   pause  pause the class
+ *   stop   leave hands-free mode
+ */
+export const COMMANDS = {
+  en: {
+    find: ["find my yoga", "find yoga", "recommend something"],
+    play: ["play", "play it", "start", "start the class"],
+    next: ["next option", "next", "another one", "something else"],
+    pause: ["pause"],
+    stop: ["stop", "stop listening"],
+  },
+  es: {
+    find: ["busca mi yoga", "encuentra mi yoga", "buscar yoga"],
+    play: ["reproducir", "empezar", "empieza", "dale"],
+    next: ["siguiente opcion", "siguiente", "otra"],
+    pause: ["pausa", "pausar"],
+    stop: ["para", "parar", "detente"],
+  },
+  de: {
+    find: ["finde mein yoga", "such mein yoga", "yoga finden"],
+    play: ["abspielen", "starten", "los"],
+    next: ["nachste option", "nachste", "eine andere"],
+    pause: ["pause", "pausieren"],
+    stop: ["stopp", "aufhoren", "beenden"],
+  },
+  ja: {
+    find: ["ヨガを探して", "ヨガを探す", "探して"],
+    play: ["再生", "スタート", "始めて"],
+    next: ["次", "次の候補", "別の"],
+    pause: ["一時停止"],
+    stop: ["ストップ", "止めて", "終了"],
+  },
+};
+
+/** Politeness that doesn't change a command ("play please") */
+const FILLER = new Set(["please", "ok", "okay", "now", "por", "favor", "bitte", "jetzt", "ください"]);
+
+const endsWith = (tokens, phrase) =>
+  phrase.length <= tokens.length && phrase.every((w, i) => tokens[tokens.length - phrase.length + i] === w);
+
+/**
+ * The command in a final transcript, if any: `{ command, before }` where
+ * `before` is what was said ahead of it. Only "find" may follow other words;
+ * the rest must be all that was said, so dictating "I want to play tennis
+ * again" isn't a command.
+ */
+export function parseCommand(text, lang = "en") {
+  const tokens = tokenize(text).filter((w) => !FILLER.has(w));
+  const tables = [COMMANDS[languageOf(lang)], COMMANDS.en];
+  for (const table of tables) {
+    for (const [command, phrases] of Object.entries(table)) {
+      for (const phrase of phrases.map(tokenize).sort((a, b) => b.length - a.length)) {
+        if (!endsWith(tokens, phrase)) continue;
+        const before = tokens.slice(0, tokens.length - phrase.length);
+        if (command === "find" || before.length === 0) return { command, before: before.join(" ") };
+      }
+    }
+  }
+  return null;
+}
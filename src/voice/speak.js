@@ -0,0 +1,23 @@
+// Spoken responses through the Web Speech synthesis API.
+
+export const canSpeak = () => typeof window !== "undefined" && "speechSynthesis" in window;
+
+/** Say `text` in `locale` ("es-ES"), interrupting anything already being said */
+export function speak(text, locale = "en-US") {
+  if (!canSpeak() || !text) return;
+  const synth = window.speechSynthesis;
+  synth.cancel();
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = locale;
+  const voices = synth.getVoices();
+  utterance.voice =
+    voices.find((v) => v.lang === locale) || voices.find((v) => v.lang.startsWith(locale.slice(0, 2))) || null;
+  synth.speak(utterance);
+}
+
+export function stopSpeaking() {
+  if (canSpeak()) window.speechSynthesis.cancel();
+}
+
+/** While we're talking the recognizer hears us too; callers skip those results */
+export const isSpeaking = () => canSpeak() && window.speechSynthesis.speaking;
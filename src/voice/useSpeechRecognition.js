@@ -0,0 +1,104 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+/** Errors that won't go away by listening again */
+const FATAL = new Set(["not-allowed", "service-not-allowed", "audio-capture", "network", "language-not-supported"]);
+
+/**
+ * Web Speech recognition as a hook.
+ *
+ * `start({ continuous })` listens once (dictation) or until `stop()`
+ * (hands-free: the browser ends a session after a pause, so it is restarted
+ * for as long as continuous listening is wanted). `onFinal(text)` gets each
+ * finished phrase; `interim` is what's being heard right now.
+ *
+ * `error` is the recognizer's error code ("not-allowed", "no-speech",
+ * "audio-capture", "network", ...) until the next start. Permission,
+ * microphone and network errors stop continuous listening; "no-speech"
+ * doesn't.
+ */
+export function useSpeechRecognition({ lang, onFinal }) {
+  const recogRef = useRef(null);
+  // Keep listening after the browser ends a session
+  const keepGoing = useRef(false);
+  const onFinalRef = useRef(onFinal);
+  const [supported, setSupported] = useState(false);
+  const [listening, setListening] = useState(false);
+  const [continuous, setContinuous] = useState(false);
+  const [interim, setInterim] = useState("");
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    onFinalRef.current = onFinal;
+  }, [onFinal]);
+
+  useEffect(() => {
+    const SR = window.SpeechRecognition || window.webkitSpeechRecognition;
+    if (!SR) return;
+    const r = new SR();
+    r.interimResults = true;
+    r.onresult = (e) => {
+      let heard = "";
+      for (let i = e.resultIndex; i < e.results.length; i++) {
+        const text = e.results[i][0]?.transcript || "";
+        if (e.results[i].isFinal) {
+          if (text.trim()) onFinalRef.current?.(text.trim());
+        } else {
+          heard += text;
+        }
+      }
+      setInterim(heard.trim());
+    };
+    r.onerror = (e) => {
+      // "aborted" is our own stop()
+      if (e.error === "aborted") return;
+      setError(e.error);
+      if (FATAL.has(e.error)) keepGoing.current = false;
+    };
+    r.onend = () => {
+      setInterim("");
+      if (keepGoing.current) {
+        try {
+          r.start();
+          return;
+        } catch {
+          keepGoing.current = false;
+        }
+      }
+      setListening(false);
+      setContinuous(false);
+    };
+    recogRef.current = r;
+    setSupported(true);
+    return () => {
+      keepGoing.current = false;
+      r.onend = null;
+      r.abort();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (recogRef.current) recogRef.current.lang = lang;
+  }, [lang]);
+
+  const start = useCallback(({ continuous: keep = false } = {}) => {
+    const r = recogRef.current;
+    if (!r) return;
+    r.continuous = keep;
+    keepGoing.current = keep;
+    setError(null);
+    setContinuous(keep);
+    setListening(true);
+    try {
+      r.start();
+    } catch {
+      // Already running; the new mode applies from the next session
+    }
+  }, []);
+
+  const stop = useCallback(() => {
+    keepGoing.current = false;
+    recogRef.current?.stop();
+  }, []);
+
+  return { supported, listening, continuous, interim, error, start, stop };
+}
@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { anonymise } from "../../src/analytics/queryLog.js";
+
+test("emails, links and phone numbers are masked", () => {
+  assert.equal(anonymise("email me at sam.lee@example.com about hips"), "email me at [email] about hips");
+  assert.equal(anonymise("like https://youtu.be/abc?t=3 but shorter"), "like [link] but shorter");
+  assert.equal(anonymise("call +44 (0)20 7946-0958 please"), "call [number] please");
+});
+
+test("short numbers stay: they're durations and ages", () => {
+  assert.equal(anonymise("20 min flow for a 65 year old"), "20 min flow for a 65 year old");
+  assert.equal(anonymise("between 10 and 15 minutes"), "between 10 and 15 minutes");
+});
+
+test("whitespace is collapsed and long text cut to 200 characters", () => {
+  assert.equal(anonymise("  tight \n\t hips  "), "tight hips");
+  assert.equal(anonymise("hip ".repeat(100)).length, 200);
+  assert.equal(anonymise(undefined), "");
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { bodySignals, nextBodyState, normalizeCatalog, rank } from "../../src/engine/index.js";
+
+const catalog = normalizeCatalog(JSON.parse(readFileSync(new URL("../../public/catalog.json", import.meta.url), "utf8")));
+
+test("tapping an area cycles none, tight, sore, injured, none", () => {
+  const seen = [];
+  let state = null;
+  do {
+    state = nextBodyState(state);
+    seen.push(state);
+  } while (state);
+  assert.deepEqual(seen, ["tight", "sore", "injured", null]);
+  assert.equal(nextBodyState("numb"), "tight");
+});
+
+test("tight and sore areas are targeted, with tags for the feeling", () => {
+  assert.deepEqual(bodySignals({ hips: "tight", shoulders: "sore" }), {
+    focuses: ["shoulders", "upper back", "hips", "hip flexors"],
+    tags: ["relief", "gentle", "flexibility", "release"],
+    conditions: [],
+  });
+});
+
+test("an injured area declares its condition instead of being targeted", () => {
+  assert.deepEqual(bodySignals({ knees: "injured", "lower-back": "tight" }), {
+    focuses: ["lower back", "spine"],
+    tags: ["flexibility", "release", "gentle", "therapeutic"],
+    conditions: ["knee-injury"],
+  });
+});
+
+test("nothing selected, unknown areas and states give no signals", () => {
+  const none = { focuses: [], tags: [], conditions: [] };
+  assert.deepEqual(bodySignals(), none);
+  assert.deepEqual(bodySignals({ elbows: "tight", neck: "fine" }), none);
+});
+
+test("the body map alone is enough to rank", () => {
+  const tight = rank("", catalog, { body: { hamstrings: "tight" } });
+  assert.ok(tight[0].score > 0);
+  assert.ok(tight[0].video.focuses.includes("hamstrings"));
+  const injured = rank("", catalog, { body: { neck: "injured" } });
+  assert.deepEqual(injured.slice(-2).map((r) => r.warnings[0].condition), ["neck-injury", "neck-injury"]);
+});
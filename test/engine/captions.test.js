@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildIndex, cueMoments, formatTimestamp, parseCaptions, parseTimestamp, rank, toWebVtt } from "../../src/engine/index.js";
+
+const VTT = `WEBVTT
+Kind: captions
+
+NOTE the teacher's intro is trimmed
+
+STYLE
+::cue { color: white }
+
+intro
+00:00:01.000 --> 00:00:04.500 align:start position:10%
+<v Anna>Welcome, find a <i>comfortable</i> seat.</v>
+
+00:05.250 --> 00:09.000
+Breathe in &amp; out
+through the nose.
+`;
+
+const SRT = "1\r\n00:01:02,500 --> 00:01:05,000\r\nSlide into pigeon pose.\r\n\r\n2\r\n00:00:30,000 --> 00:00:33,250\r\nDownward dog.\r\n";
+
+test("timestamps with and without hours, dot or comma milliseconds", () => {
+  assert.equal(parseTimestamp("01:02:03.500"), 3723.5);
+  assert.equal(parseTimestamp("02:03,5"), 123.5);
+  assert.equal(parseTimestamp("00:05.250"), 5.25);
+  assert.equal(formatTimestamp(62.9), "1:02");
+  assert.equal(formatTimestamp(3723.5), "1:02:03");
+  assert.equal(formatTimestamp(-4), "0:00");
+});
+
+test("WebVTT: settings, voice and style tags, NOTE and STYLE blocks dropped", () => {
+  assert.deepEqual(parseCaptions(VTT), [
+    { start: 1, end: 4.5, text: "Welcome, find a comfortable seat." },
+    { start: 5.25, end: 9, text: "Breathe in & out through the nose." },
+  ]);
+});
+
+test("SRT: comma milliseconds, CRLF, cues in playback order", () => {
+  assert.deepEqual(parseCaptions(SRT), [
+    { start: 30, end: 33.25, text: "Downward dog." },
+    { start: 62.5, end: 65, text: "Slide into pigeon pose." },
+  ]);
+  assert.deepEqual(parseCaptions(""), []);
+  assert.deepEqual(parseCaptions("no cues here"), []);
+});
+
+test("toWebVtt round-trips parsed cues", () => {
+  for (const source of [VTT, SRT]) {
+    const cues = parseCaptions(source);
+    const vtt = toWebVtt(cues);
+    assert.ok(vtt.startsWith("WEBVTT\n\n"));
+    assert.deepEqual(parseCaptions(vtt), cues);
+  }
+  assert.equal(toWebVtt([{ start: 3723.5, text: "Rest" }]), "WEBVTT\n\n01:02:03.500 --> 01:02:07.500\nRest\n");
+});
+
+test("cueMoments keeps the most specific cues, in playback order", () => {
+  const segments = [
+    { start: 10, end: 14, text: "Step back into pose" },
+    { start: 20, end: 24, text: "Pigeon pose on the right" },
+    { start: 30, end: 34, text: "Hold the pose" },
+    { start: 40, end: 44, text: "Pigeon on the left" },
+  ];
+  const moments = [
+    { term: "pose", time: 10 },
+    { term: "pose", time: 20 },
+    { term: "pigeon", time: 20 },
+    { term: "pose", time: 30 },
+    { term: "pigeon", time: 40 },
+    { term: "pigeon", time: 40 },
+  ];
+  const picked = cueMoments(segments, moments, 2);
+  assert.deepEqual(picked.map((m) => [m.time, m.terms]), [[20, ["pose", "pigeon"]], [40, ["pigeon"]]]);
+  assert.ok(picked[0].text.includes("pigeon pose"));
+  assert.equal(cueMoments(segments, moments).length, 4);
+  assert.equal(cueMoments([], [{ term: "pigeon", time: 5 }])[0].text, "");
+});
+
+test("ranking with timed transcripts returns seekable moments", () => {
+  const catalog = [
+    { id: "hips", title: "Hip class", focuses: ["hips"], lengthMin: 20 },
+    { id: "core", title: "Core class", focuses: ["core"], lengthMin: 20 },
+  ];
+  const transcripts = { hips: parseCaptions(SRT), core: "plank and boat" };
+  const [best] = rank("pigeon", catalog, { transcripts, index: buildIndex(catalog, transcripts) });
+  assert.equal(best.video.id, "hips");
+  assert.deepEqual(best.moments.map((m) => m.time), [62.5]);
+});
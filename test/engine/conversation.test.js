@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { conversationQuery, isFollowUp, refine, startConversation } from "../../src/engine/index.js";
+
+const current = { id: "hips-30", lengthMin: 30, level: "intermediate" };
+
+test("English follow-ups, not fresh requests", () => {
+  assert.ok(isFollowUp("shorter"));
+  assert.ok(isFollowUp("something calmer"));
+  assert.ok(isFollowUp("not that one"));
+  assert.ok(!isFollowUp("tight hips"));
+  assert.ok(!isFollowUp("no equipment yoga for lower back pain and stiff shoulders"));
+});
+
+test("follow-ups in the conversation's language", () => {
+  assert.ok(isFollowUp("más corto", "es"));
+  assert.ok(isFollowUp("algo más suave para los hombros", "es"));
+  assert.ok(isFollowUp("kürzer bitte", "de"));
+  assert.ok(isFollowUp("もっと短く", "ja"));
+  assert.ok(isFollowUp("shorter", "es"));
+  assert.ok(!isFollowUp("más corto"));
+  assert.ok(!isFollowUp("yoga para caderas tensas con mucha energía por la mañana", "es"));
+});
+
+test("a follow-up refines constraints and boosts in either language", () => {
+  const english = refine(startConversation("hips"), "shorter and calmer, for my shoulders", current);
+  assert.equal(english.constraints.maxLength, 29);
+  assert.deepEqual(english.boosts, ["relaxing", "shoulders"]);
+  assert.equal(conversationQuery(english), "hips relaxing shoulders");
+
+  const spanish = refine(startConversation("caderas", "es"), "más corto, para los hombros", current);
+  assert.equal(spanish.constraints.maxLength, 29);
+  assert.deepEqual(spanish.boosts, ["hombros"]);
+
+  const german = refine(startConversation("hüften", "de"), "leichter", current);
+  assert.deepEqual(german.constraints.levels, ["beginner", "all levels"]);
+  assert.deepEqual(german.boosts, ["gentle"]);
+});
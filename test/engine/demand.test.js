@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { describeDemand } from "../../src/engine/index.js";
+import vocabulary from "../../src/catalog/vocabulary.json" with { type: "json" };
+
+const demand = (query, lang) => describeDemand(query, vocabulary, lang);
+
+test("focuses, intents, duration and level in catalog terms", () => {
+  assert.deepEqual(demand("20 minute yoga for tight hips and sore ankles"), {
+    focuses: ["hips"],
+    intents: ["stiff"],
+    duration: 20,
+    level: null,
+    others: ["ankles"],
+  });
+  assert.deepEqual(demand("something for tmj under 10 min for beginners"), {
+    focuses: [],
+    intents: [],
+    duration: 10,
+    level: "beginner",
+    others: ["tmj"],
+  });
+});
+
+test("heuristic buckets count as intents; noise words aren't gaps", () => {
+  assert.deepEqual(demand("yoga after a long flight").intents, ["travel"]);
+  assert.deepEqual(demand("yoga after a long flight").others, []);
+  assert.deepEqual(demand("desk neck pain").intents, ["desk"]);
+});
+
+test("named tags only, not ones a synonym drags in", () => {
+  assert.deepEqual(demand("hips").focuses, ["hips"]);
+  assert.deepEqual(demand("hips and glutes").focuses.sort(), ["glutes", "hips"]);
+});
+
+test("other languages map onto the English vocabulary", () => {
+  assert.deepEqual(demand("rodilla y tobillo 15 minutos", "es"), {
+    focuses: ["knees"],
+    intents: [],
+    duration: 15,
+    level: null,
+    others: ["tobillo"],
+  });
+});
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { describeBody, explain, explainText, normalizeCatalog, rank } from "../../src/engine/index.js";
+import { translator } from "../../src/i18n/strings.js";
+
+const catalog = normalizeCatalog(JSON.parse(readFileSync(new URL("../../public/catalog.json", import.meta.url), "utf8")));
+
+const best = rank("20 minute calm hip stretch for beginners", catalog)[0];
+
+test("reasons carry the signal and what it matched, strongest first", () => {
+  const reasons = explain(best);
+  assert.deepEqual(
+    reasons.map(({ signal, matches }) => [signal, matches]),
+    [["focus", ["hips"]], ["length", ["20 min"]], ["text", ["hip"]]]
+  );
+  assert.deepEqual(reasons.map((r) => r.text), [
+    "Targets hips",
+    `${best.video.lengthMin} min, close to your 20 min`,
+    'Description mentions "hip"',
+  ]);
+  assert.equal(explainText(best), reasons.map((r) => r.text).join(" · "));
+});
+
+test("reasons are worded in the UI's language", () => {
+  const t = translator("es");
+  assert.deepEqual(explain(best, t).map((r) => r.text), [
+    "Trabaja hips",
+    `${best.video.lengthMin} min, cerca de tus 20 min`,
+    'La descripción menciona "hip"',
+  ]);
+});
+
+test("body-map summaries are worded in the UI's language", () => {
+  const body = { hips: "tight", knees: "injured", neck: "fine" };
+  assert.equal(describeBody(body), "tight hips, injured knees");
+  assert.equal(describeBody(body, translator("es")), "caderas con tensión, rodillas con lesión");
+  assert.equal(describeBody({}), "");
+});
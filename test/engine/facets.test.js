@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+  describeConstraints,
+  facetCounts,
+  matchesConstraints,
+  mergeConstraints,
+  normalizeCatalog,
+  parseConstraints,
+  rank,
+} from "../../src/engine/index.js";
+import { translator } from "../../src/i18n/strings.js";
+
+const catalog = normalizeCatalog(JSON.parse(readFileSync(new URL("../../public/catalog.json", import.meta.url), "utf8")));
+
+test("lengths, levels and equipment from the query", () => {
+  assert.deepEqual(parseConstraints("under 20 min for beginners"), { maxLength: 20, levels: ["beginner", "all levels"] });
+  assert.deepEqual(parseConstraints("between 20 and 30 minutes"), { minLength: 20, maxLength: 30 });
+  assert.deepEqual(parseConstraints("no equipment"), { noEquipment: true });
+  assert.deepEqual(parseConstraints("hips without a wall"), { withoutEquipment: ["wall"] });
+  assert.deepEqual(parseConstraints("no more than 15 minutes"), { maxLength: 15 });
+});
+
+test("avoidable tags are excluded", () => {
+  assert.deepEqual(parseConstraints("strength, no inversions"), { withoutTags: ["inversions"] });
+  assert.deepEqual(parseConstraints("skip twists"), { withoutTags: ["twists"] });
+  const ids = rank("core no inversions", catalog).map((r) => r.video.id);
+  assert.ok(!ids.includes("flow-into-headstand"));
+});
+
+test("other words after no describe the user, not the class", () => {
+  assert.deepEqual(parseConstraints("no knee pain"), {});
+  assert.deepEqual(parseConstraints("no time, something quick"), {});
+});
+
+test("I have no energy keeps the energising classes", () => {
+  assert.deepEqual(parseConstraints("I have no energy"), {});
+  assert.deepEqual(parseConstraints("I've got no inversions practice"), {});
+  const ids = rank("I have no energy", catalog).map((r) => r.video.id);
+  for (const id of ["rajas", "solar-power", "get-up-and-glow"]) assert.ok(ids.includes(id), id);
+});
+
+test("owning no props still rules them out", () => {
+  assert.deepEqual(parseConstraints("I have no blocks"), { withoutEquipment: ["blocks"] });
+});
+
+test("constraints are hard filters", () => {
+  const video = { lengthMin: 25, level: "beginner", equipment: ["wall"], focuses: ["inversions"], vibe: ["calm"] };
+  assert.equal(matchesConstraints(video, {}), true);
+  assert.equal(matchesConstraints(video, { maxLength: 20 }), false);
+  assert.equal(matchesConstraints(video, { noEquipment: true }), false);
+  assert.equal(matchesConstraints(video, { withoutTags: ["inversion"] }), false);
+  assert.equal(matchesConstraints(video, { levels: ["beginner"], vibes: ["calm", "dynamic"] }), true);
+});
+
+test("merged constraints must both hold", () => {
+  const c = mergeConstraints({ maxLength: 30, levels: ["beginner", "all levels"] }, { maxLength: 20, levels: ["beginner"] });
+  assert.equal(c.maxLength, 20);
+  assert.deepEqual(c.levels, ["beginner"]);
+});
+
+test("a facet's counts ignore its own selection", () => {
+  const counts = facetCounts(catalog, { levels: ["beginner"] });
+  assert.ok(counts.level.length > 1);
+  assert.equal(counts.level.reduce((n, l) => n + l.count, 0), catalog.length);
+});
+
+test("constraints in Spanish, German and Japanese", () => {
+  assert.deepEqual(parseConstraints("menos de 20 minutos sin pared", "es"), { withoutEquipment: ["wall"], maxLength: 20 });
+  assert.deepEqual(parseConstraints("entre 20 y 30 minutos para principiantes", "es"), {
+    minLength: 20,
+    maxLength: 30,
+    levels: ["beginner", "all levels"],
+  });
+  assert.deepEqual(parseConstraints("höchstens 20 Minuten ohne eine Wand", "de"), { withoutEquipment: ["wall"], maxLength: 20 });
+  assert.deepEqual(parseConstraints("20分以内で壁なし", "ja"), { withoutEquipment: ["wall"], maxLength: 20 });
+  assert.deepEqual(parseConstraints("道具なし、30分以上", "ja"), { noEquipment: true, minLength: 30 });
+});
+
+test("avoidable tags are read through the lexicon's synonyms", () => {
+  assert.deepEqual(parseConstraints("sin inversiones", "es"), { withoutTags: ["inversions"] });
+  assert.deepEqual(parseConstraints("逆転なし", "ja"), { withoutTags: ["inversions"] });
+  assert.deepEqual(parseConstraints("ich habe keine Energie", "de"), {});
+});
+
+test("rank applies constraints stated in the query's language", () => {
+  const results = rank("caderas, menos de 25 minutos", catalog, { lang: "es" });
+  assert.ok(results.length > 0);
+  assert.ok(results.every((r) => r.video.lengthMin <= 25));
+  assert.ok(results.length < catalog.length);
+});
+
+test("constraint labels in English by default or through the UI's t", () => {
+  const c = { maxLength: 20, withoutEquipment: ["wall"], levels: ["beginner", "all levels"] };
+  assert.deepEqual(describeConstraints(c), ["beginner or all levels", "under 20 min", "no wall"]);
+  assert.deepEqual(describeConstraints(c, translator("en")), describeConstraints(c));
+  assert.deepEqual(describeConstraints(c, translator("es")), ["beginner o all levels", "menos de 20 min", "sin wall"]);
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { RECENT_MS, rank, tasteProfile } from "../../src/engine/index.js";
+
+const NOW = Date.UTC(2025, 2, 9, 12);
+
+const video = (id, fields) => ({ id, title: id, lengthMin: 20, level: "beginner", focuses: ["hips"], intents: [], vibe: [], ...fields });
+const catalog = [
+  video("a", { vibe: ["gentle"] }),
+  video("b", { vibe: ["dynamic"] }),
+  video("c", { vibe: ["gentle"], level: "advanced" }),
+  video("unrelated", { focuses: ["core"], vibe: ["gentle"] }),
+];
+
+const signals = (profile, id, query = "hips") =>
+  rank(query, catalog, { profile, now: NOW }).find((r) => r.video.id === id).signals;
+
+test("thumbs up and down adjust the score", () => {
+  const profile = { ratings: { a: 1, b: -1 } };
+  assert.equal(signals(profile, "a").liked, 2);
+  assert.equal(signals(profile, "b").disliked, -5);
+});
+
+test("liked vibes carry over to other classes", () => {
+  const profile = { ratings: { a: 1 } };
+  assert.equal(signals(profile, "c").likedVibe, 1);
+  assert.equal(signals(profile, "b").likedVibe, undefined);
+});
+
+test("classes played recently are pushed down", () => {
+  assert.equal(signals({ plays: [{ id: "a", at: NOW - 60 * 60 * 1000 }] }, "a").recent, -3);
+  assert.equal(signals({ plays: [{ id: "a", at: NOW - RECENT_MS - 1 }] }, "a").recent, undefined);
+});
+
+test("the user's level is preferred and harder classes penalised", () => {
+  const profile = { level: "beginner" };
+  assert.equal(signals(profile, "a").level, 1);
+  assert.equal(signals(profile, "c").level, -2);
+});
+
+test("personal signals don't make an irrelevant class relevant", () => {
+  const profile = { ratings: { unrelated: 1 } };
+  assert.deepEqual(signals(profile, "unrelated"), {});
+});
+
+test("completed classes count towards liked vibes", () => {
+  const taste = tasteProfile({ plays: [{ id: "b", at: 0, completed: true }] }, catalog, NOW);
+  assert.equal(taste.vibes.get("dynamic"), 0.5);
+});
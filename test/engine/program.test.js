@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { generateProgram, levelRank, normalizeCatalog, weekOffsets } from "../../src/engine/index.js";
+
+const catalog = normalizeCatalog(JSON.parse(readFileSync(new URL("../../public/catalog.json", import.meta.url), "utf8")));
+const byId = new Map(catalog.map((v) => [v.id, v]));
+const start = new Date(2025, 2, 9);
+
+test("sessions climb the level ladder", () => {
+  const program = generateProgram("beginner-foundations", catalog, { start });
+  assert.equal(program.days.length, 8);
+  assert.deepEqual(program.days.map((d) => d.level), [
+    "beginner", "beginner", "beginner", "all levels", "all levels", "all levels", "intermediate", "intermediate",
+  ]);
+  const levels = program.days.map((d) => byId.get(d.videoId).level);
+  assert.equal(levels[0], "beginner");
+  assert.deepEqual(levels.slice(-2), ["intermediate", "intermediate"]);
+  // A thin step borrows from the nearest levels, never more than one away
+  assert.ok(program.days.every((d, i) => Math.abs(levelRank(levels[i]) - levelRank(d.level)) <= 1));
+});
+
+test("never the same class twice in a row, even from a small pool", () => {
+  for (const goal of ["healthy-back", "open-hips", "calm-evenings", "headstand inversion"]) {
+    const { days } = generateProgram(goal, catalog, { start, daysPerWeek: 7 });
+    assert.ok(days.every((d, i) => i === 0 || d.videoId !== days[i - 1].videoId), goal);
+  }
+});
+
+test("classes with warnings for the user's conditions are left out", () => {
+  const plain = generateProgram("headstand inversion", catalog, { start });
+  assert.ok(plain.days.some((d) => d.videoId === "flow-into-headstand"));
+  const safe = generateProgram("headstand inversion", catalog, { start, conditions: ["neck-injury"] });
+  assert.deepEqual(safe, { error: 'No classes fit "headstand inversion" for you yet' });
+  const back = generateProgram("healthy-back", catalog, { start, conditions: ["high-blood-pressure"] });
+  assert.ok(back.days.every((d) => !byId.get(d.videoId).contraindications?.length));
+});
+
+test("dates spread across each week from the start day", () => {
+  assert.deepEqual(weekOffsets(3), [0, 2, 5]);
+  const { days, start: first } = generateProgram("open-hips", catalog, { start, daysPerWeek: 3, weeks: 2 });
+  assert.equal(first, "2025-03-09");
+  assert.deepEqual(days.map((d) => d.date), ["2025-03-09", "2025-03-11", "2025-03-14", "2025-03-16", "2025-03-18", "2025-03-21"]);
+  assert.deepEqual(days.map((d) => d.week), [1, 1, 1, 2, 2, 2]);
+});
+
+test("no goal, or nothing that fits", () => {
+  assert.deepEqual(generateProgram("  ", catalog), { error: "Choose a program or describe a goal" });
+  assert.ok(generateProgram("open-hips", []).error);
+});
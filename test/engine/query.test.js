@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { matchTag, scoreVideo, stem, understandQuery } from "../../src/engine/index.js";
+
+test("inflections meet at the same stem", () => {
+  assert.equal(stem("hips"), stem("hip"));
+  assert.equal(stem("stretching"), stem("stretches"));
+  assert.equal(stem("relaxation"), stem("relaxing"));
+  assert.equal(stem("meditating"), stem("meditation"));
+});
+
+test("short words and numbers are left alone", () => {
+  assert.equal(stem("abs"), "abs");
+  assert.equal(stem("20min"), "20min");
+});
+
+test("plural and -ing forms of a tag still match", () => {
+  const video = { id: "v", lengthMin: 30, focuses: ["hip"], intents: ["stretch"], vibe: [] };
+  const r = scoreVideo("stretching my hips", video);
+  assert.equal(r.signals.focus, 3);
+  assert.equal(r.signals.intent, 2);
+});
+
+test("synonyms bring in the words of their group", () => {
+  assert.deepEqual(matchTag("lower back", understandQuery("lumbar pain")), ["lower", "back"]);
+  assert.ok(understandQuery("anxious").words.has("stress"));
+});
+
+test("a multi-word term is one concept", () => {
+  const uq = understandQuery("calm my nervous system");
+  assert.ok(uq.terms.includes("nervous system"));
+  assert.ok(!uq.words.has("anxious"));
+  assert.ok(!uq.words.has("stress"));
+});
+
+test("heuristic phrases fill their bucket", () => {
+  assert.deepEqual(understandQuery("I work from home").buckets.desk, ["work from home"]);
+  assert.deepEqual(understandQuery("after a road trip").buckets.travel, ["road trip"]);
+});
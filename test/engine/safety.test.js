@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { detectConditions, normalizeCatalog, rank, safetyWarnings } from "../../src/engine/index.js";
+
+const catalog = normalizeCatalog(JSON.parse(readFileSync(new URL("../../public/catalog.json", import.meta.url), "utf8")));
+
+const headstand = { id: "headstand", contraindications: ["Neck issues", " high blood pressure "] };
+
+test("conditions mentioned in the query, in English and the query's language", () => {
+  assert.deepEqual(detectConditions("gentle flow, I'm pregnant and my knee hurts"), ["pregnancy", "knee-injury"]);
+  assert.deepEqual(detectConditions("I have hypertension"), ["high-blood-pressure"]);
+  assert.deepEqual(detectConditions("estoy embarazada", "es"), ["pregnancy"]);
+  assert.deepEqual(detectConditions("hüfte mit bluthochdruck", "de"), ["high-blood-pressure"]);
+  assert.deepEqual(detectConditions("estoy embarazada"), []);
+  assert.deepEqual(detectConditions("tight hips"), []);
+});
+
+test("a denied or different condition isn't declared", () => {
+  assert.deepEqual(detectConditions("I'm not pregnant"), []);
+  assert.deepEqual(detectConditions("no knee pain today, just tight hips"), []);
+  assert.deepEqual(detectConditions("I have low blood pressure"), []);
+  assert.deepEqual(detectConditions("ich bin nicht schwanger", "de"), []);
+  assert.deepEqual(detectConditions("not pregnant but my knee hurts"), ["knee-injury"]);
+});
+
+test("warnings name the condition and the contraindication it matched", () => {
+  assert.deepEqual(safetyWarnings(headstand, ["neck-injury", "high-blood-pressure", "knee-injury"]), [
+    { condition: "neck-injury", label: "Neck injury", contraindication: "neck issues" },
+    { condition: "high-blood-pressure", label: "High blood pressure", contraindication: "high blood pressure" },
+  ]);
+  assert.deepEqual(safetyWarnings(headstand, ["pregnancy", "unknown"]), []);
+  assert.deepEqual(safetyWarnings({ id: "plain" }, ["neck-injury"]), []);
+  assert.deepEqual(safetyWarnings(headstand, undefined), []);
+});
+
+test("flagged classes sort after every safe one; exclude drops them", () => {
+  const ids = (results) => results.map((r) => r.video.id);
+  const unflagged = rank("headstand inversion", catalog);
+  assert.deepEqual(ids(unflagged).slice(0, 2), ["flow-into-headstand", "asana-strong-headstand"]);
+
+  const flagged = rank("headstand inversion", catalog, { conditions: ["neck-injury"] });
+  assert.equal(flagged.length, catalog.length);
+  assert.deepEqual(ids(flagged).slice(-2), ["flow-into-headstand", "asana-strong-headstand"]);
+  assert.ok(flagged.slice(0, -2).every((r) => r.warnings.length === 0));
+  assert.ok(flagged.slice(-2).every((r) => r.warnings.length > 0));
+
+  const excluded = rank("headstand inversion", catalog, { conditions: ["neck-injury"], safety: "exclude" });
+  assert.deepEqual(ids(excluded), ids(flagged).slice(0, -2));
+});
+
+test("conditions in the query count like declared ones", () => {
+  const results = rank("headstand, I have hypertension", catalog, { safety: "exclude" });
+  assert.ok(!results.some((r) => r.video.id.includes("headstand")));
+  assert.ok(rank("headstand, I have low blood pressure", catalog, { safety: "exclude" }).some((r) => r.video.id === "flow-into-headstand"));
+});
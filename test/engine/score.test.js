@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_WEIGHTS, rank, scoreVideo } from "../../src/engine/index.js";
+
+const video = (fields) => ({ id: "v", title: "", lengthMin: 30, level: "beginner", focuses: [], intents: [], vibe: [], ...fields });
+
+test("weights are pinned", () => {
+  assert.equal(DEFAULT_WEIGHTS.focus, 3);
+  assert.equal(DEFAULT_WEIGHTS.intent, 2);
+  assert.equal(DEFAULT_WEIGHTS.vibe, 1);
+  assert.equal(DEFAULT_WEIGHTS.travel, 4);
+  assert.equal(DEFAULT_WEIGHTS.desk, 3);
+  assert.equal(DEFAULT_WEIGHTS.lengthMax, 4);
+  assert.equal(DEFAULT_WEIGHTS.text, 6);
+});
+
+test("a matching focus scores +3", () => {
+  const r = scoreVideo("hips", video({ focuses: ["hips"] }));
+  assert.equal(r.signals.focus, 3);
+  assert.deepEqual(r.matches.focus, ["hips"]);
+});
+
+test("a multi-word focus scores +3 per word matched", () => {
+  assert.equal(scoreVideo("lower back", video({ focuses: ["lower back"] })).signals.focus, 6);
+});
+
+test("a matching intent scores +2", () => {
+  assert.equal(scoreVideo("strength", video({ intents: ["strength"] })).signals.intent, 2);
+});
+
+test("a matching vibe scores +1", () => {
+  assert.equal(scoreVideo("dynamic", video({ vibe: ["dynamic"] })).signals.vibe, 1);
+});
+
+test("travel words score +4 once, whatever the class", () => {
+  const r = scoreVideo("long flight and jet lag", video({}));
+  assert.equal(r.signals.travel, 4);
+  assert.equal(scoreVideo("back from a trip", video({})).signals.travel, 4);
+});
+
+test("desk words score +3 once", () => {
+  assert.equal(scoreVideo("sitting at my desk all day", video({})).signals.desk, 3);
+});
+
+test("X min scores up to +4, one point less per 5 minutes off", () => {
+  const length = (lengthMin) => scoreVideo("20 min", video({ lengthMin })).signals.length;
+  assert.equal(length(20), 4);
+  assert.equal(length(22), 4);
+  assert.equal(length(23), 3);
+  assert.equal(length(30), 2);
+  assert.equal(length(35), 1);
+  assert.equal(length(40), undefined);
+  assert.equal(length(5), 1);
+});
+
+test("quick and short favour classes of 10 minutes or less", () => {
+  assert.equal(scoreVideo("quick", video({ lengthMin: 10 })).signals.quick, 2);
+  assert.equal(scoreVideo("short", video({ lengthMin: 11 })).signals.quick, undefined);
+});
+
+test("text relevance is scaled to the cap of 6", () => {
+  const text = (score) => scoreVideo("pigeon", video({}), { text: { score, terms: ["pigeon"] } }).signals.text;
+  assert.equal(text(1), 6);
+  assert.equal(text(0.5), 3);
+  assert.equal(text(0.33), 2);
+  assert.equal(text(0), undefined);
+});
+
+test("weights can be overridden", () => {
+  assert.equal(scoreVideo("hips", video({ focuses: ["hips"] }), { weights: { focus: 5 } }).signals.focus, 5);
+});
+
+test("the total is the sum of the signals", () => {
+  const r = scoreVideo("gentle hips 20 min", video({ lengthMin: 20, focuses: ["hips"], vibe: ["gentle"] }));
+  assert.equal(r.score, Object.values(r.signals).reduce((a, b) => a + b, 0));
+});
+
+const catalog = [
+  video({ id: "hips", title: "Hip Opener", focuses: ["hips"], lengthMin: 20 }),
+  video({ id: "core", title: "Core Fire", focuses: ["core"], intents: ["strength"], lengthMin: 30 }),
+  video({ id: "calm", title: "Evening Calm", vibe: ["calm"], lengthMin: 15 }),
+];
+
+test("rank puts the best match first", () => {
+  assert.deepEqual(rank("hips", catalog).map((r) => r.video.id)[0], "hips");
+  assert.deepEqual(rank("core strength", catalog).map((r) => r.video.id)[0], "core");
+});
+
+test("rank scores everything 0 for an empty query", () => {
+  assert.ok(rank("", catalog).every((r) => r.score === 0));
+});
+
+test("transcripts boost classes that talk about the query", () => {
+  const transcripts = { calm: "Settle into pigeon pose and let the hips soften. Stay in pigeon." };
+  const [top] = rank("pigeon", catalog, { transcripts });
+  assert.equal(top.video.id, "calm");
+  assert.equal(top.signals.text, 6);
+  assert.match(top.snippet, /pigeon/);
+});
+
+test("the transcript boost never outweighs the cap", () => {
+  const transcripts = { hips: "hips ".repeat(50), core: "hips" };
+  for (const r of rank("hips", catalog, { transcripts })) assert.ok((r.signals.text || 0) <= DEFAULT_WEIGHTS.text);
+});
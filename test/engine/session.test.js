@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isSessionRequest, parseDuration, parseSession } from "../../src/engine/index.js";
+
+test("durations in minutes and hours", () => {
+  assert.equal(parseDuration("45 minutes of yoga"), 45);
+  assert.equal(parseDuration("20min"), 20);
+  assert.equal(parseDuration("half an hour"), 30);
+  assert.equal(parseDuration("an hour"), 60);
+  assert.equal(parseDuration("2 hours"), 120);
+  assert.equal(parseDuration("1.5h"), 90);
+  assert.equal(parseDuration("stretch my hips"), null);
+});
+
+test("an hour and a half, in words or digits", () => {
+  assert.equal(parseDuration("an hour and a half"), 90);
+  assert.equal(parseDuration("one hour and a half"), 90);
+  assert.equal(parseDuration("1 hour and a half"), 90);
+  assert.equal(parseDuration("2 hours and a half"), 150);
+});
+
+test("the duration isn't read as a step", () => {
+  const { target, segments } = parseSession("1 hour and a half of hips");
+  assert.equal(target, 90);
+  assert.deepEqual(segments.map((s) => s.role), ["opener", "focus", "closer"]);
+  assert.equal(segments[1].label, "hips");
+});
+
+test("explicit steps become segments in order", () => {
+  const { target, segments } = parseSession("45 minutes, warm up then hips then relax");
+  assert.equal(target, 45);
+  assert.deepEqual(segments.map((s) => s.role), ["opener", "focus", "closer"]);
+  assert.equal(segments[1].label, "hips");
+});
+
+test("session requests need steps or to say so", () => {
+  assert.equal(isSessionRequest("warm up then hips then relax"), true);
+  assert.equal(isSessionRequest("core followed by a gentle stretch"), true);
+  assert.equal(isSessionRequest("warm up, hips, wind down"), true);
+  assert.equal(isSessionRequest("plan me a 30 minute session"), true);
+  assert.equal(isSessionRequest("a short sequence for my back"), true);
+});
+
+test("a lone then, a long class or a list of areas is a normal search", () => {
+  assert.equal(isSessionRequest("something gentle then"), false);
+  assert.equal(isSessionRequest("hips then"), false);
+  assert.equal(isSessionRequest("60 minute power flow"), false);
+  assert.equal(isSessionRequest("an hour and a half of restorative"), false);
+  assert.equal(isSessionRequest("tight hips, lower back"), false);
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { buildIndex, diversify, evaluate, normalizeCatalog, rank, similarity, topPicks } from "../../src/engine/index.js";
+
+const catalog = normalizeCatalog(JSON.parse(readFileSync(new URL("../../public/catalog.json", import.meta.url), "utf8")));
+
+const hips = { id: "hips", focuses: ["hips"], intents: ["flexibility"], vibe: ["calm"], level: "beginner", lengthMin: 30 };
+const hipsAgain = { ...hips, id: "hips-again" };
+const core = { id: "core", focuses: ["core"], intents: ["strength"], vibe: ["fiery"], level: "advanced", lengthMin: 20 };
+const result = (video, score, warnings = []) => ({ video, score, warnings });
+
+test("similarity is 1 for the same kind of class and low for a different one", () => {
+  assert.equal(similarity(hips, hipsAgain), 1);
+  assert.ok(similarity(hips, core) < 0.2);
+});
+
+test("diversify keeps the best first and skips near-duplicates", () => {
+  const items = [hips, hipsAgain, core];
+  const score = { hips: 10, "hips-again": 9, core: 8 };
+  const picked = diversify(items, (v) => score[v.id], (a, b) => similarity(a, b));
+  assert.deepEqual(picked.map((v) => v.id), ["hips", "core", "hips-again"]);
+});
+
+test("diversify never picks a weak match for novelty alone", () => {
+  const score = { hips: 10, "hips-again": 9, core: 2 };
+  const picked = diversify([hips, hipsAgain, core], (v) => score[v.id], (a, b) => similarity(a, b));
+  assert.deepEqual(picked.map((v) => v.id), ["hips", "hips-again", "core"]);
+});
+
+test("top picks: best match, a different class, then flagged ones; non-matches dropped", () => {
+  const flagged = { ...core, id: "flagged" };
+  const results = [result(hips, 10), result(hipsAgain, 9), result(core, 8), result({ ...core, id: "none" }, 0), result(flagged, 12, [{}])];
+  assert.deepEqual(topPicks(results).map((r) => r.video.id), ["hips", "core", "hips-again", "flagged"]);
+});
+
+test("top picks follow the score, not the list's sort", () => {
+  const byLength = rank("strong core", catalog, { sort: "length" });
+  assert.deepEqual(
+    topPicks(byLength).map((r) => r.video.id),
+    topPicks(rank("strong core", catalog)).map((r) => r.video.id)
+  );
+});
+
+test("evaluate scores the order the app offers", () => {
+  const index = buildIndex(catalog);
+  const query = "strong core";
+  const { queries } = evaluate([{ query, relevant: {} }], catalog, { index }, 5);
+  const offered = topPicks(rank(query, catalog, { index }), { index }).map((r) => r.video.id);
+  assert.deepEqual(queries[0].ranking, offered.slice(0, 5));
+  // Two takes on the same core class don't fill both top spots
+  assert.deepEqual(queries[0].ranking.slice(0, 2), ["deep-core-and-more-strong", "solar-power"]);
+});
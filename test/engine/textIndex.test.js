@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildIndex, idealScore, indexTerms, queryTerms, searchIndex, understandQuery } from "../../src/engine/index.js";
+
+const videos = [
+  { id: "a", title: "Pigeon Practice", notes: "" },
+  { id: "b", title: "Flow", notes: "A pigeon pose for tight hips." },
+  { id: "c", title: "Flow", notes: "Standing balance." },
+];
+
+test("index terms drop stop words and are stemmed", () => {
+  assert.deepEqual(indexTerms("I want to stretch my hips"), ["stretch", "hip"]);
+});
+
+test("only matching classes are returned", () => {
+  const hits = searchIndex(buildIndex(videos), [{ term: "pigeon" }]);
+  assert.deepEqual([...hits.keys()].sort(), ["a", "b"]);
+});
+
+test("a title hit outweighs a notes hit", () => {
+  const hits = searchIndex(buildIndex(videos), [{ term: "pigeon" }]);
+  assert.ok(hits.get("a").score > hits.get("b").score);
+});
+
+test("rare terms count for more than common ones", () => {
+  const index = buildIndex([
+    { id: "a", notes: "twist fold" },
+    { id: "b", notes: "twist" },
+    { id: "c", notes: "twist" },
+  ]);
+  const hits = searchIndex(index, [{ term: "twist" }, { term: "fold" }]).get("a");
+  const twist = searchIndex(index, [{ term: "twist" }]).get("a").score;
+  assert.ok(hits.score - twist > twist);
+});
+
+test("timed transcripts give the moments a term is said", () => {
+  const index = buildIndex(videos, { c: [{ start: 0, text: "Welcome." }, { start: 42, text: "Now pigeon." }, { start: 90, text: "Pigeon again." }] });
+  assert.deepEqual(searchIndex(index, [{ term: "pigeon" }]).get("c").moments, [
+    { term: "pigeon", time: 42 },
+    { term: "pigeon", time: 90 },
+  ]);
+});
+
+test("typed words count fully, expansions half", () => {
+  const terms = queryTerms(understandQuery("anxious"));
+  assert.deepEqual(terms.find((t) => t.term === "anxious"), { term: "anxious", weight: 1 });
+  assert.equal(terms.find((t) => t.term === "stress").weight, 0.5);
+});
+
+test("the ideal score bounds an average match", () => {
+  const index = buildIndex(videos);
+  const terms = [{ term: "pigeon" }];
+  const best = Math.max(...[...searchIndex(index, terms).values()].map((h) => h.score));
+  assert.ok(best / idealScore(index, terms) <= 1);
+});
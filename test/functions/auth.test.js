@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  PBKDF2_ITERATIONS,
+  SESSION_TTL_SEC,
+  checkCredentials,
+  createRateLimiter,
+  hashPassword,
+  hasRole,
+  isPublicPath,
+  memoryStore,
+  parseUsers,
+  requiredRole,
+  signSession,
+  verifyPassword,
+  verifySession,
+} from "../../functions/_lib/auth.js";
+
+test("passwords verify against their hash only", async () => {
+  const hash = await hashPassword("correct horse", { iterations: 1000 });
+  assert.match(hash, /^pbkdf2\$1000\$/);
+  assert.equal(await verifyPassword("correct horse", hash), true);
+  assert.equal(await verifyPassword("correct horsE", hash), false);
+  assert.equal(await verifyPassword("correct horse", "plain"), false);
+});
+
+test("unknown users take as long to reject as wrong passwords", async () => {
+  const hash = await hashPassword("correct horse");
+  assert.match(hash, new RegExp(`^pbkdf2\\$${PBKDF2_ITERATIONS}\\$`));
+  const users = new Map([["sam", { role: "student", hash }]]);
+  const fastest = async (name) => {
+    let best = Infinity;
+    for (let i = 0; i < 3; i++) {
+      const start = performance.now();
+      assert.equal(await checkCredentials(users, name, "wrong"), null);
+      best = Math.min(best, performance.now() - start);
+    }
+    return best;
+  };
+  const known = await fastest("sam");
+  const unknown = await fastest("nobody");
+  assert.ok(unknown > known / 2, `unknown ${unknown.toFixed(1)} ms vs known ${known.toFixed(1)} ms`);
+});
+
+test("sessions expire and can't be forged", async () => {
+  const now = Date.UTC(2025, 0, 1);
+  const token = await signSession({ name: "sam", role: "student" }, "s", now);
+  assert.deepEqual(await verifySession(token, "s", now), { name: "sam", role: "student" });
+  assert.equal(await verifySession(token, "s", now + SESSION_TTL_SEC * 1000 + 1), null);
+  assert.equal(await verifySession(token, "other", now), null);
+  const [payload, sig] = token.split(".");
+  assert.equal(await verifySession(`${payload}x.${sig}`, "s", now), null);
+  assert.equal(await verifySession(token, "", now), null);
+});
+
+test("users with an unknown role or no hash are ignored", () => {
+  const users = parseUsers({
+    AUTH_USERS: JSON.stringify({ a: { role: "admin", hash: "h" }, b: { role: "owner", hash: "h" }, c: { role: "student" } }),
+  });
+  assert.deepEqual([...users.keys()], ["a"]);
+  assert.equal(parseUsers({ AUTH_USERS: "{not json" }).size, 0);
+});
+
+test("roles are ordered student < instructor < admin", () => {
+  assert.equal(requiredRole("/api/admin/publish"), "instructor");
+  assert.equal(requiredRole("/api/recommend"), null);
+  assert.equal(hasRole({ role: "admin" }, "instructor"), true);
+  assert.equal(hasRole({ role: "student" }, "instructor"), false);
+  assert.equal(hasRole({ role: "student" }, null), true);
+});
+
+test("public paths match exactly or by a trailing *", () => {
+  assert.equal(isPublicPath("/login"), true);
+  assert.equal(isPublicPath("/login/x"), false);
+  assert.equal(isPublicPath("/media/a.mp4", { PUBLIC_PATHS: "/media/*" }), true);
+});
+
+test("failures are counted per IP and per username and expire", async () => {
+  let clock = 0;
+  const limiter = createRateLimiter(memoryStore(() => clock));
+  for (let i = 0; i < 5; i++) await limiter.fail("1.1.1.1", "sam");
+  assert.equal(await limiter.blocked("2.2.2.2", "sam"), true);
+  assert.equal(await limiter.blocked("1.1.1.1", "ida"), true);
+  assert.equal(await limiter.blocked("2.2.2.2", "ida"), false);
+  clock += 16 * 60 * 1000;
+  assert.equal(await limiter.blocked("1.1.1.1", "sam"), false);
+});
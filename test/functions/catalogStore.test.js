@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { catalogStore } from "../../functions/_lib/catalogStore.js";
+import { onRequestPost as publishRoute } from "../../functions/api/admin/publish.js";
+
+const catalog = JSON.parse(readFileSync(new URL("../../public/catalog.json", import.meta.url), "utf8"));
+const broken = { videos: [{ id: "Bad Id", title: "" }] };
+const ana = { name: "ana", role: "instructor" };
+const ben = { name: "ben", role: "instructor" };
+
+/** In-memory stand-in for the CATALOG_KV namespace: strings, "json" reads and metadata */
+function kvStore() {
+  const data = new Map();
+  return {
+    async get(key, type) {
+      const e = data.get(key);
+      if (!e) return null;
+      return type === "json" ? JSON.parse(e.value) : e.value;
+    },
+    async getWithMetadata(key) {
+      const e = data.get(key);
+      return { value: e?.value ?? null, metadata: e?.metadata ?? null };
+    },
+    async put(key, value, { metadata } = {}) {
+      data.set(key, { value, metadata });
+    },
+    async delete(key) {
+      data.delete(key);
+    },
+  };
+}
+
+/** The error a promise rejects with */
+const failureOf = (promise) => promise.then(() => assert.fail("expected a failure"), (e) => e);
+
+test("no CATALOG_KV binding, no store", () => {
+  assert.equal(catalogStore({}), null);
+});
+
+test("drafts count revisions; a stale revision is refused with 409", async () => {
+  const store = catalogStore({ CATALOG_KV: kvStore() });
+  const first = await store.saveDraft(catalog, null, ana, 1);
+  const { catalog: _catalog, ...saved } = first;
+  assert.deepEqual(saved, { revision: 1, savedBy: "ana", savedAt: 1 });
+  const second = await store.saveDraft(catalog, 1, ben, 2);
+  assert.equal(second.revision, 2);
+
+  const stale = await failureOf(store.saveDraft(catalog, 1, ana, 3));
+  assert.equal(stale.status, 409);
+  assert.match(stale.message, /changed by ben/);
+  assert.equal((await store.draft()).revision, 2);
+});
+
+test("drafts may have errors, but publishing them is refused with 422", async () => {
+  const store = catalogStore({ CATALOG_KV: kvStore() });
+  const draft = await store.saveDraft(broken, null, ana);
+  const refused = await failureOf(store.publish(draft.revision, ana));
+  assert.equal(refused.status, 422);
+  assert.ok(refused.details.length > 0);
+  assert.equal(await store.published(), null);
+});
+
+test("publishing needs the current revision and keeps the draft", async () => {
+  const store = catalogStore({ CATALOG_KV: kvStore() });
+  assert.equal((await failureOf(store.publish(1, ana))).status, 404);
+  await store.saveDraft(catalog, null, ana);
+  await store.saveDraft(catalog, 1, ben);
+  assert.equal((await failureOf(store.publish(1, ana))).status, 409);
+
+  const published = await store.publish(2, ana, 5);
+  const { catalog: _catalog, ...record } = published;
+  assert.deepEqual(record, { revision: 2, publishedBy: "ana", publishedAt: 5 });
+  assert.deepEqual((await store.published()).catalog, catalog);
+  assert.equal((await store.draft()).revision, 2);
+});
+
+test("the publish endpoint answers 422 with the errors, 409 when stale", async () => {
+  const env = { CATALOG_KV: kvStore() };
+  const publish = (revision) =>
+    publishRoute({
+      env,
+      request: new Request("https://yoga.example/api/admin/publish", { method: "POST", body: JSON.stringify({ revision }) }),
+      data: { user: ana },
+    });
+  await catalogStore(env).saveDraft(broken, null, ana);
+  const invalid = await publish(1);
+  assert.equal(invalid.status, 422);
+  assert.ok((await invalid.json()).details.length > 0);
+  assert.equal((await publish(7)).status, 409);
+
+  await catalogStore(env).saveDraft(catalog, 1, ana);
+  const ok = await publish(2);
+  assert.equal(ok.status, 200);
+  assert.equal((await ok.json()).published.revision, 2);
+});
@@ -0,0 +1,131 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { onRequest } from "../../functions/_middleware.js";
+import { MAX_FAILURES, SESSION_COOKIE, hashPassword, memoryStore, signSession } from "../../functions/_lib/auth.js";
+
+const ORIGIN = "https://yoga.example";
+const SECRET = "test-secret";
+
+// Cheap hashes keep the suite fast; verifyPassword reads the iteration count from the hash
+const users = {
+  sam: { role: "student", hash: await hashPassword("sam-pass", { iterations: 1000 }) },
+  ida: { role: "instructor", hash: await hashPassword("ida-pass", { iterations: 1000 }) },
+};
+
+function env(extra = {}) {
+  return { AUTH_USERS: JSON.stringify(users), SESSION_SECRET: SECRET, AUTH_KV: memoryStore(), ...extra };
+}
+
+/** Run the middleware for one request; `next()` answers 200 "app" */
+async function call(path, { env: bindings = env(), method = "GET", headers = {}, form } = {}) {
+  const init = { method, headers: { Accept: "text/html", ...headers } };
+  if (form) init.body = new URLSearchParams(form);
+  const context = { request: new Request(ORIGIN + path, init), env: bindings, data: {} };
+  context.next = async () => new Response("app", { status: 200 });
+  const response = await onRequest(context);
+  return { response, context };
+}
+
+const login = (bindings, username, password, next = "/") =>
+  call("/login", { env: bindings, method: "POST", form: { username, password, next } });
+
+const cookieFor = async (name, role) => ({ Cookie: `${SESSION_COOKIE}=${await signSession({ name, role }, SECRET)}` });
+
+test("signing in sets a session cookie and returns to next", async () => {
+  const { response } = await login(env(), "sam", "sam-pass", "/class/hips?q=hips");
+  assert.equal(response.status, 303);
+  assert.equal(response.headers.get("Location"), "/class/hips?q=hips");
+  assert.match(response.headers.get("Set-Cookie"), new RegExp(`^${SESSION_COOKIE}=[^;]+\\.[^;]+; Path=/; HttpOnly`));
+});
+
+test("the session cookie from login opens the app", async () => {
+  const bindings = env();
+  const cookie = (await login(bindings, "sam", "sam-pass")).response.headers.get("Set-Cookie").split(";")[0];
+  const { response, context } = await call("/", { env: bindings, headers: { Cookie: cookie } });
+  assert.equal(response.status, 200);
+  assert.deepEqual(context.data.user, { name: "sam", role: "student" });
+});
+
+test("a wrong password shows the form again with 401", async () => {
+  const { response } = await login(env(), "sam", "nope");
+  assert.equal(response.status, 401);
+  assert.match(await response.text(), /Wrong username or password/);
+});
+
+test("too many failures lock the account out with 429", async () => {
+  const bindings = env();
+  for (let i = 0; i < MAX_FAILURES; i++) assert.equal((await login(bindings, "sam", "nope")).response.status, 401);
+  const { response } = await login(bindings, "sam", "sam-pass");
+  assert.equal(response.status, 429);
+  assert.ok(response.headers.get("Retry-After"));
+});
+
+test("Basic credentials count towards the lockout too", async () => {
+  const bindings = env();
+  const basic = (pw) => ({ Accept: "application/json", Authorization: `Basic ${btoa(`sam:${pw}`)}` });
+  for (let i = 0; i < MAX_FAILURES; i++) await call("/api/recommend", { env: bindings, headers: basic("nope") });
+  assert.equal((await call("/api/recommend", { env: bindings, headers: basic("sam-pass") })).response.status, 429);
+});
+
+test("signed-out browsers are sent to login, API clients get 401", async () => {
+  const page = (await call("/class/hips?t=30")).response;
+  assert.equal(page.status, 303);
+  assert.equal(page.headers.get("Location"), "/login?next=%2Fclass%2Fhips%3Ft%3D30");
+  const api = (await call("/api/recommend", { headers: { Accept: "application/json" } })).response;
+  assert.equal(api.status, 401);
+  assert.match(api.headers.get("WWW-Authenticate"), /^Basic/);
+});
+
+test("admin pages and APIs need an instructor", async () => {
+  for (const path of ["/admin", "/admin/catalog", "/api/admin/catalog"]) {
+    assert.equal((await call(path, { headers: await cookieFor("sam", "student") })).response.status, 403, path);
+    assert.equal((await call(path, { headers: await cookieFor("ida", "instructor") })).response.status, 200, path);
+  }
+  assert.equal((await call("/administer", { headers: await cookieFor("sam", "student") })).response.status, 200);
+});
+
+test("a cookie whose role no longer matches AUTH_USERS is dropped", async () => {
+  const { response } = await call("/admin", { headers: await cookieFor("sam", "instructor") });
+  assert.equal(response.status, 303);
+  assert.match(response.headers.get("Location"), /^\/login/);
+  const removed = await call("/", { headers: await cookieFor("gone", "student") });
+  assert.equal(removed.response.status, 303);
+});
+
+test("a cookie signed with another secret is ignored", async () => {
+  const cookie = `${SESSION_COOKIE}=${await signSession({ name: "sam", role: "student" }, "other")}`;
+  assert.equal((await call("/", { headers: { Cookie: cookie } })).response.status, 303);
+});
+
+test("public paths need no login", async () => {
+  assert.equal((await call("/manifest.webmanifest")).response.status, 200);
+  assert.equal((await call("/yogatools_logo1.png")).response.status, 200);
+  const bindings = env({ PUBLIC_PATHS: "/health, /docs/*" });
+  assert.equal((await call("/health", { env: bindings })).response.status, 200);
+  assert.equal((await call("/docs/setup", { env: bindings })).response.status, 200);
+  assert.equal((await call("/healthz", { env: bindings })).response.status, 303);
+});
+
+test("next must stay on this site", async () => {
+  const location = async (next) => (await login(env(), "sam", "sam-pass", next)).response.headers.get("Location");
+  assert.equal(await location("/\\evil.com"), "/");
+  assert.equal(await location("//evil.com"), "/");
+  assert.equal(await location("https://evil.com/"), "/");
+  assert.equal(await location("/\t/evil.com"), "/");
+  assert.equal(await location("javascript:alert(1)"), "/");
+  assert.equal(await location(`${ORIGIN}/class/hips`), "/class/hips");
+  assert.equal(await location("/?q=hips"), "/?q=hips");
+});
+
+test("the login form never carries an unsafe next", async () => {
+  const html = async (path) => (await call(path)).response.text();
+  assert.match(await html("/login?next=/%5Cevil.com"), /name="next" value="\/"/);
+  assert.match(await html("/login?next=%2F%2Fevil.com"), /name="next" value="\/"/);
+  assert.match(await html("/login?next=%2Fclass%2Fhips"), /name="next" value="\/class\/hips"/);
+});
+
+test("every request fails closed without SESSION_SECRET", async () => {
+  const bindings = env({ SESSION_SECRET: "" });
+  assert.equal((await call("/", { env: bindings })).response.status, 500);
+  assert.equal((await call("/manifest.webmanifest", { env: bindings })).response.status, 500);
+});
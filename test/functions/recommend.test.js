@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { onRequestGet, parseParams } from "../../functions/api/recommend.js";
+
+test("query-string parameters become rank() options", () => {
+  assert.deepEqual(
+    parseParams({
+      q: " tight hips ",
+      duration: "20",
+      minDuration: "10",
+      level: "Beginner, intermediate",
+      conditions: "knee-injury,pregnancy",
+      body: "hips:tight, knees:injured",
+      limit: "3",
+      lang: "es-MX",
+    }),
+    {
+      query: "tight hips",
+      limit: 3,
+      options: {
+        conditions: ["knee-injury", "pregnancy"],
+        body: { hips: "tight", knees: "injured" },
+        lang: "es",
+        safety: "exclude",
+        constraints: { levels: ["beginner", "intermediate"], minLength: 10, maxLength: 20 },
+      },
+    }
+  );
+});
+
+test("JSON bodies: arrays, a body-map object and defaults", () => {
+  const parsed = parseParams({ query: "core", level: ["advanced"], body: { " Hips ": "Sore" }, safety: "flag" });
+  assert.equal(parsed.limit, 5);
+  assert.deepEqual(parsed.options.body, { hips: "sore" });
+  assert.deepEqual(parsed.options.constraints, { levels: ["advanced"], minLength: null, maxLength: null });
+  assert.equal(parsed.options.safety, "flag");
+  assert.equal(parsed.options.lang, "en");
+  assert.equal(parseParams({ body: "neck:tight" }).query, "");
+});
+
+test("a missing query or unknown level, condition or body area/state is refused", () => {
+  assert.match(parseParams({}).error, /^Missing query/);
+  assert.match(parseParams({ q: "  " }).error, /^Missing query/);
+  assert.match(parseParams({ q: "hips", level: "beginner,expert" }).error, /^Unknown level "expert"/);
+  assert.match(parseParams({ q: "hips", conditions: "bad-knee" }).error, /^Unknown condition "bad-knee"; use one of: pregnancy/);
+  assert.match(parseParams({ body: "elbows:tight" }).error, /^Unknown body area "elbows"/);
+  assert.match(parseParams({ body: "hips:stiff" }).error, /^Unknown state "stiff" for hips/);
+  assert.match(parseParams({ body: "hips" }).error, /^Unknown state "" for hips/);
+});
+
+test("limit and durations are range-checked", () => {
+  for (const limit of ["0", "21", "many", -1]) {
+    assert.equal(parseParams({ q: "hips", limit }).error, "limit must be between 1 and 20", String(limit));
+  }
+  assert.equal(parseParams({ q: "hips", limit: "20" }).limit, 20);
+  assert.equal(parseParams({ q: "hips", limit: "2.7" }).limit, 2);
+  for (const duration of ["0", "-5", "soon"]) {
+    assert.match(parseParams({ q: "hips", duration }).error, /^duration and minDuration must be positive/, duration);
+  }
+  assert.match(parseParams({ q: "hips", minDuration: "x" }).error, /^duration and minDuration/);
+  assert.equal(parseParams({ q: "hips", duration: "" }).options.constraints.maxLength, null);
+});
+
+test("bad parameters are a 400 with the message", async () => {
+  const res = await onRequestGet({ request: new Request("https://yoga.example/api/recommend?q=hips&level=expert"), env: {} });
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /^Unknown level "expert"/);
+});
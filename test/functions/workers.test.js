@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { readdirSync } from "node:fs";
+import process from "node:process";
+import { fileURLToPath } from "node:url";
+
+const ROOT_URL = new URL("../../", import.meta.url);
+const ROOT = fileURLToPath(ROOT_URL);
+
+/** Every module under functions/, as file URLs */
+const modules = readdirSync(new URL("functions", ROOT_URL), { recursive: true })
+  .filter((path) => path.endsWith(".js"))
+  .map((path) => new URL(`functions/${path}`, ROOT_URL).href);
+
+/** Run `code` as an ES module the way Workers do: no eval, no new Function */
+const runLikeWorkers = (code) =>
+  execFileSync(process.execPath, ["--disallow-code-generation-from-strings", "--input-type=module", "-e", code], {
+    cwd: ROOT,
+    encoding: "utf8",
+  });
+
+test("every Pages Function loads without code generation", () => {
+  assert.ok(modules.length > 5);
+  const out = runLikeWorkers(`${modules.map((m, i) => `import * as m${i} from ${JSON.stringify(m)};`).join("\n")}\nconsole.log("loaded");`);
+  assert.equal(out.trim(), "loaded");
+});
+
+test("catalogs validate without code generation", () => {
+  const out = runLikeWorkers(`
+    import { readFileSync } from "node:fs";
+    import { validateCatalog } from "./src/catalog/validate.js";
+    const good = validateCatalog(JSON.parse(readFileSync("public/catalog.json", "utf8")));
+    const bad = validateCatalog({ videos: [{ id: "Bad Id", title: "" }] });
+    console.log(JSON.stringify([good.valid, bad.valid]));
+  `);
+  assert.deepEqual(JSON.parse(out), [true, false]);
+});
+
+test("the precompiled validators match catalog.schema.json", () => {
+  execFileSync(process.execPath, ["scripts/build-catalog-validator.js", "--check"], { cwd: ROOT, stdio: "pipe" });
+});
@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { normalizeCatalog, rank, topPicks } from "../../src/engine/index.js";
+import { EMPTY_PROFILE, dismissResume, markCompleted, rate, recordPlay, recordProgress } from "../../src/profile/profile.js";
+import {
+  PRACTICE_DAY_SEC,
+  RESUME_WITHIN_MS,
+  practiceStats,
+  rankingProfile,
+  resumePoint,
+  unfinishedPlay,
+} from "../../src/profile/progress.js";
+
+const catalog = normalizeCatalog(JSON.parse(readFileSync(new URL("../../public/catalog.json", import.meta.url), "utf8")));
+
+const NOW = Date.UTC(2025, 2, 9, 12);
+const VISIT = NOW - 60 * 1000;
+
+const top = (query, profile) => topPicks(rank(query, catalog, { profile: rankingProfile(profile, VISIT), now: NOW })).map((r) => r.video.id);
+
+test("opening a class doesn't reshuffle the picks under the click", () => {
+  for (const query of ["tight hamstrings", "core strength"]) {
+    const before = top(query, EMPTY_PROFILE);
+    assert.deepEqual(top(query, recordPlay(EMPTY_PROFILE, before[0], NOW)).slice(0, 2), before.slice(0, 2), query);
+    assert.deepEqual(top(query, recordPlay(EMPTY_PROFILE, before[1], NOW)).slice(0, 2), before.slice(0, 2), query);
+  }
+});
+
+test("plays from earlier visits, or really watched, count as recent", () => {
+  const id = top("tight hamstrings", EMPTY_PROFILE)[0];
+  const recent = (profile) => rank("tight hamstrings", catalog, { profile: rankingProfile(profile, VISIT), now: NOW }).find((r) => r.video.id === id).signals.recent;
+  assert.equal(recent(recordPlay(EMPTY_PROFILE, id, VISIT - 1000)), -3);
+  const opened = recordPlay(EMPTY_PROFILE, id, NOW);
+  assert.equal(recent(opened), undefined);
+  const watched = recordProgress(opened, id, { position: PRACTICE_DAY_SEC, duration: 1800, watched: PRACTICE_DAY_SEC }, NOW);
+  assert.equal(recent(watched), -3);
+});
+
+test("progress reports leave the ranking input unchanged", () => {
+  const opened = recordPlay(EMPTY_PROFILE, "rajas", VISIT - 1000);
+  const playing = recordProgress(opened, "rajas", { position: 40, duration: 1800, watched: 10 }, NOW);
+  assert.deepEqual(rankingProfile(playing, VISIT), rankingProfile(opened, VISIT));
+  assert.notDeepEqual(rankingProfile(rate(opened, "rajas", 1), VISIT), rankingProfile(opened, VISIT));
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+/** Noon on a local day in March 2025 */
+const march = (day) => new Date(2025, 2, day, 12).getTime();
+/** A play of `id` at `at`, watched to `position` of a 30-minute class */
+const watched = (profile, id, at, position, seconds = position) =>
+  recordProgress(recordPlay(profile, id, at), id, { position, duration: 1800, watched: seconds }, at);
+
+test("resume where the last play stopped, not near either end", () => {
+  const at = march(9);
+  /** Where opening `id` again would resume */
+  const reopen = (profile, id = "rajas") => resumePoint(recordPlay(profile, id, at + 1000), id);
+  assert.equal(reopen(watched(EMPTY_PROFILE, "rajas", at, 600)), 600);
+  assert.equal(reopen(watched(EMPTY_PROFILE, "rajas", at, 10)), null);
+  assert.equal(reopen(watched(EMPTY_PROFILE, "rajas", at, 1790)), null);
+  assert.equal(reopen(watched(EMPTY_PROFILE, "rajas", at, 600), "other"), null);
+  assert.equal(reopen(dismissResume(watched(EMPTY_PROFILE, "rajas", at, 600), "rajas")), null);
+  assert.equal(reopen(markCompleted(watched(EMPTY_PROFILE, "rajas", at, 600), "rajas", at)), null);
+  // Once the current play reports progress, the player is already there
+  const playing = watched(EMPTY_PROFILE, "rajas", at, 600);
+  assert.equal(resumePoint(playing, "rajas"), null);
+  const reopened = recordPlay(playing, "rajas", at + 1000);
+  assert.equal(resumePoint(recordProgress(reopened, "rajas", { position: 5, duration: 1800 }, at + 2000), "rajas"), null);
+});
+
+test("the class left unfinished before this visit", () => {
+  const left = watched(EMPTY_PROFILE, "rajas", march(8), 600);
+  assert.equal(unfinishedPlay(left, march(9)).id, "rajas");
+  assert.equal(unfinishedPlay(left, march(8)), null);
+  assert.equal(unfinishedPlay(left, march(8) + RESUME_WITHIN_MS + 1), null);
+  // A later class watched to near the end replaces it: the user moved on
+  assert.equal(unfinishedPlay(watched(left, "sattva", march(8) + 1000, 1790), march(9)), null);
+  // Picked up again this visit: offered next time from the new play, not now
+  const resumed = watched(left, "rajas", march(9) + 1000, 900);
+  assert.equal(unfinishedPlay(resumed, march(9)), null);
+  assert.equal(unfinishedPlay(resumed, march(10)).position, 900);
+});
+
+test("streaks count practice days up to today or yesterday", () => {
+  const week = [7, 8, 9].reduce((p, day) => watched(p, `c${day}`, march(day), PRACTICE_DAY_SEC), EMPTY_PROFILE);
+  assert.deepEqual(practiceStats(week, march(9)), { minutes: 15, days: 3, streak: 3, completed: 0 });
+  assert.equal(practiceStats(week, march(10)).streak, 3);
+  assert.equal(practiceStats(week, march(11)).streak, 0);
+
+  // Too short to count; finishing a class always counts
+  const brief = watched(week, "short", march(10), 60);
+  assert.equal(practiceStats(brief, march(10)).days, 3);
+  const finished = markCompleted(brief, "short", march(10));
+  assert.deepEqual(practiceStats(finished, march(10)), { minutes: 16, days: 4, streak: 4, completed: 1 });
+
+  // A gap day ends the streak
+  const gap = watched(week, "c11", march(11), PRACTICE_DAY_SEC);
+  assert.equal(practiceStats(gap, march(11)).streak, 1);
+  assert.equal(practiceStats(gap, march(11) + DAY).streak, 1);
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { translator } from "../../src/i18n/strings.js";
+import { programToIcs } from "../../src/program/ics.js";
+
+const catalog = [
+  { id: "hips", title: "Hips, hamstrings; and a long, winding title that needs folding onto more lines", level: "beginner", lengthMin: 20 },
+  { id: "core", title: "Core", level: "intermediate", lengthMin: 45 },
+];
+const program = {
+  goal: "open-hips",
+  title: "3 weeks to open hips and hamstrings",
+  start: "2025-03-09",
+  days: [
+    { n: 1, week: 1, date: "2025-03-09", videoId: "hips" },
+    { n: 2, week: 1, date: "2025-03-11", videoId: "core" },
+  ],
+};
+const now = new Date(Date.UTC(2025, 2, 1, 12));
+
+/** Unfolded content lines */
+const unfold = (ics) => ics.replace(/\r\n /g, "").split("\r\n");
+
+test("events with floating times, escaped text and a reminder", () => {
+  const lines = unfold(programToIcs(program, catalog, { time: "23:50", origin: "https://yoga.example", now }));
+  assert.equal(lines.at(-1), "");
+  assert.ok(lines.includes("X-WR-CALNAME:3 weeks to open hips and hamstrings"));
+  assert.ok(lines.includes("DTSTAMP:20250301T120000Z"));
+  assert.ok(lines.includes("DTSTART:20250311T235000"));
+  assert.ok(lines.includes("DTEND:20250312T003500"));
+  assert.ok(lines.includes("SUMMARY:Yoga: Hips\\, hamstrings\\; and a long\\, winding title that needs folding onto more lines"));
+  assert.ok(
+    lines.includes(
+      "DESCRIPTION:3 weeks to open hips and hamstrings\\, week 1\\, class 1 of 2.\\nbeginner\\, 20 min.\\nhttps://yoga.example/class/hips"
+    )
+  );
+  assert.ok(lines.includes("TRIGGER:-PT15M"));
+  assert.ok(!programToIcs(program, catalog, { reminder: 0, now }).includes("VALARM"));
+});
+
+test("long lines fold at 75 octets without splitting characters", () => {
+  const ics = programToIcs({ ...program, title: "腰".repeat(40) }, catalog, { now });
+  for (const line of ics.split("\r\n")) assert.ok(new TextEncoder().encode(line).length <= 75, line);
+  assert.ok(ics.includes("\r\n "));
+  assert.ok(unfold(ics).includes(`X-WR-CALNAME:${"腰".repeat(40)}`));
+});
+
+test("UIDs are stable across exports", () => {
+  const uids = (ics) => unfold(ics).filter((l) => l.startsWith("UID:"));
+  const first = uids(programToIcs(program, catalog, { now }));
+  assert.deepEqual(first, ["UID:open-hips-2025-03-09-1@yoga-programs", "UID:open-hips-2025-03-09-2@yoga-programs"]);
+  assert.deepEqual(uids(programToIcs(program, catalog, { time: "18:00", now: new Date() })), first);
+});
+
+test("event text in the UI's language", () => {
+  const lines = unfold(programToIcs(program, catalog, { t: translator("es"), title: "3 semanas para abrir caderas", now }));
+  assert.ok(lines.includes("X-WR-CALNAME:3 semanas para abrir caderas"));
+  assert.ok(lines.includes("SUMMARY:Yoga: Core"));
+  assert.ok(lines.includes("DESCRIPTION:3 semanas para abrir caderas\\, semana 1\\, clase 2 de 2.\\nintermediate\\, 45 min."));
+});
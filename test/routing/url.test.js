@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { NO_CONSTRAINTS } from "../../src/engine/index.js";
+import { HOME, buildUrl, parseUrl } from "../../src/routing/url.js";
+
+test("class, query, sort and filter round-trip", () => {
+  const state = { classId: "hip opener/2", q: "tight hips", sort: "length", filter: "gentle", facets: NO_CONSTRAINTS };
+  assert.deepEqual(parseUrl(buildUrl(state)), state);
+});
+
+test("facet selections round-trip", () => {
+  const facets = {
+    ...NO_CONSTRAINTS,
+    levels: ["beginner", "all levels"],
+    minLength: 10,
+    maxLength: 30,
+    noEquipment: true,
+    withoutEquipment: ["wall", "strap"],
+    vibes: ["calm"],
+    focuses: ["hips", "lower back"],
+  };
+  const url = buildUrl({ ...HOME, q: "hips", facets });
+  assert.equal(
+    url,
+    "/?q=hips&min=10&max=30&equipment=none&level=beginner%2Call+levels&without=wall%2Cstrap&vibe=calm&focus=hips%2Clower+back"
+  );
+  assert.deepEqual(parseUrl(url).facets, facets);
+  assert.deepEqual(parseUrl("/?max=20").facets, { ...NO_CONSTRAINTS, maxLength: 20 });
+  assert.deepEqual(parseUrl("/?min=0").facets, { ...NO_CONSTRAINTS, minLength: 0 });
+});
+
+test("no facets in the URL is NO_CONSTRAINTS itself; junk is ignored", () => {
+  assert.equal(parseUrl("/?q=hips").facets, NO_CONSTRAINTS);
+  assert.equal(parseUrl("/?level=&min=abc&max=-5&equipment=some").facets, NO_CONSTRAINTS);
+  assert.equal(buildUrl({ ...HOME, facets: { ...NO_CONSTRAINTS } }), "/");
+});
+
+test("defaults stay out of the URL", () => {
+  assert.equal(buildUrl(HOME), "/");
+  assert.deepEqual(parseUrl("/"), HOME);
+});
+
+test("unknown sorts fall back to score", () => {
+  assert.equal(parseUrl("/?sort=random").sort, "score");
+});
+
+test("a malformed class id is no class, not an error", () => {
+  assert.deepEqual(parseUrl("/class/%E0%A4%A?q=hips"), { ...HOME, classId: null, q: "hips" });
+  assert.equal(parseUrl("/class/%").classId, null);
+});
@@ -4,4 +4,11 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: {
+      // Semantic search runs on the CPU wasm backend only; the WebGPU build
+      // would pull a second, larger runtime into dist
+      'onnxruntime-web/webgpu': 'onnxruntime-web/wasm',
+    },
+  },
 })